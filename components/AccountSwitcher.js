@@ -0,0 +1,78 @@
+import { useState, useEffect } from 'react';
+
+// Misma cookie que lee getRequestAccount (lib/ml-accounts.js)
+const ACCOUNT_COOKIE = 'ml_account';
+
+// Selector de la cuenta de vendedor de ML con la que trabaja el panel
+export default function AccountSwitcher() {
+  const [accounts, setAccounts] = useState([]);
+  const [current, setCurrent] = useState('');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchAccounts = async () => {
+      try {
+        const response = await fetch('/api/ml-accounts');
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || `Error ${response.status}`);
+        }
+
+        setAccounts((data.accounts || []).filter(account => account.active));
+        setCurrent(data.current || '');
+      } catch (err) {
+        console.error('Error al cargar cuentas de ML:', err);
+        setError(err.message);
+      }
+    };
+    fetchAccounts();
+  }, []);
+
+  // Guardar la cuenta en la cookie y recargar: todo el panel pasa a trabajar con ella
+  const switchAccount = (e) => {
+    const accountId = e.target.value;
+    document.cookie = `${ACCOUNT_COOKIE}=${encodeURIComponent(accountId)}; path=/; max-age=${60 * 60 * 24 * 365}; samesite=lax`;
+    setCurrent(accountId);
+    window.location.reload();
+  };
+
+  // Con una sola cuenta no hay nada que elegir
+  if (error || accounts.length < 2) return null;
+
+  const selected = accounts.find(account => account.id === current);
+
+  return (
+    <div className="account-switcher">
+      <label>
+        Cuenta ML
+        <select value={current} onChange={switchAccount}>
+          {accounts.map(account => (
+            <option key={account.id} value={account.id}>
+              {account.name}{account.is_default ? ' (predeterminada)' : ''}
+            </option>
+          ))}
+        </select>
+      </label>
+      {selected && !selected.authorized && <small className="warning">Sin autorizar (<a href={selected.authorize_url}>autorizar</a>)</small>}
+      {selected?.token_expired && <small className="warning">Token vencido</small>}
+
+      <style jsx>{`
+        .account-switcher {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          font-size: 0.9rem;
+        }
+        .account-switcher select {
+          margin-left: 6px;
+          padding: 4px 8px;
+          border: 1px solid #ccc;
+          border-radius: 4px;
+        }
+        .warning {
+          color: #c62828;
+        }
+      `}</style>
+    </div>
+  );
+}
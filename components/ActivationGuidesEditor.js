@@ -0,0 +1,273 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const EMPTY_GUIDE = { platform: '', product_type: '', body: '', notes: '' };
+
+// Editor de guías de activación: cada guardado crea una versión nueva y queda registrada en cada entrega
+const ActivationGuidesEditor = () => {
+  const [guides, setGuides] = useState([]);
+  const [defaults, setDefaults] = useState({});
+  const [options, setOptions] = useState({ platforms: [], productTypes: [] });
+  const [showHistory, setShowHistory] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchGuides = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await fetch(`/api/activation-guides${showHistory ? '?history=true' : ''}`);
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Error desconocido');
+
+      setGuides(data.guides || []);
+      setDefaults(data.defaults || {});
+      setOptions(data.options);
+    } catch (err) {
+      console.error('Error al obtener guías de activación:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [showHistory]);
+
+  useEffect(() => {
+    fetchGuides();
+  }, [fetchGuides]);
+
+  const request = async (url, init) => {
+    try {
+      setError(null);
+      const response = await fetch(url, init);
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Error desconocido');
+      await fetchGuides();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const saveGuide = async () => {
+    setSaving(true);
+    const saved = await request('/api/activation-guides', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(editing)
+    });
+    setSaving(false);
+    if (saved) setEditing(null);
+  };
+
+  const activateVersion = (guide) => request(`/api/activation-guides?id=${guide.id}`, { method: 'PUT' });
+
+  const deactivate = (guide) => {
+    if (!confirm(`¿Desactivar la guía de ${guide.platform}? Se usará la del código.`)) return;
+    request(`/api/activation-guides?id=${guide.id}`, { method: 'DELETE' });
+  };
+
+  const setField = (field) => (e) => setEditing(prev => ({ ...prev, [field]: e.target.value }));
+
+  // Guía vigente de la plataforma sin tipo de producto (la que usan todas salvo override por tipo)
+  const activeFor = (platform) => guides.find(g => g.active && g.platform === platform && !g.product_type);
+
+  if (loading) {
+    return <div className="loading">Cargando guías de activación...</div>;
+  }
+
+  return (
+    <div className="activation-guides">
+      <div className="guides-header">
+        <div>
+          <h2>Guías de activación</h2>
+          <p className="muted">
+            Se incluyen en las descripciones de keys y DLC y en el mensaje de entrega de keys.
+            Guardar crea una versión nueva; re-renderizar descripciones para publicarla en ML.
+          </p>
+        </div>
+        <label className="checkbox">
+          <input type="checkbox" checked={showHistory} onChange={e => setShowHistory(e.target.checked)} /> Ver versiones anteriores
+        </label>
+      </div>
+
+      {error && <div className="error">❌ {error}</div>}
+
+      {editing && (
+        <div className="guide-form">
+          <div className="grid">
+            <label>Plataforma
+              <select value={editing.platform} onChange={setField('platform')}>
+                {options.platforms.map(platform => <option key={platform} value={platform}>{platform}</option>)}
+              </select>
+            </label>
+            <label>Tipo de producto
+              <select value={editing.product_type || ''} onChange={setField('product_type')}>
+                <option value="">Cualquiera</option>
+                {options.productTypes.map(type => <option key={type} value={type}>{type}</option>)}
+              </select>
+            </label>
+            <label>Notas<input value={editing.notes || ''} onChange={setField('notes')} placeholder="Qué cambió" /></label>
+          </div>
+          <label>Pasos<textarea rows={6} value={editing.body} onChange={setField('body')} /></label>
+          <div className="form-actions">
+            <button className="primary" onClick={saveGuide} disabled={saving}>{saving ? 'Guardando...' : 'Guardar versión'}</button>
+            <button onClick={() => setEditing(null)}>Cancelar</button>
+          </div>
+        </div>
+      )}
+
+      <table>
+        <thead>
+          <tr>
+            <th>Plataforma</th>
+            <th>Tipo</th>
+            <th>Versión</th>
+            <th>Guía</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {options.platforms.filter(platform => !activeFor(platform)).map(platform => (
+            <tr key={`default-${platform}`}>
+              <td>{platform}</td>
+              <td>Cualquiera</td>
+              <td><span className="muted">Código</span></td>
+              <td><pre>{defaults[platform]}</pre></td>
+              <td className="actions">
+                <button onClick={() => setEditing({ ...EMPTY_GUIDE, platform, body: defaults[platform] })}>Editar</button>
+              </td>
+            </tr>
+          ))}
+          {guides.map(guide => (
+            <tr key={guide.id} className={guide.active ? '' : 'disabled'}>
+              <td>{guide.platform}</td>
+              <td>{guide.product_type || 'Cualquiera'}</td>
+              <td>v{guide.version}{guide.notes ? <div className="muted">{guide.notes}</div> : null}</td>
+              <td><pre>{guide.body}</pre></td>
+              <td className="actions">
+                {guide.active ? (
+                  <>
+                    <button onClick={() => setEditing({ ...EMPTY_GUIDE, ...guide, product_type: guide.product_type || '' })}>Editar</button>
+                    <button className="danger" onClick={() => deactivate(guide)}>Desactivar</button>
+                  </>
+                ) : (
+                  <button onClick={() => activateVersion(guide)}>Activar</button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <style jsx>{`
+        .activation-guides {
+          background: white;
+          border-radius: 0.5rem;
+          padding: 1.5rem;
+          box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
+        }
+        .guides-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: flex-start;
+          gap: 1rem;
+          margin-bottom: 1rem;
+        }
+        h2 {
+          margin: 0 0 0.25rem;
+          color: #2d3748;
+        }
+        .muted {
+          color: #718096;
+          font-size: 0.875rem;
+        }
+        .error {
+          background: #fff5f5;
+          color: #c53030;
+          padding: 0.75rem;
+          border-radius: 0.375rem;
+          margin-bottom: 1rem;
+        }
+        .guide-form {
+          background: #f7fafc;
+          border-radius: 0.5rem;
+          padding: 1rem;
+          margin-bottom: 1rem;
+          display: flex;
+          flex-direction: column;
+          gap: 0.75rem;
+        }
+        .grid {
+          display: grid;
+          grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));
+          gap: 0.75rem;
+        }
+        label {
+          display: flex;
+          flex-direction: column;
+          font-size: 0.875rem;
+          color: #4a5568;
+          gap: 0.25rem;
+        }
+        label.checkbox {
+          flex-direction: row;
+          align-items: center;
+        }
+        input, select, textarea {
+          padding: 0.5rem;
+          border: 1px solid #e2e8f0;
+          border-radius: 0.375rem;
+          font-family: inherit;
+        }
+        .form-actions {
+          display: flex;
+          gap: 0.5rem;
+        }
+        button {
+          padding: 0.5rem 0.75rem;
+          border: none;
+          border-radius: 0.375rem;
+          background: #edf2f7;
+          color: #4a5568;
+          cursor: pointer;
+        }
+        button.primary {
+          background: #4299e1;
+          color: white;
+        }
+        button.danger {
+          background: #fed7d7;
+          color: #c53030;
+        }
+        table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 0.875rem;
+        }
+        th, td {
+          text-align: left;
+          padding: 0.5rem;
+          border-bottom: 1px solid #edf2f7;
+          vertical-align: top;
+        }
+        pre {
+          margin: 0;
+          white-space: pre-wrap;
+          font-family: inherit;
+        }
+        tr.disabled td {
+          opacity: 0.5;
+        }
+        .actions {
+          display: flex;
+          gap: 0.25rem;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default ActivationGuidesEditor;
@@ -411,8 +411,7 @@ const ActivityMonitor = ({ visible = true, jobId = null, maxLogs = 100 }) => {
                     const response = await fetch('/api/init-db', {
                       method: 'POST',
                       headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': 'Bearer oskar123'
+                        'Content-Type': 'application/json'
                       }
                     });
                     
@@ -0,0 +1,176 @@
+import { useState } from 'react';
+
+const STATUS_LABELS = {
+  received: '📥 Recibida',
+  paid: '💳 Pagada',
+  key_purchased: '🛒 Key comprada',
+  key_delivered: '✅ Entregada',
+  failed: '❌ Fallida',
+  manual_review: '🕵️ Revisión manual'
+};
+
+// Componente para revisar órdenes de ML y reenviar keys desde el vault
+export default function OrdersPanel() {
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [resending, setResending] = useState(null);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  // Función para cargar las últimas órdenes
+  const fetchOrders = async (status = null) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const query = status ? `&status=${status}` : '';
+      const response = await fetch(`/api/orders?limit=20${query}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Error ${response.status}`);
+      }
+
+      setOrders(data.orders || []);
+    } catch (err) {
+      console.error('Error al cargar órdenes:', err);
+      setError(`Error al cargar órdenes: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Función para reenviar las keys de una orden entregada
+  const redeliver = async (mlOrderId) => {
+    if (!confirm(`¿Reenviar las keys de la orden ${mlOrderId} al comprador?`)) return;
+
+    try {
+      setResending(mlOrderId);
+      setError(null);
+      setMessage(null);
+
+      const response = await fetch(`/api/orders/${mlOrderId}/redeliver`, {
+        method: 'POST'
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Error ${response.status}`);
+      }
+
+      setMessage(`✅ ${data.keys} key(s) reenviada(s) para la orden ${mlOrderId}`);
+    } catch (err) {
+      console.error('Error al reenviar keys:', err);
+      setError(`Error al reenviar keys: ${err.message}`);
+    } finally {
+      setResending(null);
+    }
+  };
+
+  return (
+    <div className="orders-panel">
+      <div className="orders-auth">
+        <button onClick={() => fetchOrders()} disabled={loading} className="load-button">
+          {loading ? 'Cargando...' : 'Ver órdenes'}
+        </button>
+        <button onClick={() => fetchOrders('manual_review')} disabled={loading} className="load-button review">
+          Revisión manual
+        </button>
+      </div>
+
+      {error && <div className="alert error">{error}</div>}
+      {message && <div className="alert success">{message}</div>}
+
+      {orders.length > 0 && (
+        <ul className="orders-list">
+          {orders.map(order => (
+            <li key={order.id} className="order-row">
+              <div className="order-info">
+                <strong>#{order.ml_order_id}</strong>
+                <span>{STATUS_LABELS[order.status] || order.status}{order.partial_fulfillment ? ' (parcial)' : ''}</span>
+                <small>{(order.items || []).map(item => `${item.quantity}× ${item.title}`).join(', ')}</small>
+                {order.review_reason && <small className="review-reason">{order.review_reason}</small>}
+              </div>
+              {order.status === 'key_delivered' && (
+                <button
+                  onClick={() => redeliver(order.ml_order_id)}
+                  disabled={resending === order.ml_order_id}
+                  className="resend-button"
+                >
+                  {resending === order.ml_order_id ? 'Enviando...' : 'Reenviar key'}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <style jsx>{`
+        .orders-panel {
+          margin-top: 12px;
+        }
+        .orders-auth {
+          display: flex;
+          gap: 8px;
+        }
+        .load-button, .resend-button {
+          padding: 8px 12px;
+          border: none;
+          border-radius: 4px;
+          background-color: #4a6cf7;
+          color: white;
+          cursor: pointer;
+        }
+        .load-button.review {
+          background-color: #9c27b0;
+        }
+        .resend-button {
+          background-color: #ff9800;
+          white-space: nowrap;
+        }
+        .load-button:disabled, .resend-button:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+        .alert {
+          margin-top: 10px;
+          padding: 8px;
+          border-radius: 4px;
+          font-size: 0.9rem;
+        }
+        .alert.error {
+          background-color: #ffebee;
+          color: #c62828;
+        }
+        .alert.success {
+          background-color: #e8f5e9;
+          color: #2e7d32;
+        }
+        .orders-list {
+          list-style: none;
+          padding: 0;
+          margin: 12px 0 0;
+          max-height: 320px;
+          overflow-y: auto;
+        }
+        .order-row {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 8px;
+          padding: 8px 0;
+          border-bottom: 1px solid #eee;
+        }
+        .order-info {
+          display: flex;
+          flex-direction: column;
+          font-size: 0.9rem;
+        }
+        .order-info small {
+          color: #666;
+        }
+        .order-info .review-reason {
+          color: #c62828;
+        }
+      `}</style>
+    </div>
+  );
+}
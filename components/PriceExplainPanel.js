@@ -0,0 +1,233 @@
+import { useState, useEffect } from 'react';
+
+const FX_MODES = {
+  live: 'tiempo real',
+  hold: 'retenido (hold)',
+  stored: 'último guardado',
+  emergency: 'emergencia'
+};
+
+const formatCLP = (value) => new Intl.NumberFormat('es-CL', {
+  style: 'currency',
+  currency: 'CLP',
+  maximumFractionDigits: 0
+}).format(value);
+
+// Precio publicado en la moneda de su sitio (los puntos de otros sitios traen breakdown.site)
+const formatListingPrice = (value, breakdown) => new Intl.NumberFormat('es-CL', {
+  style: 'currency',
+  currency: breakdown?.site?.currency_id || 'CLP',
+  maximumFractionDigits: breakdown?.site ? 2 : 0
+}).format(value);
+
+const formatEUR = (value) => new Intl.NumberFormat('es-CL', {
+  style: 'currency',
+  currency: 'EUR',
+  minimumFractionDigits: 2
+}).format(value);
+
+const formatPct = (value) => `${(Number(value) * 100).toFixed(1)}%`;
+
+// Desglose de cómo se calculó cada precio del historial de una publicación
+const PriceExplainPanel = ({ productId }) => {
+  const [points, setPoints] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchExplanation = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+
+        const response = await fetch(`/api/products/${encodeURIComponent(productId)}/price-explain`);
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+          throw new Error(data.error || `Error ${response.status}`);
+        }
+
+        setPoints(data.points || []);
+        setSelectedId(data.points?.[0]?.id ?? null);
+      } catch (err) {
+        console.error('Error al obtener desglose de precio:', err);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (productId) {
+      fetchExplanation();
+    }
+  }, [productId]);
+
+  if (loading) return <div className="price-explain">Cargando desglose...</div>;
+  if (error) return <div className="price-explain error">{error}</div>;
+  if (points.length === 0) return <div className="price-explain">Sin precios registrados en el historial</div>;
+
+  const point = points.find(p => p.id === selectedId) || points[0];
+  const b = point.breakdown;
+
+  return (
+    <div className="price-explain">
+      <ul className="points">
+        {points.map(p => (
+          <li
+            key={p.id}
+            className={p.id === point.id ? 'selected' : ''}
+            onClick={() => setSelectedId(p.id)}
+          >
+            <span>{new Date(p.recorded_at).toLocaleString()}</span>
+            <span>{p.old_price ? `${formatListingPrice(p.old_price, p.breakdown)} → ` : ''}{formatListingPrice(p.new_price, p.breakdown)}</span>
+          </li>
+        ))}
+      </ul>
+
+      <div className="breakdown">
+        {!b ? (
+          <p className="note">Este punto no tiene datos suficientes para explicar el precio.</p>
+        ) : (
+          <>
+            {b.reconstructed && (
+              <p className="note">Punto anterior al desglose detallado: reconstruido desde el historial.</p>
+            )}
+            <table>
+              <tbody>
+                <tr><td>Oferta Kinguin</td><td>{formatEUR(b.offer_eur)}{b.seller ? ` (vendedor ${b.seller})` : ''}</td></tr>
+                <tr><td>Fee Kinguin</td><td>+ {formatEUR(b.kinguin_fee_eur)}</td></tr>
+                <tr><td>Costo</td><td>{formatEUR(b.cost_eur)}</td></tr>
+                <tr>
+                  <td>Tipo de cambio</td>
+                  <td>
+                    × {b.fx.rate}
+                    {b.fx.mode && ` · ${FX_MODES[b.fx.mode] || b.fx.mode}`}
+                    {b.fx.sources?.length > 0 && ` · ${b.fx.sources.map(s => `${s.name} ${s.rate}`).join(', ')}`}
+                  </td>
+                </tr>
+                <tr><td>Costo CLP</td><td>{formatCLP(b.cost_clp)}</td></tr>
+                {b.rule && (
+                  <tr>
+                    <td>Regla</td>
+                    <td>
+                      {b.rule.name}
+                      {b.rule.margin !== undefined && ` · margen ${formatPct(b.rule.margin)}`}
+                      {b.rule.ml_fee_factor && b.rule.ml_fee_factor !== 1 && ` · factor comisión ×${b.rule.ml_fee_factor}`}
+                    </td>
+                  </tr>
+                )}
+                {b.low_price_bump_clp > 0 && (
+                  <tr><td>Ajuste precio bajo</td><td>+ {formatCLP(b.low_price_bump_clp)}</td></tr>
+                )}
+                {b.ml_fee && (
+                  <tr>
+                    <td>Comisión ML{b.ml_fee.estimated ? ' (referencial)' : ''}</td>
+                    <td>{formatPct(b.ml_fee.percentage_fee)} + {formatCLP(b.ml_fee.fixed_fee)} = {formatCLP(b.ml_fee.amount)}</td>
+                  </tr>
+                )}
+                {b.unrounded_clp !== undefined && (
+                  <tr><td>Redondeo ({b.rule?.rounding})</td><td>{formatCLP(b.unrounded_clp)} {b.rounding_adjustment_clp >= 0 ? '+' : '−'} {formatCLP(Math.abs(b.rounding_adjustment_clp))}</td></tr>
+                )}
+                <tr className={b.site || b.competitor ? '' : 'total'}><td>{b.competitor ? 'Precio de regla' : 'Precio'}</td><td>{formatCLP(b.price_clp)}</td></tr>
+                {b.competitor && (
+                  <tr className="total">
+                    <td>Precio competencia</td>
+                    <td>
+                      {b.competitor.position} {formatCLP(b.competitor.anchor)} {b.competitor.adjust_pct >= 0 ? '+' : '−'} {formatPct(Math.abs(b.competitor.adjust_pct))}
+                      {' = '}{formatCLP(b.competitor.price_clp)} (piso {formatCLP(b.competitor.floor)}, techo {formatCLP(b.competitor.ceiling)})
+                    </td>
+                  </tr>
+                )}
+                {b.site && (
+                  <tr className="total">
+                    <td>Precio {b.site.site_id}</td>
+                    <td>
+                      {formatCLP(b.unrounded_clp)} × {b.site.fx.rate}/{b.fx.rate}
+                      {b.site.tax_factor !== 1 && ` × ${b.site.tax_factor}`}
+                      {' = '}{b.site.price} {b.site.currency_id} (redondeo {b.site.rounding})
+                    </td>
+                  </tr>
+                )}
+                {b.net_margin_clp !== undefined && (
+                  <tr><td>Margen neto estimado</td><td>{formatCLP(b.net_margin_clp)}</td></tr>
+                )}
+              </tbody>
+            </table>
+            {(point.reason || b.source) && (
+              <p className="note">
+                {b.source && `Escrito por ${b.source}. `}
+                {point.reason && `Motivo: ${point.reason}`}
+              </p>
+            )}
+            {(b.site ? b.site.price : (b.competitor?.price_clp ?? b.price_clp)) !== Number(point.new_price) && (
+              <p className="note">El precio publicado ({formatListingPrice(point.new_price, b)}) difiere del calculado por la regla.</p>
+            )}
+          </>
+        )}
+      </div>
+
+      <style jsx>{`
+        .price-explain {
+          display: grid;
+          grid-template-columns: 220px 1fr;
+          gap: 16px;
+          font-size: 14px;
+        }
+        .price-explain.error {
+          color: #e53e3e;
+        }
+        .points {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+          max-height: 320px;
+          overflow-y: auto;
+          border: 1px solid #edf2f7;
+          border-radius: 6px;
+        }
+        .points li {
+          display: flex;
+          flex-direction: column;
+          padding: 8px 10px;
+          border-bottom: 1px solid #edf2f7;
+          cursor: pointer;
+        }
+        .points li.selected {
+          background: #ebf8ff;
+        }
+        .points li span:first-child {
+          color: #718096;
+          font-size: 12px;
+        }
+        table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+        td {
+          padding: 6px 0;
+          border-bottom: 1px solid #edf2f7;
+        }
+        td:first-child {
+          color: #718096;
+          width: 40%;
+        }
+        tr.total td {
+          font-weight: 600;
+          color: #2d3748;
+        }
+        .note {
+          color: #718096;
+          font-size: 12px;
+          margin: 8px 0 0;
+        }
+        @media (max-width: 768px) {
+          .price-explain {
+            grid-template-columns: 1fr;
+          }
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default PriceExplainPanel;
@@ -0,0 +1,397 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const EMPTY_RULE = {
+  name: '',
+  priority: 100,
+  enabled: true,
+  account_id: '',
+  product_type: '',
+  platform: '',
+  kinguin_id: '',
+  min_cost_clp: '',
+  max_cost_clp: '',
+  margin: 0.30,
+  low_price_threshold: 9990,
+  low_price_bump: 700,
+  ml_fee_factor: 1.19,
+  rounding: '990',
+  fee_mode: 'factor',
+  listing_type_id: '',
+  category_id: ''
+};
+
+// Editor de reglas de precio: se evalúan por prioridad y gana la primera que coincide
+const PricingRulesEditor = () => {
+  const [rules, setRules] = useState([]);
+  const [defaults, setDefaults] = useState([]);
+  const [options, setOptions] = useState({ productTypes: [], platforms: [], rounding: [], feeModes: [], listingTypes: [], accounts: [] });
+  const [editing, setEditing] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [simulation, setSimulation] = useState(null);
+  const [simulating, setSimulating] = useState(false);
+
+  const fetchRules = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await fetch('/api/pricing-rules');
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Error desconocido');
+
+      setRules(data.rules || []);
+      setDefaults(data.defaults || []);
+      setOptions(data.options);
+    } catch (err) {
+      console.error('Error al obtener reglas de precio:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRules();
+  }, [fetchRules]);
+
+  const saveRule = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+
+      const response = await fetch('/api/pricing-rules', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(editing)
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Error desconocido');
+
+      setEditing(null);
+      setSimulation(null);
+      await fetchRules();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Prueba la regla en edición junto a las reglas vigentes, sin guardar ni tocar MercadoLibre
+  const simulateRule = async () => {
+    try {
+      setSimulating(true);
+      setError(null);
+
+      const candidates = [
+        ...rules.filter(rule => rule.enabled && rule.id !== editing.id),
+        editing
+      ];
+      const response = await fetch('/api/pricing/simulate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rules: candidates, onlyChanged: true })
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Error desconocido');
+
+      setSimulation(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSimulating(false);
+    }
+  };
+
+  const formatCLP = (value) => `${value > 0 ? '+' : ''}${Math.round(value).toLocaleString('es-CL')} CLP`;
+
+  const deleteRule = async (rule) => {
+    if (!confirm(`¿Eliminar la regla "${rule.name}"?`)) return;
+
+    try {
+      const response = await fetch(`/api/pricing-rules?id=${rule.id}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Error desconocido');
+      await fetchRules();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const toggleRule = async (rule) => {
+    setEditing(null);
+    try {
+      const response = await fetch('/api/pricing-rules', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...rule, enabled: !rule.enabled })
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Error desconocido');
+      await fetchRules();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const setField = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setEditing(prev => ({ ...prev, [field]: value }));
+  };
+
+  const describeScope = (rule) => {
+    const parts = [];
+    if (rule.account_id) parts.push(`cuenta ${rule.account_id}`);
+    if (rule.kinguin_id) parts.push(`Kinguin ${rule.kinguin_id}`);
+    if (rule.product_type) parts.push(rule.product_type);
+    if (rule.platform) parts.push(rule.platform);
+    if (rule.min_cost_clp != null || rule.max_cost_clp != null) {
+      parts.push(`costo ${rule.min_cost_clp ?? 0} – ${rule.max_cost_clp ?? '∞'} CLP`);
+    }
+    return parts.length ? parts.join(' · ') : 'Todos los productos';
+  };
+
+  const renderRow = (rule, isDefault = false) => (
+    <tr key={rule.id || rule.name} className={rule.enabled === false ? 'disabled' : ''}>
+      <td>{rule.priority}</td>
+      <td>{rule.name}</td>
+      <td>{describeScope(rule)}</td>
+      <td>{(Number(rule.margin) * 100).toFixed(0)}%</td>
+      <td>{rule.low_price_threshold ? `+${rule.low_price_bump} bajo ${rule.low_price_threshold}` : '-'}</td>
+      <td>{rule.fee_mode === 'ml' ? `ML ${rule.listing_type_id || 'gold_pro'}` : `×${rule.ml_fee_factor}`}</td>
+      <td>{rule.rounding}</td>
+      <td className="actions">
+        {isDefault ? (
+          <span className="muted">Base</span>
+        ) : (
+          <>
+            <button onClick={() => setEditing({ ...EMPTY_RULE, ...rule })}>Editar</button>
+            <button onClick={() => toggleRule(rule)}>{rule.enabled ? 'Desactivar' : 'Activar'}</button>
+            <button className="danger" onClick={() => deleteRule(rule)}>Eliminar</button>
+          </>
+        )}
+      </td>
+    </tr>
+  );
+
+  if (loading) {
+    return <div className="loading">Cargando reglas de precio...</div>;
+  }
+
+  return (
+    <div className="pricing-rules">
+      <div className="rules-header">
+        <div>
+          <h2>Reglas de precio</h2>
+          <p className="muted">
+            Se evalúan de menor a mayor prioridad; el precio usa la primera regla que coincide.
+            El rango de costo se compara con oferta + fee Kinguin convertidos a CLP.
+          </p>
+        </div>
+        <button className="primary" onClick={() => setEditing({ ...EMPTY_RULE })}>Nueva regla</button>
+      </div>
+
+      {error && <div className="error">❌ {error}</div>}
+
+      {editing && (
+        <div className="rule-form">
+          <div className="grid">
+            <label>Nombre<input value={editing.name} onChange={setField('name')} /></label>
+            <label>Prioridad<input type="number" value={editing.priority} onChange={setField('priority')} /></label>
+            <label>Cuenta
+              <select value={editing.account_id || ''} onChange={setField('account_id')}>
+                <option value="">Todas</option>
+                {(options.accounts || []).map(account => <option key={account.id} value={account.id}>{account.name}</option>)}
+              </select>
+            </label>
+            <label>Tipo de producto
+              <select value={editing.product_type || ''} onChange={setField('product_type')}>
+                <option value="">Cualquiera</option>
+                {options.productTypes.map(type => <option key={type} value={type}>{type}</option>)}
+              </select>
+            </label>
+            <label>Plataforma
+              <select value={editing.platform || ''} onChange={setField('platform')}>
+                <option value="">Cualquiera</option>
+                {options.platforms.map(platform => <option key={platform} value={platform}>{platform}</option>)}
+              </select>
+            </label>
+            <label>Kinguin ID<input value={editing.kinguin_id || ''} onChange={setField('kinguin_id')} placeholder="Cualquiera" /></label>
+            <label>Costo mínimo CLP<input type="number" value={editing.min_cost_clp ?? ''} onChange={setField('min_cost_clp')} /></label>
+            <label>Costo máximo CLP<input type="number" value={editing.max_cost_clp ?? ''} onChange={setField('max_cost_clp')} /></label>
+            <label>Margen (0.30 = 30%)<input type="number" step="0.01" value={editing.margin} onChange={setField('margin')} /></label>
+            <label>Umbral precio bajo<input type="number" value={editing.low_price_threshold ?? ''} onChange={setField('low_price_threshold')} /></label>
+            <label>Ajuste bajo umbral<input type="number" value={editing.low_price_bump ?? ''} onChange={setField('low_price_bump')} /></label>
+            <label>Comisión ML
+              <select value={editing.fee_mode || 'factor'} onChange={setField('fee_mode')}>
+                {options.feeModes.map(mode => (
+                  <option key={mode} value={mode}>{mode === 'ml' ? 'Real (margen neto)' : 'Factor'}</option>
+                ))}
+              </select>
+            </label>
+            {editing.fee_mode === 'ml' ? (
+              <>
+                <label>Tipo de publicación
+                  <select value={editing.listing_type_id || ''} onChange={setField('listing_type_id')}>
+                    <option value="">gold_pro (por defecto)</option>
+                    {options.listingTypes.map(type => <option key={type} value={type}>{type}</option>)}
+                  </select>
+                </label>
+                <label>Categoría ML<input value={editing.category_id || ''} onChange={setField('category_id')} placeholder="MLC159270" /></label>
+              </>
+            ) : (
+              <label>Factor comisión ML<input type="number" step="0.01" value={editing.ml_fee_factor} onChange={setField('ml_fee_factor')} /></label>
+            )}
+            <label>Redondeo
+              <select value={editing.rounding} onChange={setField('rounding')}>
+                {options.rounding.map(mode => <option key={mode} value={mode}>{mode}</option>)}
+              </select>
+            </label>
+            <label className="checkbox"><input type="checkbox" checked={editing.enabled} onChange={setField('enabled')} /> Activa</label>
+          </div>
+          <div className="form-actions">
+            <button className="primary" onClick={saveRule} disabled={saving}>{saving ? 'Guardando...' : 'Guardar'}</button>
+            <button onClick={simulateRule} disabled={simulating}>{simulating ? 'Simulando...' : 'Simular'}</button>
+            <button onClick={() => { setEditing(null); setSimulation(null); }}>Cancelar</button>
+          </div>
+          {simulation && (
+            <div className="simulation">
+              <strong>Simulación (TC {simulation.fx}):</strong>{' '}
+              {simulation.summary.moved} de {simulation.summary.total} precios cambian
+              ({simulation.summary.increased} suben, {simulation.summary.decreased} bajan) ·
+              ingresos {formatCLP(simulation.summary.revenue_delta_clp)} ·
+              margen {formatCLP(simulation.summary.margin_delta_clp)}
+            </div>
+          )}
+        </div>
+      )}
+
+      <table>
+        <thead>
+          <tr>
+            <th>Prioridad</th>
+            <th>Nombre</th>
+            <th>Alcance</th>
+            <th>Margen</th>
+            <th>Ajuste</th>
+            <th>Comisión ML</th>
+            <th>Redondeo</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {rules.map(rule => renderRow(rule))}
+          {defaults.map(rule => renderRow(rule, true))}
+        </tbody>
+      </table>
+
+      <style jsx>{`
+        .pricing-rules {
+          background: white;
+          border-radius: 0.5rem;
+          padding: 1.5rem;
+          box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
+        }
+        .rules-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: flex-start;
+          gap: 1rem;
+          margin-bottom: 1rem;
+        }
+        h2 {
+          margin: 0 0 0.25rem;
+          color: #2d3748;
+        }
+        .muted {
+          color: #718096;
+          font-size: 0.875rem;
+        }
+        .error {
+          background: #fff5f5;
+          color: #c53030;
+          padding: 0.75rem;
+          border-radius: 0.375rem;
+          margin-bottom: 1rem;
+        }
+        .rule-form {
+          background: #f7fafc;
+          border-radius: 0.5rem;
+          padding: 1rem;
+          margin-bottom: 1rem;
+        }
+        .simulation {
+          margin-top: 0.75rem;
+          padding: 0.75rem;
+          background: #ebf8ff;
+          color: #2c5282;
+          border-radius: 0.375rem;
+          font-size: 0.875rem;
+        }
+        .grid {
+          display: grid;
+          grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));
+          gap: 0.75rem;
+        }
+        label {
+          display: flex;
+          flex-direction: column;
+          font-size: 0.875rem;
+          color: #4a5568;
+          gap: 0.25rem;
+        }
+        label.checkbox {
+          flex-direction: row;
+          align-items: center;
+        }
+        input, select {
+          padding: 0.5rem;
+          border: 1px solid #e2e8f0;
+          border-radius: 0.375rem;
+        }
+        .form-actions {
+          display: flex;
+          gap: 0.5rem;
+          margin-top: 1rem;
+        }
+        button {
+          padding: 0.5rem 0.75rem;
+          border: none;
+          border-radius: 0.375rem;
+          background: #edf2f7;
+          color: #4a5568;
+          cursor: pointer;
+        }
+        button.primary {
+          background: #4299e1;
+          color: white;
+        }
+        button.danger {
+          background: #fed7d7;
+          color: #c53030;
+        }
+        table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 0.875rem;
+        }
+        th, td {
+          text-align: left;
+          padding: 0.5rem;
+          border-bottom: 1px solid #edf2f7;
+        }
+        tr.disabled td {
+          opacity: 0.5;
+        }
+        .actions {
+          display: flex;
+          gap: 0.25rem;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default PricingRulesEditor;
@@ -1,12 +1,14 @@
 import { useState, useEffect } from 'react';
 import Image from 'next/image';
 import PriceHistoryChart from './PriceHistoryChart';
+import PriceExplainPanel from './PriceExplainPanel';
 
 const ProductDetail = ({ productId, onClose }) => {
   const [product, setProduct] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [showPriceHistory, setShowPriceHistory] = useState(false);
+  const [showPriceExplain, setShowPriceExplain] = useState(false);
   
   // Fetch product details
   useEffect(() => {
@@ -205,6 +207,13 @@ const ProductDetail = ({ productId, onClose }) => {
                 >
                   {showPriceHistory ? 'Ocultar historial' : 'Ver historial de precios'}
                 </button>
+                
+                <button 
+                  className="history-button" 
+                  onClick={() => setShowPriceExplain(!showPriceExplain)}
+                >
+                  {showPriceExplain ? 'Ocultar desglose' : 'Ver desglose de precio'}
+                </button>
               </div>
             </div>
           </div>
@@ -214,6 +223,12 @@ const ProductDetail = ({ productId, onClose }) => {
               <PriceHistoryChart kinguinId={product.kinguinId} days={90} />
             </div>
           )}
+          
+          {showPriceExplain && (
+            <div className="price-history-section">
+              <PriceExplainPanel productId={product.kinguinId} />
+            </div>
+          )}
         </div>
       </div>
       <style jsx>{modalStyles}</style>
@@ -0,0 +1,215 @@
+import { useState } from 'react';
+
+const BREAKDOWNS = {
+  by_platform: 'Plataforma',
+  by_product_type: 'Tipo de producto'
+};
+
+const formatCLP = (value) => new Intl.NumberFormat('es-CL', {
+  style: 'currency',
+  currency: 'CLP',
+  maximumFractionDigits: 0
+}).format(value);
+
+// Gráfico de utilidad neta diaria o mensual, con desglose por plataforma o tipo de producto
+export default function ProfitChart() {
+  const [period, setPeriod] = useState('day');
+  const [breakdown, setBreakdown] = useState('by_platform');
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Función para cargar el reporte de utilidad
+  const fetchReport = async (selectedPeriod = period) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await fetch(`/api/reports/profit?period=${selectedPeriod}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Error ${response.status}`);
+      }
+
+      setReport(data);
+    } catch (err) {
+      console.error('Error al cargar utilidad:', err);
+      setError(`Error al cargar utilidad: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const changePeriod = (newPeriod) => {
+    setPeriod(newPeriod);
+    if (report) fetchReport(newPeriod);
+  };
+
+  const series = report?.series || [];
+  const maxProfit = Math.max(1, ...series.map(point => Math.abs(point.net_profit_clp)));
+  const groups = Object.entries(report?.[breakdown] || {})
+    .sort((a, b) => b[1].net_profit_clp - a[1].net_profit_clp);
+
+  return (
+    <div className="profit-chart">
+      <div className="profit-controls">
+        <select value={period} onChange={(e) => changePeriod(e.target.value)}>
+          <option value="day">Diario (30 días)</option>
+          <option value="month">Mensual (12 meses)</option>
+        </select>
+        <button onClick={() => fetchReport()} disabled={loading} className="load-button">
+          {loading ? 'Cargando...' : 'Ver utilidad'}
+        </button>
+      </div>
+
+      {error && <div className="alert error">{error}</div>}
+
+      {report && (
+        <>
+          <div className="profit-totals">
+            <div><small>Ventas</small><strong>{formatCLP(report.totals.revenue_clp)}</strong></div>
+            <div><small>Comisión ML</small><strong>{formatCLP(report.totals.ml_fees_clp)}</strong></div>
+            <div><small>Costo Kinguin</small><strong>{formatCLP(report.totals.cost_clp)}</strong></div>
+            <div><small>Utilidad neta</small><strong className={report.totals.net_profit_clp < 0 ? 'negative' : ''}>{formatCLP(report.totals.net_profit_clp)}</strong></div>
+          </div>
+
+          {series.length === 0 ? (
+            <p className="empty">Sin ventas registradas en el período</p>
+          ) : (
+            <div className="bars">
+              {series.map(point => (
+                <div key={point.period} className="bar-column" title={`${point.period}: ${formatCLP(point.net_profit_clp)} (${point.sales} ventas)`}>
+                  <div
+                    className={`bar ${point.net_profit_clp < 0 ? 'negative' : ''}`}
+                    style={{ height: `${(Math.abs(point.net_profit_clp) / maxProfit) * 100}%` }}
+                  />
+                  <span className="bar-label">{period === 'month' ? point.period : point.period.slice(5)}</span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="breakdown">
+            <select value={breakdown} onChange={(e) => setBreakdown(e.target.value)}>
+              {Object.entries(BREAKDOWNS).map(([key, label]) => <option key={key} value={key}>Por {label.toLowerCase()}</option>)}
+            </select>
+            <ul>
+              {groups.map(([name, totals]) => (
+                <li key={name}>
+                  <span>{name}</span>
+                  <span>{totals.sales} ventas · <strong className={totals.net_profit_clp < 0 ? 'negative' : ''}>{formatCLP(totals.net_profit_clp)}</strong></span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </>
+      )}
+
+      <style jsx>{`
+        .profit-chart {
+          margin-top: 12px;
+        }
+        .profit-controls {
+          display: flex;
+          gap: 8px;
+        }
+        select {
+          padding: 8px;
+          border: 1px solid #ddd;
+          border-radius: 4px;
+        }
+        .load-button {
+          padding: 8px 12px;
+          border: none;
+          border-radius: 4px;
+          background-color: #4a6cf7;
+          color: white;
+          cursor: pointer;
+        }
+        .load-button:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+        .alert.error {
+          margin-top: 10px;
+          padding: 8px;
+          border-radius: 4px;
+          font-size: 0.9rem;
+          background-color: #ffebee;
+          color: #c62828;
+        }
+        .profit-totals {
+          display: grid;
+          grid-template-columns: repeat(4, 1fr);
+          gap: 8px;
+          margin: 12px 0;
+        }
+        .profit-totals div {
+          display: flex;
+          flex-direction: column;
+          padding: 8px;
+          background: #f7fafc;
+          border-radius: 4px;
+        }
+        .profit-totals small {
+          color: #666;
+        }
+        .negative {
+          color: #c62828;
+        }
+        .bars {
+          display: flex;
+          align-items: flex-end;
+          gap: 2px;
+          height: 160px;
+          padding-bottom: 18px;
+          border-bottom: 1px solid #eee;
+        }
+        .bar-column {
+          flex: 1;
+          height: 100%;
+          display: flex;
+          flex-direction: column;
+          justify-content: flex-end;
+          align-items: center;
+          position: relative;
+        }
+        .bar {
+          width: 100%;
+          min-height: 2px;
+          background-color: #4caf50;
+          border-radius: 2px 2px 0 0;
+        }
+        .bar.negative {
+          background-color: #e53935;
+        }
+        .bar-label {
+          position: absolute;
+          bottom: -18px;
+          font-size: 0.65rem;
+          color: #888;
+          white-space: nowrap;
+        }
+        .empty {
+          color: #666;
+          font-size: 0.9rem;
+        }
+        .breakdown {
+          margin-top: 12px;
+        }
+        .breakdown ul {
+          list-style: none;
+          padding: 0;
+          margin: 8px 0 0;
+        }
+        .breakdown li {
+          display: flex;
+          justify-content: space-between;
+          padding: 4px 0;
+          border-bottom: 1px solid #eee;
+          font-size: 0.9rem;
+        }
+      `}</style>
+    </div>
+  );
+}
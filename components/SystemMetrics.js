@@ -31,6 +31,28 @@ const SystemMetrics = ({ visible = true, refreshInterval = 5000 }) => {
     }
   }, [visible]);
   
+  // Pausar, reanudar o cancelar un trabajo (/api/jobs/[id]/pause, /resume, /cancel)
+  const controlJob = async (jobId, action) => {
+    if (action === 'cancel' && !confirm(`¿Cancelar el job #${jobId}? Los productos que no alcanzó a procesar quedarán sin procesar.`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/jobs/${jobId}/${action}`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Error ${response.status}`);
+      }
+      if (data.settled) {
+        alert(`Job cancelado: ${data.processed_ids.length} procesados, ${data.remaining_ids.length} sin procesar`);
+      }
+      await fetchMetrics();
+    } catch (err) {
+      console.error(`Error en ${action} del job ${jobId}:`, err);
+      alert(`Error: ${err.message}`);
+    }
+  };
+
   // Cargar métricas y configurar intervalo de actualización
   useEffect(() => {
     if (visible) {
@@ -265,6 +287,35 @@ const SystemMetrics = ({ visible = true, refreshInterval = 5000 }) => {
           color: #e53e3e;
         }
         
+        .status-paused {
+          background: #fefcbf;
+          color: #b7791f;
+        }
+        
+        .status-cancelled {
+          background: #edf2f7;
+          color: #4a5568;
+        }
+        
+        .job-actions {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+        }
+        
+        .job-action-button {
+          background: #edf2f7;
+          border: none;
+          padding: 4px 8px;
+          border-radius: 6px;
+          font-size: 12px;
+          cursor: pointer;
+        }
+        
+        .job-action-button:hover {
+          background: #e2e8f0;
+        }
+        
         .loading-container {
           display: flex;
           justify-content: center;
@@ -378,25 +429,33 @@ const SystemMetrics = ({ visible = true, refreshInterval = 5000 }) => {
               <span>⚙️</span> Procesos Activos
             </h4>
             <p className="metric-value">{metrics.jobs?.active || 0}</p>
-            <p className="metric-subtitle">Trabajos en ejecución</p>
+            <p className="metric-subtitle">Trabajos en ejecución o pausados</p>
             
-            {metrics.jobs?.active > 0 && (
+            {metrics.jobs?.active_jobs?.length > 0 && (
               <div className="active-jobs">
                 <h5 className="active-jobs-title">Trabajos en curso:</h5>
                 <div className="job-list">
-                  {metrics.jobs.recent
-                    .filter(job => job.status === 'running')
-                    .map(job => (
-                      <div className="job-item" key={job.id}>
-                        <div className="job-info">
-                          <span className="job-id">Job #{job.id}</span>
-                          <span className="job-details">
-                            {job.total_products} productos | Iniciado: {formatDate(job.created_at)}
-                          </span>
-                        </div>
-                        <span className="job-status status-running">En curso</span>
+                  {metrics.jobs.active_jobs.map(job => (
+                    <div className="job-item" key={job.id}>
+                      <div className="job-info">
+                        <span className="job-id">Job #{job.id}</span>
+                        <span className="job-details">
+                          {job.processed}/{job.total_products} productos | Iniciado: {formatDate(job.created_at)}
+                        </span>
+                      </div>
+                      <div className="job-actions">
+                        <span className={`job-status status-${job.status}`}>
+                          {job.status === 'paused' ? 'Pausado' : 'En curso'}
+                        </span>
+                        {job.status === 'paused' ? (
+                          <button className="job-action-button" onClick={() => controlJob(job.id, 'resume')} title="Reanudar">▶️</button>
+                        ) : (
+                          <button className="job-action-button" onClick={() => controlJob(job.id, 'pause')} title="Pausar">⏸️</button>
+                        )}
+                        <button className="job-action-button" onClick={() => controlJob(job.id, 'cancel')} title="Cancelar">⏹️</button>
                       </div>
-                    ))}
+                    </div>
+                  ))}
                 </div>
               </div>
             )}
@@ -410,19 +469,22 @@ const SystemMetrics = ({ visible = true, refreshInterval = 5000 }) => {
             {metrics.jobs?.recent && metrics.jobs.recent.length > 0 ? (
               <div className="job-list">
                 {metrics.jobs.recent
-                  .filter(job => job.status !== 'running')
+                  .filter(job => job.status !== 'running' && job.status !== 'paused')
                   .slice(0, 5)
                   .map(job => (
                     <div className="job-item" key={job.id}>
                       <div className="job-info">
                         <span className="job-id">Job #{job.id}</span>
                         <span className="job-details">
-                          {job.total_products} productos | {formatDate(job.created_at)}
+                          {job.status === 'cancelled'
+                            ? `${job.summary?.processed_ids?.length ?? 0} procesados, ${job.summary?.remaining_ids?.length ?? 0} sin procesar`
+                            : `${job.total_products} productos`} | {formatDate(job.created_at)}
                         </span>
                       </div>
                       <span className={`job-status status-${job.status}`}>
                         {job.status === 'completed' ? 'Completado' : 
-                         job.status === 'failed' ? 'Fallido' : job.status}
+                         job.status === 'failed' ? 'Fallido' :
+                         job.status === 'cancelled' ? 'Cancelado' : job.status}
                       </span>
                     </div>
                   ))}
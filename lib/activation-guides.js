@@ -0,0 +1,249 @@
+import { createClient } from "@supabase/supabase-js";
+import { DEFAULT_ACTIVATION_GUIDES, normalizePlatform } from "../pages/api/_logic";
+import { PRIMARY_SITE_ID } from "./ml-sites";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const GUIDES_CACHE_TTL_MS = 60 * 1000;
+
+// Valores de normalizePlatform: una guía por plataforma, opcionalmente distinta por tipo de producto
+export const GUIDE_PLATFORMS = Object.keys(DEFAULT_ACTIVATION_GUIDES);
+
+let guidesCache = null;
+let guidesCachedAt = 0;
+
+/**
+ * Versiones activas de activation_guides. Si Supabase falla se usan solo las del código.
+ */
+async function getActiveGuides() {
+  if (guidesCache && Date.now() - guidesCachedAt < GUIDES_CACHE_TTL_MS) return guidesCache;
+
+  const { data, error } = await supabase
+    .from("activation_guides")
+    .select("id, platform, product_type, version, body")
+    .eq("active", true);
+
+  if (error) {
+    console.warn(`[Guías] ⚠️ No se pudieron cargar las guías de activación, usando las del código: ${error.message}`);
+    return [];
+  }
+
+  guidesCache = data || [];
+  guidesCachedAt = Date.now();
+  return guidesCache;
+}
+
+export function invalidateGuidesCache() {
+  guidesCache = null;
+}
+
+// Clave del alcance: una sola versión activa por plataforma y tipo de producto
+function scopeKey({ platform, product_type }) {
+  return [platform, product_type || "*"].join(":");
+}
+
+/**
+ * Guía que corresponde a una plataforma y tipo de producto: la específica del tipo, la de la plataforma
+ * o la del código (id null, versión 0). Función pura.
+ * @param {object[]} guides - Versiones activas
+ * @param {object} scope
+ * @param {string} scope.platform - Valor de normalizePlatform
+ * @param {string} scope.productType - Valor de getProductType
+ * @returns {{id: string|null, platform: string, version: number, body: string}}
+ */
+export function selectGuide(guides, { platform, productType }) {
+  const candidates = guides.filter(g => g.platform === platform && (!g.product_type || g.product_type === productType));
+  const best = candidates.find(g => g.product_type) || candidates[0];
+  if (best) return best;
+
+  const fallback = DEFAULT_ACTIVATION_GUIDES[platform] ? platform : "PC";
+  return { id: null, platform: fallback, version: 0, body: DEFAULT_ACTIVATION_GUIDES[fallback] };
+}
+
+export async function getActivationGuide({ platform, productType }) {
+  return selectGuide(await getActiveGuides(), { platform: normalizePlatform(platform), productType });
+}
+
+/**
+ * Guía de activación de cada producto de una entrega de keys, según la plataforma y el tipo
+ * con que está publicado en el sitio principal.
+ * @param {string[]} kinguinIds
+ * @returns {Promise<Map<string, object>>} kinguin_id → guía
+ */
+export async function guidesForProducts(kinguinIds) {
+  const ids = [...new Set(kinguinIds.filter(Boolean).map(String))];
+  const guides = await getActiveGuides();
+  const byProduct = new Map();
+  if (ids.length === 0) return byProduct;
+
+  const { data, error } = await supabase
+    .from("published_products")
+    .select("kinguin_id, platform, product_type")
+    .in("kinguin_id", ids)
+    .eq("site_id", PRIMARY_SITE_ID);
+  if (error) console.warn(`[Guías] ⚠️ No se pudo leer la plataforma de los productos: ${error.message}`);
+
+  for (const id of ids) {
+    const listing = (data || []).find(row => String(row.kinguin_id) === id);
+    byProduct.set(id, selectGuide(guides, {
+      platform: normalizePlatform(listing?.platform),
+      productType: listing?.product_type || "key",
+    }));
+  }
+  return byProduct;
+}
+
+// ---------- Versiones ----------
+
+/**
+ * Normaliza y valida una guía antes de guardarla. Lanza error si algún valor es inválido.
+ */
+export function sanitizeGuide(input) {
+  const guide = {
+    platform: input.platform,
+    product_type: input.product_type || null,
+    body: String(input.body || "").trim(),
+    notes: input.notes || null,
+  };
+
+  if (!GUIDE_PLATFORMS.includes(guide.platform)) {
+    throw new Error(`platform debe ser uno de: ${GUIDE_PLATFORMS.join(", ")}`);
+  }
+  if (!guide.body) throw new Error("La guía no puede estar vacía");
+  return guide;
+}
+
+/**
+ * Guías guardadas activas (o todas las versiones).
+ */
+export async function listGuides({ includeInactive = false } = {}) {
+  let query = supabase
+    .from("activation_guides")
+    .select("*")
+    .order("scope_key")
+    .order("version", { ascending: false });
+  if (!includeInactive) query = query.eq("active", true);
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Error al leer guías de activación: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Guarda una nueva versión de la guía de su plataforma y tipo, y la deja activa.
+ * Las versiones anteriores se conservan: cada entrega de keys registra la versión enviada.
+ */
+export async function saveGuide(input) {
+  const guide = sanitizeGuide(input);
+  const key = scopeKey(guide);
+
+  const { data: latest } = await supabase
+    .from("activation_guides")
+    .select("version")
+    .eq("scope_key", key)
+    .order("version", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  const now = new Date().toISOString();
+  await supabase.from("activation_guides").update({ active: false, updated_at: now }).eq("scope_key", key).eq("active", true);
+
+  const { data, error } = await supabase
+    .from("activation_guides")
+    .insert({ ...guide, scope_key: key, version: (latest?.version || 0) + 1, active: true, updated_at: now })
+    .select("*")
+    .single();
+  if (error) throw new Error(`Error al guardar la guía: ${error.message}`);
+
+  invalidateGuidesCache();
+  return data;
+}
+
+/**
+ * Vuelve a una versión anterior (o posterior) de una guía.
+ */
+export async function activateGuideVersion(id) {
+  const { data: guide, error } = await supabase
+    .from("activation_guides")
+    .select("*")
+    .eq("id", id)
+    .maybeSingle();
+  if (error) throw new Error(`Error al leer la guía: ${error.message}`);
+  if (!guide) throw new Error(`Guía ${id} no encontrada`);
+
+  const now = new Date().toISOString();
+  await supabase.from("activation_guides").update({ active: false, updated_at: now }).eq("scope_key", guide.scope_key).eq("active", true);
+  const { data, error: activateError } = await supabase
+    .from("activation_guides")
+    .update({ active: true, updated_at: now })
+    .eq("id", id)
+    .select("*")
+    .single();
+  if (activateError) throw new Error(`Error al activar la guía: ${activateError.message}`);
+
+  invalidateGuidesCache();
+  return data;
+}
+
+/**
+ * Desactiva una guía: la plataforma vuelve a la guía general o a la del código.
+ */
+export async function deactivateGuide(id) {
+  const { error } = await supabase
+    .from("activation_guides")
+    .update({ active: false, updated_at: new Date().toISOString() })
+    .eq("id", id);
+  if (error) throw new Error(`Error al desactivar la guía: ${error.message}`);
+  invalidateGuidesCache();
+}
+
+// Último cambio de guías, para que el re-render de descripciones también las considere
+export async function lastGuideChange() {
+  const { data } = await supabase
+    .from("activation_guides")
+    .select("updated_at")
+    .order("updated_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  return data?.updated_at || null;
+}
+
+/**
+ * Guías que recibió el comprador de una orden, por ítem, con el texto de la versión enviada.
+ * @param {string} mlOrderId
+ */
+export async function getDeliveredGuides(mlOrderId) {
+  const { data: rows, error } = await supabase
+    .from("key_vault")
+    .select("item_title, kinguin_product_id, activation_guide_id, activation_guide_platform, activation_guide_version, last_delivered_at")
+    .eq("ml_order_id", String(mlOrderId))
+    .not("activation_guide_platform", "is", null);
+  if (error) throw new Error(`Error al leer entregas de la orden: ${error.message}`);
+
+  const ids = [...new Set((rows || []).map(row => row.activation_guide_id).filter(Boolean))];
+  const { data: guides } = ids.length > 0
+    ? await supabase.from("activation_guides").select("id, body").in("id", ids)
+    : { data: [] };
+
+  const items = new Map();
+  for (const row of rows || []) {
+    const key = `${row.kinguin_product_id}:${row.activation_guide_id}:${row.activation_guide_version}`;
+    if (items.has(key)) continue;
+    items.set(key, {
+      item_title: row.item_title,
+      kinguin_product_id: row.kinguin_product_id,
+      platform: row.activation_guide_platform,
+      guide_id: row.activation_guide_id,
+      version: row.activation_guide_version,
+      // La del código puede haber cambiado desde la entrega; las guardadas no se editan
+      body: row.activation_guide_id
+        ? (guides || []).find(g => g.id === row.activation_guide_id)?.body || null
+        : DEFAULT_ACTIVATION_GUIDES[row.activation_guide_platform] || null,
+      last_delivered_at: row.last_delivered_at,
+    });
+  }
+  return [...items.values()];
+}
@@ -0,0 +1,228 @@
+// Sesiones firmadas y permisos por rol. Sin dependencias de Node: lo usan el middleware (Edge) y las rutas API.
+
+export const SESSION_COOKIE = "panel_session";
+export const SESSION_TTL_SECONDS = 12 * 60 * 60; // 12 horas; un cambio de rol se aplica en el próximo login
+
+// De menor a mayor: cada rol puede todo lo de los anteriores
+export const ROLES = ["viewer", "operator", "admin"];
+
+// Principal de las llamadas con Authorization: Bearer <API_SECRET_KEY> (crons, scripts, llamadas internas)
+export const SERVICE_PRINCIPAL = { sub: "service", email: "service", role: "admin" };
+
+// Headers con que el middleware informa a las rutas quién hizo la petición
+export const AUTH_HEADERS = {
+  id: "x-auth-user-id",
+  email: "x-auth-user-email",
+  role: "x-auth-user-role",
+};
+
+// Rutas sin sesión: login, webhooks de ML/Kinguin (verifican su propia firma), callback OAuth,
+// health check y cron-runner (exige EXTERNAL_CRON_API_KEY o una sesión de admin)
+const PUBLIC_PATHS = [
+  "/api/auth/login",
+  "/api/auth/logout",
+  "/api/health",
+  "/api/webhooks/",
+  "/api/order/webhook",
+  "/api/mercadolibre/callback",
+  "/api/cron-runner",
+];
+
+// Administración, mantenimiento destructivo y diagnóstico con datos sensibles
+const ADMIN_PATHS = [
+  "/api/auth/users",
+  "/api/mercadolibre/authorize",
+  "/api/auth/audit",
+  "/api/init-db",
+  "/api/cleanup-ml-duplicates",
+  "/api/clear-cache",
+  "/api/env-check",
+  "/api/extract-ml-config",
+  "/api/debug-add-product",
+  "/api/simple-test",
+  "/api/test-sku-check",
+  "/api/update-all-prices",
+];
+
+// Rutas GET que igual escriben (syncs, crons, reintentos): piden operator aunque sean GET
+const OPERATOR_GET_PATHS = [
+  "/api/cron/",
+  "/api/sync*", // sync-prices-stock, sync-all-products, sync/complete...
+  "/api/run-cron",
+  "/api/optimize-speed",
+  "/api/clean-stalled-jobs",
+  "/api/refresh-token",
+  "/api/retry-update-price",
+  "/api/update-product",
+  "/api/add-product",
+];
+
+// "/x/" y "/x*" son prefijos; el resto es la ruta exacta o sus subrutas
+function matches(pathname, paths) {
+  return paths.some(path => {
+    if (path.endsWith("*")) return pathname.startsWith(path.slice(0, -1));
+    if (path.endsWith("/")) return pathname.startsWith(path);
+    return pathname === path || pathname.startsWith(`${path}/`);
+  });
+}
+
+/**
+ * Rol mínimo para una ruta API, o null si es pública. Función pura.
+ * Por defecto GET/HEAD piden viewer y el resto operator.
+ */
+export function requiredRole(pathname, method) {
+  if (matches(pathname, PUBLIC_PATHS)) return null;
+  if (matches(pathname, ADMIN_PATHS)) return "admin";
+  if (method === "GET" || method === "HEAD" || method === "OPTIONS") {
+    return matches(pathname, OPERATOR_GET_PATHS) ? "operator" : "viewer";
+  }
+  return "operator";
+}
+
+export function roleAllows(role, required) {
+  return ROLES.indexOf(role) >= 0 && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// ---------- Tokens ----------
+
+const encoder = new TextEncoder();
+
+function base64url(bytes) {
+  let binary = "";
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64url(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+async function hmac(data, secret) {
+  const key = await crypto.subtle.importKey("raw", encoder.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  return new Uint8Array(await crypto.subtle.sign("HMAC", key, encoder.encode(data)));
+}
+
+// Comparación en tiempo constante (en Edge no existe crypto.timingSafeEqual)
+export function safeEqual(a, b) {
+  if (typeof a !== "string" || typeof b !== "string" || a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+function getSessionSecret() {
+  const secret = process.env.AUTH_SECRET;
+  if (!secret || secret.length < 32) throw new Error("AUTH_SECRET debe tener al menos 32 caracteres");
+  return secret;
+}
+
+/**
+ * Token de sesión: payload en base64url y firma HMAC-SHA256 con AUTH_SECRET.
+ * @param {{sub: string, email: string, role: string}} user
+ */
+export async function signSession(user) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = base64url(encoder.encode(JSON.stringify({
+    sub: user.sub,
+    email: user.email,
+    role: user.role,
+    iat: now,
+    exp: now + SESSION_TTL_SECONDS,
+  })));
+  return `${payload}.${base64url(await hmac(payload, getSessionSecret()))}`;
+}
+
+/**
+ * Payload de un token válido y vigente, o null.
+ */
+export async function verifySession(token) {
+  if (!token || !token.includes(".")) return null;
+  const [payload, signature] = token.split(".");
+  const secret = getSessionSecret();
+  try {
+    const expected = base64url(await hmac(payload, secret));
+    if (!safeEqual(signature, expected)) return null;
+
+    const session = JSON.parse(new TextDecoder().decode(fromBase64url(payload)));
+    if (!session.exp || session.exp < Math.floor(Date.now() / 1000)) return null;
+    if (!ROLES.includes(session.role)) return null;
+    return session;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Principal de una petición: Authorization: Bearer <API_SECRET_KEY> o cookie de sesión.
+ * @param {string} authorization - Header Authorization
+ * @param {string|undefined} cookie - Valor de la cookie de sesión
+ */
+export async function resolvePrincipal(authorization, cookie) {
+  const apiKey = process.env.API_SECRET_KEY;
+  const bearer = (authorization || "").replace(/^Bearer\s+/i, "");
+  if (apiKey && bearer && safeEqual(bearer, apiKey)) return SERVICE_PRINCIPAL;
+  return verifySession(cookie);
+}
+
+export function sessionCookie(token, { maxAge = SESSION_TTL_SECONDS } = {}) {
+  const secure = process.env.NODE_ENV === "production" ? "; Secure" : "";
+  return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure}`;
+}
+
+// ---------- State de la autorización OAuth de MercadoLibre ----------
+
+export const OAUTH_STATE_COOKIE = "ml_oauth_state";
+const OAUTH_STATE_TTL_SECONDS = 10 * 60;
+const OAUTH_STATE_PATH = "/api/mercadolibre/callback";
+
+// Firma con contexto propio: un token de sesión no sirve como state ni al revés
+const signOAuthState = async payload => base64url(await hmac(`oauth-state:${payload}`, getSessionSecret()));
+
+/**
+ * Inicia una autorización: nonce aleatorio para el parámetro `state` de ML y cookie firmada
+ * (HttpOnly, 10 minutos) con el nonce, la cuenta que se autoriza y el usuario que la pidió.
+ * @param {{sub: string}} user - Usuario del panel que inicia la autorización
+ * @param {string} target - Cuenta de tokens: sitio (MLA...) o account:<id>
+ * @returns {Promise<{nonce: string, cookie: string}>}
+ */
+export async function createOAuthState(user, target) {
+  const nonce = base64url(crypto.getRandomValues(new Uint8Array(24)));
+  const payload = base64url(encoder.encode(JSON.stringify({
+    nonce,
+    target,
+    sub: user.sub,
+    exp: Math.floor(Date.now() / 1000) + OAUTH_STATE_TTL_SECONDS,
+  })));
+  const secure = process.env.NODE_ENV === "production" ? "; Secure" : "";
+  const cookie = `${OAUTH_STATE_COOKIE}=${payload}.${await signOAuthState(payload)}; Path=${OAUTH_STATE_PATH}; HttpOnly; SameSite=Lax; Max-Age=${OAUTH_STATE_TTL_SECONDS}${secure}`;
+  return { nonce, cookie };
+}
+
+/**
+ * Cuenta que se autoriza si el `state` del callback es el nonce de la cookie, la cookie está
+ * vigente y la sesión es la del usuario que inició la autorización. Si no, null.
+ * @param {string|undefined} token - Valor de la cookie OAUTH_STATE_COOKIE
+ * @param {string|undefined} state - Parámetro state del callback
+ * @param {{sub: string}|null} user - Sesión de la petición del callback
+ * @returns {Promise<string|null>}
+ */
+export async function verifyOAuthState(token, state, user) {
+  if (!token || !token.includes(".") || !state || !user) return null;
+  const [payload, signature] = token.split(".");
+  try {
+    if (!safeEqual(signature, await signOAuthState(payload))) return null;
+
+    const data = JSON.parse(new TextDecoder().decode(fromBase64url(payload)));
+    if (!data.exp || data.exp < Math.floor(Date.now() / 1000)) return null;
+    if (!safeEqual(state, data.nonce) || data.sub !== user.sub) return null;
+    return data.target;
+  } catch {
+    return null;
+  }
+}
+
+// Borra la cookie de state: cada nonce sirve para un solo callback
+export function clearOAuthStateCookie() {
+  return `${OAUTH_STATE_COOKIE}=; Path=${OAUTH_STATE_PATH}; HttpOnly; SameSite=Lax; Max-Age=0`;
+}
@@ -0,0 +1,192 @@
+import crypto from "crypto";
+import { promisify } from "util";
+import { createClient } from "@supabase/supabase-js";
+import { ROLES } from "./auth-session";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 10;
+
+// Columnas que se pueden devolver al panel (nunca password_hash)
+const PUBLIC_COLUMNS = "id, email, name, role, active, created_at, last_login_at";
+
+// ---------- Contraseñas ----------
+
+/**
+ * Hash scrypt con sal aleatoria: "scrypt$<sal>$<hash>" en base64.
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, KEY_LENGTH);
+  return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scrypt(String(password), Buffer.from(salt, "base64"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function validatePassword(password) {
+  if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres`);
+  }
+}
+
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+// ---------- Auditoría ----------
+
+/**
+ * Registra una acción en audit_log. Nunca lanza: la auditoría no debe cortar la operación.
+ * @param {{sub?: string, id?: string, email?: string, role?: string}|null} user - Quién la hizo
+ * @param {string} action - Ej. "login", "job:add-product", "user:create"
+ * @param {object} details
+ */
+export async function recordAudit(user, action, details = {}) {
+  const { error } = await supabase.from("audit_log").insert({
+    user_id: user?.sub || user?.id || null,
+    user_email: user?.email || null,
+    role: user?.role || null,
+    action,
+    details,
+  });
+  if (error) console.error(`[Auth] ❌ No se pudo registrar "${action}" en audit_log: ${error.message}`);
+}
+
+export async function listAudit({ limit = 100, userEmail = null, action = null } = {}) {
+  let query = supabase
+    .from("audit_log")
+    .select("*")
+    .order("created_at", { ascending: false })
+    .limit(limit);
+  if (userEmail) query = query.eq("user_email", normalizeEmail(userEmail));
+  if (action) query = query.ilike("action", `${action}%`);
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Error al leer audit_log: ${error.message}`);
+  return data || [];
+}
+
+// ---------- Usuarios ----------
+
+/**
+ * Crea el primer admin con ADMIN_EMAIL y ADMIN_PASSWORD si todavía no hay usuarios.
+ */
+async function bootstrapAdmin(email, password) {
+  const { count } = await supabase.from("admin_users").select("id", { count: "exact", head: true });
+  if (count !== 0) return null;
+
+  const bootstrapEmail = normalizeEmail(process.env.ADMIN_EMAIL);
+  const bootstrapPassword = process.env.ADMIN_PASSWORD;
+  if (!bootstrapEmail || !bootstrapPassword || email !== bootstrapEmail || password !== bootstrapPassword) return null;
+
+  const user = await createUser({ email, name: "Admin", role: "admin", password });
+  console.log(`[Auth] 👤 Primer admin creado: ${email}`);
+  return user;
+}
+
+/**
+ * Usuario activo con ese email y contraseña, o null. Actualiza last_login_at.
+ */
+export async function authenticate(email, password) {
+  const normalized = normalizeEmail(email);
+  if (!normalized || !password) return null;
+
+  const { data: user, error } = await supabase
+    .from("admin_users")
+    .select("*")
+    .eq("email", normalized)
+    .maybeSingle();
+  if (error) throw new Error(`Error al leer admin_users: ${error.message}`);
+
+  if (!user) {
+    const bootstrapped = await bootstrapAdmin(normalized, password);
+    if (bootstrapped) return bootstrapped;
+    // Mismo costo que una contraseña incorrecta para no revelar qué emails existen
+    await hashPassword(password);
+    return null;
+  }
+  if (!user.active || !(await verifyPassword(password, user.password_hash))) return null;
+
+  await supabase.from("admin_users").update({ last_login_at: new Date().toISOString() }).eq("id", user.id);
+  return { id: user.id, email: user.email, name: user.name, role: user.role };
+}
+
+export async function listUsers() {
+  const { data, error } = await supabase
+    .from("admin_users")
+    .select(PUBLIC_COLUMNS)
+    .order("email");
+  if (error) throw new Error(`Error al leer usuarios: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Normaliza y valida un usuario nuevo antes de crearlo. Lanza error si algún valor es inválido.
+ */
+export function sanitizeUser({ email, name = null, role = "viewer", password }) {
+  const normalized = normalizeEmail(email);
+  if (!normalized.includes("@")) throw new Error("Email inválido");
+  validateUserChanges({ role, password });
+  return { email: normalized, name, role, password };
+}
+
+/**
+ * Valida los cambios de updateUser (rol y contraseña). Lanza error si algún valor es inválido.
+ */
+export function validateUserChanges({ role, password }) {
+  if (role !== undefined && !ROLES.includes(role)) throw new Error(`role debe ser uno de: ${ROLES.join(", ")}`);
+  if (password !== undefined) validatePassword(password);
+}
+
+/**
+ * Crea un usuario. Si el email ya existe lanza un error con code "23505" (unique_violation de Postgres).
+ */
+export async function createUser(input) {
+  const { email, name, role, password } = sanitizeUser(input);
+
+  const { data, error } = await supabase
+    .from("admin_users")
+    .insert({ email, name, role, password_hash: await hashPassword(password), active: true })
+    .select(PUBLIC_COLUMNS)
+    .single();
+  if (error) {
+    if (error.code === "23505") throw Object.assign(new Error(`Ya existe un usuario con el email ${email}`), { code: error.code });
+    throw new Error(`Error al crear usuario: ${error.message}`);
+  }
+  return data;
+}
+
+/**
+ * Cambia nombre, rol, estado o contraseña. Los cambios de rol o estado se aplican cuando vence la sesión actual.
+ */
+export async function updateUser(id, { name, role, active, password }) {
+  validateUserChanges({ role, password });
+
+  const changes = { updated_at: new Date().toISOString() };
+  if (name !== undefined) changes.name = name;
+  if (role !== undefined) changes.role = role;
+  if (active !== undefined) changes.active = Boolean(active);
+  if (password !== undefined) changes.password_hash = await hashPassword(password);
+
+  const { data, error } = await supabase
+    .from("admin_users")
+    .update(changes)
+    .eq("id", id)
+    .select(PUBLIC_COLUMNS)
+    .maybeSingle();
+  if (error) throw new Error(`Error al actualizar usuario: ${error.message}`);
+  if (!data) throw new Error(`Usuario ${id} no encontrado`);
+  return data;
+}
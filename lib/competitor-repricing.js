@@ -0,0 +1,262 @@
+import { createClient } from "@supabase/supabase-js";
+import { buildPriceBreakdown, calculatePriceCLP, logActivity } from "../pages/api/_logic";
+import { axiosWithSmartRetry } from "../pages/api/_http-utils";
+import { getMarketStats } from "../pages/api/_market-validation";
+import { getPricingRules, estimateNetMargin } from "./pricing-rules";
+import { getFxQuote } from "./fx-provider";
+import { getMlFeeTable, solvePriceForNet } from "./ml-fees";
+import { recordPriceChange } from "./price-history";
+import { competitorPricingState } from "./price-guards";
+import { PRIMARY_SITE_ID } from "./ml-sites";
+import { accountAccessToken, getDefaultAccount } from "./ml-accounts";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const CONFIG_KEY = "competitor_repricing";
+
+export const REPRICE_POSITIONS = ["cheapest", "p25", "median"];
+
+/**
+ * Configuración por defecto; se sobreescribe con system_config.competitor_repricing.
+ * - position/adjust_pct: el objetivo es la posición elegida del mercado × (1 + adjust_pct),
+ *   p. ej. cheapest con -0.01 = 1% bajo el más barato.
+ * - floor_margin: margen neto mínimo sobre el costo (oferta + fee Kinguin), después de la comisión ML.
+ * - ceiling_ratio: nunca más de este múltiplo del precio que da la regla de precio.
+ * - min_change_pct: cambios menores se ignoran para no tocar ML por unos pesos.
+ * - hold_hours: horas que los syncs de regla respetan el precio de competencia (lib/price-guards.js).
+ */
+export const DEFAULT_REPRICING_CONFIG = {
+  enabled: false,
+  position: "cheapest",
+  adjust_pct: -0.01,
+  floor_margin: 0.10,
+  ceiling_ratio: 1.5,
+  min_change_pct: 0.02,
+  batch_size: 50,
+  hold_hours: 24,
+};
+
+export const REPRICE_OUTCOME = {
+  REPRICED: "repriced",
+  UNCHANGED: "unchanged",
+  NO_MARKET_DATA: "no_market_data",
+  ERROR: "error",
+};
+
+export async function getRepricingConfig() {
+  const { data } = await supabase
+    .from("system_config")
+    .select("value")
+    .eq("key", CONFIG_KEY)
+    .maybeSingle();
+
+  const config = { ...DEFAULT_REPRICING_CONFIG, ...(data?.value || {}) };
+  if (!REPRICE_POSITIONS.includes(config.position)) config.position = DEFAULT_REPRICING_CONFIG.position;
+  return config;
+}
+
+// Redondeo hacia abajo al formato 990: el objetivo "bajo el más barato" no debe quedar sobre él
+function roundDown990(value) {
+  return Math.floor((value + 10) / 1000) * 1000 - 10;
+}
+
+function roundUp990(value) {
+  return Math.ceil((value + 10) / 1000) * 1000 - 10;
+}
+
+function marketAnchor(stats, position) {
+  if (position === "median") return stats.median;
+  if (position === "p25") return stats.q1;
+  return stats.min;
+}
+
+/**
+ * Precio objetivo de un producto según el mercado, acotado entre piso y techo.
+ * Función pura: no consulta ML ni la base de datos.
+ * @returns {{target: number, floor: number, ceiling: number, anchor: number, clamped: string|null}}
+ */
+export function computeCompetitivePrice({ stats, costCLP, rulePriceCLP, config, feeTable }) {
+  const anchor = marketAnchor(stats, config.position);
+  const floor = roundUp990(solvePriceForNet(feeTable, costCLP * (1 + Number(config.floor_margin))));
+  const ceiling = roundDown990(rulePriceCLP * Number(config.ceiling_ratio));
+
+  let target = roundDown990(anchor * (1 + Number(config.adjust_pct)));
+  let clamped = null;
+  if (target < floor) {
+    target = floor;
+    clamped = "floor";
+  } else if (target > ceiling) {
+    target = Math.max(ceiling, floor);
+    clamped = "ceiling";
+  }
+
+  return { target, floor, ceiling, anchor, clamped };
+}
+
+function describeReason(config, pricing, stats) {
+  const adjust = `${Number(config.adjust_pct) >= 0 ? "+" : ""}${(Number(config.adjust_pct) * 100).toFixed(1)}%`;
+  const base = `competencia: ${config.position} ${pricing.anchor} CLP ${adjust} (${stats.sampleSize} publicaciones)`;
+  if (pricing.clamped === "floor") return `${base}, limitado al piso ${pricing.floor} CLP`;
+  if (pricing.clamped === "ceiling") return `${base}, limitado al techo ${pricing.ceiling} CLP`;
+  return base;
+}
+
+/**
+ * Desglose de la regla (que define el techo) con el movimiento de competencia encima.
+ * net_margin_clp se recalcula con el precio de competencia, que es el que queda publicado.
+ */
+function competitorBreakdown(calculation, pricing, { config, stats, fxQuote, feeTable, offerPriceEUR }) {
+  return {
+    ...buildPriceBreakdown(calculation, { offerPriceEUR, fxQuote, feeTable }),
+    competitor: {
+      position: config.position,
+      adjust_pct: Number(config.adjust_pct),
+      anchor: pricing.anchor,
+      floor: pricing.floor,
+      ceiling: pricing.ceiling,
+      clamped: pricing.clamped,
+      sample_size: stats.sampleSize,
+      price_clp: pricing.target,
+    },
+    net_margin_clp: estimateNetMargin(calculation.rule, pricing.target, calculation.costCLP, feeTable),
+  };
+}
+
+async function repriceProduct(product, { config, rules, feeTable, fxQuote, token, dryRun }) {
+  const stats = await getMarketStats(product.title, { platform: product.platform });
+  if (!stats) return { outcome: REPRICE_OUTCOME.NO_MARKET_DATA };
+
+  const offerPriceEUR = Number(product.euro_price);
+  const calculation = calculatePriceCLP(offerPriceEUR, fxQuote.rate, rules, product, feeTable);
+  const { costCLP, rule, priceCLP: rulePriceCLP } = calculation;
+  const pricing = computeCompetitivePrice({ stats, costCLP, rulePriceCLP, config, feeTable });
+  const currentPrice = Number(product.price) || 0;
+
+  if (currentPrice && Math.abs(pricing.target - currentPrice) / currentPrice < Number(config.min_change_pct)) {
+    return { outcome: REPRICE_OUTCOME.UNCHANGED, pricing };
+  }
+
+  const reason = describeReason(config, pricing, stats);
+  if (!dryRun) {
+    await axiosWithSmartRetry(
+      `https://api.mercadolibre.com/items/${product.ml_id}`,
+      { price: pricing.target },
+      { method: "put", headers: { Authorization: `Bearer ${token}` }, retries: 3 }
+    );
+    await supabase.from("published_products")
+      .update({ price: pricing.target, ...competitorPricingState(config.hold_hours), updated_at: new Date().toISOString() })
+      .eq("account_id", product.account_id)
+      .eq("kinguin_id", product.kinguin_id)
+      .eq("site_id", PRIMARY_SITE_ID);
+    await recordPriceChange({
+      kinguinId: product.kinguin_id,
+      mlId: product.ml_id,
+      oldPrice: currentPrice,
+      newPrice: pricing.target,
+      exchangeRate: fxQuote.rate,
+      originalEurPrice: product.euro_price,
+      pricingRule: { id: rule.id, name: rule.name },
+      reason,
+      breakdown: competitorBreakdown(calculation, pricing, { config, stats, fxQuote, feeTable, offerPriceEUR }),
+      accountId: product.account_id,
+      source: "competitor-repricing",
+    });
+  }
+
+  return { outcome: REPRICE_OUTCOME.REPRICED, pricing, reason, oldPrice: currentPrice };
+}
+
+/**
+ * Reprecia un lote de publicaciones activas hacia la posición configurada del mercado.
+ * Se procesan primero las que llevan más tiempo sin revisarse (competitor_checked_at).
+ * @param {object} options
+ * @param {number|null} options.limit - Publicaciones por ejecución (por defecto batch_size de la configuración).
+ * @param {boolean} options.dryRun - Calcular sin actualizar ML ni la base de datos.
+ * @param {boolean} options.force - Ejecutar aunque la configuración esté deshabilitada.
+ * @param {object|null} options.account - Cuenta de ML cuyas publicaciones se reprecian (lib/ml-accounts.js); por defecto la predeterminada.
+ * @returns {Promise<{enabled: boolean, held?: boolean, processed: number, outcomes: object, moves: object[]}>}
+ */
+export async function runCompetitorRepricing({ limit = null, dryRun = false, force = false, account = null } = {}) {
+  const config = await getRepricingConfig();
+  if (!config.enabled && !force) {
+    return { enabled: false, processed: 0, outcomes: {}, moves: [] };
+  }
+
+  const seller = account || await getDefaultAccount();
+  const { data: products, error } = await supabase
+    .from("published_products")
+    .select("account_id, kinguin_id, ml_id, title, price, euro_price, platform, product_type")
+    .eq("account_id", seller.id)
+    .eq("status", "active")
+    .eq("site_id", PRIMARY_SITE_ID)
+    .not("ml_id", "is", null)
+    .gt("euro_price", 0)
+    .order("competitor_checked_at", { ascending: true, nullsFirst: true })
+    .limit(limit || config.batch_size);
+
+  if (error) throw new Error(`Error leyendo published_products: ${error.message}`);
+
+  const [rules, feeTable, fxQuote, token] = await Promise.all([
+    getPricingRules(),
+    getMlFeeTable(),
+    getFxQuote(),
+    dryRun ? null : accountAccessToken(seller),
+  ]);
+  if (!fxQuote.rate || fxQuote.rate <= 0) throw new Error(`Tipo de cambio inválido: ${fxQuote.rate}`);
+  // En modo hold el piso se calcula con un tipo de cambio retenido: no se mueven precios hasta que se resuelva
+  if (fxQuote.held) {
+    return { enabled: config.enabled, held: true, reason: fxQuote.reason, processed: 0, outcomes: {}, moves: [] };
+  }
+
+  const summary = { enabled: config.enabled, processed: 0, outcomes: {}, moves: [] };
+
+  for (const product of products || []) {
+    let result;
+    try {
+      result = await repriceProduct(product, { config, rules, feeTable, fxQuote, token, dryRun });
+    } catch (err) {
+      const message = err.response?.data?.message || err.message;
+      console.error(`❌ Error repreciando ${product.kinguin_id}:`, message);
+      result = { outcome: REPRICE_OUTCOME.ERROR, error: message };
+    }
+
+    summary.processed++;
+    summary.outcomes[result.outcome] = (summary.outcomes[result.outcome] || 0) + 1;
+    if (result.outcome === REPRICE_OUTCOME.REPRICED) {
+      summary.moves.push({
+        kinguin_id: product.kinguin_id,
+        ml_id: product.ml_id,
+        title: product.title,
+        old_price: result.oldPrice,
+        new_price: result.pricing.target,
+        floor: result.pricing.floor,
+        ceiling: result.pricing.ceiling,
+        reason: result.reason,
+      });
+    }
+
+    if (!dryRun) {
+      // Sin cambio el precio sigue siendo el del mercado: se renueva el plazo en que los syncs lo respetan
+      const hold = result.outcome === REPRICE_OUTCOME.UNCHANGED ? competitorPricingState(config.hold_hours) : {};
+      await supabase.from("published_products")
+        .update({ competitor_checked_at: new Date().toISOString(), ...hold })
+        .eq("account_id", product.account_id)
+        .eq("kinguin_id", product.kinguin_id)
+        .eq("site_id", PRIMARY_SITE_ID);
+    }
+  }
+
+  if (!dryRun && summary.moves.length > 0) {
+    await logActivity(`Repricing por competencia (${seller.id}): ${summary.moves.length} precios movidos`, "info", {
+      account_id: seller.id,
+      position: config.position,
+      adjust_pct: config.adjust_pct,
+      moves: summary.moves.slice(0, 20),
+    });
+  }
+
+  return summary;
+}
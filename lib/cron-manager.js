@@ -10,6 +10,9 @@ const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_KEY = process.env.SUPABASE_KEY;
 const API_BASE_URL = process.env.API_BASE_URL || 'http://localhost:3000';
 
+// Las rutas /api exigen sesión o API key; en el navegador basta la cookie del panel
+const authHeaders = () => (process.env.API_SECRET_KEY ? { Authorization: `Bearer ${process.env.API_SECRET_KEY}` } : {});
+
 // Inicializar cliente de Supabase
 const supabase = SUPABASE_URL && SUPABASE_KEY ? createClient(SUPABASE_URL, SUPABASE_KEY) : null;
 
@@ -59,6 +62,7 @@ async function updateProductsWithStock() {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...authHeaders(),
       },
       body: JSON.stringify({
         updateOnlyWithStock: true,
@@ -101,6 +105,7 @@ async function updateAllProducts() {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...authHeaders(),
       },
       body: JSON.stringify({
         updateOnlyWithStock: false,
@@ -140,7 +145,8 @@ async function updateExchangeRate() {
     // Usar fetch del navegador o node-fetch según el entorno
     const fetchFunc = typeof window !== 'undefined' ? fetch : nodeFetch;
     const response = await fetchFunc(`${API_BASE_URL}/api/exchange-rate`, {
-      method: 'GET'
+      method: 'GET',
+      headers: authHeaders()
     });
     
     if (!response.ok) {
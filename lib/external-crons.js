@@ -27,6 +27,93 @@ module.exports = {
         limit: 200, // Número de productos a procesar por ejecución
         updateMl: true // Actualizar también en MercadoLibre
       }
+    },
+    {
+      id: 'process-webhooks',
+      name: 'Procesar webhooks de Kinguin',
+      url: '/api/cron/process-webhooks',
+      description: 'Aplica los eventos product.update en cola: reprecia, pausa o reactiva publicaciones',
+      method: 'GET',
+      maxFrequency: '5m', // Frecuencia máxima recomendada
+      params: {
+        limit: 100, // Eventos a leer por ejecución
+        maxRetries: 5 // Fallos antes de mandar el evento a dead letter
+      }
+    },
+    {
+      id: 'competitor-repricing',
+      name: 'Repricing por competencia',
+      url: '/api/cron/competitor-repricing',
+      description: 'Mueve precios hacia la posición configurada del mercado ML, entre piso por costo y techo por regla',
+      method: 'GET',
+      maxFrequency: '1h', // Frecuencia máxima recomendada
+      params: {
+        limit: 50, // Publicaciones a revisar por ejecución
+        dryRun: false // Calcular sin actualizar ML
+      }
+    },
+    {
+      id: 'sync-site-listings',
+      name: 'Sincronizar otros sitios de ML',
+      url: '/api/cron/sync-site-listings',
+      description: 'Actualiza precio y stock de las publicaciones en sitios distintos de MLC (ARS, MXN, COP...)',
+      method: 'GET',
+      maxFrequency: '3h', // Frecuencia máxima recomendada
+      params: {
+        limit: 50 // Publicaciones a revisar por ejecución; site: 'MLA' limita a un sitio
+      }
+    },
+    {
+      id: 'experiment-metrics',
+      name: 'Métricas de experimentos A/B',
+      url: '/api/cron/experiment-metrics',
+      description: 'Actualiza visitas y ventas de las publicaciones asignadas a experimentos de título o descripción',
+      method: 'GET',
+      maxFrequency: '1h', // Frecuencia máxima recomendada
+      params: {
+        limit: 200 // Asignaciones a actualizar por ejecución
+      }
+    }
+  ],
+  
+  // Cronjobs para fulfillment de ventas
+  orders: [
+    {
+      id: 'retry-orders',
+      name: 'Reintentar órdenes pendientes',
+      url: '/api/cron/retry-orders',
+      description: 'Reintenta pago, compra en Kinguin o entrega de keys de órdenes ML pendientes',
+      method: 'GET',
+      maxFrequency: '10m', // Frecuencia máxima recomendada
+      params: {
+        limit: 20 // Número de órdenes a procesar por ejecución
+      }
+    },
+    {
+      id: 'poll-kinguin-orders',
+      name: 'Consultar keys pendientes en Kinguin',
+      url: '/api/cron/poll-kinguin-orders',
+      description: 'Envía las keys cuando Kinguin completa la orden; tras 6 horas sin keys pasa a revisión manual',
+      method: 'GET',
+      maxFrequency: '5m',
+      params: {
+        limit: 20
+      }
+    }
+  ],
+  
+  // Worker de la cola de jobs (lib/job-queue.js)
+  queue: [
+    {
+      id: 'job-worker',
+      name: 'Procesar cola de jobs',
+      url: '/api/cron/job-worker',
+      description: 'Avanza los jobs encolados (publicar productos, sincronizar precios y stock) y retoma los que quedaron a medias',
+      method: 'GET',
+      maxFrequency: '1m', // Frecuencia máxima recomendada; sin cron usar scripts/job-worker.js
+      params: {
+        budgetMs: 200000 // Tiempo máximo del tick antes de soltar el lease
+      }
     }
   ],
   
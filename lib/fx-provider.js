@@ -0,0 +1,307 @@
+import axios from "axios";
+import { createClient } from "@supabase/supabase-js";
+import { logActivity } from "../pages/api/_logic";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const CONFIG_KEY = "fx_provider";
+const SOURCE_TIMEOUT_MS = 8000;
+const STORED_RATE_MAX_AGE_HOURS = 24;
+const EMERGENCY_RATES = { CLP: 1120 }; // Último recurso EUR/CLP (septiembre 2025) si no hay fuentes ni valor guardado
+
+export const FX_MODE = {
+  LIVE: "live",           // Mediana de las fuentes, aceptada y guardada
+  HOLD: "hold",           // Fuentes en desacuerdo o desvío anómalo: se mantiene el último valor guardado reciente
+  STORED: "stored",       // Ninguna fuente respondió: último valor guardado de menos de 24 horas
+  EMERGENCY: "emergency", // Sin fuentes ni valor guardado reciente
+};
+
+/**
+ * Fuentes disponibles, todas con base EUR. Las que necesitan API key solo se consultan si la variable de entorno existe.
+ */
+export const FX_SOURCES = {
+  exchangerate_api: {
+    name: "ExchangeRate-API",
+    keyEnv: "EXCHANGERATE_API_KEY",
+    url: key => `https://v6.exchangerate-api.com/v6/${key}/latest/EUR`,
+    extractRate: (data, currency) => data?.conversion_rates?.[currency],
+  },
+  open_er_api: {
+    name: "Open Exchange Rates",
+    url: () => "https://open.er-api.com/v6/latest/EUR",
+    extractRate: (data, currency) => data?.rates?.[currency],
+  },
+  currency_api_cdn: {
+    name: "Currency API (CDN)",
+    url: () => "https://cdn.jsdelivr.net/npm/@fawazahmed0/currency-api@latest/v1/currencies/eur.json",
+    extractRate: (data, currency) => data?.eur?.[currency.toLowerCase()],
+  },
+  exchangerate_host: {
+    name: "ExchangeRate Host",
+    keyEnv: "EXCHANGERATE_HOST_API_KEY",
+    url: (key, currency) => `https://api.exchangerate.host/live?access_key=${key}&source=EUR&currencies=${currency}`,
+    extractRate: (data, currency) => data?.quotes?.[`EUR${currency}`],
+  },
+  currencyfreaks: {
+    name: "Currency Freaks",
+    keyEnv: "CURRENCYFREAKS_API_KEY",
+    url: (key, currency) => `https://api.currencyfreaks.com/v2.0/rates/latest?apikey=${key}&symbols=${currency}&base=EUR`,
+    extractRate: (data, currency) => parseFloat(data?.rates?.[currency]),
+  },
+  fastforex: {
+    name: "FastForex",
+    keyEnv: "FASTFOREX_API_KEY",
+    url: (key, currency) => `https://api.fastforex.io/fetch-one?from=EUR&to=${currency}&api_key=${key}`,
+    extractRate: (data, currency) => data?.result?.[currency],
+  },
+};
+
+/**
+ * Configuración por defecto; FX_SOURCES (env, separado por comas) y system_config.fx_provider la sobreescriben.
+ * - max_deviation_pct: se rechaza una mediana que se aleje más que esto del último valor guardado.
+ * - max_spread_pct: si las fuentes difieren entre sí más que esto, se entra en modo hold. Con 3 o más fuentes
+ *   se descartan antes las que se alejan más que esto de la mediana, mientras quede una mayoría.
+ * - deviation_window_hours: el hold solo usa un valor guardado más nuevo que esto; si no, se usa la mediana.
+ */
+export const DEFAULT_FX_CONFIG = {
+  sources: ["exchangerate_api", "open_er_api", "currency_api_cdn", "exchangerate_host", "currencyfreaks", "fastforex"],
+  max_deviation_pct: 0.05,
+  max_spread_pct: 0.03,
+  deviation_window_hours: 48, // Con un valor guardado más viejo no se entra en hold
+  cache_ttl_seconds: 600,
+  hold_on_disagreement: true,
+};
+
+// Caché y consultas en curso por moneda
+const quoteCache = new Map();
+const inFlight = new Map();
+
+async function getFxConfig() {
+  const { data } = await supabase
+    .from("system_config")
+    .select("value")
+    .eq("key", CONFIG_KEY)
+    .maybeSingle();
+
+  const envSources = process.env.FX_SOURCES
+    ? process.env.FX_SOURCES.split(",").map(id => id.trim()).filter(Boolean)
+    : null;
+
+  return {
+    ...DEFAULT_FX_CONFIG,
+    ...(envSources && { sources: envSources }),
+    ...(data?.value || {}),
+  };
+}
+
+function enabledSources(config) {
+  return config.sources
+    .map(id => ({ id, ...FX_SOURCES[id] }))
+    .filter(source => {
+      if (!source.url) {
+        console.warn(`[FX] ⚠️ Fuente desconocida en la configuración: ${source.id}`);
+        return false;
+      }
+      return !source.keyEnv || Boolean(process.env[source.keyEnv]);
+    });
+}
+
+async function fetchSource(source, currency) {
+  const response = await axios.get(source.url(source.keyEnv ? process.env[source.keyEnv] : null, currency), {
+    timeout: SOURCE_TIMEOUT_MS,
+    headers: { "User-Agent": "Mozilla/5.0 MercadoLibre Currency Converter/1.0" },
+  });
+  const rate = Number(source.extractRate(response.data, currency));
+  if (!(rate > 0)) throw new Error(`Tasa inválida (${rate})`);
+  return rate;
+}
+
+// CLP, ARS o COP se guardan enteros; MXN o UYU necesitan decimales
+function roundRate(value) {
+  return value >= 100 ? Math.round(value) : Number(value.toFixed(4));
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Descarta las fuentes que se alejan de la mediana más que maxPct, si las que quedan son mayoría.
+// Con dos fuentes no se puede saber cuál es la equivocada.
+function withoutOutliers(rates, maxPct) {
+  if (rates.length < 3) return rates;
+  const mid = median(rates);
+  const kept = rates.filter(rate => Math.abs(rate - mid) / mid <= maxPct);
+  return kept.length > rates.length / 2 ? kept : rates;
+}
+
+// Último valor real guardado (los de emergencia no sirven como referencia)
+async function getLastStoredRate(currency) {
+  const { data, error } = await supabase
+    .from("exchange_rates")
+    .select("rate, created_at")
+    .eq("currency", currency)
+    .or("fallback.is.null,fallback.eq.false")
+    .order("created_at", { ascending: false })
+    .limit(1);
+
+  if (error || !data?.length) return null;
+  return {
+    rate: Number(data[0].rate),
+    createdAt: data[0].created_at,
+    ageHours: (Date.now() - new Date(data[0].created_at).getTime()) / (1000 * 60 * 60),
+  };
+}
+
+async function storeRate(currency, rate, sources, fallback = false) {
+  const { error } = await supabase.from("exchange_rates").insert({
+    currency,
+    rate,
+    sources,
+    created_at: new Date().toISOString(),
+    ...(fallback && { fallback: true }),
+  });
+  if (error) console.error(`[FX] Error al guardar tipo de cambio en la base de datos: ${error.message}`);
+}
+
+/**
+ * Decide el tipo de cambio a partir de las tasas de las fuentes y el último valor guardado.
+ * Función pura, separada de la red para poder razonar sobre cada caso.
+ * @returns {{rate: number|null, mode: string, reason: string|null, median: number|null, spread: number|null, deviation: number|null, discarded?: number}}
+ */
+export function resolveFxRate(rates, lastStored, config) {
+  if (rates.length === 0) {
+    if (lastStored && lastStored.ageHours < STORED_RATE_MAX_AGE_HOURS) {
+      return { rate: lastStored.rate, mode: FX_MODE.STORED, reason: "Ninguna fuente respondió", median: null, spread: null, deviation: null };
+    }
+    return { rate: null, mode: FX_MODE.EMERGENCY, reason: "Ninguna fuente respondió y no hay valor guardado reciente", median: null, spread: null, deviation: null };
+  }
+
+  const kept = withoutOutliers(rates, config.max_spread_pct);
+  const mid = median(kept);
+  const spread = kept.length > 1 ? (Math.max(...kept) - Math.min(...kept)) / mid : 0;
+  const deviation = lastStored ? Math.abs(mid - lastStored.rate) / lastStored.rate : null;
+  const result = { median: roundRate(mid), spread, deviation, discarded: rates.length - kept.length };
+
+  // Un valor guardado viejo no sirve para retener: el precio quedaría fijo indefinidamente
+  const reference = lastStored && lastStored.ageHours < config.deviation_window_hours ? lastStored : null;
+
+  if (reference && config.hold_on_disagreement && spread > config.max_spread_pct) {
+    return {
+      ...result,
+      rate: reference.rate,
+      mode: FX_MODE.HOLD,
+      reason: `Fuentes en desacuerdo: diferencia de ${(spread * 100).toFixed(1)}% (máximo ${(config.max_spread_pct * 100).toFixed(1)}%)`,
+    };
+  }
+
+  if (reference && deviation > config.max_deviation_pct) {
+    return {
+      ...result,
+      rate: reference.rate,
+      mode: FX_MODE.HOLD,
+      reason: `Desvío anómalo: ${roundRate(mid)} vs último ${reference.rate} (${(deviation * 100).toFixed(1)}%, máximo ${(config.max_deviation_pct * 100).toFixed(1)}%)`,
+    };
+  }
+
+  return { ...result, rate: roundRate(mid), mode: FX_MODE.LIVE, reason: null };
+}
+
+async function fetchQuote(currency, { acceptAnomaly = false } = {}) {
+  const config = await getFxConfig();
+  const sources = enabledSources(config);
+
+  const settled = await Promise.allSettled(sources.map(source => fetchSource(source, currency)));
+  const quotes = [];
+  const errors = [];
+  settled.forEach((outcome, i) => {
+    if (outcome.status === "fulfilled") {
+      quotes.push({ id: sources[i].id, name: sources[i].name, rate: outcome.value });
+    } else {
+      const error = outcome.reason;
+      const message = error.response?.status ? `Error HTTP ${error.response.status}` : error.code === "ECONNABORTED" ? "Timeout" : error.message;
+      errors.push(`${sources[i].name}: ${message}`);
+    }
+  });
+
+  const lastStored = await getLastStoredRate(currency);
+  let decision = resolveFxRate(quotes.map(q => q.rate), lastStored, config);
+
+  // Aceptación manual de un valor retenido (el operador confirmó que el movimiento es real)
+  if (decision.mode === FX_MODE.HOLD && acceptAnomaly) {
+    decision = { ...decision, rate: decision.median, mode: FX_MODE.LIVE, reason: `Aceptado manualmente: ${decision.reason}` };
+  }
+
+  if (decision.mode === FX_MODE.LIVE) {
+    await storeRate(currency, decision.rate, quotes.map(q => q.name));
+  } else if (decision.mode === FX_MODE.EMERGENCY) {
+    if (!EMERGENCY_RATES[currency]) {
+      throw new Error(`No se pudo obtener tipo de cambio EUR/${currency}: ${errors.join("; ") || "sin fuentes habilitadas"}`);
+    }
+    decision = { ...decision, rate: EMERGENCY_RATES[currency] };
+    await storeRate(currency, EMERGENCY_RATES[currency], ["hardcoded_emergency"], true);
+  }
+
+  const quote = {
+    ...decision,
+    currency,
+    held: decision.mode === FX_MODE.HOLD,
+    sources: quotes,
+    errors,
+    lastStored,
+    fetchedAt: new Date().toISOString(),
+  };
+
+  console.log(`[FX] 📊 EUR/${currency}: ${quote.rate} | Modo: ${quote.mode} | Fuentes: ${quotes.map(q => `${q.name}=${q.rate}`).join(", ") || "ninguna"}`);
+  if (quote.mode === FX_MODE.LIVE) {
+    await logActivity(`Tipo de cambio EUR/${currency}: ${quote.rate} (mediana de ${quotes.length} fuentes)`, "info", { currency, rate: quote.rate, sources: quotes });
+  } else {
+    await logActivity(`Tipo de cambio EUR/${currency} en modo ${quote.mode}: ${quote.rate}. ${quote.reason}`, quote.mode === FX_MODE.EMERGENCY ? "error" : "warning", {
+      currency,
+      rate: quote.rate,
+      median: quote.median,
+      sources: quotes,
+      errors,
+      last_stored: lastStored,
+    });
+  }
+
+  return { quote, ttlMs: config.cache_ttl_seconds * 1000 };
+}
+
+/**
+ * Tipo de cambio EUR/moneda con su origen. Se cachea en el proceso durante cache_ttl_seconds,
+ * así un lote de cientos de productos consulta las fuentes una sola vez; llamadas concurrentes
+ * comparten la misma consulta.
+ * @param {object} options
+ * @param {string} options.currency - Moneda destino (CLP por defecto; ARS, MXN... para otros sitios de ML).
+ * @param {boolean} options.force - Ignorar la caché y consultar las fuentes.
+ * @param {boolean} options.acceptAnomaly - Aceptar la mediana aunque la guardia la retenga.
+ * @returns {Promise<{currency: string, rate: number, mode: string, held: boolean, reason: string|null, median: number|null, spread: number|null, deviation: number|null, sources: object[], errors: string[], fetchedAt: string}>}
+ */
+export async function getFxQuote({ currency = "CLP", force = false, acceptAnomaly = false } = {}) {
+  const cached = quoteCache.get(currency);
+  if (!force && cached && Date.now() - cached.cachedAt < cached.ttlMs) {
+    return cached.quote;
+  }
+  if (!force && inFlight.has(currency)) return inFlight.get(currency);
+
+  const request = fetchQuote(currency, { acceptAnomaly })
+    .then(result => {
+      quoteCache.set(currency, { ...result, cachedAt: Date.now() });
+      return result.quote;
+    })
+    .finally(() => {
+      inFlight.delete(currency);
+    });
+  inFlight.set(currency, request);
+  return request;
+}
+
+export function invalidateFxCache() {
+  quoteCache.clear();
+}
@@ -0,0 +1,8 @@
+import { addProductJob } from "../pages/api/add-product";
+import { syncPricesStockJob } from "../pages/api/sync-prices-stock";
+
+// Handler de la cola de jobs (lib/job-queue.js) por tipo de job. Un tipo sin handler queda en cola sin tomarse.
+export const JOB_HANDLERS = {
+  "add-product": addProductJob,
+  "sync-prices-stock": syncPricesStockJob,
+};
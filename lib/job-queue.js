@@ -0,0 +1,640 @@
+import os from "os";
+import { createClient } from "@supabase/supabase-js";
+import { createJob, updateJobProgress, completeJob, failJob, cancelJob, setJobStatus, JOB_STATUS } from "./jobs";
+import { calculateBackoffDelay } from "../pages/api/_http-utils";
+import { logActivity } from "../pages/api/_logic";
+import { serviceAuthHeaders } from "../pages/api/_auth";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export const QUEUE_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  PAUSED: "paused",
+  COMPLETED: "completed",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
+export const ITEM_STATUS = {
+  PENDING: "pending",
+  RUNNING: "running",
+  DONE: "done",
+  FAILED: "failed",
+  CANCELLED: "cancelled", // El job se canceló antes de procesarlo
+};
+
+// Estados desde los que el job todavía puede avanzar
+const OPEN_STATUSES = [QUEUE_STATUS.QUEUED, QUEUE_STATUS.RUNNING];
+// Estados pedidos desde /api/jobs/[id] que detienen al worker entre un lote de ítems y el siguiente
+const STOP_STATUSES = [QUEUE_STATUS.PAUSED, QUEUE_STATUS.CANCELLED];
+
+const LEASE_MS = 2 * 60 * 1000;                // Visibility timeout: sin heartbeat por 2 minutos, otro worker retoma
+const HEARTBEAT_MS = 30 * 1000;
+const MAX_ITEM_ATTEMPTS = 3;
+const MAX_JOB_ATTEMPTS = 5;                    // Fallos al preparar el job (token, credenciales) antes de darlo por fallido
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 30 * 60 * 1000;
+const DEFAULT_CONCURRENCY = 10;
+const DEFAULT_ITEM_TIMEOUT_MS = 60 * 1000;
+const INSERT_CHUNK_SIZE = 500;
+const KICK_TIMEOUT_MS = 1500;
+const PAGE_SIZE = 1000;
+const PROGRESS_INTERVAL_MS = 15 * 1000;        // job_logs se refresca como mucho cada 15 s, no tras cada lote
+
+// Tiempo de trabajo de un tick; el último lote puede pasarse hasta el timeout de un ítem
+export const DEFAULT_TICK_BUDGET_MS = 200 * 1000;
+export const DEFAULT_WORKER_ID = `${os.hostname()}-${process.pid}`;
+
+const leaseUntil = () => new Date(Date.now() + LEASE_MS).toISOString();
+const retryAt = attempt => new Date(Date.now() + calculateBackoffDelay(attempt - 1, RETRY_BASE_DELAY_MS, RETRY_MAX_DELAY_MS)).toISOString();
+
+const countByStatus = results => results.reduce((acc, result) => {
+  acc[result.status] = (acc[result.status] || 0) + 1;
+  return acc;
+}, {});
+
+/**
+ * Encola un job: crea su fila en job_logs (lo que lee el panel), la fila en jobs y un ítem por ID.
+ * Mientras se insertan los ítems el job queda con el lease del que encola, así ningún worker
+ * lo toma a medias.
+ * @param {string} jobType - Handler que procesará los ítems (ej. 'add-product').
+ * @param {string[]} itemKeys - Kinguin IDs; los repetidos se descartan.
+ * @param {object} options
+ * @param {{sub: string, email: string, role: string}|null} options.triggeredBy - Usuario que lo lanzó (getRequestUser)
+ * @param {string|null} options.accountId - Cuenta de ML sobre la que trabaja
+ * @param {object} options.payload - Opciones que recibe el handler en job.payload
+ * @returns {Promise<string>} El ID del job (el mismo en job_logs y jobs).
+ */
+export async function enqueueJob(jobType, itemKeys, { triggeredBy = null, accountId = null, payload = {} } = {}) {
+  const keys = [...new Set(itemKeys.map(key => String(key).trim()).filter(Boolean))];
+  const jobId = await createJob(jobType, keys, { triggeredBy, accountId });
+
+  const { error } = await supabase.from("jobs").insert({
+    id: jobId,
+    type: jobType,
+    account_id: accountId,
+    payload,
+    status: QUEUE_STATUS.QUEUED,
+    total_items: keys.length,
+    locked_by: "enqueue",
+    lease_expires_at: leaseUntil(),
+  });
+  if (error) {
+    await failJob(jobId, new Error(`No se pudo encolar: ${error.message}`));
+    throw new Error(`Error al encolar el job ${jobId}: ${error.message}`);
+  }
+
+  for (let from = 0; from < keys.length; from += INSERT_CHUNK_SIZE) {
+    const rows = keys.slice(from, from + INSERT_CHUNK_SIZE).map((itemKey, index) => ({
+      job_id: jobId,
+      position: from + index,
+      item_key: itemKey,
+    }));
+    const { error: itemsError } = await supabase.from("job_items").insert(rows);
+    if (itemsError) {
+      await supabase.from("jobs").delete().eq("id", jobId);
+      await failJob(jobId, new Error(`No se pudo encolar: ${itemsError.message}`));
+      throw new Error(`Error al encolar los ítems del job ${jobId}: ${itemsError.message}`);
+    }
+  }
+
+  await supabase.from("jobs").update({ locked_by: null, lease_expires_at: null }).eq("id", jobId);
+  return jobId;
+}
+
+/**
+ * Pide un tick del worker para que un job recién encolado arranque sin esperar al cron.
+ * Solo espera a que la petición salga: el tick sigue en su propia invocación y, si no llega, el cron lo toma igual.
+ */
+export async function kickWorker() {
+  const baseUrl = process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : "http://localhost:3000";
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), KICK_TIMEOUT_MS);
+  try {
+    await fetch(`${baseUrl}/api/cron/job-worker`, { headers: serviceAuthHeaders(), signal: controller.signal });
+  } catch {
+    // Abortado a propósito o sin respuesta: no cambia nada para el job
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * IDs de job_logs que son jobs de la cola todavía abiertos. La limpieza de jobs estancados
+ * no debe tocarlos: si su worker murió, el lease vence y otro worker los retoma.
+ * @param {string[]} jobIds
+ * @returns {Promise<Set<string>>}
+ */
+export async function activeQueueJobIds(jobIds) {
+  if (jobIds.length === 0) return new Set();
+  const { data, error } = await supabase
+    .from("jobs")
+    .select("id")
+    .in("id", jobIds)
+    .in("status", OPEN_STATUSES);
+  if (error) throw new Error(`Error al consultar la cola de jobs: ${error.message}`);
+  return new Set((data || []).map(job => job.id));
+}
+
+async function loadQueueJob(jobId) {
+  const { data, error } = await supabase.from("jobs").select("id, type, status").eq("id", jobId).maybeSingle();
+  if (error) throw new Error(`Error al consultar el job ${jobId}: ${error.message}`);
+  return data;
+}
+
+/**
+ * Cambia el estado del job solo si sigue en uno de `fromStatuses`: dos pedidos simultáneos no se pisan.
+ */
+async function transitionQueueJob(jobId, fromStatuses, updates) {
+  const { data, error } = await supabase.from("jobs")
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq("id", jobId)
+    .in("status", fromStatuses)
+    .select("id, type, status");
+  if (error) throw new Error(`Error al actualizar el job ${jobId}: ${error.message}`);
+  return data?.[0] || null;
+}
+
+/**
+ * Pausa un job de la cola. El worker que lo tiene termina los ítems en curso y suelta el lease;
+ * ningún worker lo vuelve a tomar hasta que se reanude.
+ * @param {string} jobId
+ * @returns {Promise<{changed: boolean, status: string}|null>} null si el job no está en la cola.
+ */
+export async function pauseQueueJob(jobId) {
+  const job = await loadQueueJob(jobId);
+  if (!job) return null;
+
+  const paused = await transitionQueueJob(jobId, OPEN_STATUSES, { status: QUEUE_STATUS.PAUSED });
+  if (!paused) return { changed: false, status: job.status };
+
+  await setJobStatus(jobId, JOB_STATUS.PAUSED);
+  await logActivity(`Job ${job.type} pausado`, "warning", {}, jobId);
+  return { changed: true, status: QUEUE_STATUS.PAUSED };
+}
+
+/**
+ * Reanuda un job pausado: vuelve a la cola y el próximo tick sigue desde el primer ítem pendiente.
+ * @param {string} jobId
+ * @returns {Promise<{changed: boolean, status: string}|null>} null si el job no está en la cola.
+ */
+export async function resumeQueueJob(jobId) {
+  const job = await loadQueueJob(jobId);
+  if (!job) return null;
+
+  const resumed = await transitionQueueJob(jobId, [QUEUE_STATUS.PAUSED], { status: QUEUE_STATUS.QUEUED, run_after: null });
+  if (!resumed) return { changed: false, status: job.status };
+
+  await setJobStatus(jobId, JOB_STATUS.RUNNING);
+  await logActivity(`Job ${job.type} reanudado`, "info", {}, jobId);
+  return { changed: true, status: QUEUE_STATUS.QUEUED };
+}
+
+/**
+ * Cancela un job abierto o pausado. Los ítems en curso terminan; el resto queda sin procesar.
+ * Si no hay ítems en curso el informe se escribe enseguida; si no, lo escribe el worker al soltarlos.
+ * @param {string} jobId
+ * @returns {Promise<{changed: boolean, status: string, settled?: boolean, processed_ids?: string[], remaining_ids?: string[]}|null>}
+ *   null si el job no está en la cola.
+ */
+export async function cancelQueueJob(jobId) {
+  const job = await loadQueueJob(jobId);
+  if (!job) return null;
+
+  const cancelled = await transitionQueueJob(jobId, [...OPEN_STATUSES, QUEUE_STATUS.PAUSED], { status: QUEUE_STATUS.CANCELLED });
+  if (!cancelled) return { changed: false, status: job.status };
+
+  const report = await settleCancellation(cancelled);
+  return { changed: true, status: QUEUE_STATUS.CANCELLED, settled: Boolean(report), ...report };
+}
+
+/**
+ * Toma el lease del job abierto más antiguo con handler. Devuelve null si no hay ninguno libre.
+ */
+async function claimJob(workerId, types, skip) {
+  const now = new Date();
+  const { data: candidates, error } = await supabase
+    .from("jobs")
+    .select("id, run_after, started_at")
+    .in("type", types)
+    .in("status", OPEN_STATUSES)
+    .or(`lease_expires_at.is.null,lease_expires_at.lt.${now.toISOString()}`)
+    .order("created_at", { ascending: true })
+    .limit(20);
+  if (error) throw new Error(`Error al consultar la cola de jobs: ${error.message}`);
+
+  const ready = (candidates || []).filter(job =>
+    !skip.has(job.id) && (!job.run_after || new Date(job.run_after) <= now)
+  );
+
+  for (const candidate of ready) {
+    const { data, error: claimError } = await supabase
+      .from("jobs")
+      .update({
+        status: QUEUE_STATUS.RUNNING,
+        locked_by: workerId,
+        lease_expires_at: leaseUntil(),
+        heartbeat_at: now.toISOString(),
+        started_at: candidate.started_at || now.toISOString(),
+        updated_at: now.toISOString(),
+      })
+      .eq("id", candidate.id)
+      .in("status", OPEN_STATUSES)
+      .or(`lease_expires_at.is.null,lease_expires_at.lt.${now.toISOString()}`)
+      .select("*");
+    if (claimError) throw new Error(`Error al tomar el job ${candidate.id}: ${claimError.message}`);
+    if (data?.[0]) return data[0];
+  }
+  return null;
+}
+
+/**
+ * Toma hasta `limit` ítems pendientes (o con el lease vencido) del job, en el orden en que se encolaron.
+ * El intento se cuenta al tomarlo: un ítem que tumba al worker no se reintenta para siempre.
+ */
+async function claimItems(job, workerId, limit) {
+  const now = new Date().toISOString();
+  const { data: candidates, error } = await supabase
+    .from("job_items")
+    .select("id, item_key, attempts")
+    .eq("job_id", job.id)
+    .or(`and(status.eq.${ITEM_STATUS.PENDING},or(run_after.is.null,run_after.lte.${now})),and(status.eq.${ITEM_STATUS.RUNNING},lease_expires_at.lt.${now})`)
+    .order("position", { ascending: true })
+    .limit(limit);
+  if (error) throw new Error(`Error al consultar los ítems del job ${job.id}: ${error.message}`);
+
+  const claimed = [];
+  for (const candidate of candidates || []) {
+    if (candidate.attempts >= MAX_ITEM_ATTEMPTS) {
+      await settleItem(candidate, workerId, {
+        status: ITEM_STATUS.FAILED,
+        result: failedResult(candidate, "El worker se interrumpió en todos los intentos"),
+        last_error: "lease vencido",
+      }, { ownLease: false });
+      continue;
+    }
+
+    // La condición sobre attempts hace la toma atómica: si otro worker la ganó, no se actualiza nada
+    const { data, error: claimError } = await supabase
+      .from("job_items")
+      .update({
+        status: ITEM_STATUS.RUNNING,
+        attempts: candidate.attempts + 1,
+        locked_by: workerId,
+        lease_expires_at: leaseUntil(),
+      })
+      .eq("id", candidate.id)
+      .eq("attempts", candidate.attempts)
+      .in("status", [ITEM_STATUS.PENDING, ITEM_STATUS.RUNNING]) // Un ítem cancelado mientras tanto no se toma
+      .select("id, item_key, attempts");
+    if (claimError) throw new Error(`Error al tomar el ítem ${candidate.item_key}: ${claimError.message}`);
+    if (data?.[0]) claimed.push(data[0]);
+  }
+  return claimed;
+}
+
+function failedResult(item, message) {
+  return { kinguinId: item.item_key, status: "error", reason: "max_attempts", message };
+}
+
+/**
+ * Cierra un intento del ítem. Con ownLease solo se escribe si el lease sigue siendo de este worker.
+ */
+async function settleItem(item, workerId, updates, { ownLease = true } = {}) {
+  let query = supabase
+    .from("job_items")
+    .update({
+      ...updates,
+      locked_by: null,
+      lease_expires_at: null,
+      finished_at: updates.status === ITEM_STATUS.PENDING ? null : new Date().toISOString(),
+    })
+    .eq("id", item.id);
+  if (ownLease) query = query.eq("locked_by", workerId);
+
+  const { error } = await query;
+  if (error) console.error(`[Cola] ❌ No se pudo guardar el ítem ${item.item_key}: ${error.message}`);
+}
+
+/**
+ * Ejecuta un intento del ítem. Al vencer el timeout el intento se da por fallido y se aborta la señal
+ * que recibe processItem: el handler no sigue corriendo sin control, debe revisarla antes de efectos
+ * visibles (publicar en ML) para no duplicarlos con el reintento.
+ */
+async function runItem(item, handler, context, job, workerId) {
+  const timeoutMs = handler.itemTimeoutMs || DEFAULT_ITEM_TIMEOUT_MS;
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Timeout: el ítem tomó más de ${timeoutMs / 1000} segundos`);
+      controller.abort(error);
+      reject(error);
+    }, timeoutMs);
+  });
+
+  try {
+    const result = await Promise.race([handler.processItem(item.item_key, context, job, { signal: controller.signal }), timeout]);
+    await settleItem(item, workerId, { status: ITEM_STATUS.DONE, result, last_error: null });
+  } catch (error) {
+    const message = error.response?.data?.message || error.message;
+    if (item.attempts >= MAX_ITEM_ATTEMPTS) {
+      await settleItem(item, workerId, { status: ITEM_STATUS.FAILED, result: failedResult(item, message), last_error: message });
+    } else {
+      console.warn(`[Cola] ⚠️ Ítem ${item.item_key} del job ${job.id} falló (intento ${item.attempts}/${MAX_ITEM_ATTEMPTS}): ${message}`);
+      await settleItem(item, workerId, { status: ITEM_STATUS.PENDING, run_after: retryAt(item.attempts), last_error: message });
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Renueva el lease del job y de los ítems en curso mientras el worker trabaja.
+ * @returns {() => void} Función que detiene el heartbeat.
+ */
+function startHeartbeat(job, workerId, inFlight) {
+  const timer = setInterval(async () => {
+    try {
+      const lease = leaseUntil();
+      await supabase.from("jobs")
+        .update({ lease_expires_at: lease, heartbeat_at: new Date().toISOString() })
+        .eq("id", job.id)
+        .eq("locked_by", workerId);
+      if (inFlight.size > 0) {
+        await supabase.from("job_items")
+          .update({ lease_expires_at: lease })
+          .in("id", [...inFlight])
+          .eq("locked_by", workerId);
+      }
+    } catch (error) {
+      console.warn(`[Cola] ⚠️ Heartbeat del job ${job.id} falló: ${error.message}`);
+    }
+  }, HEARTBEAT_MS);
+  return () => clearInterval(timer);
+}
+
+/**
+ * Ítems del job en los estados pedidos, en el orden en que se encolaron.
+ */
+async function loadItems(jobId, statuses, columns) {
+  const items = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from("job_items")
+      .select(columns)
+      .eq("job_id", jobId)
+      .in("status", statuses)
+      .order("position", { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw new Error(`Error al leer los ítems del job ${jobId}: ${error.message}`);
+    items.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return items;
+  }
+}
+
+/**
+ * Resultados de los ítems terminados, en el orden en que se encolaron.
+ */
+async function loadItemResults(jobId) {
+  const items = await loadItems(jobId, [ITEM_STATUS.DONE, ITEM_STATUS.FAILED], "result");
+  return items.map(item => item.result);
+}
+
+async function countOpenItems(jobId) {
+  const { count, error } = await supabase
+    .from("job_items")
+    .select("id", { count: "exact", head: true })
+    .eq("job_id", jobId)
+    .in("status", [ITEM_STATUS.PENDING, ITEM_STATUS.RUNNING]);
+  if (error) throw new Error(`Error al contar los ítems del job ${jobId}: ${error.message}`);
+  return count || 0;
+}
+
+async function currentQueueStatus(jobId) {
+  const { data, error } = await supabase.from("jobs").select("status").eq("id", jobId).maybeSingle();
+  if (error) throw new Error(`Error al consultar el job ${jobId}: ${error.message}`);
+  return data?.status || null;
+}
+
+async function updateQueueJob(job, workerId, updates) {
+  await supabase.from("jobs")
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq("id", job.id)
+    .eq("locked_by", workerId);
+}
+
+/**
+ * Un fallo al preparar el job (token vencido, credenciales) se reintenta con backoff;
+ * tras MAX_JOB_ATTEMPTS el job queda fallido en jobs y en job_logs.
+ */
+async function registerJobFailure(job, workerId, error) {
+  const attempts = (job.attempts || 0) + 1;
+  const message = error.response?.data?.message || error.message;
+  const exhausted = attempts >= MAX_JOB_ATTEMPTS;
+
+  await updateQueueJob(job, workerId, {
+    attempts,
+    last_error: message,
+    ...(exhausted && { status: QUEUE_STATUS.FAILED }),
+    run_after: exhausted ? null : retryAt(attempts),
+    finished_at: exhausted ? new Date().toISOString() : null,
+    locked_by: null,
+    lease_expires_at: null,
+  });
+
+  if (exhausted) {
+    await failJob(job.id, new Error(message));
+    await logActivity(`Job ${job.type} fallido tras ${attempts} intentos: ${message}`, "error", { attempts }, job.id);
+  } else {
+    await logActivity(`Job ${job.type} no pudo iniciar (intento ${attempts}/${MAX_JOB_ATTEMPTS}): ${message}`, "warning", { attempts }, job.id);
+  }
+  return exhausted ? QUEUE_STATUS.FAILED : job.status;
+}
+
+/**
+ * Cierra el job completado. Devuelve false si lo pausaron o cancelaron justo al terminar:
+ * el cambio de estado es condicional, así solo uno de los dos cierres escribe en job_logs.
+ */
+async function finishJob(job, handler, context, workerId) {
+  const results = await loadItemResults(job.id);
+  const summary = handler.finalize ? await handler.finalize(job, results, context) : countByStatus(results);
+
+  const now = new Date().toISOString();
+  const { data, error } = await supabase.from("jobs")
+    .update({ status: QUEUE_STATUS.COMPLETED, finished_at: now, locked_by: null, lease_expires_at: null, updated_at: now })
+    .eq("id", job.id)
+    .eq("locked_by", workerId)
+    .in("status", OPEN_STATUSES)
+    .select("id");
+  if (error) throw new Error(`Error al cerrar el job ${job.id}: ${error.message}`);
+  if (!data?.[0]) return false;
+
+  await completeJob(job.id, summary, results);
+  return true;
+}
+
+/**
+ * Cierra un job cancelado: los ítems sin empezar quedan cancelados y job_logs guarda qué IDs se
+ * procesaron y cuáles no. Si todavía hay ítems en curso devuelve null; el worker que los tiene
+ * vuelve a llamarla al soltarlos (o el barrido del tick, si ese worker murió).
+ * @returns {Promise<{processed_ids: string[], remaining_ids: string[]}|null>}
+ */
+async function settleCancellation(job) {
+  const now = new Date().toISOString();
+  // Los ítems sin empezar, y los que quedaron tomados por un worker caído, ya no se procesan
+  const { error } = await supabase.from("job_items")
+    .update({ status: ITEM_STATUS.CANCELLED, locked_by: null, lease_expires_at: null, finished_at: now })
+    .eq("job_id", job.id)
+    .or(`status.eq.${ITEM_STATUS.PENDING},and(status.eq.${ITEM_STATUS.RUNNING},lease_expires_at.lt.${now})`);
+  if (error) throw new Error(`Error al cancelar los ítems del job ${job.id}: ${error.message}`);
+
+  const { count, error: countError } = await supabase
+    .from("job_items")
+    .select("id", { count: "exact", head: true })
+    .eq("job_id", job.id)
+    .eq("status", ITEM_STATUS.RUNNING);
+  if (countError) throw new Error(`Error al contar los ítems del job ${job.id}: ${countError.message}`);
+  if (count > 0) return null;
+
+  // La ruta, el worker y el barrido pueden llegar a la vez: solo el que marca finished_at escribe el informe
+  const { data: settled, error: settleError } = await supabase.from("jobs")
+    .update({ finished_at: now, locked_by: null, lease_expires_at: null, updated_at: now })
+    .eq("id", job.id)
+    .eq("status", QUEUE_STATUS.CANCELLED)
+    .is("finished_at", null)
+    .select("id");
+  if (settleError) throw new Error(`Error al cerrar el job ${job.id}: ${settleError.message}`);
+  if (!settled?.[0]) return null;
+
+  const items = await loadItems(job.id, [ITEM_STATUS.DONE, ITEM_STATUS.FAILED, ITEM_STATUS.CANCELLED], "item_key, status, result");
+  const processed = items.filter(item => item.status !== ITEM_STATUS.CANCELLED);
+  const report = {
+    processed_ids: processed.map(item => item.item_key),
+    remaining_ids: items.filter(item => item.status === ITEM_STATUS.CANCELLED).map(item => item.item_key),
+  };
+  const results = processed.map(item => item.result);
+
+  await cancelJob(job.id, { ...countByStatus(results), type: job.type, ...report }, results);
+  await logActivity(
+    `Job ${job.type} cancelado: ${report.processed_ids.length} procesados, ${report.remaining_ids.length} sin procesar`,
+    "warning",
+    { processed: report.processed_ids.length, remaining: report.remaining_ids.length },
+    job.id
+  );
+  return report;
+}
+
+/**
+ * Cierra las cancelaciones que quedaron esperando a un worker que murió con ítems en curso.
+ */
+async function settleAbandonedCancellations() {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from("jobs")
+    .select("id, type")
+    .eq("status", QUEUE_STATUS.CANCELLED)
+    .is("finished_at", null)
+    .or(`lease_expires_at.is.null,lease_expires_at.lt.${now}`)
+    .limit(20);
+  if (error) throw new Error(`Error al consultar los jobs cancelados: ${error.message}`);
+  for (const job of data || []) await settleCancellation(job);
+}
+
+/**
+ * Procesa ítems del job hasta que no queden, se acabe el tiempo del tick o lo pausen o cancelen.
+ * Si quedan ítems, libera el lease para que el próximo tick (de este u otro worker) siga desde ahí.
+ */
+async function runJob(job, handler, { workerId, deadline }) {
+  let context;
+  try {
+    context = handler.prepare ? await handler.prepare(job) : {};
+  } catch (error) {
+    const status = await registerJobFailure(job, workerId, error);
+    return { id: job.id, type: job.type, status, processed: 0, error: error.message };
+  }
+
+  const concurrency = context?.concurrency || handler.concurrency || DEFAULT_CONCURRENCY;
+  const inFlight = new Set();
+  const stopHeartbeat = startHeartbeat(job, workerId, inFlight);
+  let processed = 0;
+  let progressAt = Date.now();
+  let progressPending = false;
+
+  try {
+    while (Date.now() < deadline) {
+      // Pausa o cancelación pedida desde /api/jobs/[id]: los ítems en curso terminan y no se toman más
+      if (STOP_STATUSES.includes(await currentQueueStatus(job.id))) break;
+
+      const items = await claimItems(job, workerId, concurrency);
+      if (items.length === 0) break;
+
+      items.forEach(item => inFlight.add(item.id));
+      await Promise.all(items.map(item => runItem(item, handler, context, job, workerId)));
+      items.forEach(item => inFlight.delete(item.id));
+      processed += items.length;
+      progressPending = true;
+
+      // Cargar todos los resultados tras cada lote haría el job cuadrático: se refresca por intervalo
+      if (Date.now() - progressAt >= PROGRESS_INTERVAL_MS) {
+        await updateJobProgress(job.id, await loadItemResults(job.id));
+        progressAt = Date.now();
+        progressPending = false;
+      }
+    }
+
+    const remaining = await countOpenItems(job.id);
+    if (remaining === 0 && await finishJob(job, handler, context, workerId)) {
+      return { id: job.id, type: job.type, status: QUEUE_STATUS.COMPLETED, processed, remaining };
+    }
+    // El job sigue en otro tick (o lo pausaron): el panel queda con el avance de este
+    if (progressPending) await updateJobProgress(job.id, await loadItemResults(job.id));
+
+    const status = await currentQueueStatus(job.id);
+    if (status === QUEUE_STATUS.CANCELLED) {
+      await settleCancellation(job);
+      return { id: job.id, type: job.type, status, processed, remaining: 0 };
+    }
+
+    await updateQueueJob(job, workerId, { locked_by: null, lease_expires_at: null });
+    return { id: job.id, type: job.type, status: status === QUEUE_STATUS.PAUSED ? status : QUEUE_STATUS.RUNNING, processed, remaining };
+  } catch (error) {
+    // Error de la cola misma (Supabase): el lease vence solo y otro tick retoma
+    console.error(`[Cola] ❌ Error procesando el job ${job.id}: ${error.message}`);
+    return { id: job.id, type: job.type, status: job.status, processed, error: error.message };
+  } finally {
+    stopHeartbeat();
+  }
+}
+
+/**
+ * Un tick del worker: toma jobs de la cola y procesa sus ítems hasta agotar el presupuesto de tiempo.
+ * Lo llaman el cron /api/cron/job-worker y el proceso de larga duración scripts/job-worker.js.
+ * @param {object} options
+ * @param {Record<string, {prepare?: Function, processItem: Function, finalize?: Function, concurrency?: number, itemTimeoutMs?: number}>} options.handlers
+ *   Handler por tipo de job (lib/job-handlers.js). processItem(itemKey, context, job, { signal }) recibe una
+ *   AbortSignal que se aborta cuando el ítem pasa itemTimeoutMs.
+ * @param {string} options.workerId - Dueño de los leases.
+ * @param {number} options.budgetMs - Tiempo para tomar ítems nuevos.
+ * @returns {Promise<{worker_id: string, jobs: object[]}>}
+ */
+export async function runWorkerTick({ handlers, workerId = DEFAULT_WORKER_ID, budgetMs = DEFAULT_TICK_BUDGET_MS } = {}) {
+  const deadline = Date.now() + budgetMs;
+  const visited = new Set();
+  const jobs = [];
+
+  await settleAbandonedCancellations();
+
+  while (Date.now() < deadline) {
+    const job = await claimJob(workerId, Object.keys(handlers), visited);
+    if (!job) break;
+    visited.add(job.id);
+    jobs.push(await runJob(job, handlers[job.type], { workerId, deadline }));
+  }
+
+  return { worker_id: workerId, jobs };
+}
@@ -1,29 +1,45 @@
 import { createClient } from "@supabase/supabase-js";
+import { recordAudit } from "./auth";
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
+// Estados de job_logs. paused y cancelled los ponen /api/jobs/[id]/pause y /cancel (lib/job-queue.js)
+export const JOB_STATUS = {
+  RUNNING: "running",
+  PAUSED: "paused",
+  COMPLETED: "completed",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
 /**
  * Crea una nueva entrada de trabajo en la base de datos.
  * @param {string} jobType - El tipo de trabajo (ej. 'add-product').
  * @param {string[]} kinguinIds - Los IDs que se procesarán.
+ * @param {object} options
+ * @param {{sub: string, email: string, role: string}|null} options.triggeredBy - Usuario que lo lanzó (getRequestUser)
+ * @param {string|null} options.accountId - Cuenta de ML sobre la que trabaja (lib/ml-accounts.js)
  * @returns {Promise<string>} El ID del trabajo creado.
  */
-export async function createJob(jobType, kinguinIds) {
+export async function createJob(jobType, kinguinIds, { triggeredBy = null, accountId = null } = {}) {
   const { data, error } = await supabase
     .from("job_logs")
     .insert({
-      status: "running",
+      status: JOB_STATUS.RUNNING,
       total_products: kinguinIds.length,
       summary: { type: jobType },
       details: { initial_ids: kinguinIds },
+      triggered_by: triggeredBy?.email || null,
+      account_id: accountId,
     })
     .select("id")
     .single();
 
   if (error) throw new Error(`Error al crear el job en Supabase: ${error.message}`);
+  await recordAudit(triggeredBy, `job:${jobType}`, { job_id: data.id, total: kinguinIds.length, account_id: accountId });
   return data.id;
 }
 
@@ -55,7 +71,7 @@ export async function completeJob(jobId, summary, results) {
   const finalSummary = { ...summary, total: results.length };
   await supabase.from("job_logs")
     .update({
-      status: "completed",
+      status: JOB_STATUS.COMPLETED,
       summary: finalSummary,
       results,
       finished_at: new Date().toISOString(),
@@ -65,6 +81,32 @@ export async function completeJob(jobId, summary, results) {
 
 export async function failJob(jobId, error) {
   await supabase.from("job_logs")
-    .update({ status: "failed", summary: { error: error.message } })
+    .update({ status: JOB_STATUS.FAILED, summary: { error: error.message } })
+    .eq("id", jobId);
+}
+
+/**
+ * Cambia el estado visible de un trabajo que sigue abierto (running ↔ paused).
+ * @param {string} jobId - El ID del trabajo.
+ * @param {string} status - JOB_STATUS.RUNNING o JOB_STATUS.PAUSED.
+ */
+export async function setJobStatus(jobId, status) {
+  await supabase.from("job_logs").update({ status }).eq("id", jobId);
+}
+
+/**
+ * Cierra un trabajo cancelado con los resultados de lo que alcanzó a procesar.
+ * @param {string} jobId - El ID del trabajo cancelado.
+ * @param {object} summary - El resumen, con los IDs procesados y los que quedaron sin procesar.
+ * @param {object[]} results - Los resultados de los productos procesados.
+ */
+export async function cancelJob(jobId, summary, results) {
+  await supabase.from("job_logs")
+    .update({
+      status: JOB_STATUS.CANCELLED,
+      summary: { ...summary, total: results.length },
+      results,
+      finished_at: new Date().toISOString(),
+    })
     .eq("id", jobId);
-}
\ No newline at end of file
+}
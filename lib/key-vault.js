@@ -0,0 +1,150 @@
+import crypto from "crypto";
+import { createClient } from "@supabase/supabase-js";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const ALGORITHM = "aes-256-gcm";
+const IV_LENGTH = 12; // Tamaño recomendado para GCM
+const FORMAT_VERSION = "v1";
+
+/**
+ * Obtiene la clave de cifrado desde KEY_VAULT_SECRET (32 bytes en base64).
+ * Generar con: node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+ */
+function getVaultKey() {
+  const secret = process.env.KEY_VAULT_SECRET;
+  if (!secret) {
+    throw new Error("Falta KEY_VAULT_SECRET en variables de entorno");
+  }
+
+  const key = Buffer.from(secret, "base64");
+  if (key.length !== 32) {
+    throw new Error("KEY_VAULT_SECRET debe ser de 32 bytes codificados en base64");
+  }
+  return key;
+}
+
+/**
+ * Cifra una key con AES-256-GCM.
+ * @param {string} plainKey - La key de activación en texto plano.
+ * @returns {string} "v1:<iv>:<authTag>:<ciphertext>" en base64.
+ */
+export function encryptKey(plainKey) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getVaultKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plainKey), "utf8"), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return [FORMAT_VERSION, iv.toString("base64"), authTag.toString("base64"), ciphertext.toString("base64")].join(":");
+}
+
+/**
+ * Descifra una key guardada con encryptKey. Lanza error si el contenido fue alterado.
+ * @param {string} payload - Valor de la columna encrypted_key.
+ * @returns {string} La key en texto plano.
+ */
+export function decryptKey(payload) {
+  const [version, iv, authTag, ciphertext] = String(payload).split(":");
+  if (version !== FORMAT_VERSION || !iv || !authTag || !ciphertext) {
+    throw new Error("Formato de key cifrada no reconocido");
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getVaultKey(), Buffer.from(iv, "base64"));
+  decipher.setAuthTag(Buffer.from(authTag, "base64"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+}
+
+// HMAC en vez de hash plano para que la columna no sirva para verificar keys sin la clave del vault
+function hashKey(plainKey) {
+  return crypto.createHmac("sha256", getVaultKey()).update(String(plainKey)).digest("hex");
+}
+
+/**
+ * Guarda cifradas las keys de una orden. Es idempotente: reintentar con las mismas keys no duplica filas.
+ * @param {object} order - Fila de la tabla orders.
+ * @param {Array<{item: object, keys: string[]}>} deliveries - Keys agrupadas por ítem de la orden.
+ */
+export async function storeOrderKeys(order, deliveries) {
+  const rows = deliveries.flatMap(({ item, keys }) => keys.map(plainKey => ({
+    order_id: order.id,
+    ml_order_id: order.ml_order_id,
+    buyer_id: order.buyer_id,
+    ml_item_id: item.ml_item_id,
+    item_title: item.title,
+    kinguin_product_id: item.kinguin_product_id,
+    kinguin_order_id: item.kinguin_order_id,
+    encrypted_key: encryptKey(plainKey),
+    key_hash: hashKey(plainKey),
+  })));
+
+  if (rows.length === 0) return;
+
+  const { error } = await supabase
+    .from("key_vault")
+    .upsert(rows, { onConflict: "order_id,key_hash", ignoreDuplicates: true });
+
+  if (error) throw new Error(`Error guardando keys en el vault: ${error.message}`);
+}
+
+/**
+ * Obtiene y descifra las keys de una orden, agrupadas por ítem.
+ * @param {string} orderId - ID interno de la orden.
+ * @returns {Promise<Array<{title: string, kinguinProductId: string|null, keys: string[], vaultIds: string[]}>>}
+ */
+export async function getOrderKeys(orderId) {
+  const { data, error } = await supabase
+    .from("key_vault")
+    .select("id, ml_item_id, item_title, kinguin_product_id, encrypted_key")
+    .eq("order_id", orderId)
+    .order("created_at", { ascending: true });
+
+  if (error) throw new Error(`Error leyendo keys del vault: ${error.message}`);
+
+  const groups = new Map();
+  for (const row of data || []) {
+    const groupKey = row.ml_item_id || row.item_title;
+    const group = groups.get(groupKey) || { title: row.item_title, kinguinProductId: row.kinguin_product_id, keys: [], vaultIds: [] };
+    group.keys.push(decryptKey(row.encrypted_key));
+    group.vaultIds.push(row.id);
+    groups.set(groupKey, group);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Registra un envío (o reenvío) de las keys al comprador.
+ * @param {string[]} vaultIds - IDs de las filas del vault enviadas.
+ * @param {object} guides - vaultId → guía de activación enviada junto a la key ({ id, version }).
+ */
+export async function markKeysDelivered(vaultIds, guides = {}) {
+  if (!vaultIds?.length) return;
+
+  const now = new Date().toISOString();
+  const { data: rows } = await supabase
+    .from("key_vault")
+    .select("id, delivery_count, first_delivered_at")
+    .in("id", vaultIds);
+
+  for (const row of rows || []) {
+    const guide = guides[row.id];
+    await supabase.from("key_vault")
+      .update({
+        delivery_count: (row.delivery_count || 0) + 1,
+        first_delivered_at: row.first_delivered_at || now,
+        last_delivered_at: now,
+        // Versión 0 = guía del código (DEFAULT_ACTIVATION_GUIDES) de esa plataforma
+        ...(guide && {
+          activation_guide_id: guide.id,
+          activation_guide_platform: guide.platform,
+          activation_guide_version: guide.version,
+        }),
+      })
+      .eq("id", row.id);
+  }
+}
@@ -0,0 +1,450 @@
+import crypto from "crypto";
+import { createClient } from "@supabase/supabase-js";
+import { getKinguinProduct, logActivity, postPlainDescription } from "../pages/api/_logic";
+import { axiosWithSmartRetry } from "../pages/api/_http-utils";
+import { PRIMARY_SITE_ID, getSiteAccessToken, getSiteProfile } from "./ml-sites";
+import { TEMPLATE_KINDS, markRendered, renderListing, sanitizeTemplate, saveTemplate } from "./listing-templates";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const MAX_SAMPLE_SIZE = 500;
+const SIGNIFICANCE_LEVEL = 0.05;
+
+export const EXPERIMENT_STATUS = {
+  RUNNING: "running",
+  COMPLETED: "completed",
+  CANCELLED: "cancelled",
+};
+
+// ---------- Estadística ----------
+
+// Aproximación de Abramowitz y Stegun (7.1.26), error < 1.5e-7
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Conversión (ventas / visitas) por variante y test z de dos proporciones de cada una contra el control.
+ * Función pura.
+ * @param {Array<{id: string, name: string, is_control: boolean, visits: number, sales: number}>} variants
+ * @returns {object[]} Variantes con conversion, lift, z, p_value y significant
+ */
+export function compareVariants(variants) {
+  const control = variants.find(v => v.is_control) || variants[0];
+  const rate = v => (v.visits > 0 ? v.sales / v.visits : 0);
+  const controlRate = rate(control);
+
+  return variants.map(variant => {
+    const conversion = rate(variant);
+    const result = { ...variant, conversion, lift: null, z: null, p_value: null, significant: false };
+    if (variant === control || variant.visits === 0 || control.visits === 0) return result;
+
+    const pooled = (variant.sales + control.sales) / (variant.visits + control.visits);
+    const se = Math.sqrt(pooled * (1 - pooled) * (1 / variant.visits + 1 / control.visits));
+    if (se === 0) return result;
+
+    const z = (conversion - controlRate) / se;
+    const pValue = 2 * (1 - normalCdf(Math.abs(z)));
+    return {
+      ...result,
+      lift: controlRate > 0 ? (conversion - controlRate) / controlRate : null,
+      z: Number(z.toFixed(3)),
+      p_value: Number(pValue.toFixed(4)),
+      significant: pValue < SIGNIFICANCE_LEVEL,
+    };
+  });
+}
+
+// ---------- Aplicar textos en ML ----------
+
+/**
+ * Publica en ML el título o la descripción que le toca hoy a la publicación
+ * (variante del experimento en curso o plantilla activa).
+ */
+async function applyListingContent(assignment, kind, token) {
+  const product = await getKinguinProduct(assignment.kinguin_id, { KINGUIN_API_KEY: process.env.KINGUIN_API_KEY });
+  const { title, description, templates } = await renderListing(product, {
+    siteId: assignment.site_id,
+    kinguinId: assignment.kinguin_id,
+  });
+
+  if (kind === "title") {
+    await axiosWithSmartRetry(
+      `https://api.mercadolibre.com/items/${assignment.ml_id}`,
+      { title },
+      { method: "put", headers: { Authorization: `Bearer ${token}` }, retries: 3 }
+    );
+  } else {
+    await postPlainDescription(assignment.ml_id, description, token, product);
+    await markRendered(assignment, templates.description);
+  }
+}
+
+async function applyToAssignments(experiment, assignments) {
+  const token = await getSiteAccessToken(await getSiteProfile(experiment.site_id));
+  if (!token) throw new Error(`No hay token de MercadoLibre para ${experiment.site_id}`);
+
+  const summary = { applied: 0, excluded: 0, errors: [] };
+  for (const assignment of assignments) {
+    try {
+      await applyListingContent(assignment, experiment.kind, token);
+      summary.applied++;
+    } catch (err) {
+      const message = err.response?.data?.message || err.message;
+      summary.errors.push({ kinguin_id: assignment.kinguin_id, error: message });
+      // ML no deja cambiar el título de algunas publicaciones con ventas: se sacan del experimento
+      if (experiment.status === EXPERIMENT_STATUS.RUNNING) {
+        await supabase.from("listing_experiment_assignments")
+          .update({ status: "excluded", last_error: message })
+          .eq("id", assignment.id);
+        summary.excluded++;
+      }
+    }
+  }
+  return summary;
+}
+
+// ---------- Experimentos ----------
+
+async function getExperiment(id) {
+  const { data, error } = await supabase
+    .from("listing_experiments")
+    .select("*, variants:listing_experiment_variants(*)")
+    .eq("id", id)
+    .maybeSingle();
+  if (error) throw new Error(`Error al leer el experimento: ${error.message}`);
+  if (!data) throw new Error(`Experimento ${id} no encontrado`);
+  return data;
+}
+
+async function getAssignments(experimentId, { status = null } = {}) {
+  let query = supabase
+    .from("listing_experiment_assignments")
+    .select("*")
+    .eq("experiment_id", experimentId);
+  if (status) query = query.eq("status", status);
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Error al leer asignaciones: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Normaliza y valida un experimento antes de crearlo. Lanza error si algún valor es inválido.
+ */
+export function sanitizeExperiment(input) {
+  const { name, kind, variants = [], site_id = PRIMARY_SITE_ID, product_type = null, platform = null } = input;
+
+  if (!name) throw new Error("El experimento necesita un nombre");
+  if (!TEMPLATE_KINDS.includes(kind)) throw new Error(`kind debe ser uno de: ${TEMPLATE_KINDS.join(", ")}`);
+  if (!Array.isArray(variants) || variants.length === 0) throw new Error("Se necesita al menos una variante además del control");
+  variants.forEach((variant, i) => {
+    if (!variant.name) throw new Error(`La variante ${i + 1} necesita un nombre`);
+    sanitizeTemplate({ kind, body: variant.body });
+  });
+
+  return {
+    name,
+    kind,
+    variants,
+    site_id,
+    product_type,
+    platform,
+    sample_size: Math.min(Number.parseInt(input.sample_size, 10) || 100, MAX_SAMPLE_SIZE),
+  };
+}
+
+/**
+ * Crea un experimento con una variante de control (la plantilla activa) más las variantes dadas.
+ * @param {object} input
+ * @param {string} input.name
+ * @param {string} input.kind - title o description
+ * @param {Array<{name: string, body: string}>} input.variants - Variantes a probar contra el control
+ * @param {string} input.site_id - Sitio (por defecto MLC)
+ * @param {string|null} input.product_type - Limitar a un tipo de producto
+ * @param {string|null} input.platform - Limitar a una plataforma (normalizePlatform)
+ * @param {number} input.sample_size - Publicaciones a asignar
+ */
+export async function createExperiment(input) {
+  const { name, kind, variants, site_id, product_type, platform, sample_size } = sanitizeExperiment(input);
+
+  const { data: experiment, error } = await supabase
+    .from("listing_experiments")
+    .insert({ name, kind, site_id, product_type, platform, sample_size, status: EXPERIMENT_STATUS.RUNNING })
+    .select("*")
+    .single();
+  if (error) throw new Error(`Error al crear el experimento: ${error.message}`);
+
+  const { error: variantsError } = await supabase
+    .from("listing_experiment_variants")
+    .insert([
+      { experiment_id: experiment.id, name: "control", is_control: true, body: null },
+      ...variants.map(v => ({ experiment_id: experiment.id, name: v.name, is_control: false, body: String(v.body).trim() })),
+    ]);
+  if (variantsError) throw new Error(`Error al guardar variantes: ${variantsError.message}`);
+
+  return getExperiment(experiment.id);
+}
+
+// Orden pseudoaleatorio pero estable por experimento, para repartir sin sesgo por antigüedad
+function assignmentOrder(experimentId, kinguinId) {
+  return crypto.createHash("md5").update(`${experimentId}:${kinguinId}`).digest("hex");
+}
+
+/**
+ * Asigna publicaciones activas del alcance del experimento a sus variantes (reparto parejo)
+ * y publica el texto de cada variante. Excluye publicaciones que ya están en otro experimento
+ * en curso del mismo kind. Se puede llamar de nuevo para completar sample_size.
+ * @param {string} experimentId
+ * @param {object} options
+ * @param {number} options.limit - Publicaciones a asignar en esta llamada.
+ */
+export async function assignListings(experimentId, { limit = 50 } = {}) {
+  const experiment = await getExperiment(experimentId);
+  if (experiment.status !== EXPERIMENT_STATUS.RUNNING) throw new Error("El experimento no está en curso");
+
+  const existing = await getAssignments(experimentId);
+  const pending = Math.min(limit, experiment.sample_size - existing.length);
+  if (pending <= 0) return { assigned: 0, applied: 0, excluded: 0, errors: [] };
+
+  const { data: busy } = await supabase
+    .from("listing_experiment_assignments")
+    .select("kinguin_id, experiment:listing_experiments!inner(kind, status)")
+    .eq("site_id", experiment.site_id)
+    .eq("status", "active")
+    .eq("experiment.kind", experiment.kind)
+    .eq("experiment.status", EXPERIMENT_STATUS.RUNNING);
+  const taken = new Set((busy || []).map(row => String(row.kinguin_id)));
+
+  let query = supabase
+    .from("published_products")
+    .select("kinguin_id, ml_id, site_id")
+    .eq("site_id", experiment.site_id)
+    .eq("status", "active")
+    .not("ml_id", "is", null);
+  if (experiment.product_type) query = query.eq("product_type", experiment.product_type);
+  if (experiment.platform) query = query.eq("platform", experiment.platform);
+
+  const { data: listings, error } = await query.limit(experiment.sample_size * 4);
+  if (error) throw new Error(`Error leyendo published_products: ${error.message}`);
+
+  const candidates = (listings || [])
+    .filter(l => !taken.has(String(l.kinguin_id)))
+    .sort((a, b) => assignmentOrder(experimentId, a.kinguin_id).localeCompare(assignmentOrder(experimentId, b.kinguin_id)))
+    .slice(0, pending);
+
+  // Round robin a partir de lo ya asignado, para mantener los grupos del mismo tamaño
+  const variants = [...experiment.variants].sort((a, b) => Number(b.is_control) - Number(a.is_control) || a.name.localeCompare(b.name));
+  const rows = candidates.map((listing, i) => ({
+    experiment_id: experimentId,
+    variant_id: variants[(existing.length + i) % variants.length].id,
+    kinguin_id: String(listing.kinguin_id),
+    site_id: listing.site_id,
+    ml_id: listing.ml_id,
+    status: "active",
+    assigned_at: new Date().toISOString(),
+  }));
+  if (rows.length === 0) return { assigned: 0, applied: 0, excluded: 0, errors: [] };
+
+  const { data: inserted, error: insertError } = await supabase
+    .from("listing_experiment_assignments")
+    .insert(rows)
+    .select("*");
+  if (insertError) throw new Error(`Error al asignar publicaciones: ${insertError.message}`);
+
+  const summary = await applyToAssignments(experiment, inserted);
+  console.log(`[Experimentos] 🧪 ${experiment.name}: ${inserted.length} publicaciones asignadas, ${summary.excluded} excluidas`);
+  return { assigned: inserted.length, ...summary };
+}
+
+// ---------- Métricas ----------
+
+const sellerIds = new Map();
+
+async function getSellerId(token) {
+  if (sellerIds.has(token)) return sellerIds.get(token);
+  const { data } = await axiosWithSmartRetry(
+    "https://api.mercadolibre.com/users/me",
+    null,
+    { method: "get", headers: { Authorization: `Bearer ${token}` }, retries: 2 }
+  );
+  sellerIds.set(token, data.id);
+  return data.id;
+}
+
+async function fetchVisits(mlId, since, token) {
+  const { data } = await axiosWithSmartRetry(
+    `https://api.mercadolibre.com/items/${mlId}/visits`,
+    null,
+    {
+      method: "get",
+      headers: { Authorization: `Bearer ${token}` },
+      params: { date_from: since, date_to: new Date().toISOString() },
+      retries: 2,
+    }
+  );
+  return Number(data?.total_visits) || 0;
+}
+
+async function fetchSales(mlId, since, sellerId, token) {
+  const { data } = await axiosWithSmartRetry(
+    "https://api.mercadolibre.com/orders/search",
+    null,
+    {
+      method: "get",
+      headers: { Authorization: `Bearer ${token}` },
+      params: { seller: sellerId, item: mlId, "order.status": "paid", "order.date_created.from": since, limit: 1 },
+      retries: 2,
+    }
+  );
+  return Number(data?.paging?.total) || 0;
+}
+
+/**
+ * Actualiza visitas y ventas desde la asignación de cada publicación de los experimentos en curso.
+ * Se procesan primero las asignaciones con métricas más antiguas.
+ * @returns {Promise<{updated: number, errors: number}>}
+ */
+export async function refreshExperimentMetrics({ limit = 200 } = {}) {
+  const { data: assignments, error } = await supabase
+    .from("listing_experiment_assignments")
+    .select("id, ml_id, site_id, assigned_at, experiment:listing_experiments!inner(status)")
+    .eq("status", "active")
+    .eq("experiment.status", EXPERIMENT_STATUS.RUNNING)
+    .order("metrics_updated_at", { ascending: true, nullsFirst: true })
+    .limit(limit);
+  if (error) throw new Error(`Error al leer asignaciones: ${error.message}`);
+
+  const summary = { updated: 0, errors: 0 };
+  const tokens = {};
+  for (const assignment of assignments || []) {
+    try {
+      if (!tokens[assignment.site_id]) {
+        tokens[assignment.site_id] = await getSiteAccessToken(await getSiteProfile(assignment.site_id));
+      }
+      const token = tokens[assignment.site_id];
+      if (!token) throw new Error(`No hay token de MercadoLibre para ${assignment.site_id}`);
+
+      const sellerId = await getSellerId(token);
+      const [visits, sales] = await Promise.all([
+        fetchVisits(assignment.ml_id, assignment.assigned_at, token),
+        fetchSales(assignment.ml_id, assignment.assigned_at, sellerId, token),
+      ]);
+
+      await supabase.from("listing_experiment_assignments")
+        .update({ visits, sales, metrics_updated_at: new Date().toISOString(), last_error: null })
+        .eq("id", assignment.id);
+      summary.updated++;
+    } catch (err) {
+      const message = err.response?.data?.message || err.message;
+      console.error(`❌ Error leyendo métricas de ${assignment.ml_id}:`, message);
+      await supabase.from("listing_experiment_assignments")
+        .update({ metrics_updated_at: new Date().toISOString(), last_error: message })
+        .eq("id", assignment.id);
+      summary.errors++;
+    }
+  }
+  return summary;
+}
+
+/**
+ * Experimento con visitas, ventas y conversión por variante y la comparación contra el control.
+ */
+export async function getExperimentResults(experimentId) {
+  const experiment = await getExperiment(experimentId);
+  const assignments = await getAssignments(experimentId, { status: "active" });
+
+  const totals = experiment.variants.map(variant => {
+    const rows = assignments.filter(a => a.variant_id === variant.id);
+    return {
+      id: variant.id,
+      name: variant.name,
+      is_control: variant.is_control,
+      body: variant.body,
+      listings: rows.length,
+      visits: rows.reduce((sum, a) => sum + (Number(a.visits) || 0), 0),
+      sales: rows.reduce((sum, a) => sum + (Number(a.sales) || 0), 0),
+    };
+  });
+
+  const { variants, ...rest } = experiment;
+  return { ...rest, variants: compareVariants(totals), assigned: assignments.length };
+}
+
+export async function listExperiments({ status = null } = {}) {
+  let query = supabase
+    .from("listing_experiments")
+    .select("*")
+    .order("created_at", { ascending: false });
+  if (status) query = query.eq("status", status);
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Error al leer experimentos: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Cierra el experimento con una variante ganadora. Si no es el control, su texto se guarda como nueva
+ * versión de plantilla del alcance del experimento. Luego se vuelve a publicar el texto en todas las
+ * publicaciones del experimento, que desde ahora siguen la plantilla activa.
+ */
+export async function promoteVariant(experimentId, variantId) {
+  const experiment = await getExperiment(experimentId);
+  if (experiment.status !== EXPERIMENT_STATUS.RUNNING) throw new Error("El experimento no está en curso");
+  const winner = experiment.variants.find(v => v.id === variantId);
+  if (!winner) throw new Error(`La variante ${variantId} no es de este experimento`);
+
+  let template = null;
+  if (winner.body) {
+    template = await saveTemplate({
+      kind: experiment.kind,
+      product_type: experiment.product_type,
+      platform: experiment.platform,
+      site_id: experiment.site_id,
+      body: winner.body,
+      notes: `Ganadora del experimento "${experiment.name}" (${winner.name})`,
+    });
+  }
+
+  await closeExperiment(experiment, EXPERIMENT_STATUS.COMPLETED, variantId);
+  const summary = await applyToAssignments(
+    { ...experiment, status: EXPERIMENT_STATUS.COMPLETED },
+    await getAssignments(experimentId, { status: "active" })
+  );
+
+  await logActivity(`Experimento "${experiment.name}": gana ${winner.name}, aplicada a ${summary.applied} publicaciones`, "success", {
+    experiment_id: experimentId,
+    variant_id: variantId,
+    template_id: template?.id || null,
+    errors: summary.errors.length,
+  });
+  return { winner: winner.name, template, ...summary };
+}
+
+/**
+ * Cancela el experimento y devuelve sus publicaciones a la plantilla activa.
+ */
+export async function cancelExperiment(experimentId) {
+  const experiment = await getExperiment(experimentId);
+  if (experiment.status !== EXPERIMENT_STATUS.RUNNING) throw new Error("El experimento no está en curso");
+
+  await closeExperiment(experiment, EXPERIMENT_STATUS.CANCELLED, null);
+  return applyToAssignments(
+    { ...experiment, status: EXPERIMENT_STATUS.CANCELLED },
+    await getAssignments(experimentId, { status: "active" })
+  );
+}
+
+async function closeExperiment(experiment, status, winnerVariantId) {
+  const { error } = await supabase
+    .from("listing_experiments")
+    .update({ status, winner_variant_id: winnerVariantId, ended_at: new Date().toISOString() })
+    .eq("id", experiment.id);
+  if (error) throw new Error(`Error al cerrar el experimento: ${error.message}`);
+}
@@ -0,0 +1,391 @@
+import { createClient } from "@supabase/supabase-js";
+import {
+  DEFAULT_LISTING_TEMPLATES,
+  getProductType,
+  listingTemplateContext,
+  normalizePlatform,
+  postPlainDescription,
+  renderDescription,
+  renderTemplate,
+  renderTitle,
+  sanitizeDescriptionForML,
+  getKinguinProduct,
+  logActivity,
+} from "../pages/api/_logic";
+import { PRIMARY_SITE_ID, getSiteAccessToken, getSiteProfile } from "./ml-sites";
+import { getActivationGuide, lastGuideChange } from "./activation-guides";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const TEMPLATES_CACHE_TTL_MS = 60 * 1000;
+
+export const TEMPLATE_KINDS = ["title", "description"];
+
+// Placeholders válidos: las claves del contexto de cualquier producto
+export const TEMPLATE_PLACEHOLDERS = Object.keys(listingTemplateContext({}, "key"));
+
+let templatesCache = null;
+let templatesCachedAt = 0;
+
+/**
+ * Versiones activas de listing_templates. Si Supabase falla se usan solo las del código.
+ */
+async function getActiveTemplates() {
+  if (templatesCache && Date.now() - templatesCachedAt < TEMPLATES_CACHE_TTL_MS) return templatesCache;
+
+  const { data, error } = await supabase
+    .from("listing_templates")
+    .select("id, kind, product_type, platform, site_id, version, body")
+    .eq("active", true);
+
+  if (error) {
+    console.warn(`[Plantillas] ⚠️ No se pudieron cargar las plantillas, usando las del código: ${error.message}`);
+    return [];
+  }
+
+  templatesCache = data || [];
+  templatesCachedAt = Date.now();
+  return templatesCache;
+}
+
+export function invalidateTemplatesCache() {
+  templatesCache = null;
+}
+
+// Clave del alcance: una sola versión activa por combinación de tipo, plataforma y sitio
+function scopeKey({ kind, product_type, platform, site_id }) {
+  return [kind, product_type || "*", platform || "*", site_id || "*"].join(":");
+}
+
+/**
+ * Plantilla más específica que aplica: pesa más el tipo de producto, luego la plataforma, luego el sitio.
+ * Sin ninguna guardada se usa la del código (id null, versión 0). Función pura.
+ */
+export function selectTemplate(templates, kind, { productType, platform, siteId }) {
+  const score = t => (t.product_type ? 4 : 0) + (t.platform ? 2 : 0) + (t.site_id ? 1 : 0);
+  const best = templates
+    .filter(t => t.kind === kind
+      && (!t.product_type || t.product_type === productType)
+      && (!t.platform || t.platform === platform)
+      && (!t.site_id || t.site_id === siteId))
+    .sort((a, b) => score(b) - score(a))[0];
+
+  if (best) return best;
+  const defaults = DEFAULT_LISTING_TEMPLATES[kind];
+  return { id: null, kind, version: 0, body: defaults[productType] || defaults.key };
+}
+
+/**
+ * Variantes de experimentos en curso (lib/listing-experiments.js) asignadas a una publicación, por kind.
+ */
+async function experimentVariants(kinguinId, siteId) {
+  const { data, error } = await supabase
+    .from("listing_experiment_assignments")
+    .select("variant_id, variant:listing_experiment_variants(body), experiment:listing_experiments!inner(id, kind, status)")
+    .eq("kinguin_id", String(kinguinId))
+    .eq("site_id", siteId)
+    .eq("status", "active")
+    .eq("experiment.status", "running");
+
+  if (error) {
+    console.warn(`[Plantillas] ⚠️ No se pudieron leer experimentos de ${kinguinId}: ${error.message}`);
+    return {};
+  }
+  const variants = {};
+  for (const row of data || []) {
+    // Variante sin body = control: usa la plantilla activa
+    if (row.variant?.body) {
+      variants[row.experiment.kind] = { experiment_id: row.experiment.id, variant_id: row.variant_id, body: row.variant.body };
+    }
+  }
+  return variants;
+}
+
+/**
+ * Título y descripción de un producto de Kinguin con las plantillas activas del sitio.
+ * Con kinguinId, si la publicación participa en un experimento en curso se usa el texto de su variante.
+ * Las descripciones de plantillas guardadas pasan además por sanitizeDescriptionForML,
+ * ya que pueden traer links o precios que ML rechaza.
+ * @returns {Promise<{title: string, description: string, templates: {title: object, description: object}}>}
+ */
+export async function renderListing(product, { siteId = PRIMARY_SITE_ID, productType = getProductType(product), kinguinId = null, context = {} } = {}) {
+  const platform = normalizePlatform(product?.platform);
+  const [templates, variants, guide] = await Promise.all([
+    getActiveTemplates(),
+    kinguinId ? experimentVariants(kinguinId, siteId) : {},
+    getActivationGuide({ platform, productType }),
+  ]);
+  const scope = { productType, platform, siteId };
+  const titleTemplate = variants.title || selectTemplate(templates, "title", scope);
+  const descriptionTemplate = variants.description || selectTemplate(templates, "description", scope);
+  const values = listingTemplateContext(product, productType, { activationGuide: guide.body, ...context });
+
+  const description = renderDescription(descriptionTemplate.body, values);
+  const meta = t => t.variant_id
+    ? { id: null, version: null, experiment_id: t.experiment_id, variant_id: t.variant_id }
+    : { id: t.id, version: t.version };
+  return {
+    title: renderTitle(titleTemplate.body, values),
+    description: descriptionTemplate.id || descriptionTemplate.variant_id ? sanitizeDescriptionForML(description) : description,
+    templates: {
+      title: meta(titleTemplate),
+      description: meta(descriptionTemplate),
+    },
+  };
+}
+
+// ---------- Versiones ----------
+
+export function sanitizeTemplate(input) {
+  const template = {
+    kind: input.kind,
+    product_type: input.product_type || null,
+    platform: input.platform || null,
+    site_id: input.site_id || null,
+    body: String(input.body || "").trim(),
+    notes: input.notes || null,
+  };
+
+  if (!TEMPLATE_KINDS.includes(template.kind)) {
+    throw new Error(`kind debe ser uno de: ${TEMPLATE_KINDS.join(", ")}`);
+  }
+  if (!template.body) throw new Error("La plantilla no puede estar vacía");
+
+  const unknown = renderTemplate(template.body, {}).missing.filter(key => !TEMPLATE_PLACEHOLDERS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Placeholders desconocidos: ${unknown.join(", ")}. Disponibles: ${TEMPLATE_PLACEHOLDERS.join(", ")}`);
+  }
+  return template;
+}
+
+export async function listTemplates({ kind = null, includeInactive = false } = {}) {
+  let query = supabase
+    .from("listing_templates")
+    .select("*")
+    .order("scope_key")
+    .order("version", { ascending: false });
+  if (kind) query = query.eq("kind", kind);
+  if (!includeInactive) query = query.eq("active", true);
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Error al leer plantillas: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Guarda una nueva versión de la plantilla de su alcance y la deja activa.
+ * Las versiones anteriores se conservan para volver a ellas con activateTemplateVersion.
+ */
+export async function saveTemplate(input) {
+  const template = sanitizeTemplate(input);
+  const key = scopeKey(template);
+
+  const { data: latest } = await supabase
+    .from("listing_templates")
+    .select("version")
+    .eq("scope_key", key)
+    .order("version", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  const now = new Date().toISOString();
+  await supabase.from("listing_templates").update({ active: false, updated_at: now }).eq("scope_key", key).eq("active", true);
+
+  const { data, error } = await supabase
+    .from("listing_templates")
+    .insert({ ...template, scope_key: key, version: (latest?.version || 0) + 1, active: true, updated_at: now })
+    .select("*")
+    .single();
+  if (error) throw new Error(`Error al guardar la plantilla: ${error.message}`);
+
+  invalidateTemplatesCache();
+  return data;
+}
+
+/**
+ * Vuelve a una versión anterior (o posterior) de una plantilla.
+ */
+export async function activateTemplateVersion(id) {
+  const { data: template, error } = await supabase
+    .from("listing_templates")
+    .select("id, scope_key")
+    .eq("id", id)
+    .maybeSingle();
+  if (error) throw new Error(`Error al leer la plantilla: ${error.message}`);
+  if (!template) throw new Error(`Plantilla ${id} no encontrada`);
+
+  const now = new Date().toISOString();
+  await supabase.from("listing_templates").update({ active: false, updated_at: now }).eq("scope_key", template.scope_key).eq("active", true);
+  const { data, error: activateError } = await supabase
+    .from("listing_templates")
+    .update({ active: true, updated_at: now })
+    .eq("id", id)
+    .select("*")
+    .single();
+  if (activateError) throw new Error(`Error al activar la plantilla: ${activateError.message}`);
+
+  invalidateTemplatesCache();
+  return data;
+}
+
+/**
+ * Desactiva una plantilla: su alcance vuelve a la siguiente más general o a la del código.
+ */
+export async function deactivateTemplate(id) {
+  const { error } = await supabase
+    .from("listing_templates")
+    .update({ active: false, updated_at: new Date().toISOString() })
+    .eq("id", id);
+  if (error) throw new Error(`Error al desactivar la plantilla: ${error.message}`);
+  invalidateTemplatesCache();
+}
+
+/**
+ * Renderiza una plantilla contra un producto de Kinguin sin publicar nada.
+ * Sin body se usa la plantilla que le tocaría al producto en el sitio.
+ */
+export async function previewTemplate({ kinguinId, kind, body = null, siteId = PRIMARY_SITE_ID }) {
+  if (!TEMPLATE_KINDS.includes(kind)) throw new Error(`kind debe ser uno de: ${TEMPLATE_KINDS.join(", ")}`);
+
+  const product = await getKinguinProduct(String(kinguinId), { KINGUIN_API_KEY: process.env.KINGUIN_API_KEY });
+  const productType = getProductType(product);
+  const platform = normalizePlatform(product?.platform);
+  const template = body
+    ? { id: null, version: null, body }
+    : selectTemplate(await getActiveTemplates(), kind, { productType, platform, siteId });
+  const guide = await getActivationGuide({ platform, productType });
+  const values = listingTemplateContext(product, productType, { activationGuide: guide.body });
+
+  const { missing } = renderTemplate(template.body, values);
+  const text = kind === "title"
+    ? renderTitle(template.body, values)
+    : sanitizeDescriptionForML(renderDescription(template.body, values));
+
+  return {
+    product: { kinguin_id: String(kinguinId), name: product?.name, platform, product_type: productType },
+    template: { id: template.id, version: template.version },
+    text,
+    length: text.length,
+    missing,
+  };
+}
+
+// ---------- Re-render masivo de descripciones ----------
+
+// Último cambio de plantillas o guías de activación (nueva versión, activación o desactivación)
+async function lastTemplateChange() {
+  const [{ data }, guideChange] = await Promise.all([
+    supabase
+      .from("listing_templates")
+      .select("updated_at")
+      .order("updated_at", { ascending: false })
+      .limit(1)
+      .maybeSingle(),
+    lastGuideChange(),
+  ]);
+  const changes = [data?.updated_at, guideChange].filter(Boolean).sort();
+  return changes[changes.length - 1] || null;
+}
+
+function staleListings(query, since, siteId) {
+  let filtered = query
+    .eq("status", "active")
+    .not("ml_id", "is", null);
+  filtered = since
+    ? filtered.or(`description_rendered_at.is.null,description_rendered_at.lt.${since}`)
+    : filtered.is("description_rendered_at", null);
+  return siteId ? filtered.eq("site_id", siteId) : filtered;
+}
+
+/**
+ * Vuelve a renderizar y publicar las descripciones de un lote de publicaciones activas
+ * que no se renderizaron desde el último cambio de plantillas o guías de activación (o desde since).
+ * Llamar repetidamente hasta que remaining sea 0.
+ * @param {object} options
+ * @param {number} options.limit - Publicaciones por ejecución.
+ * @param {string|null} options.siteId - Limitar a un sitio.
+ * @param {string|null} options.since - Fecha ISO; por defecto el último cambio en listing_templates o activation_guides.
+ * @param {boolean} options.dryRun - Renderizar sin tocar ML ni la base de datos.
+ * @returns {Promise<{since: string|null, processed: number, updated: number, errors: number, remaining: number|null, results: object[]}>}
+ */
+export async function rerenderDescriptions({ limit = 20, siteId = null, since = null, dryRun = false } = {}) {
+  const cutoff = since || await lastTemplateChange();
+  const { data: listings, error } = await staleListings(
+    supabase.from("published_products").select("kinguin_id, ml_id, site_id"),
+    cutoff,
+    siteId
+  )
+    .order("description_rendered_at", { ascending: true, nullsFirst: true })
+    .limit(limit);
+  if (error) throw new Error(`Error leyendo published_products: ${error.message}`);
+
+  const summary = { since: cutoff, processed: 0, updated: 0, errors: 0, remaining: null, results: [] };
+  const tokens = {};
+
+  for (const listing of listings || []) {
+    summary.processed++;
+    try {
+      const product = await getKinguinProduct(listing.kinguin_id, { KINGUIN_API_KEY: process.env.KINGUIN_API_KEY });
+      const { description, templates } = await renderListing(product, { siteId: listing.site_id, kinguinId: listing.kinguin_id });
+
+      if (!dryRun) {
+        if (!tokens[listing.site_id]) {
+          tokens[listing.site_id] = await getSiteAccessToken(await getSiteProfile(listing.site_id));
+        }
+        if (!tokens[listing.site_id]) throw new Error(`No hay token de MercadoLibre para ${listing.site_id}`);
+        await postPlainDescription(listing.ml_id, description, tokens[listing.site_id], product);
+        await markRendered(listing, templates.description);
+      }
+
+      summary.updated++;
+      summary.results.push({
+        kinguin_id: listing.kinguin_id,
+        ml_id: listing.ml_id,
+        template: templates.description,
+        ...(dryRun && { description }),
+      });
+    } catch (err) {
+      const message = err.response?.data?.message || err.message;
+      console.error(`❌ Error re-renderizando descripción de ${listing.kinguin_id}:`, message);
+      summary.errors++;
+      summary.results.push({ kinguin_id: listing.kinguin_id, ml_id: listing.ml_id, error: message });
+    }
+  }
+
+  const { count } = await staleListings(
+    supabase.from("published_products").select("kinguin_id", { count: "exact", head: true }),
+    cutoff,
+    siteId
+  );
+  summary.remaining = count ?? null;
+
+  if (!dryRun && summary.updated > 0) {
+    await logActivity(`Descripciones re-renderizadas: ${summary.updated} actualizadas`, "info", {
+      since: cutoff,
+      errors: summary.errors,
+      remaining: summary.remaining,
+    });
+  }
+
+  return summary;
+}
+
+/**
+ * Deja registrada en published_products la versión de plantilla con la que se publicó la descripción.
+ * Sin listing.account_id se marcan las publicaciones del producto en el sitio de todas las cuentas.
+ */
+export async function markRendered(listing, template) {
+  let query = supabase.from("published_products")
+    .update({
+      description_template_id: template.id,
+      description_template_version: template.version,
+      description_rendered_at: new Date().toISOString(),
+    })
+    .eq("kinguin_id", listing.kinguin_id)
+    .eq("site_id", listing.site_id);
+  if (listing.account_id) query = query.eq("account_id", listing.account_id);
+  await query;
+}
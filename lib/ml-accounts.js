@@ -0,0 +1,244 @@
+import { createClient } from "@supabase/supabase-js";
+import { ML_LISTING_TYPES } from "./ml-fees";
+import { getSiteProfile, PRIMARY_SITE_ID } from "./ml-sites";
+import { PRIMARY_ACCOUNT_KEY, requireAccessToken } from "./ml-tokens";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const ACCOUNTS_TABLE = "ml_accounts";
+const ACCOUNTS_CACHE_TTL_MS = 60 * 1000;
+
+// Cuenta del flujo original: la que usan las filas de published_products de antes de las cuentas
+export const DEFAULT_ACCOUNT_ID = "main";
+
+// Cookie que deja el selector de cuenta del panel; las rutas también aceptan ?account= y x-ml-account
+export const ACCOUNT_COOKIE = "ml_account";
+export const ACCOUNT_HEADER = "x-ml-account";
+
+// Ajustes por cuenta que reemplazan los del perfil del sitio al publicar
+export const ACCOUNT_SETTING_KEYS = ["category_id", "listing_type_id"];
+
+const ACCOUNT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+// Solo variables de keys de Kinguin: la key se manda a Kinguin y no puede apuntar a otro secreto
+const KINGUIN_KEY_ENV_PATTERN = /^KINGUIN_API_KEY(_[A-Z0-9]+)?$/;
+
+/**
+ * Cuenta principal armada con las variables de entorno de antes (ML_USER_ID, KINGUIN_API_KEY).
+ * Se usa mientras ml_accounts no tenga filas, así el deploy sigue funcionando sin migrar.
+ */
+export const FALLBACK_ACCOUNT = {
+  id: DEFAULT_ACCOUNT_ID,
+  name: "Cuenta principal",
+  token_key: PRIMARY_ACCOUNT_KEY,
+  ml_user_id: process.env.ML_USER_ID || null,
+  kinguin_key_env: "KINGUIN_API_KEY",
+  settings: {},
+  active: true,
+  is_default: true,
+};
+
+let accountsCache = null;
+let accountsCachedAt = 0;
+
+// La cuenta principal migrada usa ML_USER_ID hasta que se vuelva a autorizar en el callback
+function withLegacyUserId(account) {
+  if (account.ml_user_id || account.token_key !== PRIMARY_ACCOUNT_KEY) return account;
+  return { ...account, ml_user_id: process.env.ML_USER_ID || null };
+}
+
+/**
+ * Cuentas de vendedor de ML, la predeterminada primero. Si la tabla está vacía o no existe
+ * se devuelve solo FALLBACK_ACCOUNT.
+ * @param {object} options
+ * @param {boolean} options.includeInactive - Incluir cuentas desactivadas (administración)
+ * @returns {Promise<object[]>}
+ */
+export async function listAccounts({ includeInactive = false } = {}) {
+  if (!accountsCache || Date.now() - accountsCachedAt >= ACCOUNTS_CACHE_TTL_MS) {
+    const { data, error } = await supabase
+      .from(ACCOUNTS_TABLE)
+      .select("*")
+      .order("is_default", { ascending: false })
+      .order("created_at", { ascending: true });
+
+    if (error) {
+      console.warn(`[Cuentas] ⚠️ No se pudo leer ${ACCOUNTS_TABLE}, usando la cuenta principal: ${error.message}`);
+      return [FALLBACK_ACCOUNT];
+    }
+
+    accountsCache = data?.length ? data.map(withLegacyUserId) : [FALLBACK_ACCOUNT];
+    accountsCachedAt = Date.now();
+  }
+
+  return includeInactive ? accountsCache : accountsCache.filter(account => account.active);
+}
+
+export function invalidateAccountsCache() {
+  accountsCache = null;
+}
+
+export async function getDefaultAccount() {
+  const accounts = await listAccounts();
+  return accounts.find(account => account.is_default) || accounts[0] || FALLBACK_ACCOUNT;
+}
+
+/**
+ * Cuenta activa por id. Lanza error si no existe o está desactivada.
+ * Con includeInactive también se aceptan las desactivadas (órdenes que todavía hay que entregar).
+ */
+export async function getAccount(accountId = DEFAULT_ACCOUNT_ID, { includeInactive = false } = {}) {
+  const accounts = await listAccounts({ includeInactive });
+  const account = accounts.find(item => item.id === accountId);
+  if (!account) throw new Error(`Cuenta de ML desconocida o inactiva: ${accountId}`);
+  return account;
+}
+
+/**
+ * Cuenta de la petición: ?account=, header x-ml-account o la cookie del selector del panel.
+ * Sin ninguno se usa la cuenta predeterminada.
+ */
+export async function getRequestAccount(req) {
+  const requested = req.query?.account || req.headers?.[ACCOUNT_HEADER] || req.cookies?.[ACCOUNT_COOKIE];
+  return requested ? getAccount(String(requested)) : getDefaultAccount();
+}
+
+/**
+ * Cuenta dueña de un user_id de ML (notificaciones de órdenes). null si ninguna lo tiene.
+ */
+export async function getAccountByMlUserId(mlUserId) {
+  if (!mlUserId) return null;
+  const accounts = await listAccounts({ includeInactive: true });
+  return accounts.find(account => String(account.ml_user_id) === String(mlUserId)) || null;
+}
+
+/**
+ * API key de Kinguin de la cuenta: el nombre de la variable de entorno se guarda en la cuenta,
+ * nunca la key, así la tabla no expone secretos. null si la variable no existe o no es KINGUIN_API_KEY[_*].
+ */
+export function accountKinguinKey(account) {
+  const envName = account.kinguin_key_env || "KINGUIN_API_KEY";
+  if (!KINGUIN_KEY_ENV_PATTERN.test(envName)) {
+    console.error(`[Cuentas] ❌ Variable de key de Kinguin no permitida en la cuenta ${account.id}: ${envName}`);
+    return null;
+  }
+  return process.env[envName] || null;
+}
+
+/**
+ * Token de ML de la cuenta vía el gestor de tokens. Lanza error si la cuenta no está autorizada.
+ */
+export function accountAccessToken(account) {
+  return requireAccessToken(account.token_key || PRIMARY_ACCOUNT_KEY);
+}
+
+/**
+ * Perfil del sitio con los valores por defecto de la cuenta (categoría de respaldo y tipo de publicación).
+ */
+export async function accountSiteProfile(account, siteId = PRIMARY_SITE_ID) {
+  const profile = await getSiteProfile(siteId);
+  const overrides = Object.fromEntries(
+    ACCOUNT_SETTING_KEYS
+      .filter(key => account.settings?.[key])
+      .map(key => [key, account.settings[key]])
+  );
+  return { ...profile, ...overrides };
+}
+
+/**
+ * Ejecuta fn para cada cuenta activa, una después de otra. Un error de una cuenta (token vencido,
+ * key de Kinguin faltante) queda en su resultado y no detiene a las demás.
+ * @param {(account: object) => Promise<any>} fn
+ * @param {object} options
+ * @param {string} options.label - Nombre del proceso para los logs
+ * @param {string|null} options.accountId - Limitar a una cuenta (?account= de los crons)
+ * @returns {Promise<Array<{account_id: string, status: "ok"|"error", result?: any, error?: string}>>}
+ */
+export async function forEachAccount(fn, { label = "proceso", accountId = null } = {}) {
+  const accounts = accountId ? [await getAccount(accountId)] : await listAccounts();
+  const results = [];
+  for (const account of accounts) {
+    try {
+      results.push({ account_id: account.id, status: "ok", result: await fn(account) });
+    } catch (error) {
+      const message = error.response?.data?.message || error.message;
+      console.error(`[Cuentas] ❌ ${label} falló para la cuenta ${account.id}: ${message}`);
+      results.push({ account_id: account.id, status: "error", error: message });
+    }
+  }
+  return results;
+}
+
+// ---------- Administración de cuentas ----------
+
+/**
+ * Normaliza y valida una cuenta antes de guardarla. Lanza error si algún valor es inválido.
+ */
+export function sanitizeAccount(input) {
+  const id = String(input.id || "").trim().toLowerCase();
+  const settings = Object.fromEntries(
+    ACCOUNT_SETTING_KEYS
+      .filter(key => input.settings?.[key])
+      .map(key => [key, String(input.settings[key]).trim()])
+  );
+  if (settings.category_id) settings.category_id = settings.category_id.toUpperCase();
+
+  const account = {
+    id,
+    name: String(input.name || "").trim(),
+    token_key: String(input.token_key || (id === DEFAULT_ACCOUNT_ID ? PRIMARY_ACCOUNT_KEY : `ML_ACCESS_TOKEN_${id.toUpperCase()}`)).trim(),
+    ml_user_id: input.ml_user_id ? String(input.ml_user_id).trim() : null,
+    kinguin_key_env: String(input.kinguin_key_env || "KINGUIN_API_KEY").trim(),
+    settings,
+    active: input.active !== false,
+    is_default: Boolean(input.is_default),
+  };
+
+  if (!ACCOUNT_ID_PATTERN.test(account.id)) throw new Error("Id de cuenta inválido (minúsculas, números, - y _)");
+  if (!account.name) throw new Error("La cuenta necesita un nombre");
+  if (!KINGUIN_KEY_ENV_PATTERN.test(account.kinguin_key_env)) {
+    throw new Error(`Variable de entorno inválida: ${account.kinguin_key_env} (debe ser KINGUIN_API_KEY o KINGUIN_API_KEY_<SUFIJO>)`);
+  }
+  if (settings.listing_type_id && !ML_LISTING_TYPES.includes(settings.listing_type_id)) {
+    throw new Error(`Tipo de publicación inválido: ${settings.listing_type_id}`);
+  }
+  if (account.is_default && !account.active) throw new Error("La cuenta predeterminada no puede estar inactiva");
+  return account;
+}
+
+/**
+ * Crea o actualiza una cuenta. Marcarla como predeterminada le quita la marca a las demás.
+ */
+export async function saveAccount(input) {
+  const account = sanitizeAccount(input);
+  const now = new Date().toISOString();
+
+  if (account.is_default) {
+    const { error } = await supabase.from(ACCOUNTS_TABLE).update({ is_default: false, updated_at: now }).neq("id", account.id);
+    if (error) throw new Error(`Error al cambiar la cuenta predeterminada: ${error.message}`);
+  }
+
+  const { data, error } = await supabase
+    .from(ACCOUNTS_TABLE)
+    .upsert({ ...account, updated_at: now }, { onConflict: "id" })
+    .select("*")
+    .single();
+  if (error) throw new Error(`Error al guardar la cuenta ${account.id}: ${error.message}`);
+
+  invalidateAccountsCache();
+  return data;
+}
+
+/**
+ * Guarda el user_id que ML devolvió al autorizar la cuenta (callback OAuth).
+ */
+export async function linkAccountUser(accountId, mlUserId) {
+  const { error } = await supabase
+    .from(ACCOUNTS_TABLE)
+    .update({ ml_user_id: String(mlUserId), updated_at: new Date().toISOString() })
+    .eq("id", accountId);
+  if (error) throw new Error(`Error al vincular la cuenta ${accountId}: ${error.message}`);
+  invalidateAccountsCache();
+}
@@ -0,0 +1,255 @@
+import { createClient } from "@supabase/supabase-js";
+import { axiosWithSmartRetry } from "../pages/api/_http-utils";
+import { getProductType } from "../pages/api/_logic";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const MAPPINGS_TABLE = "ml_category_mappings";
+const MAPPING_CACHE_TTL_MS = 10 * 60 * 1000;
+const PREDICTION_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000; // Las categorías de ML casi no cambian
+
+// Texto que se le da al predictor de categorías por tipo de producto (getProductType)
+const PREDICTOR_QUERIES = {
+  key: "videojuego digital",
+  dlc: "contenido descargable videojuego",
+  gift: "videojuego digital",
+  altergift: "videojuego digital",
+  gift_card: "tarjeta de regalo",
+  account: "cuenta videojuego",
+};
+
+/**
+ * Plataforma de ML (valor de CONSOLE_VERSION) a partir de la plataforma de Kinguin.
+ * normalizePlatform agrupa todo en tiendas de PC; aquí importa la consola.
+ */
+export function mlPlatformFor(kinguinPlatform) {
+  const p = String(kinguinPlatform || "").toLowerCase();
+  if (/ps5|playstation 5/.test(p)) return "PlayStation 5";
+  if (/ps4|playstation|psn/.test(p)) return "PlayStation 4";
+  if (/series x|series s|xbox series/.test(p)) return "Xbox Series X|S";
+  if (p.includes("xbox")) return "Xbox One";
+  if (/switch|nintendo/.test(p)) return "Nintendo Switch";
+  return "PC";
+}
+
+// Atributos fijos del ítem y el valor que se busca en cada categoría para obtener su value_id
+function desiredValues(platform) {
+  return {
+    CONSOLE_VERSION: platform,
+    VIDEO_GAME_PLATFORM: platform,
+    FORMAT: "Digital",
+    ITEM_CONDITION: "Nuevo",
+    REGION: "Global",
+    EMPTY_GTIN_REASON: "El producto es un kit o un pack",
+  };
+}
+
+function normalizeName(value) {
+  return String(value || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().trim();
+}
+
+// Valor exacto primero; si no, el primero que contiene al buscado (p. ej. "Xbox One" en "Xbox One S")
+function findValue(attribute, name) {
+  const wanted = normalizeName(name);
+  const values = attribute.values || [];
+  return values.find(v => normalizeName(v.name) === wanted)
+    || values.find(v => normalizeName(v.name).includes(wanted));
+}
+
+async function predictCategory(siteId, platform, productType) {
+  const q = `${PREDICTOR_QUERIES[productType] || PREDICTOR_QUERIES.key} ${platform}`;
+  const { data } = await axiosWithSmartRetry(
+    `https://api.mercadolibre.com/sites/${siteId}/domain_discovery/search`,
+    null,
+    { method: "get", params: { q, limit: 1 }, retries: 2 }
+  );
+  const prediction = Array.isArray(data) ? data[0] : null;
+  if (!prediction?.category_id) throw new Error(`El predictor de ${siteId} no devolvió categoría para "${q}"`);
+  return prediction;
+}
+
+async function fetchCategoryAttributes(categoryId) {
+  const { data } = await axiosWithSmartRetry(
+    `https://api.mercadolibre.com/categories/${categoryId}/attributes`,
+    null,
+    { method: "get", retries: 2 }
+  );
+  return Array.isArray(data) ? data : [];
+}
+
+/**
+ * Completa una fila de mapeo con los atributos obligatorios de la categoría y los value_id
+ * de los atributos fijos que falten. Los atributos ya presentes (p. ej. de un override) se respetan.
+ */
+async function completeMapping(row) {
+  const categoryAttributes = await fetchCategoryAttributes(row.category_id);
+  const byId = new Map(categoryAttributes.map(attr => [attr.id, attr]));
+
+  const attributes = { ...(row.attributes || {}) };
+  for (const [id, name] of Object.entries(desiredValues(row.platform))) {
+    const attribute = byId.get(id);
+    if (!attribute || attributes[id]?.value_id) continue;
+    const value = findValue(attribute, attributes[id]?.value_name || name);
+    if (value) attributes[id] = { value_id: String(value.id), value_name: value.name };
+  }
+
+  const requiredAttributes = categoryAttributes
+    .filter(attr => attr.tags?.required && !attr.tags?.read_only)
+    .map(attr => attr.id);
+
+  const { data, error } = await supabase
+    .from(MAPPINGS_TABLE)
+    .upsert({
+      ...row,
+      attributes,
+      required_attributes: requiredAttributes,
+      resolved_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    }, { onConflict: "site_id,platform,product_type" })
+    .select()
+    .single();
+  if (error) throw new Error(`Error guardando mapeo de categoría: ${error.message}`);
+  return data;
+}
+
+const mappingCache = new Map();
+
+export function invalidateCategoryCache() {
+  mappingCache.clear();
+}
+
+/**
+ * Categoría y atributos de ML para un producto de Kinguin en un sitio.
+ * Orden: override manual en ml_category_mappings, predicción guardada de menos de 30 días,
+ * predictor de ML (domain_discovery + atributos de la categoría). Si ML no responde se usa la
+ * predicción vencida o, sin ninguna, la categoría del perfil del sitio sin validar atributos.
+ * @param {object} profile - Perfil del sitio (getSiteProfile)
+ * @param {object} product - Producto de Kinguin
+ * @returns {Promise<{site_id: string, platform: string, product_type: string, category_id: string, attributes: object, required_attributes: string[], source: string}>}
+ */
+export async function resolveCategoryMapping(profile, product) {
+  const siteId = profile.site_id;
+  const platform = mlPlatformFor(product?.platform);
+  const productType = getProductType(product);
+  const cacheKey = `${siteId}:${platform}:${productType}`;
+
+  const cached = mappingCache.get(cacheKey);
+  if (cached && Date.now() - cached.at < MAPPING_CACHE_TTL_MS) return cached.mapping;
+
+  const { data: stored, error } = await supabase
+    .from(MAPPINGS_TABLE)
+    .select("*")
+    .eq("site_id", siteId)
+    .eq("platform", platform)
+    .eq("product_type", productType)
+    .maybeSingle();
+  if (error) console.warn(`[Categorías] ⚠️ No se pudo leer ${MAPPINGS_TABLE}: ${error.message}`);
+
+  let mapping;
+  try {
+    if (stored?.source === "manual") {
+      mapping = stored.required_attributes ? stored : await completeMapping(stored);
+    } else if (stored && Date.now() - new Date(stored.resolved_at).getTime() < PREDICTION_MAX_AGE_MS) {
+      mapping = stored;
+    } else {
+      const prediction = await predictCategory(siteId, platform, productType);
+      mapping = await completeMapping({
+        site_id: siteId,
+        platform,
+        product_type: productType,
+        category_id: prediction.category_id,
+        category_name: prediction.category_name || null,
+        attributes: {},
+        source: "predictor",
+      });
+      console.log(`[Categorías] 🗂️ ${cacheKey} → ${mapping.category_id} (${mapping.category_name || "sin nombre"})`);
+    }
+  } catch (err) {
+    const message = err.response?.data?.message || err.message;
+    if (stored) {
+      console.warn(`[Categorías] ⚠️ ${cacheKey}: ${message}. Se usa el mapeo guardado`);
+      mapping = stored;
+    } else if (profile.category_id) {
+      console.warn(`[Categorías] ⚠️ ${cacheKey}: ${message}. Se usa la categoría del perfil ${profile.category_id}`);
+      return {
+        site_id: siteId,
+        platform,
+        product_type: productType,
+        category_id: profile.category_id,
+        attributes: {},
+        required_attributes: [],
+        source: "profile",
+      };
+    } else {
+      throw new Error(`No se pudo resolver la categoría de ${cacheKey}: ${message}`);
+    }
+  }
+
+  mappingCache.set(cacheKey, { mapping, at: Date.now() });
+  return mapping;
+}
+
+/**
+ * Atributos obligatorios de la categoría que faltan en el ítem. EMPTY_GTIN_REASON cubre a GTIN.
+ * Función pura.
+ */
+export function missingRequiredAttributes(mapping, itemAttributes) {
+  const present = new Set(itemAttributes
+    .filter(attr => attr.value_id || attr.value_name)
+    .map(attr => attr.id));
+  if (present.has("EMPTY_GTIN_REASON")) present.add("GTIN");
+  return (mapping.required_attributes || []).filter(id => !present.has(id));
+}
+
+// ---------- Overrides manuales ----------
+
+export async function listCategoryMappings({ siteId = null } = {}) {
+  let query = supabase
+    .from(MAPPINGS_TABLE)
+    .select("*")
+    .order("site_id")
+    .order("platform")
+    .order("product_type");
+  if (siteId) query = query.eq("site_id", siteId);
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Error al leer mapeos de categoría: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Guarda un override manual: fija la categoría (y opcionalmente atributos { ID: { value_id, value_name } })
+ * para un sitio, plataforma y tipo de producto. Los value_id que falten se resuelven contra la categoría.
+ */
+export async function saveCategoryOverride({ site_id, platform, product_type, category_id, attributes = {} }) {
+  if (!site_id || !platform || !product_type || !category_id) {
+    throw new Error("site_id, platform, product_type y category_id son obligatorios");
+  }
+  if (typeof attributes !== "object" || Array.isArray(attributes)) {
+    throw new Error("attributes debe ser un objeto { ID: { value_id, value_name } }");
+  }
+
+  const mapping = await completeMapping({
+    site_id,
+    platform,
+    product_type,
+    category_id,
+    category_name: null,
+    attributes,
+    source: "manual",
+  });
+  invalidateCategoryCache();
+  return mapping;
+}
+
+/**
+ * Elimina un mapeo; el próximo producto de esa combinación vuelve a consultar el predictor.
+ */
+export async function deleteCategoryMapping(id) {
+  const { error } = await supabase.from(MAPPINGS_TABLE).delete().eq("id", id);
+  if (error) throw new Error(`Error al eliminar mapeo de categoría: ${error.message}`);
+  invalidateCategoryCache();
+}
@@ -0,0 +1,204 @@
+import { createClient } from "@supabase/supabase-js";
+import { axiosWithSmartRetry } from "../pages/api/_http-utils";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const SITE_ID = "MLC";
+const FEE_TABLE_CACHE_TTL_MS = 10 * 60 * 1000;
+const FEE_RATE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // Las tarifas de ML cambian pocas veces al año
+
+// Valores con los que publica add-product
+export const DEFAULT_LISTING_TYPE = "gold_pro";
+export const DEFAULT_CATEGORY = "MLC159270";
+export const ML_LISTING_TYPES = ["gold_pro", "gold_special", "free"];
+
+// Precios con los que se sondea listing_prices para descubrir los tramos de cargo fijo
+const PROBE_PRICES = [1990, 4990, 9990, 14990, 19990, 29990, 49990, 99990];
+
+/**
+ * Tabla local por defecto (MLC). Solo se usa mientras no haya tarifas traídas de listing_prices
+ * en ml_fee_rates; las tasas por categoría reemplazan a las del tipo de publicación.
+ * fixed_fees: cargo fijo por unidad según precio (max_price exclusivo; null = sin tope).
+ */
+export const DEFAULT_FEE_TABLE = {
+  listing_types: {
+    gold_pro: { percentage_fee: 0.17, fixed_fees: [{ max_price: 9990, fee: 700 }, { max_price: null, fee: 0 }] },
+    gold_special: { percentage_fee: 0.13, fixed_fees: [{ max_price: 9990, fee: 700 }, { max_price: null, fee: 0 }] },
+    free: { percentage_fee: 0, fixed_fees: [{ max_price: null, fee: 0 }] },
+  },
+  categories: {},
+};
+
+function rateKey(categoryId, listingTypeId) {
+  return `${categoryId}:${listingTypeId}`;
+}
+
+function rateFor(table, { listingTypeId = DEFAULT_LISTING_TYPE, categoryId = DEFAULT_CATEGORY } = {}) {
+  return table.categories[rateKey(categoryId, listingTypeId)]
+    || table.listing_types[listingTypeId]
+    || table.listing_types[DEFAULT_LISTING_TYPE];
+}
+
+function fixedFeeFor(rate, price) {
+  const tier = rate.fixed_fees.find(t => t.max_price === null || price < t.max_price);
+  return tier ? Number(tier.fee) : 0;
+}
+
+/**
+ * Comisión de venta de ML para un precio: porcentaje de la categoría/tipo más el cargo fijo del tramo.
+ * @returns {{percentageFee: number, fixedFee: number, amount: number}}
+ */
+export function mlSaleFee(table, price, options = {}) {
+  const rate = rateFor(table, options);
+  const percentageFee = Number(rate.percentage_fee);
+  const fixedFee = fixedFeeFor(rate, price);
+  return { percentageFee, fixedFee, amount: Math.round(price * percentageFee + fixedFee) };
+}
+
+/**
+ * Precio mínimo (sin redondear) cuyo neto después de la comisión de ML alcanza targetNetCLP.
+ * Se prueba tramo por tramo de cargo fijo, de menor a mayor precio; el neto crece con el precio,
+ * así que el primer tramo donde la solución cabe es el correcto.
+ */
+export function solvePriceForNet(table, targetNetCLP, options = {}) {
+  const rate = rateFor(table, options);
+  const percentageFee = Number(rate.percentage_fee);
+  if (percentageFee >= 1) throw new Error(`Comisión ML inválida: ${percentageFee}`);
+
+  let lowerBound = 0;
+  for (const tier of rate.fixed_fees) {
+    const price = Math.max((targetNetCLP + Number(tier.fee)) / (1 - percentageFee), lowerBound);
+    if (tier.max_price === null || price < tier.max_price) return price;
+    lowerBound = tier.max_price;
+  }
+  return Math.max(targetNetCLP / (1 - percentageFee), lowerBound);
+}
+
+let tableCache = null;
+let tableCachedAt = 0;
+
+/**
+ * Tabla de comisiones: la tabla por defecto más las tarifas por categoría guardadas en ml_fee_rates.
+ * Si Supabase falla se usa la tabla por defecto para no bloquear el cálculo de precios.
+ */
+export async function getMlFeeTable() {
+  if (tableCache && Date.now() - tableCachedAt < FEE_TABLE_CACHE_TTL_MS) {
+    return tableCache;
+  }
+
+  const { data, error } = await supabase
+    .from("ml_fee_rates")
+    .select("category_id, listing_type_id, percentage_fee, fixed_fees, fetched_at")
+    .eq("site_id", SITE_ID);
+
+  if (error) {
+    console.warn(`[Comisión ML] ⚠️ No se pudo cargar ml_fee_rates, usando tabla por defecto: ${error.message}`);
+    return DEFAULT_FEE_TABLE;
+  }
+
+  const categories = {};
+  for (const row of data || []) {
+    categories[rateKey(row.category_id, row.listing_type_id)] = {
+      percentage_fee: Number(row.percentage_fee),
+      fixed_fees: row.fixed_fees,
+      fetched_at: row.fetched_at,
+    };
+  }
+
+  tableCache = { ...DEFAULT_FEE_TABLE, categories };
+  tableCachedAt = Date.now();
+  return tableCache;
+}
+
+export function invalidateMlFeeTableCache() {
+  tableCache = null;
+}
+
+// ---------- Adaptador de listing_prices ----------
+
+async function fetchListingPrice(price, categoryId, listingTypeId) {
+  const response = await axiosWithSmartRetry(
+    `https://api.mercadolibre.com/sites/${SITE_ID}/listing_prices`,
+    null,
+    { method: "get", params: { price, category_id: categoryId, listing_type_id: listingTypeId }, retries: 3 }
+  );
+  // Con listing_type_id ML devuelve un objeto; sin él, un arreglo por tipo de publicación
+  const entry = Array.isArray(response.data)
+    ? response.data.find(item => item.listing_type_id === listingTypeId)
+    : response.data;
+  if (!entry) throw new Error(`listing_prices no devolvió tarifa para ${listingTypeId}`);
+  return entry;
+}
+
+/**
+ * Consulta listing_prices en varios precios y guarda porcentaje y tramos de cargo fijo en ml_fee_rates.
+ * @returns {Promise<{category_id: string, listing_type_id: string, percentage_fee: number, fixed_fees: object[]}>}
+ */
+export async function refreshMlFeeRate(categoryId = DEFAULT_CATEGORY, listingTypeId = DEFAULT_LISTING_TYPE) {
+  const probes = [];
+  for (const price of PROBE_PRICES) {
+    const entry = await fetchListingPrice(price, categoryId, listingTypeId);
+    const details = entry.sale_fee_details || {};
+    probes.push({
+      price,
+      percentage: Number(details.percentage_fee ?? details.meli_percentage_fee ?? 0) / 100,
+      fixed: Number(details.fixed_fee ?? 0),
+    });
+  }
+
+  // Probes consecutivos con el mismo cargo fijo forman un tramo que termina donde empieza el siguiente
+  const fixedFees = [];
+  probes.forEach((probe, i) => {
+    const next = probes[i + 1];
+    if (next && next.fixed === probe.fixed) return;
+    fixedFees.push({ max_price: next ? next.price : null, fee: probe.fixed });
+  });
+
+  const rate = {
+    site_id: SITE_ID,
+    category_id: categoryId,
+    listing_type_id: listingTypeId,
+    percentage_fee: probes[probes.length - 1].percentage,
+    fixed_fees: fixedFees,
+    fetched_at: new Date().toISOString(),
+  };
+
+  const { error } = await supabase
+    .from("ml_fee_rates")
+    .upsert(rate, { onConflict: "site_id,category_id,listing_type_id" });
+  if (error) throw new Error(`Error guardando tarifa de ML: ${error.message}`);
+
+  invalidateMlFeeTableCache();
+  console.log(`[Comisión ML] ✅ Tarifa ${categoryId}/${listingTypeId}: ${(rate.percentage_fee * 100).toFixed(2)}% + ${fixedFees.length} tramos de cargo fijo`);
+  return rate;
+}
+
+/**
+ * Refresca las tarifas con más de 7 días y, si no hay ninguna, la combinación con la que se publica.
+ * @returns {Promise<{refreshed: number, errors: number}>}
+ */
+export async function refreshStaleMlFeeRates() {
+  const table = await getMlFeeTable();
+  const pairs = Object.entries(table.categories)
+    .filter(([, rate]) => Date.now() - new Date(rate.fetched_at).getTime() > FEE_RATE_MAX_AGE_MS)
+    .map(([key]) => key.split(":"));
+
+  if (!table.categories[rateKey(DEFAULT_CATEGORY, DEFAULT_LISTING_TYPE)]) {
+    pairs.push([DEFAULT_CATEGORY, DEFAULT_LISTING_TYPE]);
+  }
+
+  const summary = { refreshed: 0, errors: 0 };
+  for (const [categoryId, listingTypeId] of pairs) {
+    try {
+      await refreshMlFeeRate(categoryId, listingTypeId);
+      summary.refreshed++;
+    } catch (err) {
+      summary.errors++;
+      console.error(`[Comisión ML] ❌ Error refrescando ${categoryId}/${listingTypeId}:`, err.response?.data?.message || err.message);
+    }
+  }
+  return summary;
+}
@@ -0,0 +1,287 @@
+import axios from "axios";
+import crypto from "crypto";
+import sharp from "sharp";
+import { createClient } from "@supabase/supabase-js";
+import { normalizePlatform } from "../pages/api/_logic";
+import { axiosWithSmartRetry } from "../pages/api/_http-utils";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const CACHE_TABLE = "ml_picture_cache";
+const CONFIG_KEY = "image_pipeline";
+
+// Subir el número invalida el caché: las imágenes se vuelven a procesar y subir
+const PIPELINE_VERSION = 1;
+
+export const MAX_PICTURES = 6;
+const MAX_CANDIDATES = 12;
+const DOWNLOAD_TIMEOUT_MS = 15000;
+const MAX_DOWNLOAD_BYTES = 10 * 1024 * 1024; // ML acepta hasta 10 MB
+const ACCEPTED_FORMATS = ["jpeg", "png", "webp"];
+
+/**
+ * Configuración por defecto; se sobreescribe con system_config.image_pipeline.
+ * - min_width/min_height: ML rechaza o penaliza imágenes de menos de 500 px por lado.
+ * - min_bytes: descarta placeholders y miniaturas vacías.
+ * - max_hash_distance: bits distintos del hash perceptual (de 64) para considerar dos screenshots iguales.
+ * - badge: estampar la plataforma en la portada.
+ */
+export const DEFAULT_IMAGE_CONFIG = {
+  min_width: 500,
+  min_height: 500,
+  min_bytes: 5 * 1024,
+  max_hash_distance: 6,
+  badge: false,
+};
+
+export async function getImageConfig() {
+  const { data } = await supabase
+    .from("system_config")
+    .select("value")
+    .eq("key", CONFIG_KEY)
+    .maybeSingle();
+
+  return { ...DEFAULT_IMAGE_CONFIG, ...(data?.value || {}) };
+}
+
+// ---------- Hash perceptual ----------
+
+/**
+ * dHash de 64 bits: la imagen en gris a 9×8 y un bit por cada par de píxeles vecinos.
+ * Resiste recompresión y cambios de tamaño; dos screenshots casi iguales quedan a pocos bits.
+ * @returns {Promise<string>} 16 caracteres hex
+ */
+export async function perceptualHash(buffer) {
+  const pixels = await sharp(buffer)
+    .grayscale()
+    .resize(9, 8, { fit: "fill" })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      hash = (hash << 1n) | (pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, "0");
+}
+
+/**
+ * Bits distintos entre dos hashes de perceptualHash. Función pura.
+ */
+export function hashDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let bits = 0;
+  while (diff > 0n) {
+    bits += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return bits;
+}
+
+// ---------- Descarga y validación ----------
+
+function candidatesFrom(product) {
+  const candidates = [];
+  if (product?.images?.cover?.url) candidates.push({ url: product.images.cover.url, role: "cover" });
+  for (const screenshot of product?.images?.screenshots || []) {
+    if (candidates.length >= MAX_CANDIDATES) break;
+    if (screenshot?.url) candidates.push({ url: screenshot.url, role: "screenshot" });
+  }
+  return candidates;
+}
+
+async function downloadImage(url) {
+  const response = await axios.get(url, {
+    responseType: "arraybuffer",
+    timeout: DOWNLOAD_TIMEOUT_MS,
+    maxContentLength: MAX_DOWNLOAD_BYTES,
+  });
+  return Buffer.from(response.data);
+}
+
+/**
+ * Motivo de rechazo de una imagen o null si sirve. Función pura sobre los metadatos de sharp.
+ */
+export function rejectionReason(metadata, bytes, config) {
+  if (!ACCEPTED_FORMATS.includes(metadata.format)) return `formato ${metadata.format || "desconocido"}`;
+  if (bytes < config.min_bytes) return `archivo de ${bytes} bytes`;
+  if ((metadata.width || 0) < config.min_width || (metadata.height || 0) < config.min_height) {
+    return `${metadata.width}×${metadata.height} px, mínimo ${config.min_width}×${config.min_height}`;
+  }
+  return null;
+}
+
+// ---------- Sello de plataforma ----------
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, c => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" }[c]));
+}
+
+/**
+ * Estampa la plataforma en la esquina inferior izquierda de la portada y la devuelve en JPEG.
+ */
+export async function applyPlatformBadge(buffer, platform, { width, height }) {
+  const fontSize = Math.round(Math.max(Math.min(width, height) * 0.06, 18));
+  const padding = Math.round(fontSize * 0.6);
+  const badgeWidth = Math.round(platform.length * fontSize * 0.62 + padding * 2);
+  const badgeHeight = Math.round(fontSize + padding * 1.4);
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${badgeWidth}" height="${badgeHeight}">
+  <rect width="100%" height="100%" rx="${Math.round(badgeHeight / 4)}" fill="#1a202c" fill-opacity="0.85"/>
+  <text x="50%" y="50%" dominant-baseline="central" text-anchor="middle" font-family="sans-serif" font-weight="bold" font-size="${fontSize}" fill="#ffffff">${escapeXml(platform)}</text>
+</svg>`;
+
+  return sharp(buffer)
+    .composite([{ input: Buffer.from(svg), left: padding, top: Math.max(height - badgeHeight - padding, 0) }])
+    .jpeg({ quality: 90 })
+    .toBuffer();
+}
+
+// ---------- Subida a ML ----------
+
+async function uploadPicture(buffer, format, token) {
+  const form = new FormData();
+  const extension = format === "jpeg" ? "jpg" : format;
+  form.append("file", new Blob([buffer], { type: `image/${format}` }), `image.${extension}`);
+
+  const { data } = await axiosWithSmartRetry(
+    "https://api.mercadolibre.com/pictures/items/upload",
+    form,
+    { method: "post", headers: { Authorization: `Bearer ${token}` }, retries: 2 }
+  );
+  if (!data?.id) throw new Error("ML no devolvió el ID de la imagen");
+  return data.id;
+}
+
+// ---------- Caché ----------
+
+function variantFor(candidate, config, platform) {
+  return candidate.role === "cover" && config.badge ? `badge:${platform}` : "plain";
+}
+
+async function getCachedPictures(kinguinId) {
+  const { data, error } = await supabase
+    .from(CACHE_TABLE)
+    .select("*")
+    .eq("kinguin_id", String(kinguinId))
+    .eq("pipeline_version", PIPELINE_VERSION);
+  if (error) {
+    console.warn(`[Imágenes] ⚠️ No se pudo leer ${CACHE_TABLE}: ${error.message}`);
+    return [];
+  }
+  return data || [];
+}
+
+async function cachePicture(row) {
+  const { error } = await supabase
+    .from(CACHE_TABLE)
+    .upsert({ ...row, pipeline_version: PIPELINE_VERSION, updated_at: new Date().toISOString() }, {
+      onConflict: "kinguin_id,source_url,variant",
+    });
+  if (error) console.warn(`[Imágenes] ⚠️ No se pudo guardar en ${CACHE_TABLE}: ${error.message}`);
+}
+
+/**
+ * Imágenes de un producto de Kinguin listas para el campo pictures de ML.
+ * Descarga portada y screenshots, descarta las de formato o tamaño inválido y las que no se pueden
+ * descargar, deduplica screenshots casi iguales por hash perceptual, opcionalmente estampa la plataforma
+ * en la portada y sube el resultado a ML. Los IDs (y los rechazos) quedan en ml_picture_cache, así que
+ * volver a publicar el producto no descarga ni sube nada.
+ * Si ninguna imagen pasa, se devuelve la portada por URL como antes para no bloquear la publicación.
+ * @param {object} product - Producto de Kinguin
+ * @param {object} options
+ * @param {string} options.kinguinId
+ * @param {string} options.token - Token de ML del sitio donde se publica
+ * @param {object|null} options.config - Configuración (getImageConfig); se lee si no se pasa
+ * @returns {Promise<{pictures: Array<{id: string}|{source: string}>, uploaded: number, cached: number, rejected: object[], duplicates: number}>}
+ */
+export async function prepareListingPictures(product, { kinguinId, token, config = null }) {
+  const settings = config || await getImageConfig();
+  const platform = normalizePlatform(product?.platform);
+  const cached = await getCachedPictures(kinguinId);
+  const summary = { pictures: [], uploaded: 0, cached: 0, rejected: [], duplicates: 0 };
+  const hashes = [];
+
+  for (const candidate of candidatesFrom(product)) {
+    if (summary.pictures.length >= MAX_PICTURES) break;
+    const variant = variantFor(candidate, settings, platform);
+    const hit = cached.find(row => row.source_url === candidate.url && row.variant === variant);
+
+    if (hit?.status === "rejected") {
+      summary.rejected.push({ url: candidate.url, reason: hit.reason });
+      continue;
+    }
+    if (hit?.picture_id) {
+      if (hit.phash && hashes.some(h => hashDistance(h, hit.phash) <= settings.max_hash_distance)) {
+        summary.duplicates++;
+        continue;
+      }
+      if (hit.phash) hashes.push(hit.phash);
+      summary.pictures.push({ id: hit.picture_id });
+      summary.cached++;
+      continue;
+    }
+
+    try {
+      const original = await downloadImage(candidate.url);
+      const metadata = await sharp(original).metadata();
+      const reason = rejectionReason(metadata, original.length, settings);
+      if (reason) {
+        summary.rejected.push({ url: candidate.url, reason });
+        await cachePicture({ kinguin_id: String(kinguinId), source_url: candidate.url, variant, role: candidate.role, status: "rejected", reason });
+        continue;
+      }
+
+      const phash = await perceptualHash(original);
+      if (hashes.some(h => hashDistance(h, phash) <= settings.max_hash_distance)) {
+        summary.duplicates++;
+        continue;
+      }
+      hashes.push(phash);
+
+      const badged = variant !== "plain";
+      const buffer = badged ? await applyPlatformBadge(original, platform, metadata) : original;
+      const pictureId = await uploadPicture(buffer, badged ? "jpeg" : metadata.format, token);
+
+      await cachePicture({
+        kinguin_id: String(kinguinId),
+        source_url: candidate.url,
+        variant,
+        role: candidate.role,
+        status: "uploaded",
+        reason: null,
+        picture_id: pictureId,
+        phash,
+        width: metadata.width,
+        height: metadata.height,
+        bytes: buffer.length,
+        content_hash: crypto.createHash("sha256").update(buffer).digest("hex"),
+      });
+      summary.pictures.push({ id: pictureId });
+      summary.uploaded++;
+    } catch (err) {
+      // Caídas de red o de ML no se cachean: se reintenta en la próxima publicación
+      const message = err.response?.data?.message || err.message;
+      console.warn(`[Imágenes] ⚠️ ${kinguinId}: no se pudo procesar ${candidate.url}: ${message}`);
+      summary.rejected.push({ url: candidate.url, reason: message });
+    }
+  }
+
+  if (summary.pictures.length === 0 && product?.images?.cover?.url) {
+    console.warn(`[Imágenes] ⚠️ ${kinguinId}: ninguna imagen pasó el pipeline, se envía la portada por URL`);
+    summary.pictures.push({ source: product.images.cover.url });
+  }
+  return summary;
+}
+
+/**
+ * Borra el caché de un producto (p. ej. si Kinguin cambió las imágenes o ML eliminó las subidas).
+ */
+export async function clearPictureCache(kinguinId) {
+  const { error } = await supabase.from(CACHE_TABLE).delete().eq("kinguin_id", String(kinguinId));
+  if (error) throw new Error(`Error al limpiar el caché de imágenes: ${error.message}`);
+}
@@ -0,0 +1,330 @@
+import { createClient } from "@supabase/supabase-js";
+import {
+  computeSitePrice,
+  getKinguinProduct,
+  getProductType,
+  logActivity,
+  postPlainDescription,
+} from "../pages/api/_logic";
+import { axiosWithSmartRetry } from "../pages/api/_http-utils";
+import { getLowestPriceOffer, getOfferSeller } from "../pages/api/_offer-utils";
+import { recordPriceChange } from "./price-history";
+import { resolveCategoryMapping, missingRequiredAttributes } from "./ml-categories";
+import { renderListing, markRendered } from "./listing-templates";
+import { prepareListingPictures } from "./ml-images";
+import {
+  PRIMARY_SITE_ID,
+  getEnabledSiteIds,
+  getSiteAccessToken,
+  getSiteProfile,
+  siteItemAttributes,
+} from "./ml-sites";
+import { DEFAULT_ACCOUNT_ID } from "./ml-accounts";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const SOURCE = "ml-site-listings";
+
+// Los tokens de los otros sitios son de la cuenta principal (SITE_PROFILES.*.token_key):
+// las publicaciones fuera de MLC siempre le pertenecen a ella. Sus órdenes también quedan en esta cuenta,
+// con el site_id del vendedor para usar su token (pages/api/order/webhook.js)
+const ACCOUNT_ID = DEFAULT_ACCOUNT_ID;
+
+export const SITE_SYNC_OUTCOME = {
+  UPDATED: "updated",
+  UNCHANGED: "unchanged",
+  PAUSED: "paused",
+  FX_HELD: "fx_held",
+  ERROR: "error",
+};
+
+function buildItem(profile, mapping, product, kinguinId, { title, price, description, pictures }) {
+  return {
+    title,
+    category_id: mapping.category_id,
+    price,
+    currency_id: profile.currency_id,
+    available_quantity: 1,
+    buying_mode: "buy_it_now",
+    listing_type_id: profile.listing_type_id,
+    condition: "new",
+    seller_custom_field: String(kinguinId),
+    attributes: siteItemAttributes(profile, product, kinguinId, mapping),
+    sale_terms: [
+      { id: "WARRANTY_TYPE", value_name: "Garantía del vendedor" },
+      { id: "WARRANTY_TIME", value_name: "1 día" },
+    ],
+    shipping: { mode: "not_specified", free_shipping: false, local_pick_up: false },
+    pictures,
+    description: { plain_text: description },
+  };
+}
+
+async function requireSecondarySite(siteId) {
+  if (siteId === PRIMARY_SITE_ID) {
+    throw new Error(`${PRIMARY_SITE_ID} se publica con /api/add-product`);
+  }
+  const enabled = await getEnabledSiteIds();
+  if (!enabled.includes(siteId)) throw new Error(`El sitio ${siteId} no está habilitado en system_config.ml_sites`);
+
+  return getSiteProfile(siteId);
+}
+
+/**
+ * Publica en otro sitio de ML un producto que ya está activo en el sitio principal.
+ * La validación del producto (región, duplicados, tipo) ya la hizo add-product al publicarlo en MLC.
+ * @param {object} options
+ * @param {string} options.kinguinId
+ * @param {string} options.siteId - Sitio destino (no puede ser el principal).
+ * @param {boolean} options.dryRun - Devuelve el ítem que se enviaría sin publicarlo.
+ * @returns {Promise<{status: string, siteId: string, mlId?: string, price?: number, currencyId?: string, item?: object}>}
+ */
+export async function publishToSite({ kinguinId, siteId, dryRun = false }) {
+  const profile = await requireSecondarySite(siteId);
+  const kinguinIdStr = String(kinguinId);
+
+  const { data: listings, error } = await supabase
+    .from("published_products")
+    .select("site_id, ml_id, status")
+    .eq("account_id", ACCOUNT_ID)
+    .eq("kinguin_id", kinguinIdStr)
+    .in("site_id", [PRIMARY_SITE_ID, siteId]);
+  if (error) throw new Error(`Error leyendo published_products: ${error.message}`);
+
+  const primary = listings.find(l => l.site_id === PRIMARY_SITE_ID);
+  if (!primary || primary.status !== "active") {
+    throw new Error(`El producto ${kinguinIdStr} no está activo en ${PRIMARY_SITE_ID}`);
+  }
+  const existing = listings.find(l => l.site_id === siteId);
+  if (existing && existing.status !== "closed") {
+    return { status: "exists", siteId, mlId: existing.ml_id };
+  }
+
+  const product = await getKinguinProduct(kinguinIdStr, { KINGUIN_API_KEY: process.env.KINGUIN_API_KEY });
+  const offer = getLowestPriceOffer(product);
+  if (!offer) throw new Error(`El producto ${kinguinIdStr} no tiene ofertas con stock`);
+
+  const productType = getProductType(product);
+  const { fx, price, currencyId, pricingRule, breakdown } = await computeSitePrice(offer.price, product, profile);
+  if (!price) throw new Error(`No se pudo calcular el precio en ${currencyId}`);
+
+  const { title, description, templates } = await renderListing(product, { siteId, productType, kinguinId: kinguinIdStr });
+  const mapping = await resolveCategoryMapping(profile, product);
+  const item = buildItem(profile, mapping, product, kinguinIdStr, { title, price, description, pictures: [] });
+  const missingAttributes = missingRequiredAttributes(mapping, item.attributes);
+  if (missingAttributes.length > 0) {
+    throw new Error(`Faltan atributos obligatorios de ${mapping.category_id}: ${missingAttributes.join(", ")} (configurar en /api/ml-category-mappings)`);
+  }
+  // En dry run no se suben imágenes a ML
+  if (dryRun) return { status: "dry_run", siteId, price, currencyId, item };
+
+  const token = await getSiteAccessToken(profile);
+  if (!token) throw new Error(`No hay token de MercadoLibre para ${siteId} (tokens.${profile.token_key})`);
+  item.pictures = (await prepareListingPictures(product, { kinguinId: kinguinIdStr, token })).pictures;
+
+  // La reserva evita publicar dos veces si llegan dos solicitudes a la vez
+  const { error: reserveError } = await supabase
+    .from("published_products")
+    .upsert({
+      account_id: ACCOUNT_ID,
+      kinguin_id: kinguinIdStr,
+      site_id: siteId,
+      currency_id: currencyId,
+      status: "processing",
+      updated_at: new Date().toISOString(),
+    }, { onConflict: "account_id,kinguin_id,site_id" });
+  if (reserveError) throw new Error(`Error reservando publicación: ${reserveError.message}`);
+
+  let created;
+  try {
+    ({ data: created } = await axiosWithSmartRetry(
+      "https://api.mercadolibre.com/items",
+      item,
+      { method: "post", headers: { Authorization: `Bearer ${token}` } }
+    ));
+  } catch (err) {
+    await supabase.from("published_products")
+      .delete()
+      .eq("account_id", ACCOUNT_ID)
+      .eq("kinguin_id", kinguinIdStr)
+      .eq("site_id", siteId)
+      .eq("status", "processing");
+    throw err;
+  }
+
+  await postPlainDescription(created.id, description, token, product);
+  await markRendered({ account_id: ACCOUNT_ID, kinguin_id: kinguinIdStr, site_id: siteId }, templates.description);
+
+  await supabase.from("published_products")
+    .update({
+      ml_id: created.id,
+      price,
+      euro_price: offer.price,
+      currency_id: currencyId,
+      pricing_rule_id: pricingRule?.id || null,
+      pricing_rule_name: pricingRule?.name || null,
+      title,
+      platform: product.platform,
+      product_type: productType,
+      status: "active",
+      updated_at: new Date().toISOString(),
+    })
+    .eq("account_id", ACCOUNT_ID)
+    .eq("kinguin_id", kinguinIdStr)
+    .eq("site_id", siteId);
+
+  await recordPriceChange({
+    kinguinId: kinguinIdStr,
+    mlId: created.id,
+    oldPrice: 0,
+    newPrice: price,
+    exchangeRate: fx,
+    originalEurPrice: offer.price,
+    pricingRule,
+    breakdown,
+    seller: getOfferSeller(offer),
+    source: SOURCE,
+    accountId: ACCOUNT_ID,
+  });
+
+  await logActivity(`Producto ${kinguinIdStr} publicado en ${siteId}: ${created.id} a ${price} ${currencyId}`, "success", {
+    kinguin_id: kinguinIdStr,
+    site_id: siteId,
+    ml_id: created.id,
+    price,
+  });
+
+  return { status: "published", siteId, mlId: created.id, price, currencyId };
+}
+
+async function syncListing(listing, { profile, token }) {
+  const product = await getKinguinProduct(listing.kinguin_id, { KINGUIN_API_KEY: process.env.KINGUIN_API_KEY });
+  const offer = getLowestPriceOffer(product);
+
+  if (!offer) {
+    if (listing.status === "paused") return { outcome: SITE_SYNC_OUTCOME.UNCHANGED };
+    await axiosWithSmartRetry(
+      `https://api.mercadolibre.com/items/${listing.ml_id}`,
+      { status: "paused" },
+      { method: "put", headers: { Authorization: `Bearer ${token}` }, retries: 3 }
+    );
+    await supabase.from("published_products")
+      .update({ status: "paused", updated_at: new Date().toISOString() })
+      .eq("account_id", ACCOUNT_ID)
+      .eq("kinguin_id", listing.kinguin_id)
+      .eq("site_id", listing.site_id);
+    return { outcome: SITE_SYNC_OUTCOME.PAUSED };
+  }
+
+  const { fx, price, pricingRule, breakdown, fxHeld } = await computeSitePrice(offer.price, product, profile);
+  if (!price) throw new Error(`No se pudo calcular el precio en ${profile.currency_id}`);
+
+  const oldPrice = Number(listing.price) || 0;
+  // Tipo de cambio en modo hold: se congela el precio; una publicación pausada se reactiva con el que tenía
+  if (fxHeld && oldPrice > 0) {
+    if (listing.status === "active") return { outcome: SITE_SYNC_OUTCOME.FX_HELD };
+    await axiosWithSmartRetry(
+      `https://api.mercadolibre.com/items/${listing.ml_id}`,
+      { available_quantity: 1, status: "active" },
+      { method: "put", headers: { Authorization: `Bearer ${token}` }, retries: 3 }
+    );
+    await supabase.from("published_products")
+      .update({ status: "active", updated_at: new Date().toISOString() })
+      .eq("account_id", ACCOUNT_ID)
+      .eq("kinguin_id", listing.kinguin_id)
+      .eq("site_id", listing.site_id);
+    return { outcome: SITE_SYNC_OUTCOME.UPDATED, oldPrice, price: oldPrice };
+  }
+  if (price === oldPrice && listing.status === "active") return { outcome: SITE_SYNC_OUTCOME.UNCHANGED };
+
+  await axiosWithSmartRetry(
+    `https://api.mercadolibre.com/items/${listing.ml_id}`,
+    { price, available_quantity: 1, status: "active" },
+    { method: "put", headers: { Authorization: `Bearer ${token}` }, retries: 3 }
+  );
+  await supabase.from("published_products")
+    .update({
+      price,
+      euro_price: offer.price,
+      pricing_rule_id: pricingRule?.id || null,
+      pricing_rule_name: pricingRule?.name || null,
+      status: "active",
+      updated_at: new Date().toISOString(),
+    })
+    .eq("account_id", ACCOUNT_ID)
+    .eq("kinguin_id", listing.kinguin_id)
+    .eq("site_id", listing.site_id);
+
+  if (price !== oldPrice) {
+    await recordPriceChange({
+      kinguinId: listing.kinguin_id,
+      mlId: listing.ml_id,
+      oldPrice,
+      newPrice: price,
+      exchangeRate: fx,
+      originalEurPrice: offer.price,
+      pricingRule,
+      breakdown,
+      seller: getOfferSeller(offer),
+      source: SOURCE,
+      accountId: ACCOUNT_ID,
+    });
+  }
+
+  return { outcome: SITE_SYNC_OUTCOME.UPDATED, oldPrice, price };
+}
+
+/**
+ * Sincroniza precio y stock de las publicaciones en sitios distintos del principal.
+ * MLC sigue con sus propios syncs (sync-prices-stock, webhooks, repricing); aquí solo los demás.
+ * Se procesan primero las publicaciones que llevan más tiempo sin actualizarse.
+ * @param {object} options
+ * @param {string|null} options.siteId - Limitar a un sitio; por defecto todos los habilitados.
+ * @param {number} options.limit - Publicaciones por ejecución.
+ * @returns {Promise<{processed: number, outcomes: object, sites: object}>}
+ */
+export async function syncSiteListings({ siteId = null, limit = 50 } = {}) {
+  const enabled = (await getEnabledSiteIds()).filter(id => id !== PRIMARY_SITE_ID);
+  const siteIds = siteId ? enabled.filter(id => id === siteId) : enabled;
+  const summary = { processed: 0, outcomes: {}, sites: {} };
+  if (siteIds.length === 0) return summary;
+
+  const { data: listings, error } = await supabase
+    .from("published_products")
+    .select("kinguin_id, site_id, ml_id, price, status")
+    .eq("account_id", ACCOUNT_ID)
+    .in("site_id", siteIds)
+    .in("status", ["active", "paused"])
+    .not("ml_id", "is", null)
+    .order("updated_at", { ascending: true, nullsFirst: true })
+    .limit(limit);
+  if (error) throw new Error(`Error leyendo published_products: ${error.message}`);
+
+  const contexts = {};
+  for (const listing of listings || []) {
+    let result;
+    try {
+      if (!contexts[listing.site_id]) {
+        const profile = await getSiteProfile(listing.site_id);
+        const token = await getSiteAccessToken(profile);
+        if (!token) throw new Error(`No hay token de MercadoLibre para ${listing.site_id} (tokens.${profile.token_key})`);
+        contexts[listing.site_id] = { profile, token };
+      }
+      result = await syncListing(listing, contexts[listing.site_id]);
+    } catch (err) {
+      const message = err.response?.data?.message || err.message;
+      console.error(`❌ Error sincronizando ${listing.kinguin_id} en ${listing.site_id}:`, message);
+      result = { outcome: SITE_SYNC_OUTCOME.ERROR, error: message };
+    }
+
+    summary.processed++;
+    summary.outcomes[result.outcome] = (summary.outcomes[result.outcome] || 0) + 1;
+    const site = summary.sites[listing.site_id] || (summary.sites[listing.site_id] = {});
+    site[result.outcome] = (site[result.outcome] || 0) + 1;
+  }
+
+  return summary;
+}
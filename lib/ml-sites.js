@@ -0,0 +1,208 @@
+import { createClient } from "@supabase/supabase-js";
+import { roundPrice, ROUNDING_MODES } from "./pricing-rules";
+import { findAccountKeyByUserId, getAccessToken, getTokenUserId } from "./ml-tokens";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const CONFIG_KEY = "ml_sites";
+const PROFILES_CACHE_TTL_MS = 10 * 60 * 1000;
+
+// Sitio donde vive el flujo original (add-product, syncs, repricing, órdenes)
+export const PRIMARY_SITE_ID = "MLC";
+
+// Atributos fijos del ítem; value_id depende del sitio, sin él ML resuelve por value_name
+const DEFAULT_ATTRIBUTE_VALUES = {
+  CONSOLE_VERSION: { value_name: "PC" },
+  EMPTY_GTIN_REASON: { value_name: "El producto es un kit o un pack" },
+  FORMAT: { value_name: "Digital" },
+  ITEM_CONDITION: { value_name: "Nuevo" },
+  REGION: { value_name: "Global" },
+  VIDEO_GAME_PLATFORM: { value_name: "PC" },
+};
+
+/**
+ * Perfiles por sitio de ML; system_config.ml_sites.profiles sobreescribe cualquier campo.
+ * - rounding: modo de roundPrice para el sitio (null = el de la regla de precio, como en MLC).
+ * - tax_factor: multiplicador por impuestos locales a cargo del vendedor.
+ * - category_id: categoría de respaldo si el resolver de categorías (lib/ml-categories.js) no obtiene una.
+ * - attributes: value_id de los atributos fijos en ese sitio.
+ * - token_key: cuenta en ml_oauth_tokens (lib/ml-tokens.js); cada sitio usa su propia cuenta de vendedor en ML.
+ */
+export const SITE_PROFILES = {
+  MLC: {
+    site_id: "MLC",
+    name: "Chile",
+    currency_id: "CLP",
+    category_id: "MLC159270",
+    listing_type_id: "gold_pro",
+    rounding: null,
+    tax_factor: 1,
+    token_key: "ML_ACCESS_TOKEN",
+    attributes: {
+      CONSOLE_VERSION: { value_id: "59585252", value_name: "PC" },
+      EMPTY_GTIN_REASON: { value_id: "17055159" },
+      FORMAT: { value_id: "2132699" },
+      ITEM_CONDITION: { value_id: "2230284" },
+      REGION: { value_id: "1233475" },
+      VIDEO_GAME_PLATFORM: { value_id: "126552" },
+    },
+  },
+  MLA: { site_id: "MLA", name: "Argentina", currency_id: "ARS", category_id: null, listing_type_id: "gold_pro", rounding: "100", tax_factor: 1, token_key: "ML_ACCESS_TOKEN_MLA", attributes: {} },
+  MLM: { site_id: "MLM", name: "México", currency_id: "MXN", category_id: null, listing_type_id: "gold_pro", rounding: "none", tax_factor: 1, token_key: "ML_ACCESS_TOKEN_MLM", attributes: {} },
+  MCO: { site_id: "MCO", name: "Colombia", currency_id: "COP", category_id: null, listing_type_id: "gold_pro", rounding: "100", tax_factor: 1, token_key: "ML_ACCESS_TOKEN_MCO", attributes: {} },
+  MLU: { site_id: "MLU", name: "Uruguay", currency_id: "UYU", category_id: null, listing_type_id: "gold_pro", rounding: "none", tax_factor: 1, token_key: "ML_ACCESS_TOKEN_MLU", attributes: {} },
+  MPE: { site_id: "MPE", name: "Perú", currency_id: "PEN", category_id: null, listing_type_id: "gold_pro", rounding: "none", tax_factor: 1, token_key: "ML_ACCESS_TOKEN_MPE", attributes: {} },
+};
+
+let cachedConfig = null;
+let cachedAt = 0;
+
+async function getSitesConfig() {
+  if (cachedConfig && Date.now() - cachedAt < PROFILES_CACHE_TTL_MS) return cachedConfig;
+
+  const { data, error } = await supabase
+    .from("system_config")
+    .select("value")
+    .eq("key", CONFIG_KEY)
+    .maybeSingle();
+
+  if (error) console.warn(`[Sitios] ⚠️ No se pudo leer system_config.${CONFIG_KEY}: ${error.message}`);
+  cachedConfig = {
+    enabled: data?.value?.enabled || [PRIMARY_SITE_ID],
+    profiles: data?.value?.profiles || {},
+  };
+  cachedAt = Date.now();
+  return cachedConfig;
+}
+
+export function invalidateSitesCache() {
+  cachedConfig = null;
+}
+
+/**
+ * Perfil de un sitio con los ajustes de system_config aplicados. Lanza error si el sitio no existe.
+ */
+export async function getSiteProfile(siteId = PRIMARY_SITE_ID) {
+  const base = SITE_PROFILES[siteId];
+  if (!base) throw new Error(`Sitio de MercadoLibre no soportado: ${siteId}`);
+
+  const { profiles } = await getSitesConfig();
+  const override = profiles[siteId] || {};
+  const profile = {
+    ...base,
+    ...override,
+    attributes: { ...base.attributes, ...(override.attributes || {}) },
+  };
+  if (profile.rounding && !ROUNDING_MODES.includes(profile.rounding)) {
+    throw new Error(`Redondeo inválido para ${siteId}: ${profile.rounding}`);
+  }
+  return profile;
+}
+
+/**
+ * Sitios habilitados para publicar (system_config.ml_sites.enabled; por defecto solo MLC).
+ */
+export async function getEnabledSiteIds() {
+  const { enabled } = await getSitesConfig();
+  return enabled.filter(siteId => SITE_PROFILES[siteId]);
+}
+
+/**
+ * Token de la cuenta de ML del sitio, vía el gestor de tokens (se refresca solo antes de vencer).
+ * null si la cuenta del sitio todavía no se autorizó.
+ */
+export async function getSiteAccessToken(profile) {
+  return getAccessToken(profile.token_key);
+}
+
+/**
+ * user_id de ML del vendedor del sitio (remitente de los mensajes de entrega). null si no se conoce.
+ */
+export async function getSiteSellerId(profile) {
+  return getTokenUserId(profile.token_key);
+}
+
+/**
+ * Sitio (distinto de MLC) cuya cuenta de vendedor es ese user_id de ML; null si ninguno.
+ * Los vendedores de los otros sitios no están en ml_accounts: sus órdenes se reconocen por el token.
+ */
+export async function getSiteIdByMlUserId(mlUserId) {
+  const accountKey = await findAccountKeyByUserId(mlUserId);
+  if (!accountKey) return null;
+
+  for (const siteId of Object.keys(SITE_PROFILES)) {
+    if (siteId === PRIMARY_SITE_ID) continue;
+    const profile = await getSiteProfile(siteId);
+    if (profile.token_key === accountKey) return siteId;
+  }
+  return null;
+}
+
+/**
+ * Precio en la moneda del sitio a partir del precio de la regla en CLP sin redondear:
+ * se convierte con el cruce EUR/moneda ÷ EUR/CLP, se aplica tax_factor y el redondeo del sitio.
+ * Así los márgenes y umbrales de las reglas (definidos en CLP) valen igual en todos los sitios.
+ * Función pura.
+ */
+export function sitePriceFromCLP(unroundedCLP, { clpRate, localRate, profile }) {
+  const local = unroundedCLP * (localRate / clpRate) * Number(profile.tax_factor || 1);
+  return {
+    unrounded: local,
+    price: roundPrice(local, profile.rounding || "none"),
+  };
+}
+
+/**
+ * Atributos del ítem de ML para un producto de Kinguin en el sitio del perfil.
+ * Con un mapeo de resolveCategoryMapping (lib/ml-categories.js) los value_id salen de su categoría;
+ * los del perfil solo valen para la categoría del perfil. Los atributos extra del mapeo se agregan al final.
+ */
+export function siteItemAttributes(profile, productData, kinguinId, mapping = null) {
+  const known = !mapping || mapping.category_id === profile.category_id ? profile.attributes : {};
+  const resolved = mapping?.attributes || {};
+  const platformDefault = { value_name: mapping?.platform || "PC" };
+  const defaults = { ...DEFAULT_ATTRIBUTE_VALUES, CONSOLE_VERSION: platformDefault, VIDEO_GAME_PLATFORM: platformDefault };
+  const fixed = id => ({ id, ...(resolved[id] || known[id] || defaults[id]) });
+
+  const attributes = [
+    {
+      id: "COLLECTION",
+      value_name: productData.name || "Videojuego Digital" // Usar nombre del producto
+    },
+    fixed("CONSOLE_VERSION"),
+    {
+      id: "EDITION",
+      value_name: productData.name || "Código Digital Standard"
+    },
+    fixed("EMPTY_GTIN_REASON"),
+    fixed("FORMAT"),
+    fixed("ITEM_CONDITION"),
+    {
+      id: "PUBLISHERS",
+      value_name: productData.publishers?.[0] || "Desarrollador Independiente" // Usar publishers de Kinguin
+    },
+    fixed("REGION"),
+    {
+      id: "SELLER_SKU",
+      value_name: String(kinguinId)
+    },
+    {
+      id: "US_GAME_CLASSIFICATION",
+      value_name: "RP (Rating Pending)"
+    },
+    fixed("VIDEO_GAME_PLATFORM"),
+    {
+      id: "VIDEO_GAME_TITLE",
+      value_name: productData.originalName || productData.name || "Videojuego Digital" // Usar originalName preferentemente
+    }
+  ];
+
+  const included = new Set(attributes.map(attr => attr.id));
+  for (const [id, value] of Object.entries(resolved)) {
+    if (!included.has(id)) attributes.push({ id, ...value });
+  }
+  return attributes;
+}
@@ -0,0 +1,435 @@
+import axios from "axios";
+import qs from "qs";
+import { createClient } from "@supabase/supabase-js";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const TOKENS_TABLE = "ml_oauth_tokens";
+const OAUTH_URL = "https://api.mercadolibre.com/oauth/token";
+const DEFAULT_REDIRECT_URI = "https://kinguin-ml-reseller.vercel.app/api/mercadolibre/callback";
+// Página de autorización de ML por sitio; la app se autoriza con el dominio del país del vendedor
+const AUTH_DOMAINS = {
+  MLC: "https://auth.mercadolibre.cl",
+  MLA: "https://auth.mercadolibre.com.ar",
+  MLM: "https://auth.mercadolibre.com.mx",
+  MCO: "https://auth.mercadolibre.com.co",
+  MLU: "https://auth.mercadolibre.com.uy",
+  MPE: "https://auth.mercadolibre.com.pe",
+};
+
+// Cuenta del flujo original (MLC); coincide con SITE_PROFILES.MLC.token_key
+export const PRIMARY_ACCOUNT_KEY = "ML_ACCESS_TOKEN";
+
+// ML entrega tokens de 6 horas: se refrescan cuando les quedan menos de 10 minutos
+const REFRESH_MARGIN_MS = 10 * 60 * 1000;
+const LOCK_DURATION_MS = 30 * 1000;
+const LOCK_WAIT_MS = 15 * 1000;
+const LOCK_POLL_MS = 500;
+const CACHE_TTL_MS = 60 * 1000;
+
+const cache = new Map(); // account_key → { row, readAt }
+const inflight = new Map(); // account_key → Promise del refresh en curso en esta instancia
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// "ML_ACCESS_TOKEN_MLA" → "ML_REFRESH_TOKEN_MLA": claves que usaba la tabla tokens
+function legacyRefreshKey(accountKey) {
+  return accountKey.replace("ACCESS", "REFRESH");
+}
+
+function expiresSoon(row, marginMs = REFRESH_MARGIN_MS) {
+  return Boolean(row.expires_at) && new Date(row.expires_at).getTime() - Date.now() < marginMs;
+}
+
+function remember(row) {
+  cache.set(row.account_key, { row, readAt: Date.now() });
+  return row;
+}
+
+async function readTokenRow(accountKey) {
+  const { data, error } = await supabase
+    .from(TOKENS_TABLE)
+    .select("*")
+    .eq("account_key", accountKey)
+    .maybeSingle();
+  if (error) throw new Error(`Error al leer ${TOKENS_TABLE}: ${error.message}`);
+  return data;
+}
+
+/**
+ * Crea la fila de una cuenta a partir de la tabla tokens y las variables de entorno de antes.
+ * Sin expires_at: el token se usa hasta que ML responda 401 y ahí se refresca.
+ */
+async function importLegacyTokens(accountKey) {
+  const refreshKey = legacyRefreshKey(accountKey);
+  const { data } = await supabase
+    .from("tokens")
+    .select("key, value")
+    .in("key", [accountKey, refreshKey]);
+  const legacy = Object.fromEntries((data || []).map(row => [row.key, row.value]));
+
+  const isPrimary = accountKey === PRIMARY_ACCOUNT_KEY;
+  const accessToken = legacy[accountKey] || (isPrimary ? process.env.ML_ACCESS_TOKEN : null);
+  const refreshToken = legacy[refreshKey] || (isPrimary ? process.env.ML_REFRESH_TOKEN : null);
+  if (!accessToken && !refreshToken) return null;
+
+  const { data: row, error } = await supabase
+    .from(TOKENS_TABLE)
+    .upsert({
+      account_key: accountKey,
+      user_id: isPrimary ? process.env.ML_USER_ID || null : null,
+      access_token: accessToken || null,
+      refresh_token: refreshToken || null,
+      expires_at: null,
+      updated_at: new Date().toISOString(),
+    }, { onConflict: "account_key", ignoreDuplicates: true })
+    .select("*")
+    .maybeSingle();
+  if (error) throw new Error(`Error al importar tokens de ${accountKey}: ${error.message}`);
+
+  console.log(`[Tokens ML] 📥 ${accountKey} importado desde la tabla tokens / variables de entorno`);
+  return row || readTokenRow(accountKey);
+}
+
+async function loadTokenRow(accountKey, { fresh = false } = {}) {
+  const hit = cache.get(accountKey);
+  if (!fresh && hit && Date.now() - hit.readAt < CACHE_TTL_MS) return hit.row;
+
+  const row = await readTokenRow(accountKey) || await importLegacyTokens(accountKey);
+  return row ? remember(row) : null;
+}
+
+/**
+ * Guarda la respuesta de /oauth/token de ML y libera el lock de refresh.
+ * Copia el access token en la tabla tokens para lo que todavía la lee (scripts).
+ * @param {string} accountKey
+ * @param {{access_token: string, refresh_token?: string, expires_in?: number, user_id?: number, scope?: string}} oauth
+ */
+export async function saveTokens(accountKey, oauth) {
+  const now = new Date();
+  const changes = {
+    account_key: accountKey,
+    access_token: oauth.access_token,
+    expires_at: oauth.expires_in ? new Date(now.getTime() + oauth.expires_in * 1000).toISOString() : null,
+    refresh_locked_until: null,
+    updated_at: now.toISOString(),
+  };
+  // ML rota el refresh token en cada uso; si no viene uno nuevo se conserva el anterior
+  if (oauth.refresh_token) changes.refresh_token = oauth.refresh_token;
+  if (oauth.user_id) changes.user_id = String(oauth.user_id);
+  if (oauth.scope) changes.scope = oauth.scope;
+
+  const { data, error } = await supabase
+    .from(TOKENS_TABLE)
+    .upsert(changes, { onConflict: "account_key" })
+    .select("*")
+    .single();
+  if (error) throw new Error(`Error al guardar tokens de ${accountKey}: ${error.message}`);
+
+  const legacyRows = [{ key: accountKey, value: data.access_token, updated_at: changes.updated_at }];
+  if (data.refresh_token) legacyRows.push({ key: legacyRefreshKey(accountKey), value: data.refresh_token, updated_at: changes.updated_at });
+  const { error: legacyError } = await supabase.from("tokens").upsert(legacyRows, { onConflict: "key" });
+  if (legacyError) console.warn(`[Tokens ML] ⚠️ No se pudo copiar ${accountKey} a la tabla tokens: ${legacyError.message}`);
+
+  return remember(data);
+}
+
+// ---------- Lock de refresh ----------
+
+/**
+ * Toma el lease de refresh de la cuenta. Devuelve la fila o null si otra instancia está refrescando.
+ */
+async function acquireRefreshLock(accountKey) {
+  const now = new Date();
+  const { data, error } = await supabase
+    .from(TOKENS_TABLE)
+    .update({ refresh_locked_until: new Date(now.getTime() + LOCK_DURATION_MS).toISOString() })
+    .eq("account_key", accountKey)
+    .or(`refresh_locked_until.is.null,refresh_locked_until.lt.${now.toISOString()}`)
+    .select("*");
+
+  if (error) throw new Error(`Error al bloquear el refresh de ${accountKey}: ${error.message}`);
+  return data?.[0] || null;
+}
+
+async function releaseRefreshLock(accountKey) {
+  await supabase.from(TOKENS_TABLE).update({ refresh_locked_until: null }).eq("account_key", accountKey);
+}
+
+/**
+ * Espera a que la instancia que tiene el lock termine y devuelve el token que dejó.
+ */
+async function waitForRefresh(accountKey, previousToken) {
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  while (Date.now() < deadline) {
+    await sleep(LOCK_POLL_MS);
+    const row = await readTokenRow(accountKey);
+    if (row && (row.access_token !== previousToken || !row.refresh_locked_until)) {
+      remember(row);
+      return row.access_token;
+    }
+  }
+  throw new Error(`Timeout esperando el refresh de ${accountKey} de otra instancia`);
+}
+
+// ---------- Refresh ----------
+
+async function requestRefresh(refreshToken) {
+  const { data } = await axios.post(OAUTH_URL, qs.stringify({
+    grant_type: "refresh_token",
+    client_id: process.env.ML_APP_ID,
+    client_secret: process.env.ML_CLIENT_SECRET,
+    refresh_token: refreshToken,
+  }), {
+    headers: { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" },
+    timeout: 15000,
+  });
+  return data;
+}
+
+async function runRefresh(accountKey, { staleToken, force }) {
+  const current = await loadTokenRow(accountKey, { fresh: true });
+  if (!current) throw new Error(`No hay tokens de ML para ${accountKey}; autoriza la cuenta en /api/mercadolibre/callback`);
+
+  const locked = await acquireRefreshLock(accountKey);
+  if (!locked) {
+    console.log(`[Tokens ML] ⏳ ${accountKey}: otra instancia está refrescando, esperando...`);
+    return waitForRefresh(accountKey, staleToken || current.access_token);
+  }
+
+  try {
+    // Otra instancia ya lo refrescó entre que se usó el token viejo y se tomó el lock
+    if (staleToken && locked.access_token && locked.access_token !== staleToken) {
+      await releaseRefreshLock(accountKey);
+      return remember({ ...locked, refresh_locked_until: null }).access_token;
+    }
+    if (!force && !staleToken && locked.access_token && !expiresSoon(locked)) {
+      await releaseRefreshLock(accountKey);
+      return remember({ ...locked, refresh_locked_until: null }).access_token;
+    }
+    if (!locked.refresh_token) throw new Error(`${accountKey} no tiene refresh token; vuelve a autorizar la cuenta`);
+
+    const oauth = await requestRefresh(locked.refresh_token);
+    const saved = await saveTokens(accountKey, oauth);
+    console.log(`[Tokens ML] 🔄 ${accountKey} refrescado, vence ${saved.expires_at}`);
+    return saved.access_token;
+  } catch (error) {
+    await releaseRefreshLock(accountKey);
+    const detail = error.response?.data?.message || error.response?.data?.error || error.message;
+    console.error(`[Tokens ML] ❌ Error refrescando ${accountKey}: ${detail}`);
+    throw new Error(`Error al refrescar el token de ${accountKey}: ${detail}`);
+  }
+}
+
+/**
+ * Refresca el token de una cuenta. Los refresh concurrentes se serializan: dentro de la instancia
+ * comparten la misma promesa y entre instancias se usa un lease en ml_oauth_tokens, porque ML
+ * invalida el refresh token en cuanto se usa.
+ * @param {string} accountKey
+ * @param {object} options
+ * @param {string|null} options.staleToken - Token que ML rechazó; si el guardado ya es otro, no se vuelve a refrescar
+ * @param {boolean} options.force - Refrescar aunque el token no esté por vencer
+ * @returns {Promise<string>} Access token vigente
+ */
+export function refreshAccessToken(accountKey = PRIMARY_ACCOUNT_KEY, { staleToken = null, force = false } = {}) {
+  if (inflight.has(accountKey)) return inflight.get(accountKey);
+
+  const promise = runRefresh(accountKey, { staleToken, force })
+    .finally(() => inflight.delete(accountKey));
+  inflight.set(accountKey, promise);
+  return promise;
+}
+
+/**
+ * Access token vigente de una cuenta de ML; lo refresca antes si vence en menos de 10 minutos.
+ * Si el refresh falla pero el token todavía no vence, se devuelve el actual.
+ * @param {string} accountKey - token_key del perfil del sitio (ver lib/ml-sites.js)
+ * @returns {Promise<string|null>} null si la cuenta no tiene tokens
+ */
+export async function getAccessToken(accountKey = PRIMARY_ACCOUNT_KEY) {
+  const row = await loadTokenRow(accountKey);
+  if (!row) return null;
+  if (row.access_token && !expiresSoon(row)) return row.access_token;
+  if (!row.refresh_token) return row.access_token || null;
+
+  try {
+    return await refreshAccessToken(accountKey);
+  } catch (error) {
+    if (row.access_token && !expiresSoon(row, 0)) {
+      console.warn(`[Tokens ML] ⚠️ ${accountKey}: se sigue usando el token actual hasta que venza`);
+      return row.access_token;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Como getAccessToken, pero lanza error si la cuenta no tiene tokens.
+ */
+export async function requireAccessToken(accountKey = PRIMARY_ACCOUNT_KEY) {
+  const token = await getAccessToken(accountKey);
+  if (!token) throw new Error(`No hay token de ML para ${accountKey}; autoriza la cuenta en /api/mercadolibre/callback`);
+  return token;
+}
+
+/**
+ * Refresca las cuentas cuyo token vence pronto (cron /api/refresh-token).
+ * @returns {Promise<Array<{account_key: string, status: string, expires_at?: string, error?: string}>>}
+ */
+export async function refreshExpiringTokens({ force = false } = {}) {
+  const { data, error } = await supabase
+    .from(TOKENS_TABLE)
+    .select("*")
+    .not("refresh_token", "is", null);
+  if (error) throw new Error(`Error al leer ${TOKENS_TABLE}: ${error.message}`);
+
+  // Si todavía no hay filas, importar la cuenta principal desde lo que había antes
+  const rows = data?.length ? data : [await loadTokenRow(PRIMARY_ACCOUNT_KEY, { fresh: true })].filter(Boolean);
+
+  const results = [];
+  for (const row of rows) {
+    if (!force && row.expires_at && !expiresSoon(row, REFRESH_MARGIN_MS * 3)) {
+      results.push({ account_key: row.account_key, status: "valid", expires_at: row.expires_at });
+      continue;
+    }
+    try {
+      await refreshAccessToken(row.account_key, { force: true });
+      results.push({ account_key: row.account_key, status: "refreshed", expires_at: cache.get(row.account_key)?.row.expires_at });
+    } catch (err) {
+      results.push({ account_key: row.account_key, status: "error", error: err.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * Estado de los tokens sin exponerlos (health check y panel).
+ */
+export async function getTokenStatus() {
+  const { data, error } = await supabase
+    .from(TOKENS_TABLE)
+    .select("account_key, user_id, expires_at, updated_at, refresh_locked_until, refresh_token");
+  if (error) throw new Error(`Error al leer ${TOKENS_TABLE}: ${error.message}`);
+
+  return (data || []).map(row => ({
+    account_key: row.account_key,
+    user_id: row.user_id,
+    expires_at: row.expires_at,
+    updated_at: row.updated_at,
+    expired: Boolean(row.expires_at) && new Date(row.expires_at).getTime() < Date.now(),
+    has_refresh_token: Boolean(row.refresh_token),
+    refreshing: Boolean(row.refresh_locked_until) && new Date(row.refresh_locked_until).getTime() > Date.now(),
+  }));
+}
+
+/**
+ * user_id de ML dueño del token de la cuenta (se guarda al autorizar). null si no se conoce.
+ */
+export async function getTokenUserId(accountKey = PRIMARY_ACCOUNT_KEY) {
+  const row = await loadTokenRow(accountKey);
+  return row?.user_id ? String(row.user_id) : null;
+}
+
+/**
+ * Cuenta de ml_oauth_tokens autorizada por un user_id de ML. null si ninguna.
+ */
+export async function findAccountKeyByUserId(mlUserId) {
+  if (!mlUserId) return null;
+  const { data, error } = await supabase
+    .from(TOKENS_TABLE)
+    .select("account_key")
+    .eq("user_id", String(mlUserId))
+    .limit(1);
+  if (error) throw new Error(`Error al leer ${TOKENS_TABLE}: ${error.message}`);
+  return data?.[0]?.account_key || null;
+}
+
+// ---------- OAuth ----------
+
+/**
+ * URL de la página de autorización de ML. `state` es el nonce de createOAuthState (lib/auth-session.js).
+ * @param {string} state
+ * @param {object} options
+ * @param {string} options.siteId - Sitio del vendedor (MLC por defecto)
+ */
+export function authorizationUrl(state, { siteId = "MLC", redirectUri = process.env.ML_REDIRECT_URI || DEFAULT_REDIRECT_URI } = {}) {
+  const params = qs.stringify({ response_type: "code", client_id: process.env.ML_APP_ID, redirect_uri: redirectUri, state });
+  return `${AUTH_DOMAINS[siteId] || AUTH_DOMAINS.MLC}/authorization?${params}`;
+}
+
+/**
+ * Completa la autorización de una cuenta: canjea el code del callback de ML y persiste los tokens.
+ * @param {string} code
+ * @param {object} options
+ * @param {string} options.accountKey
+ * @param {string} options.redirectUri - Debe ser el mismo que se usó en la URL de autorización
+ */
+export async function completeAuthorization(code, { accountKey = PRIMARY_ACCOUNT_KEY, redirectUri = process.env.ML_REDIRECT_URI || DEFAULT_REDIRECT_URI } = {}) {
+  const { data } = await axios.post(OAUTH_URL, qs.stringify({
+    grant_type: "authorization_code",
+    client_id: process.env.ML_APP_ID,
+    client_secret: process.env.ML_CLIENT_SECRET,
+    code,
+    redirect_uri: redirectUri,
+  }), {
+    headers: { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" },
+    timeout: 15000,
+  });
+
+  const saved = await saveTokens(accountKey, data);
+  console.log(`[Tokens ML] ✅ ${accountKey} autorizado para el usuario ${saved.user_id}, vence ${saved.expires_at}`);
+  return { account_key: accountKey, user_id: saved.user_id, expires_at: saved.expires_at };
+}
+
+// ---------- Reintento en 401 ----------
+
+async function accountKeyForToken(token) {
+  for (const { row } of cache.values()) {
+    if (row.access_token === token) return row.account_key;
+  }
+  const { data } = await supabase
+    .from(TOKENS_TABLE)
+    .select("account_key")
+    .eq("access_token", token)
+    .maybeSingle();
+  return data?.account_key || null;
+}
+
+function isMercadoLibreRequest(config) {
+  return `${config.baseURL || ""}${config.url || ""}`.includes("api.mercadolibre.com") &&
+    !String(config.url || "").includes("/oauth/token");
+}
+
+/**
+ * Interceptor de axios: si ML responde 401 a una petición con un token de ml_oauth_tokens,
+ * refresca esa cuenta y reintenta la petición una sola vez con el token nuevo.
+ * Se instala en la instancia global al importar este módulo, así cubre las rutas y axiosWithSmartRetry.
+ */
+export function installUnauthorizedRetry(instance = axios) {
+  if (instance.__mlTokenRetryInstalled) return;
+  instance.__mlTokenRetryInstalled = true;
+
+  instance.interceptors.response.use(null, async error => {
+    const config = error.config;
+    if (error.response?.status !== 401 || !config || config.__mlTokenRetried || !isMercadoLibreRequest(config)) {
+      throw error;
+    }
+
+    const authorization = config.headers?.Authorization || config.headers?.authorization || "";
+    const staleToken = String(authorization).replace(/^Bearer\s+/i, "");
+    const accountKey = staleToken ? await accountKeyForToken(staleToken) : null;
+    if (!accountKey) throw error;
+
+    console.warn(`[Tokens ML] 🔐 401 de ML con ${accountKey}, refrescando y reintentando una vez`);
+    const token = await refreshAccessToken(accountKey, { staleToken });
+    config.__mlTokenRetried = true;
+    if (typeof config.headers.set === "function") config.headers.set("Authorization", `Bearer ${token}`);
+    else config.headers.Authorization = `Bearer ${token}`;
+    return instance(config);
+  });
+}
+
+installUnauthorizedRetry(axios);
@@ -0,0 +1,818 @@
+import { createClient } from "@supabase/supabase-js";
+import { logActivity } from "../pages/api/_logic";
+import { axiosWithSmartRetry, calculateBackoffDelay } from "../pages/api/_http-utils";
+import { storeOrderKeys, getOrderKeys, markKeysDelivered } from "./key-vault";
+import { recordOrderProfit } from "./profit-ledger";
+import { guidesForProducts } from "./activation-guides";
+import { DEFAULT_ACCOUNT_ID, getAccount, accountAccessToken, accountKinguinKey } from "./ml-accounts";
+import { PRIMARY_SITE_ID, getSiteProfile, getSiteAccessToken, getSiteSellerId } from "./ml-sites";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export const ORDER_STATUS = {
+  RECEIVED: "received",
+  PAID: "paid",
+  KEY_PURCHASED: "key_purchased",
+  KEY_DELIVERED: "key_delivered",
+  FAILED: "failed",
+  MANUAL_REVIEW: "manual_review",
+};
+
+// Estados desde los que todavía queda algún paso por ejecutar
+export const PENDING_ORDER_STATUSES = [
+  ORDER_STATUS.RECEIVED,
+  ORDER_STATUS.PAID,
+  ORDER_STATUS.KEY_PURCHASED,
+];
+
+const MAX_ATTEMPTS = 8;
+const LOCK_DURATION_MS = 2 * 60 * 1000;       // 2 minutos para completar un intento
+const RETRY_BASE_DELAY_MS = 60 * 1000;        // 1 minuto
+const RETRY_MAX_DELAY_MS = 2 * 60 * 60 * 1000; // 2 horas
+const PAYMENT_RECHECK_MS = 5 * 60 * 1000;     // Reconsultar pagos pendientes cada 5 minutos
+const KEY_POLL_INTERVAL_MS = 2 * 60 * 1000;   // Reconsultar órdenes de Kinguin sin keys cada 2 minutos
+const KEY_WAIT_TIMEOUT_MS = 6 * 60 * 60 * 1000; // Tras 6 horas sin keys la orden pasa a revisión manual
+
+const KINGUIN_API = "https://gateway.kinguin.net/esa/api";
+// Estados de orden en Kinguin de los que no saldrán keys
+const KINGUIN_DEAD_ORDER_STATUSES = ["canceled", "cancelled", "refunded"];
+
+/**
+ * Extrae el ID de la orden desde el resource de la notificación (ej. "/orders/2000001234").
+ * @param {string} resource - Resource recibido en la notificación orders_v2.
+ * @returns {string|null} El ID de la orden o null si no se reconoce.
+ */
+export function extractOrderId(resource) {
+  const match = /\/orders\/(\d+)/.exec(resource || "");
+  return match ? match[1] : null;
+}
+
+/**
+ * Registra una notificación orders_v2. Si la orden ya existe no crea otra fila,
+ * solo incrementa el contador de notificaciones recibidas.
+ * @param {string} resource - Resource de la notificación.
+ * @param {object} options
+ * @param {string} options.accountId - Cuenta de ml_accounts que vendió.
+ * @param {string} options.siteId - Sitio del vendedor; fuera de MLC la orden usa el token del sitio (lib/ml-sites.js).
+ * @returns {Promise<{order: object, duplicate: boolean}>}
+ */
+export async function recordOrderNotification(resource, { accountId = DEFAULT_ACCOUNT_ID, siteId = PRIMARY_SITE_ID } = {}) {
+  const mlOrderId = extractOrderId(resource);
+  if (!mlOrderId) throw new Error(`Resource de orden inválido: ${resource}`);
+
+  const existing = await getOrderByMlId(mlOrderId);
+  if (existing) {
+    await supabase.from("orders")
+      .update({ notifications_count: (existing.notifications_count || 1) + 1 })
+      .eq("id", existing.id);
+    return { order: existing, duplicate: true };
+  }
+
+  const { data, error } = await supabase
+    .from("orders")
+    .insert({
+      ml_order_id: mlOrderId,
+      ml_resource: resource,
+      account_id: accountId,
+      site_id: siteId,
+      status: ORDER_STATUS.RECEIVED,
+    })
+    .select("*")
+    .single();
+
+  if (error) {
+    // Otra notificación de la misma orden ganó la carrera del insert
+    if (error.code === "23505") {
+      return { order: await getOrderByMlId(mlOrderId), duplicate: true };
+    }
+    throw new Error(`Error al registrar la orden ${mlOrderId}: ${error.message}`);
+  }
+
+  return { order: data, duplicate: false };
+}
+
+export async function getOrderByMlId(mlOrderId) {
+  const { data, error } = await supabase
+    .from("orders")
+    .select("*")
+    .eq("ml_order_id", String(mlOrderId))
+    .maybeSingle();
+
+  if (error) throw new Error(`Error al consultar la orden ${mlOrderId}: ${error.message}`);
+  return data;
+}
+
+/**
+ * Órdenes con pasos pendientes cuyo próximo reintento ya venció.
+ * @param {number} limit - Máximo de órdenes a devolver.
+ * @returns {Promise<object[]>}
+ */
+export async function getRetryableOrders(limit = 20) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from("orders")
+    .select("*")
+    .in("status", PENDING_ORDER_STATUSES)
+    .or(`next_retry_at.is.null,next_retry_at.lte.${now}`)
+    .order("created_at", { ascending: true })
+    .limit(limit);
+
+  if (error) throw new Error(`Error al consultar órdenes pendientes: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Órdenes con la compra hecha en Kinguin que esperan keys y cuya próxima consulta ya venció.
+ * @param {number} limit - Máximo de órdenes a devolver.
+ * @returns {Promise<object[]>}
+ */
+export async function getOrdersAwaitingKeys(limit = 20) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from("orders")
+    .select("*")
+    .eq("status", ORDER_STATUS.KEY_PURCHASED)
+    .or(`next_retry_at.is.null,next_retry_at.lte.${now}`)
+    .order("purchased_at", { ascending: true })
+    .limit(limit);
+
+  if (error) throw new Error(`Error al consultar órdenes esperando keys: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Toma el lease de una orden. Devuelve null si otro proceso la está procesando.
+ */
+async function acquireOrderLock(orderId) {
+  const now = new Date();
+  const { data, error } = await supabase
+    .from("orders")
+    .update({ locked_until: new Date(now.getTime() + LOCK_DURATION_MS).toISOString() })
+    .eq("id", orderId)
+    .or(`locked_until.is.null,locked_until.lt.${now.toISOString()}`)
+    .select("*");
+
+  if (error) throw new Error(`Error al bloquear la orden ${orderId}: ${error.message}`);
+  return data?.[0] || null;
+}
+
+async function updateOrder(orderId, updates) {
+  const { data, error } = await supabase
+    .from("orders")
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq("id", orderId)
+    .select("*")
+    .single();
+
+  if (error) throw new Error(`Error al actualizar la orden ${orderId}: ${error.message}`);
+  return data;
+}
+
+/**
+ * Credenciales de la cuenta de ML que recibió la orden: token, user_id del vendedor y API key de Kinguin.
+ * Las cuentas desactivadas también cuentan: sus órdenes pendientes se siguen entregando.
+ * Las órdenes de otro sitio (orders.site_id) usan el token y el vendedor de ese sitio, con la key de Kinguin de la cuenta.
+ */
+async function orderSeller(order) {
+  const account = await getAccount(order.account_id || DEFAULT_ACCOUNT_ID, { includeInactive: true });
+  const kinguinKey = accountKinguinKey(account);
+  if (!kinguinKey) throw new Error(`Falta ${account.kinguin_key_env} de la cuenta ${account.id}`);
+
+  const siteId = order.site_id || PRIMARY_SITE_ID;
+  if (siteId !== PRIMARY_SITE_ID) {
+    const profile = await getSiteProfile(siteId);
+    const token = await getSiteAccessToken(profile);
+    if (!token) throw new Error(`No hay token de ML para ${profile.token_key} (sitio ${siteId})`);
+    return { token, sellerId: await getSiteSellerId(profile), kinguinKey };
+  }
+  return { token: await accountAccessToken(account), sellerId: account.ml_user_id, kinguinKey };
+}
+
+function kinguinHeaders(apiKey) {
+  return {
+    "X-Api-Key": apiKey,
+    "Content-Type": "application/json",
+  };
+}
+
+// ---------- Paso 1: received → paid ----------
+function itemsFromMlOrder(mlOrder) {
+  return (mlOrder.order_items || []).map(orderItem => {
+    const kinguinProductId = orderItem.item?.seller_custom_field || null;
+    return {
+      ml_item_id: orderItem.item?.id || null,
+      title: orderItem.item?.title || "Producto",
+      kinguin_product_id: kinguinProductId ? String(kinguinProductId) : null,
+      quantity: orderItem.quantity || 1,
+      status: kinguinProductId ? "pending" : "unavailable",
+      kinguin_order_id: null,
+      error: kinguinProductId ? null : "Publicación sin seller_custom_field (Kinguin ID)",
+    };
+  });
+}
+
+async function confirmPayment(order, token) {
+  const { data: mlOrder } = await axiosWithSmartRetry(
+    `https://api.mercadolibre.com${order.ml_resource}`,
+    null,
+    { method: "get", headers: { Authorization: `Bearer ${token}` }, retries: 3 }
+  );
+
+  const items = itemsFromMlOrder(mlOrder);
+  const baseUpdates = {
+    ml_order: mlOrder,
+    pack_id: mlOrder.pack_id ? String(mlOrder.pack_id) : null,
+    buyer_id: mlOrder.buyer?.id ? String(mlOrder.buyer.id) : null,
+    items,
+  };
+
+  if (mlOrder.status === "cancelled" || mlOrder.status === "invalid") {
+    await logActivity(`Orden ML ${order.ml_order_id} ${mlOrder.status}: no se compra la key`, "warning", { ml_order_id: order.ml_order_id });
+    return updateOrder(order.id, {
+      ...baseUpdates,
+      status: ORDER_STATUS.FAILED,
+      last_error: `Orden ${mlOrder.status} en MercadoLibre`,
+      next_retry_at: null,
+    });
+  }
+
+  if (mlOrder.status !== "paid") {
+    // Aún sin pago: reconsultar más tarde sin contarlo como intento fallido
+    return updateOrder(order.id, {
+      ...baseUpdates,
+      next_retry_at: new Date(Date.now() + PAYMENT_RECHECK_MS).toISOString(),
+    });
+  }
+
+  if (!items.some(item => item.status === "pending")) {
+    throw new Error("Ningún ítem de la orden tiene seller_custom_field con el Kinguin ID");
+  }
+
+  return updateOrder(order.id, {
+    ...baseUpdates,
+    status: ORDER_STATUS.PAID,
+    paid_at: new Date().toISOString(),
+  });
+}
+
+// ---------- Paso 2: paid → key_purchased ----------
+async function findKinguinOrderByExternalId(externalId, apiKey) {
+  const { data } = await axiosWithSmartRetry(
+    `${KINGUIN_API}/v1/order?orderExternalId=${encodeURIComponent(externalId)}`,
+    null,
+    { method: "get", headers: kinguinHeaders(apiKey), retries: 3 }
+  );
+  return data?.results?.[0] || null;
+}
+
+/**
+ * Agrupa los ítems pendientes por Kinguin ID sumando cantidades,
+ * así dos order_items del mismo juego se compran en una sola línea.
+ */
+function groupPendingItems(items) {
+  const groups = new Map();
+  items.forEach((item, index) => {
+    if (item.status !== "pending") return;
+    const group = groups.get(item.kinguin_product_id) || { kinguinProductId: item.kinguin_product_id, quantity: 0, indexes: [] };
+    group.quantity += item.quantity;
+    group.indexes.push(index);
+    groups.set(item.kinguin_product_id, group);
+  });
+  return [...groups.values()];
+}
+
+async function createKinguinOrder(groups, externalId, apiKey) {
+  // Sin reintentos automáticos: un POST repetido podría comprar dos veces
+  const { data } = await axiosWithSmartRetry(
+    `${KINGUIN_API}/v2/orders`,
+    {
+      products: groups.map(group => ({
+        productId: group.kinguinProductId,
+        quantity: group.quantity,
+      })),
+      orderExternalId: externalId,
+    },
+    { method: "post", headers: kinguinHeaders(apiKey), retries: 1 }
+  );
+  return data;
+}
+
+// Un 4xx (sin stock, producto inexistente) es un rechazo definitivo;
+// timeouts y 5xx pueden haber creado la orden igual, así que se reintenta más tarde.
+function isDefinitiveRejection(error) {
+  const status = error.response?.status;
+  return Boolean(status && status >= 400 && status < 500 && status !== 429);
+}
+
+function markGroupPurchased(items, group, kinguinOrderId) {
+  group.indexes.forEach(index => {
+    items[index] = { ...items[index], status: "purchased", kinguin_order_id: String(kinguinOrderId), error: null };
+  });
+}
+
+async function purchaseKeys(order, apiKey) {
+  const items = (order.items || []).map(item => ({ ...item }));
+  const groups = groupPendingItems(items);
+  const combinedExternalId = `ML-${order.ml_order_id}`;
+  let combinedOrderId = order.kinguin_order_id;
+
+  // 1. Intentar una sola orden en Kinguin con todos los productos.
+  // Si un intento anterior alcanzó a comprar pero no a registrar el resultado,
+  // Kinguin ya tiene la orden con nuestro ID externo: reutilizarla en vez de comprar otra vez.
+  if (!combinedOrderId && groups.length > 0) {
+    const previousOrder = await findKinguinOrderByExternalId(combinedExternalId, apiKey);
+    if (previousOrder) {
+      combinedOrderId = previousOrder.orderId;
+      await logActivity(`Orden Kinguin existente reutilizada para orden ML ${order.ml_order_id}`, "warning", {
+        ml_order_id: order.ml_order_id,
+        kinguin_order_id: combinedOrderId,
+      });
+    } else if (items.every(item => item.status === "pending")) {
+      try {
+        combinedOrderId = (await createKinguinOrder(groups, combinedExternalId, apiKey)).orderId;
+      } catch (error) {
+        if (!isDefinitiveRejection(error)) throw error;
+        await logActivity(`Kinguin rechazó la orden combinada de la orden ML ${order.ml_order_id}, comprando por producto`, "warning", {
+          ml_order_id: order.ml_order_id,
+          error: error.response?.data?.message || error.message,
+        });
+      }
+    }
+  }
+
+  if (combinedOrderId) {
+    groups.forEach(group => markGroupPurchased(items, group, combinedOrderId));
+  } else {
+    // 2. Fallback: una orden por producto para comprar todo lo que tenga stock
+    for (const group of groups) {
+      const externalId = `${combinedExternalId}-${group.kinguinProductId}`;
+      try {
+        const kinguinOrder = await findKinguinOrderByExternalId(externalId, apiKey)
+          || await createKinguinOrder([group], externalId, apiKey);
+        markGroupPurchased(items, group, kinguinOrder.orderId);
+        // Persistir cada compra de inmediato para no repetirla si falla la siguiente
+        await updateOrder(order.id, { items });
+      } catch (error) {
+        if (!isDefinitiveRejection(error)) throw error;
+        group.indexes.forEach(index => {
+          items[index] = { ...items[index], status: "unavailable", error: error.response?.data?.message || error.message };
+        });
+      }
+    }
+  }
+
+  const purchased = items.filter(item => item.status === "purchased");
+  if (purchased.length === 0) {
+    throw new Error("Kinguin rechazó la compra de todos los productos de la orden");
+  }
+
+  const unavailable = items.filter(item => item.status === "unavailable");
+  const updated = await updateOrder(order.id, {
+    status: ORDER_STATUS.KEY_PURCHASED,
+    items,
+    kinguin_order_id: combinedOrderId ? String(combinedOrderId) : null,
+    partial_fulfillment: unavailable.length > 0,
+    last_error: unavailable.length > 0
+      ? `Sin comprar: ${unavailable.map(item => `${item.title} (${item.error})`).join("; ")}`
+      : null,
+    purchased_at: new Date().toISOString(),
+  });
+
+  await logActivity(
+    unavailable.length > 0
+      ? `Compra parcial en Kinguin para orden ML ${order.ml_order_id}: ${purchased.length}/${items.length} ítems`
+      : `Keys compradas en Kinguin para orden ML ${order.ml_order_id}`,
+    unavailable.length > 0 ? "warning" : "success",
+    {
+      ml_order_id: order.ml_order_id,
+      kinguin_order_ids: [...new Set(purchased.map(item => item.kinguin_order_id))],
+      unavailable: unavailable.map(item => ({ title: item.title, kinguin_product_id: item.kinguin_product_id, error: item.error })),
+    }
+  );
+
+  return updated;
+}
+
+/**
+ * Registra la utilidad de la venta con el precio que cobró Kinguin. Un error no frena la entrega de la key:
+ * la orden queda con profit_pending y reconcileOrderProfits la reintenta desde el cron de órdenes.
+ * @returns {Promise<boolean>} true si la utilidad quedó registrada (o no corresponde registrarla).
+ */
+async function recordProfit(order, apiKey) {
+  try {
+    const kinguinOrders = new Map();
+    const kinguinOrderIds = [...new Set((order.items || []).map(item => item.kinguin_order_id).filter(Boolean))];
+    for (const kinguinOrderId of kinguinOrderIds) {
+      kinguinOrders.set(kinguinOrderId, await fetchKinguinOrder(kinguinOrderId, apiKey));
+    }
+
+    const { items, net_profit_clp } = await recordOrderProfit(order, kinguinOrders);
+    await logActivity(`Utilidad registrada para orden ML ${order.ml_order_id}: ${net_profit_clp} CLP (${items} ítems)`, "info", {
+      ml_order_id: order.ml_order_id,
+      items,
+      net_profit_clp,
+    });
+    if (order.profit_pending) await setProfitPending(order, null);
+    return true;
+  } catch (error) {
+    const message = error.response?.data?.message || error.message;
+    await setProfitPending(order, message);
+    await logActivity(`No se pudo registrar la utilidad de la orden ML ${order.ml_order_id}, queda pendiente de reconciliar`, "warning", {
+      ml_order_id: order.ml_order_id,
+      error: message,
+    });
+    return false;
+  }
+}
+
+// Marca (o limpia, con error null) la orden para la reconciliación de utilidad; sin updated_at para no tocar el flujo
+async function setProfitPending(order, error) {
+  const { error: updateError } = await supabase
+    .from("orders")
+    .update({ profit_pending: error !== null, profit_error: error })
+    .eq("id", order.id);
+  if (updateError) console.error(`❌ No se pudo marcar la utilidad pendiente de la orden ML ${order.ml_order_id}: ${updateError.message}`);
+}
+
+/**
+ * Reintenta registrar la utilidad de las órdenes ya compradas que quedaron con profit_pending.
+ * @param {number} limit - Máximo de órdenes a revisar.
+ * @returns {Promise<{checked: number, recorded: number}>}
+ */
+export async function reconcileOrderProfits(limit = 20) {
+  const { data, error } = await supabase
+    .from("orders")
+    .select("*")
+    .eq("profit_pending", true)
+    .in("status", [ORDER_STATUS.KEY_PURCHASED, ORDER_STATUS.KEY_DELIVERED, ORDER_STATUS.MANUAL_REVIEW])
+    .order("purchased_at", { ascending: true })
+    .limit(limit);
+  if (error) throw new Error(`Error al consultar órdenes con utilidad pendiente: ${error.message}`);
+
+  let recorded = 0;
+  for (const order of data || []) {
+    try {
+      const seller = await orderSeller(order);
+      if (await recordProfit(order, seller.kinguinKey)) recorded++;
+    } catch (err) {
+      console.error(`❌ Error reconciliando la utilidad de la orden ML ${order.ml_order_id}:`, err.message);
+    }
+  }
+  return { checked: (data || []).length, recorded };
+}
+
+// ---------- Paso 3: key_purchased → key_delivered ----------
+const ML_MESSAGE_MAX_LENGTH = 350;
+
+async function fetchKinguinKeys(kinguinOrderId, apiKey) {
+  const { data } = await axiosWithSmartRetry(
+    `${KINGUIN_API}/v2/order/${kinguinOrderId}/keys`,
+    null,
+    { method: "get", headers: kinguinHeaders(apiKey), retries: 3 }
+  );
+  return Array.isArray(data) ? data : [];
+}
+
+async function fetchKinguinOrder(kinguinOrderId, apiKey) {
+  const { data } = await axiosWithSmartRetry(
+    `${KINGUIN_API}/v1/order/${kinguinOrderId}`,
+    null,
+    { method: "get", headers: kinguinHeaders(apiKey), retries: 3 }
+  );
+  return data;
+}
+
+/**
+ * Reparte las keys de cada orden Kinguin entre los ítems que se compraron en ella.
+ * Kinguin no siempre entrega las keys al crear la orden: mientras alguna orden siga
+ * en proceso o no haya liberado todas sus keys se devuelve `pending` en vez de fallar.
+ * @returns {Promise<{deliveries?: Array<{item: object, keys: string[]}>, pending?: string, review?: string}>}
+ */
+async function collectKeysByItem(items, apiKey) {
+  const purchased = items.filter(item => item.status === "purchased");
+  const kinguinOrderIds = [...new Set(purchased.map(item => item.kinguin_order_id))];
+  const deliveries = purchased.map(item => ({ item, keys: [] }));
+
+  for (const kinguinOrderId of kinguinOrderIds) {
+    const orderDeliveries = deliveries.filter(d => d.item.kinguin_order_id === kinguinOrderId);
+    const expected = orderDeliveries.reduce((sum, d) => sum + d.item.quantity, 0);
+
+    const kinguinOrder = await fetchKinguinOrder(kinguinOrderId, apiKey);
+    const kinguinStatus = String(kinguinOrder?.status || "").toLowerCase();
+    if (KINGUIN_DEAD_ORDER_STATUSES.includes(kinguinStatus)) {
+      return { review: `Orden Kinguin ${kinguinOrderId} en estado ${kinguinStatus}` };
+    }
+    if (kinguinStatus !== "completed") {
+      return { pending: `Orden Kinguin ${kinguinOrderId} en estado ${kinguinStatus || "desconocido"}` };
+    }
+
+    const keys = await fetchKinguinKeys(kinguinOrderId, apiKey);
+    if (keys.length < expected) {
+      return { pending: `Kinguin entregó ${keys.length}/${expected} keys para la orden ${kinguinOrderId}` };
+    }
+
+    const remaining = [...keys];
+    for (const delivery of orderDeliveries) {
+      for (let i = 0; i < delivery.item.quantity; i++) {
+        // Preferir la key del mismo producto; si Kinguin no indica el producto, tomar la siguiente
+        let index = remaining.findIndex(key => String(key?.kinguinId) === delivery.item.kinguin_product_id);
+        if (index === -1) index = 0;
+        const [key] = remaining.splice(index, 1);
+        delivery.keys.push(typeof key === "string" ? key : key?.serial);
+      }
+    }
+  }
+
+  return { deliveries: deliveries.map(({ item, keys }) => ({ item, keys: keys.filter(Boolean) })) };
+}
+
+/**
+ * Divide el texto en mensajes que respeten el largo máximo de la mensajería post-venta de ML,
+ * cortando siempre entre líneas para no partir una key.
+ */
+function splitMessage(text, maxLength = ML_MESSAGE_MAX_LENGTH) {
+  const messages = [];
+  let current = "";
+  for (const line of text.split("\n")) {
+    const candidate = current ? `${current}\n${line}` : line;
+    if (candidate.length > maxLength && current) {
+      messages.push(current.trim());
+      current = line;
+    } else {
+      current = candidate;
+    }
+  }
+  if (current.trim()) messages.push(current.trim());
+  return messages;
+}
+
+/**
+ * Guía de activación de cada grupo de keys y el mapa vaultId → guía para dejar registrada la versión enviada.
+ */
+async function deliveryGuides(deliveries) {
+  const byProduct = await guidesForProducts(deliveries.map(d => d.kinguinProductId));
+  const byVaultId = {};
+  const withGuides = deliveries.map(delivery => {
+    const guide = byProduct.get(String(delivery.kinguinProductId)) || null;
+    if (guide) delivery.vaultIds.forEach(id => { byVaultId[id] = guide; });
+    return { ...delivery, guide };
+  });
+  return { deliveries: withGuides, byVaultId };
+}
+
+function buildDeliveryText(deliveries, unavailableItems, { redelivery = false } = {}) {
+  const totalKeys = deliveries.reduce((sum, d) => sum + d.keys.length, 0);
+  const greeting = redelivery ? "¡Hola! Te reenviamos tu compra 🎮" : "¡Gracias por tu compra! 🎮";
+  let text = `${greeting}\n\n${totalKeys > 1 ? "Aquí están tus códigos de activación:" : "Aquí está tu código de activación:"}\n`;
+
+  for (const { title, keys } of deliveries) {
+    text += `\n${title}:\n${keys.map(key => `🔑 ${key}`).join("\n")}\n`;
+  }
+
+  if (unavailableItems.length > 0) {
+    text += `\nNo pudimos entregar por ahora: ${unavailableItems.map(item => item.title).join(", ")}. Te contactaremos para solucionarlo.\n`;
+  }
+
+  // Una vez por guía: varias keys del mismo launcher comparten instrucciones
+  const guides = [...new Map(deliveries.filter(d => d.guide).map(d => [`${d.guide.platform}:${d.guide.id}`, d.guide])).values()];
+  for (const guide of guides) {
+    text += `\nCómo activar en ${guide.platform}:\n${guide.body}\n`;
+  }
+  if (guides.length === 0) {
+    text += `\nSigue las instrucciones en la descripción del producto para activarlo.\n`;
+  }
+
+  text += `\n¡Que disfrutes tu juego!`;
+  return text;
+}
+
+async function sendPackMessages(order, text, { token, sellerId }) {
+  // En órdenes sin carrito ML usa el ID de la orden como pack
+  const packId = order.pack_id || order.ml_order_id;
+
+  for (const message of splitMessage(text)) {
+    await axiosWithSmartRetry(
+      `https://api.mercadolibre.com/messages/packs/${packId}/messages`,
+      {
+        from: { user_id: sellerId },
+        to: { user_id: order.buyer_id },
+        text: message,
+      },
+      { method: "post", headers: { Authorization: `Bearer ${token}` }, retries: 3 }
+    );
+  }
+}
+
+/**
+ * Pasa la orden a la cola de revisión manual: ningún cron vuelve a tocarla.
+ */
+async function escalateToManualReview(order, reason) {
+  await logActivity(`Orden ML ${order.ml_order_id} enviada a revisión manual: ${reason}`, "error", {
+    ml_order_id: order.ml_order_id,
+    kinguin_order_ids: [...new Set((order.items || []).map(item => item.kinguin_order_id).filter(Boolean))],
+    reason,
+  });
+
+  return updateOrder(order.id, {
+    status: ORDER_STATUS.MANUAL_REVIEW,
+    review_reason: reason,
+    next_retry_at: null,
+  });
+}
+
+/**
+ * Agenda la próxima consulta a Kinguin sin contarla como intento fallido,
+ * salvo que ya se haya superado el tiempo máximo de espera.
+ */
+async function scheduleKeyPoll(order, reason) {
+  const waitingSince = new Date(order.purchased_at || order.created_at).getTime();
+  if (Date.now() - waitingSince > KEY_WAIT_TIMEOUT_MS) {
+    return escalateToManualReview(order, `Sin keys tras ${KEY_WAIT_TIMEOUT_MS / 3600000} horas: ${reason}`);
+  }
+
+  console.warn(`⏳ Orden ML ${order.ml_order_id} esperando keys: ${reason}`);
+  return updateOrder(order.id, {
+    last_error: reason,
+    next_retry_at: new Date(Date.now() + KEY_POLL_INTERVAL_MS).toISOString(),
+  });
+}
+
+async function deliverKeys(order, seller, collected) {
+  const items = order.items || [];
+  const unavailable = items.filter(item => item.status === "unavailable");
+
+  // Guardar en el vault antes de enviar: si el mensaje falla, la key ya quedó registrada
+  await storeOrderKeys(order, collected);
+  const { deliveries, byVaultId } = await deliveryGuides(await getOrderKeys(order.id));
+
+  await sendPackMessages(order, buildDeliveryText(deliveries, unavailable), seller);
+  await markKeysDelivered(deliveries.flatMap(d => d.vaultIds), byVaultId);
+
+  await logActivity(`Keys entregadas al comprador de la orden ML ${order.ml_order_id}`, order.partial_fulfillment ? "warning" : "success", {
+    ml_order_id: order.ml_order_id,
+    delivered_items: deliveries.map(d => ({ title: d.title, keys: d.keys.length, guide: d.guide && `${d.guide.platform} v${d.guide.version}` })),
+    partial_fulfillment: order.partial_fulfillment,
+  });
+
+  return updateOrder(order.id, {
+    status: ORDER_STATUS.KEY_DELIVERED,
+    delivered_at: new Date().toISOString(),
+    next_retry_at: null,
+    last_error: order.partial_fulfillment ? order.last_error : null,
+  });
+}
+
+/**
+ * Reenvía al comprador las keys guardadas en el vault, sin volver a consultar Kinguin.
+ * @param {string} mlOrderId - ID de la orden en MercadoLibre.
+ * @returns {Promise<{ml_order_id: string, keys: number, messages: number}>}
+ */
+export async function redeliverOrderKeys(mlOrderId) {
+  const order = await getOrderByMlId(mlOrderId);
+  if (!order) throw new Error(`Orden ML ${mlOrderId} no encontrada`);
+  if (order.status !== ORDER_STATUS.KEY_DELIVERED) {
+    throw new Error(`La orden ML ${mlOrderId} está en estado ${order.status}, solo se reenvían órdenes entregadas`);
+  }
+
+  const { deliveries, byVaultId } = await deliveryGuides(await getOrderKeys(order.id));
+  if (deliveries.length === 0) throw new Error(`No hay keys en el vault para la orden ML ${mlOrderId}`);
+
+  const seller = await orderSeller(order);
+
+  const unavailable = (order.items || []).filter(item => item.status === "unavailable");
+  const text = buildDeliveryText(deliveries, unavailable, { redelivery: true });
+  await sendPackMessages(order, text, seller);
+  await markKeysDelivered(deliveries.flatMap(d => d.vaultIds), byVaultId);
+
+  const totalKeys = deliveries.reduce((sum, d) => sum + d.keys.length, 0);
+  await logActivity(`Keys reenviadas al comprador de la orden ML ${order.ml_order_id}`, "info", {
+    ml_order_id: order.ml_order_id,
+    keys: totalKeys,
+  });
+
+  return { ml_order_id: order.ml_order_id, keys: totalKeys, messages: splitMessage(text).length };
+}
+
+/**
+ * Últimas órdenes registradas, para el panel de operación. No incluye keys.
+ * @param {number} limit - Máximo de órdenes a devolver.
+ * @param {string|null} status - Filtrar por estado (ej. "manual_review" para la cola de revisión).
+ */
+export async function listRecentOrders(limit = 20, status = null) {
+  let query = supabase
+    .from("orders")
+    .select("id, ml_order_id, account_id, status, items, partial_fulfillment, attempts, last_error, review_reason, created_at, delivered_at")
+    .order("created_at", { ascending: false })
+    .limit(limit);
+
+  if (status) query = query.eq("status", status);
+
+  const { data, error } = await query;
+
+  if (error) throw new Error(`Error al listar órdenes: ${error.message}`);
+  return data || [];
+}
+
+async function registerOrderFailure(order, error) {
+  const attempts = (order.attempts || 0) + 1;
+  const message = error.response?.data?.message || error.message;
+  const exhausted = attempts >= MAX_ATTEMPTS;
+
+  await updateOrder(order.id, {
+    attempts,
+    last_error: message,
+    status: exhausted ? ORDER_STATUS.FAILED : order.status,
+    next_retry_at: exhausted
+      ? null
+      : new Date(Date.now() + calculateBackoffDelay(attempts - 1, RETRY_BASE_DELAY_MS, RETRY_MAX_DELAY_MS)).toISOString(),
+    locked_until: null,
+  });
+
+  await logActivity(
+    exhausted
+      ? `Orden ML ${order.ml_order_id} marcada como fallida tras ${attempts} intentos: ${message}`
+      : `Error procesando orden ML ${order.ml_order_id} (intento ${attempts}/${MAX_ATTEMPTS}): ${message}`,
+    exhausted ? "error" : "warning",
+    { ml_order_id: order.ml_order_id, status: order.status, attempts }
+  );
+}
+
+/**
+ * Consume un evento de orden de Kinguin (order.status / order.complete).
+ * Cuando la orden se completa se adelanta la consulta de keys en vez de esperar al cron.
+ * @param {object} payload - Body del webhook ({ orderId, orderExternalId, status }).
+ * @returns {Promise<{handled: boolean, ml_order_id?: string, status?: string}>}
+ */
+export async function handleKinguinOrderEvent(payload) {
+  // Nuestros IDs externos son ML-<ml_order_id> o ML-<ml_order_id>-<kinguin_id>
+  const match = /^ML-(\d+)/.exec(payload?.orderExternalId || "");
+  if (!match) return { handled: false };
+
+  const order = await getOrderByMlId(match[1]);
+  if (!order || order.status !== ORDER_STATUS.KEY_PURCHASED) {
+    return { handled: false, ml_order_id: match[1], status: order?.status };
+  }
+
+  const kinguinStatus = String(payload.status || "").toLowerCase();
+  if (kinguinStatus !== "completed" && !KINGUIN_DEAD_ORDER_STATUSES.includes(kinguinStatus)) {
+    return { handled: false, ml_order_id: order.ml_order_id, status: order.status };
+  }
+
+  const result = await processOrder(order.id);
+  return { handled: true, ml_order_id: order.ml_order_id, ...result };
+}
+
+/**
+ * Avanza una orden por todos los pasos pendientes (pago → compra → entrega).
+ * Cada paso persiste su resultado antes de continuar, así un reintento retoma
+ * desde el último estado guardado sin repetir compras en Kinguin.
+ * @param {string} orderId - ID interno de la orden.
+ * @returns {Promise<{status: string, awaitingKeys?: boolean, skipped?: boolean, error?: string}>}
+ */
+export async function processOrder(orderId) {
+  const locked = await acquireOrderLock(orderId);
+  if (!locked) {
+    return { status: "locked", skipped: true };
+  }
+
+  let order = locked;
+  try {
+    if (!PENDING_ORDER_STATUSES.includes(order.status)) {
+      await updateOrder(order.id, { locked_until: null });
+      return { status: order.status, skipped: true };
+    }
+
+    // Token y API key de Kinguin de la cuenta que vendió (orders.account_id)
+    const seller = await orderSeller(order);
+
+    if (order.status === ORDER_STATUS.RECEIVED) {
+      order = await confirmPayment(order, seller.token);
+    }
+    if (order.status === ORDER_STATUS.PAID) {
+      order = await purchaseKeys(order, seller.kinguinKey);
+      await recordProfit(order, seller.kinguinKey);
+    }
+    let awaitingKeys = false;
+    if (order.status === ORDER_STATUS.KEY_PURCHASED) {
+      const { deliveries, pending, review } = await collectKeysByItem(order.items || [], seller.kinguinKey);
+      if (deliveries) {
+        order = await deliverKeys(order, seller, deliveries);
+      } else if (review) {
+        order = await escalateToManualReview(order, review);
+      } else {
+        order = await scheduleKeyPoll(order, pending);
+        awaitingKeys = order.status === ORDER_STATUS.KEY_PURCHASED;
+      }
+    }
+
+    await updateOrder(order.id, { locked_until: null });
+    return { status: order.status, partial: order.partial_fulfillment, awaitingKeys };
+  } catch (error) {
+    console.error(`💥 Error en fulfillment de la orden ${order.ml_order_id}:`, error.response?.data || error.message);
+    await registerOrderFailure(order, error);
+    return { status: order.status, error: error.message };
+  }
+}
@@ -0,0 +1,39 @@
+/**
+ * Reglas compartidas por los repricers automáticos (sync-prices, sync-prices-stock, update-all-prices,
+ * webhooks de Kinguin) para decidir si pueden escribir el precio de regla sobre una publicación.
+ * Funciones puras: no consultan ML ni la base de datos.
+ */
+
+// Estado que deja un repricer basado en reglas al escribir un precio
+export const RULE_PRICING_STATE = { pricing_source: "rule", competitor_price_until: null };
+
+/**
+ * Estado con el que el repricing por competencia marca la publicación: los syncs de regla
+ * no tocan el precio hasta competitor_price_until.
+ * @param {number} holdHours
+ * @param {Date} now
+ */
+export function competitorPricingState(holdHours, now = new Date()) {
+  return {
+    pricing_source: "competitor",
+    competitor_price_until: new Date(now.getTime() + Number(holdHours) * 3600 * 1000).toISOString(),
+  };
+}
+
+/**
+ * true si el precio vigente lo fijó el repricing por competencia y todavía manda sobre la regla.
+ * Deja de mandar cuando vence competitor_price_until o cuando la oferta de Kinguin sube sobre
+ * euro_price (el costo con el que se calculó el piso): en ese caso el piso ya no protege el margen.
+ * @param {object} listing - Fila de published_products con pricing_source, competitor_price_until y euro_price.
+ * @param {number|null} offerEUR - Oferta actual de Kinguin; null si no se conoce.
+ * @param {Date} now
+ * @returns {boolean}
+ */
+export function competitorPriceHeld(listing, offerEUR = null, now = new Date()) {
+  if (listing?.pricing_source !== "competitor" || !listing.competitor_price_until) return false;
+  if (new Date(listing.competitor_price_until) <= now) return false;
+
+  const baseEUR = Number(listing.euro_price);
+  if (offerEUR != null && baseEUR > 0 && Number(offerEUR) > baseEUR) return false;
+  return true;
+}
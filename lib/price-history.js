@@ -0,0 +1,121 @@
+import { createClient } from "@supabase/supabase-js";
+import { kinguinFeeEUR } from "../pages/api/_logic";
+import { PRIMARY_SITE_ID } from "./ml-sites";
+import { DEFAULT_ACCOUNT_ID } from "./ml-accounts";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * Registra un cambio de precio en price_history junto con la regla de precio que lo produjo.
+ * Un error al registrar no interrumpe la actualización del producto.
+ * @param {object} change
+ * @param {string|number} change.kinguinId
+ * @param {string} change.mlId
+ * @param {number} change.oldPrice - Precio anterior en CLP (0 o null si no se conoce).
+ * @param {number} change.newPrice - Precio nuevo en CLP.
+ * @param {number} change.exchangeRate - Tipo de cambio EUR/CLP usado.
+ * @param {number} change.originalEurPrice - Precio de la oferta de Kinguin en EUR.
+ * @param {{id: string|null, name: string}|null} change.pricingRule - Regla devuelta por computePriceCLP.
+ * @param {string|null} change.reason - Motivo del cambio cuando no es la regla de precio (p. ej. repricing por competencia).
+ * @param {object|null} change.breakdown - Desglose devuelto por computePriceCLP (buildPriceBreakdown).
+ * @param {string|null} change.seller - Vendedor de la oferta de Kinguin usada; se guarda dentro del desglose.
+ * @param {string|null} change.source - Proceso que escribió el precio (add-product, sync-prices-stock...); también va en el desglose.
+ * @param {string} change.accountId - Cuenta de ML dueña de la publicación (lib/ml-accounts.js).
+ */
+export async function recordPriceChange({ kinguinId, mlId, oldPrice, newPrice, exchangeRate, originalEurPrice, pricingRule, reason = null, breakdown = null, seller = null, source = null, accountId = DEFAULT_ACCOUNT_ID }) {
+  const previous = Number(oldPrice) || 0;
+  const { error } = await supabase
+    .from("price_history")
+    .insert({
+      account_id: accountId || DEFAULT_ACCOUNT_ID,
+      kinguin_id: String(kinguinId),
+      ml_id: mlId,
+      old_price: previous,
+      new_price: newPrice,
+      change_percentage: previous ? ((newPrice - previous) / previous) * 100 : null,
+      exchange_rate: exchangeRate,
+      original_eur_price: originalEurPrice,
+      pricing_rule_id: pricingRule?.id || null,
+      pricing_rule_name: pricingRule?.name || null,
+      reason,
+      breakdown: breakdown && { ...breakdown, seller, source },
+      recorded_at: new Date().toISOString()
+    });
+
+  if (error) console.error(`Error registrando historial de precio: ${error.message}`);
+}
+
+/**
+ * Desglose aproximado para puntos guardados antes de price_history.breakdown:
+ * la fee de Kinguin es determinística, el resto sale de las columnas del historial.
+ */
+function reconstructBreakdown(row) {
+  const offerEUR = Number(row.original_eur_price);
+  const FX = Number(row.exchange_rate);
+  if (!(offerEUR > 0) || !(FX > 0)) return null;
+
+  const fee = kinguinFeeEUR(offerEUR);
+  return {
+    version: 0,
+    reconstructed: true,
+    offer_eur: offerEUR,
+    kinguin_fee_eur: Number(fee.toFixed(2)),
+    cost_eur: Number((offerEUR + fee).toFixed(2)),
+    fx: { rate: FX, mode: null, sources: [], reason: null, fetched_at: null },
+    cost_clp: Math.round((offerEUR + fee) * FX),
+    rule: row.pricing_rule_name ? { id: row.pricing_rule_id, name: row.pricing_rule_name } : null,
+    price_clp: Number(row.new_price),
+  };
+}
+
+/**
+ * Historial de precios de una publicación con el desglose de cada punto.
+ * @param {string} productId - kinguin_id o ml_id
+ * @param {object} options
+ * @param {string|null} options.historyId - Un punto específico de price_history.
+ * @param {number} options.limit - Puntos más recientes a devolver.
+ * @param {string|null} options.accountId - Cuenta de ML; por kinguin_id el producto puede estar publicado por varias.
+ * @returns {Promise<{product: object, points: object[]}|null>} null si la publicación no existe.
+ */
+export async function getPriceExplanation(productId, { historyId = null, limit = 50, accountId = null } = {}) {
+  let listingQuery = supabase
+    .from("published_products")
+    .select("account_id, kinguin_id, ml_id, site_id, currency_id, title, price, euro_price, pricing_rule_name, status")
+    .or(`kinguin_id.eq.${productId},ml_id.eq.${productId}`);
+  if (accountId) listingQuery = listingQuery.eq("account_id", accountId);
+
+  const { data: listings, error: productError } = await listingQuery;
+
+  if (productError) throw new Error(`Error leyendo published_products: ${productError.message}`);
+  // Por kinguin_id hay una publicación por sitio: se explica la del sitio principal
+  const product = (listings || []).find(l => l.ml_id === productId)
+    || (listings || []).find(l => l.site_id === PRIMARY_SITE_ID)
+    || listings?.[0];
+  if (!product) return null;
+
+  let query = supabase
+    .from("price_history")
+    .select("id, ml_id, old_price, new_price, change_percentage, exchange_rate, original_eur_price, pricing_rule_id, pricing_rule_name, reason, breakdown, recorded_at")
+    .eq("account_id", product.account_id || DEFAULT_ACCOUNT_ID)
+    .eq("kinguin_id", String(product.kinguin_id))
+    .order("recorded_at", { ascending: false });
+  // Los puntos de otros sitios llevan breakdown.site; los del sitio principal (y los antiguos) no
+  query = product.site_id && product.site_id !== PRIMARY_SITE_ID
+    ? query.eq("breakdown->site->>site_id", product.site_id)
+    : query.is("breakdown->site", null);
+  query = historyId ? query.eq("id", historyId) : query.limit(limit);
+
+  const { data: rows, error } = await query;
+  if (error) throw new Error(`Error leyendo price_history: ${error.message}`);
+
+  return {
+    product,
+    points: (rows || []).map(row => ({
+      ...row,
+      breakdown: row.breakdown || reconstructBreakdown(row),
+    })),
+  };
+}
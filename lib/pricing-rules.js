@@ -0,0 +1,226 @@
+import { createClient } from "@supabase/supabase-js";
+import { DEFAULT_FEE_TABLE, ML_LISTING_TYPES, mlSaleFee, solvePriceForNet } from "./ml-fees";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const RULES_CACHE_TTL_MS = 60 * 1000;
+
+export const ROUNDING_MODES = ["990", "100", "none"];
+
+// factor: precio × ml_fee_factor (cálculo histórico); ml: comisión real de ML según tipo de publicación y categoría
+export const FEE_MODES = ["factor", "ml"];
+
+/**
+ * Reglas por defecto: reproducen el cálculo histórico de computePriceCLP.
+ * Se evalúan siempre al final, así todo producto tiene una regla aunque la tabla esté vacía.
+ */
+export const DEFAULT_PRICING_RULES = [
+  {
+    id: null,
+    name: "Base: costo menor a 3.500 CLP",
+    priority: 100000,
+    max_cost_clp: 3500,
+    margin: 0.75,
+    low_price_threshold: 9990,
+    low_price_bump: 700,
+    ml_fee_factor: 1.19,
+    rounding: "990",
+  },
+  {
+    id: null,
+    name: "Base: general",
+    priority: 100001,
+    margin: 0.30,
+    low_price_threshold: 9990,
+    low_price_bump: 700,
+    ml_fee_factor: 1.19,
+    rounding: "990",
+  },
+];
+
+let rulesCache = null;
+let rulesCachedAt = 0;
+
+/**
+ * Reglas habilitadas ordenadas por prioridad (menor primero), seguidas de las reglas base.
+ * Si Supabase falla se usan solo las reglas base para no bloquear la publicación.
+ * @returns {Promise<object[]>}
+ */
+export async function getPricingRules() {
+  if (rulesCache && Date.now() - rulesCachedAt < RULES_CACHE_TTL_MS) {
+    return rulesCache;
+  }
+
+  const { data, error } = await supabase
+    .from("pricing_rules")
+    .select("*")
+    .eq("enabled", true)
+    .order("priority", { ascending: true });
+
+  if (error) {
+    console.warn(`[Precio] ⚠️ No se pudieron cargar las reglas de precio, usando reglas base: ${error.message}`);
+    return DEFAULT_PRICING_RULES;
+  }
+
+  rulesCache = [...(data || []), ...DEFAULT_PRICING_RULES];
+  rulesCachedAt = Date.now();
+  return rulesCache;
+}
+
+export function invalidatePricingRulesCache() {
+  rulesCache = null;
+}
+
+function isSet(value) {
+  return value !== null && value !== undefined && value !== "";
+}
+
+/**
+ * Primera regla cuyo alcance coincide con el producto. Un campo vacío en la regla acepta cualquier valor.
+ * @param {object[]} rules - Reglas ordenadas.
+ * @param {{accountId?: string, kinguinId?: string, productType?: string, platform?: string, costCLP: number}} context
+ * @returns {object} La regla aplicable.
+ */
+export function matchPricingRule(rules, context) {
+  return rules.find(rule => {
+    if (isSet(rule.account_id) && rule.account_id !== context.accountId) return false;
+    if (isSet(rule.kinguin_id) && String(rule.kinguin_id) !== String(context.kinguinId ?? "")) return false;
+    if (isSet(rule.product_type) && rule.product_type !== context.productType) return false;
+    if (isSet(rule.platform) && rule.platform !== context.platform) return false;
+    if (isSet(rule.min_cost_clp) && context.costCLP < Number(rule.min_cost_clp)) return false;
+    if (isSet(rule.max_cost_clp) && context.costCLP >= Number(rule.max_cost_clp)) return false;
+    return true;
+  }) || DEFAULT_PRICING_RULES[DEFAULT_PRICING_RULES.length - 1];
+}
+
+export function roundPrice(value, mode = "990") {
+  if (mode === "none") return Math.round(value);
+  if (mode === "100") return Math.ceil(value / 100) * 100;
+  return Math.ceil(value / 1000) * 1000 - 10; // Formato psicológico: 9.990, 14.990
+}
+
+// Tipo de publicación y categoría con que se cotiza la comisión ML de una regla
+export function ruleFeeOptions(rule) {
+  return {
+    listingTypeId: rule.listing_type_id || undefined,
+    categoryId: rule.category_id || undefined,
+  };
+}
+
+/**
+ * Aplica una regla al costo en CLP (oferta + fee Kinguin, ya convertido).
+ * En modo "ml" el margen es neto: se busca el precio que, descontada la comisión real de ML,
+ * deja costo × (1 + margen). El ajuste bajo umbral no se aplica porque el cargo fijo ya está modelado.
+ * @param {object} feeTable - Tabla de comisiones (getMlFeeTable); solo se usa en modo "ml".
+ * unroundedCLP y lowPriceBump quedan en el resultado para el desglose del precio (price_history.breakdown).
+ * @returns {{priceCLP: number, unroundedCLP: number, margin: number, lowPriceBump: number, mlFee: {percentageFee: number, fixedFee: number, amount: number}|null}}
+ */
+export function applyPricingRule(rule, costCLP, feeTable = DEFAULT_FEE_TABLE) {
+  const margin = Number(rule.margin);
+
+  if (rule.fee_mode === "ml") {
+    const targetNet = costCLP * (1 + margin);
+    const unroundedCLP = solvePriceForNet(feeTable, targetNet, ruleFeeOptions(rule));
+    const priceCLP = roundPrice(unroundedCLP, rule.rounding);
+    return { priceCLP, unroundedCLP, margin, lowPriceBump: 0, mlFee: mlSaleFee(feeTable, priceCLP, ruleFeeOptions(rule)) };
+  }
+
+  let finalCLP = costCLP * (1 + margin);
+  let lowPriceBump = 0;
+
+  if (isSet(rule.low_price_threshold) && finalCLP < Number(rule.low_price_threshold)) {
+    lowPriceBump = Number(rule.low_price_bump || 0); // Ajuste para productos muy económicos
+    finalCLP += lowPriceBump;
+  }
+  finalCLP = finalCLP * Number(rule.ml_fee_factor || 1); // Factor para compensar comisión ML
+
+  return { priceCLP: roundPrice(finalCLP, rule.rounding), unroundedCLP: finalCLP, margin, lowPriceBump, mlFee: null };
+}
+
+/**
+ * Margen estimado en CLP de vender a priceCLP: neto después de la comisión ML menos el costo.
+ * En modo "factor" la comisión se aproxima con ml_fee_factor, igual que al calcular el precio.
+ */
+export function estimateNetMargin(rule, priceCLP, costCLP, feeTable = DEFAULT_FEE_TABLE) {
+  const net = rule.fee_mode === "ml"
+    ? priceCLP - mlSaleFee(feeTable, priceCLP, ruleFeeOptions(rule)).amount
+    : priceCLP / Number(rule.ml_fee_factor || 1);
+  return Math.round(net - costCLP);
+}
+
+// ---------- Administración de reglas (product manager) ----------
+
+export async function listPricingRules() {
+  const { data, error } = await supabase
+    .from("pricing_rules")
+    .select("*")
+    .order("priority", { ascending: true });
+
+  if (error) throw new Error(`Error al listar reglas de precio: ${error.message}`);
+  return data || [];
+}
+
+function numberOrNull(value) {
+  return isSet(value) ? Number(value) : null;
+}
+
+/**
+ * Normaliza y valida una regla antes de guardarla. Lanza error si algún valor es inválido.
+ */
+export function sanitizePricingRule(input) {
+  const rule = {
+    name: String(input.name || "").trim(),
+    priority: Number.parseInt(input.priority, 10),
+    enabled: input.enabled !== false,
+    account_id: isSet(input.account_id) ? String(input.account_id) : null,
+    product_type: isSet(input.product_type) ? String(input.product_type) : null,
+    platform: isSet(input.platform) ? String(input.platform) : null,
+    kinguin_id: isSet(input.kinguin_id) ? String(input.kinguin_id) : null,
+    min_cost_clp: numberOrNull(input.min_cost_clp),
+    max_cost_clp: numberOrNull(input.max_cost_clp),
+    margin: Number(input.margin),
+    low_price_threshold: numberOrNull(input.low_price_threshold),
+    low_price_bump: numberOrNull(input.low_price_bump) ?? 0,
+    ml_fee_factor: numberOrNull(input.ml_fee_factor) ?? 1,
+    rounding: input.rounding || "990",
+    fee_mode: input.fee_mode || "factor",
+    listing_type_id: isSet(input.listing_type_id) ? String(input.listing_type_id) : null,
+    category_id: isSet(input.category_id) ? String(input.category_id).trim().toUpperCase() : null,
+  };
+
+  if (!rule.name) throw new Error("La regla necesita un nombre");
+  if (Number.isNaN(rule.priority)) throw new Error("Prioridad inválida");
+  if (Number.isNaN(rule.margin) || rule.margin < 0 || rule.margin > 5) throw new Error("Margen inválido (0 a 5)");
+  if (rule.ml_fee_factor < 1 || rule.ml_fee_factor > 2) throw new Error("Factor ML inválido (1 a 2)");
+  if (!ROUNDING_MODES.includes(rule.rounding)) throw new Error(`Redondeo inválido: ${rule.rounding}`);
+  if (!FEE_MODES.includes(rule.fee_mode)) throw new Error(`Modo de comisión inválido: ${rule.fee_mode}`);
+  if (rule.listing_type_id && !ML_LISTING_TYPES.includes(rule.listing_type_id)) {
+    throw new Error(`Tipo de publicación inválido: ${rule.listing_type_id}`);
+  }
+  if (rule.min_cost_clp !== null && rule.max_cost_clp !== null && rule.min_cost_clp >= rule.max_cost_clp) {
+    throw new Error("El costo mínimo debe ser menor al máximo");
+  }
+  return rule;
+}
+
+export async function savePricingRule(input) {
+  const rule = sanitizePricingRule(input);
+  const query = input.id
+    ? supabase.from("pricing_rules").update({ ...rule, updated_at: new Date().toISOString() }).eq("id", input.id)
+    : supabase.from("pricing_rules").insert(rule);
+
+  const { data, error } = await query.select("*").single();
+  if (error) throw new Error(`Error al guardar la regla de precio: ${error.message}`);
+
+  invalidatePricingRulesCache();
+  return data;
+}
+
+export async function deletePricingRule(id) {
+  const { error } = await supabase.from("pricing_rules").delete().eq("id", id);
+  if (error) throw new Error(`Error al eliminar la regla de precio: ${error.message}`);
+  invalidatePricingRulesCache();
+}
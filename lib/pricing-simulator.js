@@ -0,0 +1,125 @@
+import { createClient } from "@supabase/supabase-js";
+import { calculatePriceCLP, getEuroToClp } from "../pages/api/_logic";
+import { getPricingRules, sanitizePricingRule, estimateNetMargin, DEFAULT_PRICING_RULES } from "./pricing-rules";
+import { getMlFeeTable } from "./ml-fees";
+import { PRIMARY_SITE_ID } from "./ml-sites";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const PAGE_SIZE = 1000; // Límite de filas por consulta de Supabase
+
+async function fetchPublishedProducts() {
+  const products = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from("published_products")
+      .select("account_id, kinguin_id, ml_id, title, price, euro_price, platform, product_type, status")
+      .eq("site_id", PRIMARY_SITE_ID)
+      .not("ml_id", "is", null)
+      .gt("euro_price", 0)
+      .in("status", ["active", "paused"])
+      .order("kinguin_id", { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw new Error(`Error leyendo published_products: ${error.message}`);
+    products.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return products;
+  }
+}
+
+/**
+ * Recalcula el precio de todo el catálogo publicado sin tocar MercadoLibre ni la base de datos.
+ * @param {object} options
+ * @param {object[]|null} options.rules - Reglas candidatas; null para usar las reglas vigentes.
+ * @param {number|null} options.fx - Tipo de cambio EUR/CLP a simular; null para el actual.
+ * @param {boolean} options.onlyChanged - Devolver solo las publicaciones cuyo precio cambiaría.
+ * @returns {Promise<{fx: number, summary: object, products: object[]}>}
+ */
+export async function simulatePricing({ rules = null, fx = null, onlyChanged = false } = {}) {
+  // Las reglas candidatas se validan igual que al guardarlas; las reglas base siguen al final
+  const ruleSet = rules
+    ? [
+      ...rules.map(sanitizePricingRule).filter(rule => rule.enabled).sort((a, b) => a.priority - b.priority),
+      ...DEFAULT_PRICING_RULES,
+    ]
+    : await getPricingRules();
+  const FX = fx || await getEuroToClp();
+  if (!FX || FX <= 0) throw new Error(`Tipo de cambio inválido: ${FX}`);
+
+  const feeTable = await getMlFeeTable();
+  const published = await fetchPublishedProducts();
+  const summary = {
+    total: published.length,
+    moved: 0,
+    increased: 0,
+    decreased: 0,
+    old_revenue_clp: 0,
+    new_revenue_clp: 0,
+    revenue_delta_clp: 0,
+    old_margin_clp: 0,
+    new_margin_clp: 0,
+    margin_delta_clp: 0,
+    by_rule: {},
+  };
+  const products = [];
+
+  for (const product of published) {
+    const { costCLP, rule, priceCLP } = calculatePriceCLP(Number(product.euro_price), FX, ruleSet, product, feeTable);
+    const oldPrice = Number(product.price) || 0;
+    const oldMargin = estimateNetMargin(rule, oldPrice, costCLP, feeTable);
+    const newMargin = estimateNetMargin(rule, priceCLP, costCLP, feeTable);
+    const moved = priceCLP !== oldPrice;
+
+    summary.old_revenue_clp += oldPrice;
+    summary.new_revenue_clp += priceCLP;
+    summary.old_margin_clp += oldMargin;
+    summary.new_margin_clp += newMargin;
+    summary.by_rule[rule.name] = (summary.by_rule[rule.name] || 0) + 1;
+    if (moved) {
+      summary.moved++;
+      if (priceCLP > oldPrice) summary.increased++;
+      else summary.decreased++;
+    }
+
+    if (onlyChanged && !moved) continue;
+    products.push({
+      account_id: product.account_id,
+      kinguin_id: product.kinguin_id,
+      ml_id: product.ml_id,
+      title: product.title,
+      euro_price: Number(product.euro_price),
+      cost_clp: Math.round(costCLP),
+      old_price: oldPrice,
+      new_price: priceCLP,
+      price_delta: priceCLP - oldPrice,
+      old_margin_clp: oldMargin,
+      new_margin_clp: newMargin,
+      rule: rule.name,
+    });
+  }
+
+  summary.revenue_delta_clp = summary.new_revenue_clp - summary.old_revenue_clp;
+  summary.margin_delta_clp = summary.new_margin_clp - summary.old_margin_clp;
+  return { fx: FX, summary, products };
+}
+
+const CSV_COLUMNS = [
+  "kinguin_id", "ml_id", "title", "euro_price", "cost_clp", "old_price", "new_price",
+  "price_delta", "old_margin_clp", "new_margin_clp", "rule",
+];
+
+function csvValue(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function simulationToCsv(products) {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const product of products) {
+    lines.push(CSV_COLUMNS.map(column => csvValue(product[column])).join(","));
+  }
+  return lines.join("\n");
+}
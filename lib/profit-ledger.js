@@ -0,0 +1,205 @@
+import { createClient } from "@supabase/supabase-js";
+import { getEuroToClp, kinguinFeeEUR } from "../pages/api/_logic";
+import { getFxQuote } from "./fx-provider";
+import { getMlFeeTable, mlSaleFee } from "./ml-fees";
+import { PRIMARY_SITE_ID, getSiteProfile } from "./ml-sites";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export const PROFIT_PERIODS = ["day", "month"];
+
+const PAGE_SIZE = 1000; // Límite de filas por consulta de Supabase
+
+function findMlOrderItem(mlOrder, mlItemId) {
+  return (mlOrder?.order_items || []).find(orderItem => orderItem.item?.id === mlItemId) || null;
+}
+
+// Precio unitario pagado a Kinguin: primero lo que informa la orden, si no el último precio conocido de la oferta
+function kinguinUnitPrice(kinguinOrder, kinguinProductId) {
+  const product = (kinguinOrder?.products || []).find(p => String(p.productId ?? p.kinguinId) === kinguinProductId);
+  const price = Number(product?.price);
+  return price > 0 ? price : null;
+}
+
+async function getPublishedByKinguinIds(kinguinIds, siteId) {
+  if (kinguinIds.length === 0) return new Map();
+  const { data, error } = await supabase
+    .from("published_products")
+    .select("kinguin_id, platform, product_type, euro_price")
+    .in("kinguin_id", kinguinIds)
+    .eq("site_id", siteId);
+
+  if (error) throw new Error(`Error consultando published_products: ${error.message}`);
+  return new Map((data || []).map(row => [String(row.kinguin_id), row]));
+}
+
+// Moneda del sitio de la orden y cuántos CLP vale una unidad de ella (1 en MLC), vía EUR/CLP y EUR/moneda
+async function siteCurrencyToClp(siteId, eurToClp) {
+  const { currency_id: currency } = await getSiteProfile(siteId);
+  if (currency === "CLP") return { currency, toClp: 1 };
+
+  const { rate } = await getFxQuote({ currency });
+  if (!rate || rate <= 0) throw new Error(`Tipo de cambio inválido para EUR/${currency}: ${rate}`);
+  return { currency, toClp: eurToClp / rate };
+}
+
+/**
+ * Registra en profit_ledger la utilidad neta de cada ítem comprado de una orden.
+ * Se llama justo después de comprar en Kinguin, así el tipo de cambio es el del momento de la compra.
+ * Es idempotente: un reintento reemplaza las filas de la misma orden e ítem.
+ * Las ventas de otros sitios (orders.site_id) se convierten a CLP; la fila guarda también los montos en su moneda.
+ * @param {object} order - Fila de orders en estado key_purchased.
+ * @param {Map<string, object>} kinguinOrders - Órdenes de Kinguin por ID, con sus productos y precios.
+ * @returns {Promise<{items: number, net_profit_clp: number}>}
+ */
+export async function recordOrderProfit(order, kinguinOrders = new Map()) {
+  const purchased = (order.items || []).filter(item => item.status === "purchased");
+  if (purchased.length === 0) return { items: 0, net_profit_clp: 0 };
+
+  const siteId = order.site_id || PRIMARY_SITE_ID;
+  const [FX, feeTable, published] = await Promise.all([
+    getEuroToClp(),
+    getMlFeeTable(),
+    getPublishedByKinguinIds([...new Set(purchased.map(item => item.kinguin_product_id))], siteId),
+  ]);
+  if (!FX || FX <= 0) throw new Error(`Tipo de cambio inválido: ${FX}`);
+  const { currency, toClp } = await siteCurrencyToClp(siteId, FX);
+
+  const rows = purchased.map(item => {
+    const mlOrderItem = findMlOrderItem(order.ml_order, item.ml_item_id);
+    const product = published.get(item.kinguin_product_id);
+    const quantity = item.quantity || 1;
+
+    // unit_price y sale_fee vienen en la moneda del sitio
+    const unitSalePrice = Number(mlOrderItem?.unit_price || 0);
+    const salePriceLocal = unitSalePrice * quantity;
+
+    // ML informa sale_fee por unidad en la orden; si no viene se estima con la tabla de comisiones (de MLC, en CLP)
+    const mlFeeLocal = mlOrderItem?.sale_fee != null
+      ? Number(mlOrderItem.sale_fee) * quantity
+      : mlSaleFee(feeTable, unitSalePrice * toClp, { listingTypeId: mlOrderItem?.listing_type_id }).amount * quantity / toClp;
+
+    const salePriceCLP = Math.round(salePriceLocal * toClp);
+    const mlFeeCLP = Math.round(mlFeeLocal * toClp);
+
+    const orderPrice = kinguinUnitPrice(kinguinOrders.get(item.kinguin_order_id), item.kinguin_product_id);
+    const offerPriceEUR = orderPrice ?? (Number(product?.euro_price) || 0);
+    const kinguinFee = offerPriceEUR > 0 ? kinguinFeeEUR(offerPriceEUR) : 0;
+    const costCLP = Math.round((offerPriceEUR + kinguinFee) * quantity * FX);
+
+    return {
+      order_id: order.id,
+      ml_order_id: order.ml_order_id,
+      ml_item_id: item.ml_item_id,
+      kinguin_product_id: item.kinguin_product_id,
+      kinguin_order_id: item.kinguin_order_id,
+      title: item.title,
+      platform: product?.platform || null,
+      product_type: product?.product_type || null,
+      quantity,
+      site_id: siteId,
+      currency_id: currency,
+      sale_price_local: salePriceLocal,
+      ml_fee_local: mlFeeLocal,
+      local_to_clp: toClp,
+      sale_price_clp: salePriceCLP,
+      ml_fee_clp: mlFeeCLP,
+      kinguin_offer_price_eur: offerPriceEUR,
+      kinguin_fee_eur: kinguinFee,
+      cost_source: orderPrice !== null ? "kinguin_order" : "published_price",
+      exchange_rate: FX,
+      cost_clp: costCLP,
+      net_profit_clp: salePriceCLP - mlFeeCLP - costCLP,
+      sold_at: order.paid_at || order.created_at,
+    };
+  });
+
+  const { error } = await supabase
+    .from("profit_ledger")
+    .upsert(rows, { onConflict: "order_id,ml_item_id,kinguin_product_id" });
+  if (error) throw new Error(`Error guardando profit_ledger: ${error.message}`);
+
+  return { items: rows.length, net_profit_clp: rows.reduce((sum, row) => sum + row.net_profit_clp, 0) };
+}
+
+function periodKey(date, period) {
+  const iso = new Date(date).toISOString();
+  return period === "month" ? iso.slice(0, 7) : iso.slice(0, 10);
+}
+
+function emptyTotals() {
+  return { sales: 0, units: 0, revenue_clp: 0, ml_fees_clp: 0, cost_clp: 0, net_profit_clp: 0 };
+}
+
+function addRow(totals, row) {
+  totals.sales++;
+  totals.units += row.quantity;
+  totals.revenue_clp += row.sale_price_clp;
+  totals.ml_fees_clp += row.ml_fee_clp;
+  totals.cost_clp += row.cost_clp;
+  totals.net_profit_clp += row.net_profit_clp;
+}
+
+async function fetchLedgerRows({ from, to, platform, productType }) {
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    let query = supabase
+      .from("profit_ledger")
+      .select("quantity, sale_price_clp, ml_fee_clp, cost_clp, net_profit_clp, platform, product_type, sold_at")
+      .gte("sold_at", from)
+      .lt("sold_at", to)
+      .order("sold_at", { ascending: true })
+      .order("id", { ascending: true });
+
+    if (platform) query = query.eq("platform", platform);
+    if (productType) query = query.eq("product_type", productType);
+
+    const { data, error } = await query.range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) throw new Error(`Error consultando profit_ledger: ${error.message}`);
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
+
+/**
+ * Utilidad agrupada por día o mes, con desglose por plataforma y tipo de producto.
+ * Lee el ledger por páginas: Supabase corta cada consulta en PAGE_SIZE filas.
+ * @param {object} options
+ * @param {"day"|"month"} options.period
+ * @param {string} options.from - Fecha ISO inicial (inclusive).
+ * @param {string} options.to - Fecha ISO final (exclusiva).
+ * @param {string|null} options.platform - Filtrar por plataforma.
+ * @param {string|null} options.productType - Filtrar por tipo de producto.
+ * @returns {Promise<{totals: object, series: object[], by_platform: object, by_product_type: object}>}
+ */
+export async function getProfitReport({ period = "day", from, to, platform = null, productType = null }) {
+  const data = await fetchLedgerRows({ from, to, platform, productType });
+
+  const totals = emptyTotals();
+  const series = new Map();
+  const byPlatform = {};
+  const byProductType = {};
+
+  for (const row of data) {
+    const key = periodKey(row.sold_at, period);
+    if (!series.has(key)) series.set(key, { period: key, ...emptyTotals(), by_platform: {}, by_product_type: {} });
+    const bucket = series.get(key);
+    const rowPlatform = row.platform || "Sin plataforma";
+    const rowType = row.product_type || "Sin tipo";
+
+    addRow(totals, row);
+    addRow(bucket, row);
+    bucket.by_platform[rowPlatform] = (bucket.by_platform[rowPlatform] || 0) + row.net_profit_clp;
+    bucket.by_product_type[rowType] = (bucket.by_product_type[rowType] || 0) + row.net_profit_clp;
+    if (!byPlatform[rowPlatform]) byPlatform[rowPlatform] = emptyTotals();
+    if (!byProductType[rowType]) byProductType[rowType] = emptyTotals();
+    addRow(byPlatform[rowPlatform], row);
+    addRow(byProductType[rowType], row);
+  }
+
+  return { totals, series: [...series.values()], by_platform: byPlatform, by_product_type: byProductType };
+}
@@ -0,0 +1,277 @@
+import { createClient } from "@supabase/supabase-js";
+import { computeSitePrice, getKinguinProduct, logActivity } from "../pages/api/_logic";
+import { axiosWithSmartRetry } from "../pages/api/_http-utils";
+import { getOfferSeller } from "../pages/api/_offer-utils";
+import { recordPriceChange } from "./price-history";
+import { competitorPriceHeld, RULE_PRICING_STATE } from "./price-guards";
+import { PRIMARY_SITE_ID, getSiteProfile, getSiteAccessToken } from "./ml-sites";
+import { getAccount, accountAccessToken, accountKinguinKey } from "./ml-accounts";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const DEFAULT_BATCH_SIZE = 100;
+const DEFAULT_MAX_RETRIES = 5; // Tras 5 fallos la fila pasa a dead letter
+
+export const WEBHOOK_OUTCOME = {
+  REPRICED: "repriced",
+  PAUSED: "paused",
+  REACTIVATED: "reactivated",
+  UNCHANGED: "unchanged",
+  NOT_PUBLISHED: "not_published",
+  DEAD_LETTER: "dead_letter",
+};
+
+async function updateMlItem(mlId, body, token) {
+  await axiosWithSmartRetry(
+    `https://api.mercadolibre.com/items/${mlId}`,
+    body,
+    { method: "put", headers: { Authorization: `Bearer ${token}` }, retries: 3 }
+  );
+}
+
+/**
+ * Oferta más barata con stock y precio válido, o null si el producto se quedó sin stock.
+ */
+function cheapestAvailableOffer(product) {
+  const offers = (product.offers || []).filter(offer => {
+    const qty = offer.qty ?? offer.quantity ?? offer.quantityOffers ?? 0;
+    return Number(offer.price) > 0 && qty > 0;
+  });
+  if (offers.length === 0) return null;
+  return offers.reduce((a, o) => Number(o.price) < Number(a.price) ? o : a, offers[0]);
+}
+
+/**
+ * Aplica el estado de Kinguin a una publicación de una cuenta en un sitio.
+ * El precio sale de computeSitePrice con el perfil del sitio de la publicación (moneda, redondeo, tax_factor).
+ * @param {object} published - Fila de published_products.
+ * @param {object} product - Producto de Kinguin.
+ * @param {{token: string, profile: object}} context - Token de ML y perfil del sitio (lib/ml-sites.js).
+ * @returns {Promise<{outcome: string, details: object}>}
+ */
+async function applyListingUpdate(published, product, { token, profile }) {
+  const offer = cheapestAvailableOffer(product);
+  const now = new Date().toISOString();
+
+  // Sin stock: pausar la publicación en vez de dejarla vendiendo algo que no podemos comprar
+  if (!offer) {
+    if (published.status !== "paused") {
+      await updateMlItem(published.ml_id, { status: "paused" }, token);
+      await supabase.from("published_products")
+        .update({ status: "paused", updated_at: now })
+        .eq("account_id", published.account_id)
+        .eq("kinguin_id", published.kinguin_id)
+        .eq("site_id", published.site_id);
+      return { outcome: WEBHOOK_OUTCOME.PAUSED, details: { ml_id: published.ml_id } };
+    }
+    return { outcome: WEBHOOK_OUTCOME.UNCHANGED, details: { ml_id: published.ml_id, reason: "sin stock" } };
+  }
+
+  // Con account_id se aplican también las reglas de precio de la cuenta
+  const { price, fx, pricingRule, breakdown, fxHeld } = await computeSitePrice(Number(offer.price), { ...product, account_id: published.account_id }, profile);
+  if (!price) throw new Error(`No se pudo calcular el precio de ${published.kinguin_id} en ${published.site_id}`);
+
+  const updates = {};
+  const mlChanges = {};
+  // Precio fijado por el repricing por competencia o tipo de cambio en modo hold: solo se reactiva si hace falta
+  const heldReason = competitorPriceHeld(published, Number(offer.price)) ? "precio de competencia"
+    : fxHeld ? "tipo de cambio en modo hold"
+    : null;
+  const held = Boolean(heldReason);
+
+  if (!held && price !== Number(published.price)) {
+    mlChanges.price = price;
+    updates.price = price;
+    updates.euro_price = offer.price;
+    updates.pricing_rule_id = pricingRule?.id || null;
+    updates.pricing_rule_name = pricingRule?.name || null;
+    Object.assign(updates, RULE_PRICING_STATE);
+  }
+  if (published.status === "paused") {
+    mlChanges.status = "active";
+    updates.status = "active";
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return { outcome: WEBHOOK_OUTCOME.UNCHANGED, details: { ml_id: published.ml_id, price, ...(held && { reason: heldReason }) } };
+  }
+
+  await updateMlItem(published.ml_id, mlChanges, token);
+  await supabase.from("published_products")
+    .update({ ...updates, updated_at: now })
+    .eq("account_id", published.account_id)
+    .eq("kinguin_id", published.kinguin_id)
+    .eq("site_id", published.site_id);
+
+  if (updates.price) {
+    await recordPriceChange({
+      kinguinId: published.kinguin_id,
+      mlId: published.ml_id,
+      oldPrice: published.price,
+      newPrice: price,
+      exchangeRate: fx,
+      originalEurPrice: offer.price,
+      pricingRule,
+      breakdown,
+      seller: getOfferSeller(offer),
+      source: "kinguin-webhook",
+      accountId: published.account_id,
+    });
+  }
+
+  return {
+    outcome: updates.price ? WEBHOOK_OUTCOME.REPRICED : WEBHOOK_OUTCOME.REACTIVATED,
+    details: { ml_id: published.ml_id, site_id: published.site_id, old_price: published.price, new_price: price, pricing_rule: pricingRule?.name, reactivated: Boolean(updates.status) },
+  };
+}
+
+/**
+ * Aplica el estado actual de Kinguin a las publicaciones de un producto en todas las cuentas y sitios.
+ * Se consulta el producto completo porque product.update solo trae la cantidad, no el precio.
+ * Si falla una publicación las demás se actualizan igual; el error se lanza al final para reintentar el evento.
+ * @param {string} kinguinId
+ * @param {(account: object, siteId: string) => Promise<{token: string, profile: object}>} contextFor - Token y perfil por cuenta y sitio, cacheados por ejecución.
+ * @returns {Promise<{outcome: string, details: object}>}
+ */
+async function applyProductUpdate(kinguinId, contextFor) {
+  const { data: listings, error } = await supabase
+    .from("published_products")
+    .select("account_id, kinguin_id, site_id, ml_id, title, price, euro_price, status, pricing_source, competitor_price_until")
+    .eq("kinguin_id", String(kinguinId))
+    .in("status", ["active", "paused"])
+    .not("ml_id", "is", null);
+
+  if (error) throw new Error(`Error consultando published_products: ${error.message}`);
+  if (!listings?.length) return { outcome: WEBHOOK_OUTCOME.NOT_PUBLISHED, details: {} };
+
+  // Las publicaciones de cuentas desactivadas siguen vivas en ML: también se actualizan
+  const accounts = new Map();
+  for (const accountId of new Set(listings.map(listing => listing.account_id))) {
+    accounts.set(accountId, await getAccount(accountId, { includeInactive: true }));
+  }
+
+  const product = await getKinguinProduct(kinguinId, { KINGUIN_API_KEY: accountKinguinKey(accounts.get(listings[0].account_id)) });
+  const results = [];
+  const failures = [];
+  for (const listing of listings) {
+    try {
+      const context = await contextFor(accounts.get(listing.account_id), listing.site_id);
+      results.push({ account_id: listing.account_id, site_id: listing.site_id, ...await applyListingUpdate(listing, product, context) });
+    } catch (err) {
+      failures.push(`${listing.account_id}/${listing.site_id}: ${err.response?.data?.message || err.message}`);
+    }
+  }
+  if (failures.length > 0) throw new Error(`Falló la actualización en ${failures.join("; ")}`);
+
+  // El evento guarda un solo outcome: el primer cambio aplicado, o unchanged si no hubo ninguno
+  const changed = results.find(result => result.outcome !== WEBHOOK_OUTCOME.UNCHANGED) || results[0];
+  return {
+    outcome: changed.outcome,
+    details: results.length === 1 ? changed.details : { listings: results },
+  };
+}
+
+/**
+ * Token y perfil con que se actualiza una publicación. En el sitio principal es el token de la cuenta;
+ * los demás sitios usan el token de su perfil (token_key), igual que lib/ml-site-listings.js.
+ */
+async function listingContext(account, siteId) {
+  const profile = await getSiteProfile(siteId);
+  if (siteId === PRIMARY_SITE_ID) return { profile, token: await accountAccessToken(account) };
+
+  const token = await getSiteAccessToken(profile);
+  if (!token) throw new Error(`No hay token de MercadoLibre para ${siteId} (tokens.${profile.token_key})`);
+  return { profile, token };
+}
+
+async function markRows(ids, updates) {
+  const { error } = await supabase.from("webhook_queue").update(updates).in("id", ids);
+  if (error) console.error(`Error actualizando webhook_queue: ${error.message}`);
+}
+
+/**
+ * Drena la cola de eventos product.update de Kinguin.
+ * Las filas del mismo kinguin_id se procesan una sola vez y comparten el resultado.
+ * @param {object} options
+ * @param {number} options.limit - Máximo de filas a leer por ejecución.
+ * @param {number} options.maxRetries - Fallos permitidos antes de mandar la fila a dead letter.
+ * @returns {Promise<{rows: number, products: number, outcomes: object, errors: number, deadLettered: number}>}
+ */
+export async function processWebhookQueue({ limit = DEFAULT_BATCH_SIZE, maxRetries = DEFAULT_MAX_RETRIES } = {}) {
+  const { data: rows, error } = await supabase
+    .from("webhook_queue")
+    .select("id, kinguin_id, retry_count, created_at")
+    .eq("event_type", "product.update")
+    .eq("processed", false)
+    .order("created_at", { ascending: true })
+    .limit(limit);
+
+  if (error) throw new Error(`Error leyendo webhook_queue: ${error.message}`);
+
+  const groups = new Map();
+  for (const row of rows || []) {
+    const group = groups.get(row.kinguin_id) || [];
+    group.push(row);
+    groups.set(row.kinguin_id, group);
+  }
+
+  const summary = { rows: rows?.length || 0, products: groups.size, outcomes: {}, errors: 0, deadLettered: 0 };
+  if (groups.size === 0) return summary;
+
+  // Token y perfil por cuenta y sitio, pedidos una sola vez por ejecución
+  const contexts = new Map();
+  const contextFor = (account, siteId) => {
+    const key = `${account.id}:${siteId}`;
+    if (!contexts.has(key)) contexts.set(key, listingContext(account, siteId));
+    return contexts.get(key);
+  };
+
+  for (const [kinguinId, group] of groups) {
+    const ids = group.map(row => row.id);
+    try {
+      const { outcome, details } = await applyProductUpdate(kinguinId, contextFor);
+      await markRows(ids, {
+        processed: true,
+        processed_at: new Date().toISOString(),
+        outcome,
+        last_error: null,
+      });
+      summary.outcomes[outcome] = (summary.outcomes[outcome] || 0) + 1;
+
+      if (outcome !== WEBHOOK_OUTCOME.UNCHANGED && outcome !== WEBHOOK_OUTCOME.NOT_PUBLISHED) {
+        await logActivity(`Webhook product.update aplicado a ${kinguinId}: ${outcome}`, "info", { kinguin_id: kinguinId, events: ids.length, ...details });
+      }
+    } catch (err) {
+      summary.errors++;
+      const message = err.response?.data?.message || err.message;
+
+      // Cada fila lleva su propio contador: un evento nuevo no hereda los fallos de uno viejo
+      for (const row of group) {
+        const retryCount = (row.retry_count || 0) + 1;
+        const deadLetter = retryCount >= maxRetries;
+        if (deadLetter) summary.deadLettered++;
+
+        await markRows([row.id], {
+          retry_count: retryCount,
+          last_error: message,
+          ...(deadLetter && {
+            processed: true,
+            processed_at: new Date().toISOString(),
+            outcome: WEBHOOK_OUTCOME.DEAD_LETTER,
+          }),
+        });
+      }
+
+      console.error(`❌ Error procesando webhook de ${kinguinId}:`, message);
+    }
+  }
+
+  if (summary.deadLettered > 0) {
+    await logActivity(`${summary.deadLettered} eventos de webhook enviados a dead letter`, "error", { max_retries: maxRetries });
+  }
+
+  return summary;
+}
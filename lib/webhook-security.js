@@ -0,0 +1,197 @@
+import crypto from "crypto";
+import { createClient } from "@supabase/supabase-js";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const CONFIG_KEY = "webhook_security";
+const CONFIG_CACHE_TTL_MS = 60 * 1000;
+const DEFAULT_MAX_AGE_SECONDS = 60 * 60; // Eventos con más de 1 hora se consideran repetidos
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;  // Tolerancia para relojes adelantados
+
+/**
+ * Cómo se autentica y se identifica cada origen de webhooks.
+ * - secret: de dónde sale el secret compartido de la petición.
+ * - timestamp: fecha del evento, para rechazar eventos viejos.
+ * - nonce: identificador único del envío, para rechazar repeticiones exactas.
+ */
+const SOURCES = {
+  kinguin: {
+    envVar: "KINGUIN_WEBHOOK_SECRET",
+    secret: req => req.headers["x-event-secret"],
+    timestamp: req => req.body?.updatedAt,
+    nonce: req => crypto.createHash("sha256")
+      .update(`${req.headers["x-event-name"] || ""}:${JSON.stringify(req.body || {})}`)
+      .digest("hex"),
+  },
+  mercadolibre: {
+    envVar: "ML_WEBHOOK_SECRET",
+    // ML no firma las notificaciones: el secret va en la URL de notificaciones configurada en la app
+    secret: req => req.query?.secret,
+    timestamp: req => req.body?.sent,
+    // ML reintenta con el mismo _id e incrementa attempts; cada intento es un envío distinto
+    nonce: req => req.body?._id ? `${req.body._id}:${req.body.attempts || 1}` : null,
+  },
+};
+
+let configCache = null;
+let configCachedAt = 0;
+
+async function getSecurityConfig() {
+  if (configCache && Date.now() - configCachedAt < CONFIG_CACHE_TTL_MS) {
+    return configCache;
+  }
+
+  const { data } = await supabase
+    .from("system_config")
+    .select("value")
+    .eq("key", CONFIG_KEY)
+    .maybeSingle();
+
+  configCache = data?.value || {};
+  configCachedAt = Date.now();
+  return configCache;
+}
+
+function splitSecrets(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(","))
+    .map(secret => String(secret).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Secrets activos de un origen. Durante una rotación conviven el viejo y el nuevo:
+ * se aceptan todos los de system_config.webhook_security.secrets[source] y los de la variable
+ * de entorno (separados por coma).
+ * @param {"kinguin"|"mercadolibre"} source
+ * @returns {Promise<string[]>}
+ */
+export async function getActiveSecrets(source) {
+  const config = await getSecurityConfig();
+  return [...new Set([
+    ...splitSecrets(config.secrets?.[source]),
+    ...splitSecrets(process.env[SOURCES[source].envVar]),
+  ])];
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+async function recordRejection(source, reason, req) {
+  console.warn(`🚨 Webhook ${source} rechazado: ${reason}`);
+  const { error } = await supabase.from("webhook_rejections").insert({
+    source,
+    reason,
+    event_name: req.headers["x-event-name"] || req.body?.topic || null,
+    ip: req.headers["x-forwarded-for"]?.split(",")[0]?.trim() || req.socket?.remoteAddress || null,
+  });
+  if (error) console.error(`Error registrando rechazo de webhook: ${error.message}`);
+}
+
+/**
+ * Registra el nonce del envío. Devuelve false si ya se había recibido (replay).
+ */
+async function claimNonce(source, nonce) {
+  const { error } = await supabase.from("webhook_nonces").insert({ source, nonce });
+  if (!error) return true;
+  if (error.code === "23505") return false;
+  throw new Error(`Error registrando nonce de webhook: ${error.message}`);
+}
+
+/**
+ * Libera el nonce de un envío que no se pudo guardar, así el reintento del origen no cuenta como replay.
+ * @param {"kinguin"|"mercadolibre"} source
+ * @param {string} nonce - El que devolvió verifyInboundWebhook.
+ */
+export async function releaseWebhookNonce(source, nonce) {
+  const { error } = await supabase.from("webhook_nonces").delete().eq("source", source).eq("nonce", nonce);
+  if (error) console.error(`Error liberando nonce de webhook ${source}: ${error.message}`);
+}
+
+/**
+ * Verifica una petición entrante antes de procesarla: secret, antigüedad del evento y repetición.
+ * La verificación es obligatoria: sin secrets configurados se rechaza todo.
+ * El nonce queda registrado: si el evento no se puede guardar, liberarlo con releaseWebhookNonce.
+ * @param {object} req - Request de Next.js.
+ * @param {"kinguin"|"mercadolibre"} source - Origen del webhook.
+ * @returns {Promise<{ok: true, nonce: string} | {ok: false, reason: string, replay?: boolean}>}
+ */
+export async function verifyInboundWebhook(req, source) {
+  const definition = SOURCES[source];
+  if (!definition) throw new Error(`Origen de webhook desconocido: ${source}`);
+
+  const reject = async (reason, extra = {}) => {
+    await recordRejection(source, reason, req);
+    return { ok: false, reason, ...extra };
+  };
+
+  // 1. Secret compartido
+  const secrets = await getActiveSecrets(source);
+  if (secrets.length === 0) return reject("not_configured");
+
+  const provided = definition.secret(req);
+  if (!provided) return reject("missing_secret");
+  if (!secrets.some(secret => safeEqual(secret, provided))) return reject("invalid_secret");
+
+  if (source === "mercadolibre" && process.env.ML_APP_ID && req.body?.application_id &&
+      String(req.body.application_id) !== String(process.env.ML_APP_ID)) {
+    return reject("foreign_application");
+  }
+
+  // 2. Antigüedad del evento
+  const config = await getSecurityConfig();
+  const maxAgeMs = (config.max_age_seconds || DEFAULT_MAX_AGE_SECONDS) * 1000;
+  const timestamp = Date.parse(definition.timestamp(req) || "");
+  if (Number.isNaN(timestamp)) return reject("missing_timestamp");
+
+  const age = Date.now() - timestamp;
+  if (age > maxAgeMs || age < -MAX_CLOCK_SKEW_MS) return reject("stale_timestamp");
+
+  // 3. Nonce: el mismo envío no se procesa dos veces
+  const nonce = definition.nonce(req);
+  if (!nonce) return reject("missing_nonce");
+  if (!(await claimNonce(source, nonce))) return reject("replay", { replay: true });
+
+  return { ok: true, nonce };
+}
+
+/**
+ * Rechazos de las últimas horas agrupados por origen y motivo, para /api/health.
+ * @param {number} hours - Ventana de tiempo.
+ * @returns {Promise<{total: number, by_source: object}>}
+ */
+export async function getRejectionStats(hours = 24) {
+  const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+  const { data, error } = await supabase
+    .from("webhook_rejections")
+    .select("source, reason")
+    .gte("created_at", since)
+    .limit(10000);
+
+  if (error) throw new Error(`Error consultando rechazos de webhooks: ${error.message}`);
+
+  const bySource = {};
+  for (const { source, reason } of data || []) {
+    bySource[source] = bySource[source] || {};
+    bySource[source][reason] = (bySource[source][reason] || 0) + 1;
+  }
+  return { total: data?.length || 0, by_source: bySource };
+}
+
+/**
+ * Borra nonces más viejos que la ventana de antigüedad: esos eventos ya se rechazan por timestamp.
+ */
+export async function purgeExpiredNonces() {
+  const config = await getSecurityConfig();
+  const maxAgeMs = (config.max_age_seconds || DEFAULT_MAX_AGE_SECONDS) * 1000;
+  const cutoff = new Date(Date.now() - maxAgeMs - MAX_CLOCK_SKEW_MS).toISOString();
+
+  const { error } = await supabase.from("webhook_nonces").delete().lt("created_at", cutoff);
+  if (error) throw new Error(`Error limpiando nonces de webhooks: ${error.message}`);
+}
@@ -0,0 +1,83 @@
+import { NextResponse } from "next/server";
+import {
+  AUTH_HEADERS,
+  SESSION_COOKIE,
+  requiredRole,
+  resolvePrincipal,
+  roleAllows,
+} from "./lib/auth-session";
+
+// Métodos que cambian algo: quedan en audit_log con el usuario que los pidió
+const AUDITED_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+/**
+ * Registra la petición en audit_log vía la API REST de Supabase, sin bloquear la respuesta.
+ */
+function auditRequest(event, request, principal, { status }) {
+  const url = process.env.SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!url || !key) return;
+
+  event.waitUntil(
+    fetch(`${url}/rest/v1/audit_log`, {
+      method: "POST",
+      headers: {
+        apikey: key,
+        Authorization: `Bearer ${key}`,
+        "Content-Type": "application/json",
+        Prefer: "return=minimal",
+      },
+      body: JSON.stringify({
+        user_id: principal?.sub || null,
+        user_email: principal?.email || null,
+        role: principal?.role || null,
+        action: `${request.method} ${request.nextUrl.pathname}`,
+        status,
+        details: { query: Object.fromEntries(request.nextUrl.searchParams) },
+        ip: request.headers.get("x-forwarded-for") || null,
+      }),
+    }).catch(error => console.error("[Auth] ❌ No se pudo registrar en audit_log:", error.message))
+  );
+}
+
+/**
+ * Protege todas las rutas /api/* según el rol mínimo de requiredRole (lib/auth-session.js).
+ * Acepta la cookie de sesión del panel o Authorization: Bearer <API_SECRET_KEY> (rol admin).
+ * Las rutas reciben el usuario en los headers x-auth-user-*; los que traiga el cliente se descartan.
+ */
+export async function middleware(request, event) {
+  const headers = new Headers(request.headers);
+  Object.values(AUTH_HEADERS).forEach(name => headers.delete(name));
+
+  const required = requiredRole(request.nextUrl.pathname, request.method);
+  if (!required) return NextResponse.next({ request: { headers } });
+
+  let principal = null;
+  try {
+    principal = await resolvePrincipal(request.headers.get("authorization"), request.cookies.get(SESSION_COOKIE)?.value);
+  } catch (error) {
+    console.error("[Auth] ❌ Error verificando sesión:", error.message);
+    return NextResponse.json({ success: false, error: "Autenticación no configurada" }, { status: 500 });
+  }
+
+  const audited = AUDITED_METHODS.includes(request.method);
+  if (!principal) {
+    if (audited) auditRequest(event, request, null, { status: 401 });
+    return NextResponse.json({ success: false, error: "No autorizado" }, { status: 401 });
+  }
+  if (!roleAllows(principal.role, required)) {
+    if (audited) auditRequest(event, request, principal, { status: 403 });
+    return NextResponse.json({ success: false, error: `Se requiere rol ${required}` }, { status: 403 });
+  }
+
+  headers.set(AUTH_HEADERS.id, principal.sub);
+  headers.set(AUTH_HEADERS.email, principal.email);
+  headers.set(AUTH_HEADERS.role, principal.role);
+  if (audited) auditRequest(event, request, principal, { status: 200 });
+
+  return NextResponse.next({ request: { headers } });
+}
+
+export const config = {
+  matcher: "/api/:path*",
+};
@@ -0,0 +1,51 @@
+import { AUTH_HEADERS, SERVICE_PRINCIPAL, roleAllows, safeEqual } from '../../lib/auth-session';
+
+/**
+ * Usuario de la petición según los headers que deja middleware.js (sesión del panel o API key).
+ * Si la petición no pasó por el middleware (handlers llamados directamente, como en cron-runner)
+ * se acepta `Authorization: Bearer <API_SECRET_KEY>` como servicio.
+ * @returns {{sub: string, email: string, role: string}|null}
+ */
+export function getRequestUser(req) {
+  const role = req.headers[AUTH_HEADERS.role];
+  if (role) {
+    return { sub: req.headers[AUTH_HEADERS.id], email: req.headers[AUTH_HEADERS.email], role };
+  }
+
+  const expected = process.env.API_SECRET_KEY;
+  const provided = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  return expected && safeEqual(provided, expected) ? SERVICE_PRINCIPAL : null;
+}
+
+/**
+ * Exige un rol mínimo (viewer < operator < admin). Responde 401/403 y devuelve false si no alcanza.
+ * El middleware ya filtra por ruta; esto es para rutas con permisos distintos por acción.
+ */
+export function requireRole(req, res, role) {
+  const user = getRequestUser(req);
+  if (!user) {
+    res.status(401).json({ success: false, error: 'No autorizado' });
+    return false;
+  }
+  if (!roleAllows(user.role, role)) {
+    res.status(403).json({ success: false, error: `Se requiere rol ${role}` });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Verifica que la petición venga de un usuario del panel o de `Authorization: Bearer <API_SECRET_KEY>`.
+ * Lecturas con viewer; el resto con operator. Si API_SECRET_KEY no está configurada solo sirven las sesiones.
+ * Responde 401/403 y devuelve false cuando la petición no está autorizada.
+ */
+export function requireApiKey(req, res) {
+  return requireRole(req, res, req.method === 'GET' ? 'viewer' : 'operator');
+}
+
+/**
+ * Headers para llamadas de una ruta API a otra del mismo deploy (pasan por el middleware).
+ */
+export function serviceAuthHeaders() {
+  return process.env.API_SECRET_KEY ? { Authorization: `Bearer ${process.env.API_SECRET_KEY}` } : {};
+}
@@ -52,6 +52,7 @@ export async function axiosWithSmartRetry(config, data = null, options = {}) {
       lastError = error;
       
       // No reintentar si es error de autenticación o método no permitido
+      // (un 401 de ML ya lo reintentó una vez el interceptor de lib/ml-tokens.js con el token refrescado)
       if (error.response && [401, 403, 405].includes(error.response.status)) {
         throw error;
       }
@@ -1,4 +1,8 @@
 import axios from "axios";
+import { getPricingRules, matchPricingRule, applyPricingRule, estimateNetMargin, ruleFeeOptions } from "../../lib/pricing-rules";
+import { getMlFeeTable, mlSaleFee, DEFAULT_FEE_TABLE } from "../../lib/ml-fees";
+import { getFxQuote } from "../../lib/fx-provider";
+import { sitePriceFromCLP, PRIMARY_SITE_ID } from "../../lib/ml-sites";
 
 // ---------- Registro de actividad ----------
 export async function logActivity(message, type = 'info', details = null, jobId = null) {
@@ -116,202 +120,13 @@ export function validateProduct(product) {
 
 // ---------- FX EUR->CLP ----------
 /**
- * Obtiene el tipo de cambio EUR->CLP usando el API interno que consulta múltiples fuentes
- * Si todas las fuentes fallan, se utiliza un valor por defecto.
+ * Tipo de cambio EUR->CLP vigente según lib/fx-provider (mediana de fuentes, guardia de
+ * desvío y caché en proceso). En modo hold devuelve el último valor guardado.
  * @returns {Promise<number>} El tipo de cambio EUR->CLP
  */
 export async function getEuroToClp() {
-  try {
-    console.log("[FX] 🔄 Obteniendo tipo de cambio...");
-    
-    // En lugar de hacer una llamada HTTP interna, usar directamente la lógica
-    // Esto evita problemas de timeout y es más eficiente en Vercel
-    
-    // Lista de APIs públicas para tipo de cambio
-    const apis = [
-      { 
-        name: "ExchangeRate-API", 
-        url: "https://v6.exchangerate-api.com/v6/4b2791d8815316b6f5d4e0b2/latest/EUR", 
-        extractRate: (data) => data?.conversion_rates?.CLP
-      },
-      { 
-        name: "Open Exchange Rates", 
-        url: "https://open.er-api.com/v6/latest/EUR", 
-        extractRate: (data) => data?.rates?.CLP
-      },
-      { 
-        name: "Currency API (CDN)", 
-        url: "https://cdn.jsdelivr.net/npm/@fawazahmed0/currency-api@latest/v1/currencies/eur.json", 
-        extractRate: (data) => data?.eur?.clp
-      }
-    ];
-
-    const results = [];
-    const errors = [];
-    
-    // Consultar las primeras 2 APIs en paralelo para mayor velocidad
-    const quickPromises = apis.slice(0, 2).map(async (api) => {
-      try {
-        console.log(`[FX] Consultando API: ${api.name}`);
-        const response = await axios.get(api.url, { 
-          timeout: 10000,  // Aumentado de 5s a 10s para mejor estabilidad
-          headers: { 'User-Agent': 'Mozilla/5.0 MercadoLibre Currency Converter/1.0' }
-        });
-        
-        const rate = api.extractRate(response.data);
-        if (rate && typeof rate === 'number' && rate > 0) {
-          console.log(`[FX] ✅ API ${api.name} respondió con tasa: ${rate}`);
-          results.push({ name: api.name, rate });
-          return true;
-        }
-        
-        console.warn(`[FX] ⚠️ API ${api.name} devolvió tasa inválida: ${rate}`);
-        errors.push(`${api.name}: Tasa inválida (${rate})`);
-        return false;
-      } catch (error) {
-        const errorMsg = error.response?.status 
-          ? `Error HTTP ${error.response.status}` 
-          : error.code === 'ECONNABORTED'
-            ? 'Timeout'
-            : error.message;
-            
-        console.error(`[FX] ❌ Error en API ${api.name}: ${errorMsg}`);
-        errors.push(`${api.name}: ${errorMsg}`);
-        return false;
-      }
-    });
-    
-    await Promise.allSettled(quickPromises);
-
-    // Si hay al menos un resultado exitoso, usar promedio
-    if (results.length > 0) {
-      const sum = results.reduce((acc, curr) => acc + curr.rate, 0);
-      const average = Math.round(sum / results.length);
-      
-      console.log(`[FX] ✅ Tipo de cambio obtenido: ${average} (promedio de ${results.length} fuentes)`);
-      
-      // Guardar en la base de datos para uso futuro
-      try {
-        const { createClient } = await import("@supabase/supabase-js");
-        const supabase = createClient(
-          process.env.SUPABASE_URL,
-          process.env.SUPABASE_SERVICE_ROLE_KEY
-        );
-        
-        await supabase.from("exchange_rates").insert({
-          rate: average,
-          sources: results.map(r => r.name),
-          created_at: new Date().toISOString()
-        });
-        
-        console.log(`[FX] 💾 Tipo de cambio guardado en la base de datos: ${average}`);
-      } catch (dbError) {
-        console.error(`[FX] Error al guardar tipo de cambio en la base de datos: ${dbError.message}`);
-      }
-      
-      await logFxRate(average, results.map(r => r.name), false);
-      return average;
-    }
-    
-    throw new Error("No se pudo obtener tipo de cambio de las APIs");
-  } catch (error) {
-    console.error(`[FX] ❌ ERROR al obtener tipo de cambio: ${error.message}`);
-    
-    // Intentar obtener el último tipo de cambio guardado de la base de datos
-    try {
-      const { createClient } = await import("@supabase/supabase-js");
-      const supabase = createClient(
-        process.env.SUPABASE_URL,
-        process.env.SUPABASE_SERVICE_ROLE_KEY
-      );
-      
-      const { data: lastRate, error: dbError } = await supabase
-        .from("exchange_rates")
-        .select("rate, created_at")
-        .order("created_at", { ascending: false })
-        .limit(1);
-      
-      if (!dbError && lastRate && lastRate.length > 0) {
-        const savedRate = lastRate[0].rate;
-        const savedDate = new Date(lastRate[0].created_at);
-        const hoursAgo = (Date.now() - savedDate.getTime()) / (1000 * 60 * 60);
-        
-        // Solo usar valor de BD si es de las últimas 24 horas
-        if (hoursAgo < 24) {
-          console.warn(`[FX] ⚠️ Usando tipo de cambio de la base de datos de hace ${Math.round(hoursAgo)} horas: ${savedRate}`);
-          await logFxRate(savedRate, ["database_recent"], true);
-          return savedRate;
-        } else {
-          console.error(`[FX] ❌ Tipo de cambio en base de datos demasiado antiguo (${Math.round(hoursAgo)} horas)`);
-        }
-      }
-    } catch (dbError) {
-      console.error(`[FX] Error al consultar tipo de cambio en la base de datos: ${dbError.message}`);
-    }
-    
-    // Si no se pudo obtener un tipo de cambio real, usar un valor de emergencia hardcodeado
-    console.error(`[FX] ❌ ERROR CRÍTICO: No se pudo obtener un tipo de cambio real válido`);
-    await logActivity(
-      `ERROR CRÍTICO: No se pudo obtener un tipo de cambio real EUR/CLP de ninguna fuente`,
-      'error',
-      { error: error.message }
-    );
-    
-    // VALOR DE EMERGENCIA HARDCODEADO - actualizado septiembre 2025
-    const emergencyRate = 1120; // Valor EUR/CLP actualizado según tasa actual septiembre 2025
-    console.warn(`[FX] ⚠️ Usando tipo de cambio de emergencia hardcodeado: ${emergencyRate}`);
-    await logFxRate(emergencyRate, ['hardcoded_emergency'], true);
-    await logActivity(
-      `Usando tipo de cambio de EMERGENCIA hardcodeado: ${emergencyRate} EUR/CLP`,
-      'warning',
-      { rate: emergencyRate, source: 'hardcoded_emergency' }
-    );
-    
-    // Guardar también este valor en la BD para no tener que usarlo en la próxima ejecución
-    try {
-      const { createClient } = await import("@supabase/supabase-js");
-      const supabase = createClient(
-        process.env.SUPABASE_URL,
-        process.env.SUPABASE_SERVICE_ROLE_KEY
-      );
-      
-      await supabase.from("exchange_rates").insert({
-        rate: emergencyRate,
-        sources: ['hardcoded_emergency'],
-        created_at: new Date().toISOString(),
-        fallback: true
-      });
-      
-      console.log(`[FX] 💾 Tipo de cambio de emergencia guardado en la base de datos: ${emergencyRate}`);
-    } catch (dbError) {
-      console.error(`[FX] Error al guardar tipo de cambio de emergencia: ${dbError.message}`);
-    }
-    
-    // Devolver el valor de emergencia en lugar de lanzar error
-    return emergencyRate;
-  }
-}
-
-/**
- * Registra el tipo de cambio usado para análisis posterior
- * @param {number} rate - El tipo de cambio usado
- * @param {Array<string>} sources - Las fuentes utilizadas
- * @param {boolean} isFallback - Si es un valor por defecto
- */
-async function logFxRate(rate, sources = [], isFallback = false) {
-  try {
-    // Registrar en la consola para debugging inmediato
-    console.log(`[FX] 📊 EUR/CLP: ${rate} | Fuentes: ${sources.join(', ')} | Fallback: ${isFallback}`);
-    
-    // También registrar en la actividad del sistema
-    await logActivity(
-      `Tipo de cambio EUR/CLP: ${rate} (${isFallback ? 'fallback' : 'tiempo real'})`,
-      isFallback ? 'warning' : 'info',
-      { rate, sources, isFallback }
-    );
-  } catch (error) {
-    console.error(`[FX] Error al registrar tipo de cambio: ${error.message}`);
-  }
+  const { rate } = await getFxQuote();
+  return rate;
 }
 
 // ---------- Fee Kinguin ----------
@@ -327,53 +142,125 @@ export function kinguinFeeEUR(subtotalEUR) {
   return t ? t.fee : 3.5;
 }
 
-// ---------- Redondeo de Precio ----------
-function roundTo990(value) {
-  return Math.ceil(value / 1000) * 1000 - 10;
+// ---------- Precio CLP ----------
+/**
+ * Contexto con el que se elige la regla de precio. Acepta un producto de Kinguin
+ * o una fila de published_products (con product_type guardado).
+ * account_id viene en las filas de published_products; a un producto de Kinguin se le agrega al publicar.
+ */
+function pricingContext(product, costCLP) {
+  const hasName = Boolean(product?.name || product?.originalName);
+  return {
+    accountId: product?.account_id ?? null,
+    kinguinId: product?.kinguinId ?? product?.kinguin_id ?? null,
+    productType: product?.product_type || (hasName ? getProductType(product) : null),
+    platform: product?.platform ? normalizePlatform(product.platform) : null,
+    costCLP,
+  };
+}
+
+/**
+ * Parte pura del cálculo de precio: sin red ni base de datos.
+ * computePriceCLP y el simulador de precios (/api/pricing/simulate) usan esta misma función.
+ * @param {number} offerPriceEUR - Precio de la oferta en EUR
+ * @param {number} FX - Tipo de cambio EUR/CLP
+ * @param {object[]} rules - Reglas de precio ordenadas (getPricingRules)
+ * @param {object|null} product - Producto de Kinguin o fila de published_products
+ * @param {object} feeTable - Tabla de comisiones ML (getMlFeeTable), para reglas en modo "ml"
+ */
+export function calculatePriceCLP(offerPriceEUR, FX, rules, product = null, feeTable = DEFAULT_FEE_TABLE) {
+  const fee = kinguinFeeEUR(offerPriceEUR);
+  const costEUR = offerPriceEUR + fee;
+  const costCLP = costEUR * FX;
+
+  const rule = matchPricingRule(rules, pricingContext(product, costCLP));
+  const { priceCLP, unroundedCLP, margin, lowPriceBump, mlFee } = applyPricingRule(rule, costCLP, feeTable);
+  return { fee, costEUR, costCLP, rule, margin, lowPriceBump, mlFee, unroundedCLP, priceCLP };
+}
+
+/**
+ * Desglose estructurado de un precio, para guardarlo en price_history.breakdown
+ * y explicarlo después (/api/products/[id]/price-explain).
+ * @param {object} calculation - Resultado de calculatePriceCLP
+ * @param {object} context
+ * @param {number} context.offerPriceEUR - Precio de la oferta en EUR
+ * @param {object} context.fxQuote - Cotización usada (getFxQuote)
+ * @param {object} context.feeTable - Tabla de comisiones ML con la que se calculó
+ */
+export function buildPriceBreakdown(calculation, { offerPriceEUR, fxQuote, feeTable = DEFAULT_FEE_TABLE }) {
+  const { fee, costEUR, costCLP, rule, margin, lowPriceBump, mlFee, unroundedCLP, priceCLP } = calculation;
+  const feeOptions = ruleFeeOptions(rule);
+  const saleFee = mlFee || mlSaleFee(feeTable, priceCLP, feeOptions);
+
+  return {
+    version: 1,
+    offer_eur: offerPriceEUR,
+    kinguin_fee_eur: Number(fee.toFixed(2)),
+    cost_eur: Number(costEUR.toFixed(2)),
+    fx: {
+      rate: fxQuote.rate,
+      mode: fxQuote.mode,
+      sources: (fxQuote.sources || []).map(source => ({ name: source.name, rate: source.rate })),
+      reason: fxQuote.reason || null,
+      fetched_at: fxQuote.fetchedAt || null,
+    },
+    cost_clp: Math.round(costCLP),
+    rule: {
+      id: rule.id,
+      name: rule.name,
+      fee_mode: rule.fee_mode || "factor",
+      margin,
+      ml_fee_factor: rule.fee_mode === "ml" ? null : Number(rule.ml_fee_factor || 1),
+      low_price_threshold: rule.low_price_threshold ?? null,
+      rounding: rule.rounding,
+    },
+    low_price_bump_clp: lowPriceBump,
+    ml_fee: {
+      listing_type_id: feeOptions.listingTypeId || null,
+      category_id: feeOptions.categoryId || null,
+      percentage_fee: saleFee.percentageFee,
+      fixed_fee: saleFee.fixedFee,
+      amount: saleFee.amount,
+      estimated: !mlFee, // En modo "factor" el precio usa ml_fee_factor; la comisión real es referencial
+    },
+    unrounded_clp: Math.round(unroundedCLP),
+    rounding_adjustment_clp: Math.round(priceCLP - unroundedCLP),
+    price_clp: priceCLP,
+    net_margin_clp: estimateNetMargin(rule, priceCLP, costCLP, feeTable),
+    computed_at: new Date().toISOString(),
+  };
 }
 
-// ---------- Precio CLP ----------
 /**
  * Calcula el precio en CLP a partir del precio en EUR de una oferta
- * Incluye la fee de Kinguin, el tipo de cambio, el margen y la comisión ML
- * Ahora siempre retorna un resultado usando valores de emergencia si es necesario
+ * Incluye la fee de Kinguin y el tipo de cambio; margen, ajustes, comisión ML y redondeo
+ * salen de la primera regla de pricing_rules que aplique al producto (ver lib/pricing-rules.js)
  * 
  * @param {number} offerPriceEUR - Precio de la oferta en EUR
- * @returns {Promise<{FX_EUR_CLP: number|null, priceCLP: number|null}>} Tipo de cambio y precio final en CLP o null si hay errores críticos
+ * @param {object|null} product - Producto de Kinguin o fila de published_products, para elegir la regla
+ * @returns {Promise<{FX_EUR_CLP: number|null, priceCLP: number|null, pricingRule: {id: string|null, name: string}|null, breakdown: object|null, fxHeld: boolean}>} Tipo de cambio, precio final en CLP, regla usada y desglose (buildPriceBreakdown), o null si hay errores críticos.
+ * fxHeld = tipo de cambio en modo hold (lib/fx-provider.js): los repricers no deben mover precios ya publicados.
  */
-export async function computePriceCLP(offerPriceEUR) {
+export async function computePriceCLP(offerPriceEUR, product = null) {
   // Validar el precio de entrada
   if (!offerPriceEUR || typeof offerPriceEUR !== 'number' || offerPriceEUR <= 0) {
     console.error(`[Precio] ❌ Precio EUR inválido: ${offerPriceEUR}`);
-    return { FX_EUR_CLP: null, priceCLP: null };
+    return { FX_EUR_CLP: null, priceCLP: null, pricingRule: null, breakdown: null };
   }
   
   try {
     // 1. Obtener tipo de cambio actualizado (ahora siempre devuelve un valor)
-    const FX = await getEuroToClp();
+    const fxQuote = await getFxQuote();
+    const FX = fxQuote.rate;
     if (!FX || FX <= 0) {
       console.error(`[Precio] ❌ Tipo de cambio inválido: ${FX}`);
-      return { FX_EUR_CLP: null, priceCLP: null };
+      return { FX_EUR_CLP: null, priceCLP: null, pricingRule: null, breakdown: null };
     }
     
-    // 2. Calcular costo base (precio + fee)
-    const fee = kinguinFeeEUR(offerPriceEUR);
-    const costEUR = offerPriceEUR + fee;
-    const costCLP = costEUR * FX;
-    
-    // 3. Aplicar margen según rango de precio
-    let margin;
-    if (costCLP < 3500) margin = 0.75;       // 75% para productos muy baratos
-    else if (costCLP <= 7000) margin = 0.30; // 30% para productos de rango medio
-    else margin = 0.30;                      // 30% para productos caros (mínimo establecido)
-    
-    // 4. Calcular precio final
-    let finalCLP = costCLP * (1 + margin);
-    
-    // 5. Ajustes adicionales
-    if (finalCLP < 9990) finalCLP += 700;  // Ajuste para productos muy económicos
-    finalCLP = finalCLP * 1.19;            // Factor para compensar comisión ML (aprox)
-    finalCLP = roundTo990(finalCLP);       // Redondear a formato psicológico (ej: 9.990, 14.990)
+    // 2. Costo base (precio + fee) y regla de precio que corresponde
+    const [rules, feeTable] = await Promise.all([getPricingRules(), getMlFeeTable()]);
+    const calculation = calculatePriceCLP(offerPriceEUR, FX, rules, product, feeTable);
+    const { fee, costEUR, costCLP, rule, margin, mlFee, priceCLP: finalCLP } = calculation;
     
     // Registro detallado del cálculo
     console.log(`[Precio] 📊 Cálculo detallado:`);
@@ -382,161 +269,379 @@ export async function computePriceCLP(offerPriceEUR) {
     console.log(`         - Costo total EUR: ${costEUR.toFixed(2)}`);
     console.log(`         - Tipo cambio EUR/CLP: ${FX}`);
     console.log(`         - Costo en CLP: ${costCLP.toFixed(0)}`);
-    console.log(`         - Margen aplicado: ${(margin * 100).toFixed(0)}%`);
+    console.log(`         - Regla: ${rule.name}`);
+    console.log(`         - Margen aplicado: ${(margin * 100).toFixed(0)}%${mlFee ? ' (neto de comisión ML)' : ''}`);
+    if (mlFee) {
+      console.log(`         - Comisión ML: ${(mlFee.percentageFee * 100).toFixed(2)}% + ${mlFee.fixedFee} fijo = ${mlFee.amount} CLP`);
+    }
     console.log(`         - Precio final CLP: ${finalCLP.toFixed(0)}`);
     
-    return { FX_EUR_CLP: FX, priceCLP: finalCLP };
+    return {
+      FX_EUR_CLP: FX,
+      priceCLP: finalCLP,
+      pricingRule: { id: rule.id, name: rule.name },
+      breakdown: buildPriceBreakdown(calculation, { offerPriceEUR, fxQuote, feeTable }),
+      fxHeld: Boolean(fxQuote.held),
+    };
   } catch (error) {
     console.error(`[Precio] ❌ Error al calcular precio: ${error.message}`);
-    return { FX_EUR_CLP: null, priceCLP: null };
+    return { FX_EUR_CLP: null, priceCLP: null, pricingRule: null, breakdown: null };
   }
 }
 
-// ---------- Título ----------
-export function titleFrom(product, productType) {
-  const platform = normalizePlatform(product?.platform);
-  const baseName = product?.originalName || product?.name || "Videojuego";
-  let cleanName = baseName
-    .replace(/\b(pc|steam|gog|epic|ubisoft|origin|ea app)\b/gi, '')
-    .replace(/\b(key|digital|gift|dlc)\b/gi, '') // NO eliminar "código" para no perder tilde
-    .replace(/\s+/g, ' ')
-    .trim();
-  // Normalizar a Unicode NFC para mantener tildes y ñ correctamente
-  cleanName = cleanName.normalize('NFC');
-
-  let suffix = "";
-  switch (productType) {
-    case "altergift": suffix = `${platform} Altergift`; break;
-    case "dlc":       suffix = `${platform} DLC`; break;
-    case "account":   suffix = `${platform} Cuenta`; break;
-    case "gift":      suffix = `${platform} Steam Gift`; break;
-    default:          suffix = `${platform} Código Digital`;
+/**
+ * Precio de una oferta en la moneda de un sitio de ML (perfil de lib/ml-sites.js).
+ * En el sitio principal es computePriceCLP; en los demás la regla se evalúa en CLP y el precio
+ * sin redondear se convierte con sitePriceFromCLP, así los márgenes valen igual en todos los sitios.
+ *
+ * @param {number} offerPriceEUR - Precio de la oferta en EUR
+ * @param {object|null} product - Producto de Kinguin o fila de published_products, para elegir la regla
+ * @param {object} profile - Perfil del sitio (getSiteProfile)
+ * @returns {Promise<{fx: number|null, price: number|null, currencyId: string, pricingRule: object|null, breakdown: object|null, fxHeld: boolean}>}
+ */
+export async function computeSitePrice(offerPriceEUR, product, profile) {
+  if (profile.site_id === PRIMARY_SITE_ID) {
+    const { FX_EUR_CLP, priceCLP, pricingRule, breakdown, fxHeld } = await computePriceCLP(offerPriceEUR, product);
+    return { fx: FX_EUR_CLP, price: priceCLP, currencyId: profile.currency_id, pricingRule, breakdown, fxHeld };
+  }
+
+  const failed = { fx: null, price: null, currencyId: profile.currency_id, pricingRule: null, breakdown: null };
+  if (!offerPriceEUR || typeof offerPriceEUR !== 'number' || offerPriceEUR <= 0) {
+    console.error(`[Precio ${profile.site_id}] ❌ Precio EUR inválido: ${offerPriceEUR}`);
+    return failed;
+  }
+
+  try {
+    const [clpQuote, localQuote, rules, feeTable] = await Promise.all([
+      getFxQuote(),
+      getFxQuote({ currency: profile.currency_id }),
+      getPricingRules(),
+      getMlFeeTable(),
+    ]);
+    if (!clpQuote.rate || !localQuote.rate) {
+      console.error(`[Precio ${profile.site_id}] ❌ Tipo de cambio inválido: CLP ${clpQuote.rate}, ${profile.currency_id} ${localQuote.rate}`);
+      return failed;
+    }
+
+    const calculation = calculatePriceCLP(offerPriceEUR, clpQuote.rate, rules, product, feeTable);
+    const { unrounded, price } = sitePriceFromCLP(calculation.unroundedCLP, {
+      clpRate: clpQuote.rate,
+      localRate: localQuote.rate,
+      profile,
+    });
+    console.log(`[Precio ${profile.site_id}] 📊 ${offerPriceEUR.toFixed(2)} EUR → ${calculation.unroundedCLP.toFixed(0)} CLP → ${price} ${profile.currency_id} (regla ${calculation.rule.name})`);
+
+    return {
+      fx: localQuote.rate,
+      price,
+      currencyId: profile.currency_id,
+      pricingRule: { id: calculation.rule.id, name: calculation.rule.name },
+      breakdown: {
+        ...buildPriceBreakdown(calculation, { offerPriceEUR, fxQuote: clpQuote, feeTable }),
+        site: {
+          site_id: profile.site_id,
+          currency_id: profile.currency_id,
+          fx: { rate: localQuote.rate, mode: localQuote.mode, sources: localQuote.sources },
+          tax_factor: Number(profile.tax_factor || 1),
+          rounding: profile.rounding || "none",
+          unrounded,
+          price,
+        },
+      },
+      fxHeld: Boolean(clpQuote.held || localQuote.held),
+    };
+  } catch (error) {
+    console.error(`[Precio ${profile.site_id}] ❌ Error al calcular precio: ${error.message}`);
+    return failed;
   }
-  let finalTitle = `${cleanName} | ${suffix}`;
-  if (finalTitle.length > 60) finalTitle = `${cleanName.slice(0, 54 - suffix.length)}... | ${suffix}`;
-  return finalTitle;
 }
 
-// ---------- Descripción (plantillas texto plano) ----------
-export function descriptionFrom(product, productType) {
-  const platform = normalizePlatform(product?.platform);
-  const baseName = product?.originalName || product?.name || "este producto";
-  const horario = "Horario de atención: Lunes a Domingo de 9:00 a 23:00 hrs. Entrega por mensajería de Mercado Libre.";
-  const soporte = "Soporte en español durante todo el proceso. Garantía real: si tienes un problema, te ayudamos.";
-  const confianza = "Compra segura y atención personalizada. Experiencia comprobada.";
-  const urgencia = "¡OFERTA POR TIEMPO LIMITADO! No te pierdas esta oportunidad.";
-  
-  // ✅ PROTECCIÓN ANTI-INFRACCIÓN: FAQ sin menciones de precios
-  const faq = `
-PREGUNTAS FRECUENTES:
+// ---------- Plantillas de título y descripción ----------
+// Las plantillas guardadas (lib/listing-templates.js) usan los mismos placeholders; estas son las del código,
+// que se usan cuando no hay ninguna guardada para el tipo, plataforma y sitio.
+
+export const ML_TITLE_MAX_LENGTH = 60;
+
+const DESCRIPTION_FAQ = `PREGUNTAS FRECUENTES:
 ¿Necesito tarjeta de crédito internacional? NO, solo pagas por MercadoLibre.
 ¿Hay costos adicionales? NO, pagas exactamente lo que indica el precio de la publicación.
 ¿Cuánto tarda la entrega? Durante el horario de atención, una vez confirmado el pago.
 ¿Es confiable? SÍ, ofrecemos soporte garantizado y atención personalizada.`;
-  let descripcion = "";
-
-  if (productType === "gift_card") {
-    let cantidad = "";
-    const match = /([0-9]+\s?(usd|eur|clp|mxn|\$|€|\₿|\₽|\£|\₺|\₩|\¥|\₴|\₪|\₹|\₫|\₦|\₲|\₵|\₡|\₱|\₸|\₭|\₮|\₠|\₢|\₣|\₤|\₥|\₧|\₨|\₩|\₪|\₫|\₭|\₮|\₯|\₰|\₱|\₲|\₳|\₴|\₵|\₸|\₺|\₼|\₽|\₾|\₿|dólares?|euros?|pesos?|reales?|soles?|libras?|yuanes?|yenes?))/i.exec(baseName);
-    if (match) cantidad = match[0].toUpperCase();
-    descripcion = `${urgencia}\n\n` +
-      `Recarga tu cuenta ${platform} de forma rápida y segura. Confianza garantizada.\n\n` +
-      `${baseName} (${cantidad}) para ${platform}.\n\n` +
-      `¿Cómo comprar?\n` +
-      `1. Compra y paga fácilmente por Mercado Libre.\n` +
-      `2. Recibe tu código digital durante el horario de atención.\n` +
-      `3. Canjea el saldo y disfruta de tus juegos y contenido favorito.\n\n` +
-      `Ventajas de comprar aquí:\n` +
-      `- Entrega durante horario de atención: Lunes a Domingo de 9:00 a 23:00 hrs.\n` +
-      `- Sin verificaciones adicionales ni requisitos de tarjeta internacional.\n` +
-      `- Soporte en español durante todo el proceso.\n` +
-      `- Activación garantizada o te devolvemos tu dinero.\n\n` +
-      `${horario}\n${soporte}\n${confianza}\n\n` +
-      `${faq}\n\n` +
-      `Importante: Verifica que tu cuenta sea compatible con la región de la tarjeta antes de comprar. No se aceptan devoluciones por error de región.`;
-  } else if (productType === "altergift") {
-    descripcion = `${urgencia}\n\n` +
-      `¡Consigue ${baseName} en formato Altergift para ${platform}!\n\n` +
-      `Compra y paga con Mercado Libre. Recibe un enlace especial: al abrirlo, un bot te agregará como amigo y enviará el juego como regalo a tu biblioteca.\n\n` +
-      `¿Cómo funciona?\n` +
-      `1. Compra y paga fácilmente.\n` +
-      `2. Recibe el enlace especial durante el horario de atención.\n` +
-      `3. Acepta la solicitud de amistad y recibe el juego en tu biblioteca.\n\n` +
-      `Ventajas:\n` +
-      `- Entrega durante horario establecido: Lunes a Domingo de 9:00 a 23:00 hrs.\n` +
-      `- Sin verificaciones adicionales ni requisitos de tarjeta internacional.\n` +
-      `- Soporte en español durante todo el proceso.\n` +
-      `- Activación garantizada o te devolvemos tu dinero.\n\n` +
-      `${horario}\n${soporte}\n${confianza}\n\n` +
-      `${faq}\n\n` +
-      `Importante: Necesitas una cuenta activa en ${platform}. No hay devoluciones una vez enviado el regalo.`;
-  } else if (productType === "gift") {
-    descripcion = `${urgencia}\n\n` +
-      `Disfruta de ${baseName} en formato Steam Gift.\n\n` +
-      `Compra y paga con Mercado Libre. Recibe un enlace oficial de Steam para aceptar el regalo con tu cuenta.\n\n` +
-      `¿Cómo comprar?\n` +
-      `1. Compra y paga fácilmente.\n` +
-      `2. Recibe el enlace durante el horario de atención.\n` +
-      `3. Acepta el regalo y el juego quedará en tu biblioteca.\n\n` +
-      `Ventajas:\n` +
-      `- Entrega durante horario establecido: Lunes a Domingo de 9:00 a 23:00 hrs.\n` +
-      `- Sin verificaciones adicionales ni requisitos de tarjeta internacional.\n` +
-      `- Soporte en español durante todo el proceso.\n` +
-      `- Activación garantizada o te devolvemos tu dinero.\n\n` +
-      `${horario}\n${soporte}\n${confianza}\n\n` +
-      `${faq}\n\n` +
-      `Importante: Necesitas cuenta activa en Steam. No hay devoluciones una vez entregado el regalo.`;
-  } else if (productType === "account") {
-    descripcion = `${urgencia}\n\n` +
-      `Accede a una cuenta de ${baseName} para ${platform}.\n\n` +
-      `Compra y paga con Mercado Libre. Recibe los datos de acceso y las instrucciones para usar la cuenta.\n\n` +
-      `¿Cómo funciona?\n` +
-      `1. Compra y paga fácilmente.\n` +
-      `2. Recibe los datos de acceso durante el horario de atención.\n` +
-      `3. Sigue las instrucciones para acceder y jugar.\n\n` +
-      `Ventajas:\n` +
-      `- Entrega durante horario establecido: Lunes a Domingo de 9:00 a 23:00 hrs.\n` +
-      `- Sin verificaciones adicionales ni requisitos de tarjeta internacional.\n` +
-      `- Soporte en español durante todo el proceso.\n` +
-      `- Activación garantizada o te devolvemos tu dinero.\n\n` +
-      `${horario}\n${soporte}\n${confianza}\n\n` +
-      `${faq}\n\n` +
-      `Importante: Sigue las instrucciones para mantener el acceso. No hay devoluciones salvo error inicial de acceso.`;
-  } else if (productType === "dlc") {
-    descripcion = `${urgencia}\n\n` +
-      `Expande tu experiencia con el DLC de ${baseName} para ${platform}.\n\n` +
-      `Compra y paga con Mercado Libre. Recibe el contenido adicional para tu juego base.\n\n` +
-      `¿Cómo funciona?\n` +
-      `1. Compra y paga fácilmente.\n` +
-      `2. Recibe el código o instrucciones durante el horario de atención.\n` +
-      `3. Activa el DLC en tu cuenta de ${platform}.\n\n` +
-      `Ventajas:\n` +
-      `- Entrega durante horario establecido: Lunes a Domingo de 9:00 a 23:00 hrs.\n` +
-      `- Sin verificaciones adicionales ni requisitos de tarjeta internacional.\n` +
-      `- Soporte en español durante todo el proceso.\n` +
-      `- Activación garantizada o te devolvemos tu dinero.\n\n` +
-      `${horario}\n${soporte}\n${confianza}\n\n` +
-      `${faq}\n\n` +
-      `Importante: Requiere el juego base para funcionar. No hay devoluciones salvo error de activación.`;
-  } else {
-    // key o default
-    descripcion = `${urgencia}\n\n` +
-      `Obtén ${baseName} para ${platform} (código digital).\n\n` +
-      `Compra y paga con Mercado Libre. Recibe el código digital para activar el juego completo en tu cuenta.\n\n` +
-      `¿Cómo comprar?\n` +
-      `1. Compra y paga fácilmente.\n` +
-      `2. Recibe el código durante el horario de atención.\n` +
-      `3. Activa el juego en tu cuenta de ${platform}.\n\n` +
-      `Ventajas:\n` +
-      `- Entrega durante horario establecido: Lunes a Domingo de 9:00 a 23:00 hrs.\n` +
-      `- Sin verificaciones adicionales ni requisitos de tarjeta internacional.\n` +
-      `- Soporte en español durante todo el proceso.\n` +
-      `- Activación garantizada o te devolvemos tu dinero.\n\n` +
-      `${horario}\n${soporte}\n${confianza}\n\n` +
-      `${faq}\n\n` +
-      `Importante: Una vez entregado el código no hay devoluciones, salvo código defectuoso.`;
-  }
-  return sanitizeDescriptionBasic(descripcion);
+
+const DESCRIPTION_BENEFITS = `- Entrega durante horario establecido: Lunes a Domingo de 9:00 a 23:00 hrs.
+- Sin verificaciones adicionales ni requisitos de tarjeta internacional.
+- Soporte en español durante todo el proceso.
+- Activación garantizada o te devolvemos tu dinero.`;
+
+// Guías de activación por plataforma (valores de normalizePlatform). Las guardadas en activation_guides
+// (lib/activation-guides.js) las reemplazan; se usan en las descripciones y en el mensaje de entrega de keys.
+export const DEFAULT_ACTIVATION_GUIDES = {
+  Steam: `- Abre Steam e inicia sesión con tu cuenta.
+- En el menú superior entra a Juegos > Activar un producto en Steam.
+- Ingresa el código, acepta el acuerdo de suscriptor y confirma.
+- El juego queda en tu biblioteca listo para descargar.`,
+  "EA App": `- Abre la EA App e inicia sesión con tu cuenta de EA.
+- Haz clic en tu avatar y elige Canjear código.
+- Ingresa el código y confirma.
+- El juego aparece en tu biblioteca de la EA App.`,
+  Origin: `- Origin fue reemplazado por la EA App: descárgala e inicia sesión con tu cuenta de EA.
+- Haz clic en tu avatar y elige Canjear código.
+- Ingresa el código y confirma.
+- El juego aparece en tu biblioteca de la EA App.`,
+  GOG: `- Inicia sesión en tu cuenta de GOG desde el sitio web o GOG Galaxy.
+- En el sitio web abre el menú de tu cuenta y entra a Canjear un código (en GOG Galaxy: Añadir juegos > Canjear código GOG).
+- Ingresa el código y confirma.
+- El juego queda en tu biblioteca de GOG, sin DRM.`,
+  "Epic Games": `- Abre Epic Games Launcher e inicia sesión con tu cuenta.
+- Haz clic en tu perfil y elige Canjear código.
+- Ingresa el código y confirma con Canjear.
+- El juego aparece en tu biblioteca del launcher.`,
+  Ubisoft: `- Abre Ubisoft Connect e inicia sesión con tu cuenta de Ubisoft.
+- Abre el menú (tres líneas) y elige Activar clave.
+- Ingresa el código y confirma.
+- El juego aparece en la pestaña Juegos de Ubisoft Connect.`,
+  "Battle.net": `- Abre la aplicación Battle.net e inicia sesión con tu cuenta de Blizzard.
+- Haz clic en tu nombre de usuario y elige Canjear código.
+- Ingresa el código y confirma.
+- El juego o contenido queda asociado a tu cuenta de Battle.net.`,
+  "Microsoft Store": `- Inicia sesión con tu cuenta Microsoft en la Microsoft Store de Windows o en tu consola Xbox.
+- En la Microsoft Store haz clic en tu perfil y elige Canjear código o tarjetas regalo (en Xbox: Tienda > Canjear).
+- Ingresa el código de 25 caracteres y confirma.
+- El juego queda en tu biblioteca, listo para instalar.`,
+  PC: `- Revisa en el nombre del producto la tienda o launcher donde se activa.
+- Inicia sesión en esa plataforma y busca la opción Canjear o Activar código.
+- Ingresa el código y confirma.
+- Si tienes dudas escríbenos y te guiamos paso a paso.`,
+};
+
+// Pasos de entrega/activación por tipo de producto; {{platform}} y {{activationGuide}} se reemplazan al armar el contexto
+const ACTIVATION_STEPS = {
+  gift_card: `1. Compra y paga fácilmente por Mercado Libre.
+2. Recibe tu código digital durante el horario de atención.
+3. Canjea el saldo y disfruta de tus juegos y contenido favorito.`,
+  altergift: `1. Compra y paga fácilmente.
+2. Recibe el enlace especial durante el horario de atención.
+3. Acepta la solicitud de amistad y recibe el juego en tu biblioteca.`,
+  gift: `1. Compra y paga fácilmente.
+2. Recibe el enlace durante el horario de atención.
+3. Acepta el regalo y el juego quedará en tu biblioteca.`,
+  account: `1. Compra y paga fácilmente.
+2. Recibe los datos de acceso durante el horario de atención.
+3. Sigue las instrucciones para acceder y jugar.`,
+  dlc: `1. Compra y paga fácilmente.
+2. Recibe el código o instrucciones durante el horario de atención.
+3. Activa el DLC en tu cuenta de {{platform}}:
+{{activationGuide}}`,
+  key: `1. Compra y paga fácilmente.
+2. Recibe el código durante el horario de atención.
+3. Activa el juego en tu cuenta de {{platform}}:
+{{activationGuide}}`,
+};
+
+const DESCRIPTION_FOOTER = `{{schedule}}
+{{support}}
+{{trust}}
+
+{{faq}}`;
+
+export const DEFAULT_LISTING_TEMPLATES = {
+  title: {
+    key: "{{shortName}} | {{platform}} Código Digital",
+    altergift: "{{shortName}} | {{platform}} Altergift",
+    dlc: "{{shortName}} | {{platform}} DLC",
+    account: "{{shortName}} | {{platform}} Cuenta",
+    gift: "{{shortName}} | {{platform}} Steam Gift",
+    gift_card: "{{shortName}} | {{platform}} Código Digital",
+  },
+  description: {
+    gift_card: `{{promo}}
+
+Recarga tu cuenta {{platform}} de forma rápida y segura. Confianza garantizada.
+
+{{name}} ({{amount}}) para {{platform}}.
+
+¿Cómo comprar?
+{{activationSteps}}
+
+Ventajas de comprar aquí:
+- Entrega durante horario de atención: Lunes a Domingo de 9:00 a 23:00 hrs.
+- Sin verificaciones adicionales ni requisitos de tarjeta internacional.
+- Soporte en español durante todo el proceso.
+- Activación garantizada o te devolvemos tu dinero.
+
+${DESCRIPTION_FOOTER}
+
+Importante: Verifica que tu cuenta sea compatible con la región de la tarjeta antes de comprar. No se aceptan devoluciones por error de región.`,
+    altergift: `{{promo}}
+
+¡Consigue {{name}} en formato Altergift para {{platform}}!
+
+Compra y paga con Mercado Libre. Recibe un enlace especial: al abrirlo, un bot te agregará como amigo y enviará el juego como regalo a tu biblioteca.
+
+¿Cómo funciona?
+{{activationSteps}}
+
+Ventajas:
+{{benefits}}
+
+${DESCRIPTION_FOOTER}
+
+Importante: Necesitas una cuenta activa en {{platform}}. No hay devoluciones una vez enviado el regalo.`,
+    gift: `{{promo}}
+
+Disfruta de {{name}} en formato Steam Gift.
+
+Compra y paga con Mercado Libre. Recibe un enlace oficial de Steam para aceptar el regalo con tu cuenta.
+
+¿Cómo comprar?
+{{activationSteps}}
+
+Ventajas:
+{{benefits}}
+
+${DESCRIPTION_FOOTER}
+
+Importante: Necesitas cuenta activa en Steam. No hay devoluciones una vez entregado el regalo.`,
+    account: `{{promo}}
+
+Accede a una cuenta de {{name}} para {{platform}}.
+
+Compra y paga con Mercado Libre. Recibe los datos de acceso y las instrucciones para usar la cuenta.
+
+¿Cómo funciona?
+{{activationSteps}}
+
+Ventajas:
+{{benefits}}
+
+${DESCRIPTION_FOOTER}
+
+Importante: Sigue las instrucciones para mantener el acceso. No hay devoluciones salvo error inicial de acceso.`,
+    dlc: `{{promo}}
+
+Expande tu experiencia con el DLC de {{name}} para {{platform}}.
+
+Compra y paga con Mercado Libre. Recibe el contenido adicional para tu juego base.
+
+¿Cómo funciona?
+{{activationSteps}}
+
+Ventajas:
+{{benefits}}
+
+${DESCRIPTION_FOOTER}
+
+Importante: Requiere el juego base para funcionar. No hay devoluciones salvo error de activación.`,
+    key: `{{promo}}
+
+Obtén {{name}} para {{platform}} (código digital).
+
+Compra y paga con Mercado Libre. Recibe el código digital para activar el juego completo en tu cuenta.
+
+¿Cómo comprar?
+{{activationSteps}}
+
+Ventajas:
+{{benefits}}
+
+${DESCRIPTION_FOOTER}
+
+Importante: Una vez entregado el código no hay devoluciones, salvo código defectuoso.`,
+  },
+};
+
+// Nombre para el título: sin plataforma ni palabras que ya van en el sufijo
+function titleName(baseName) {
+  return baseName
+    .replace(/\b(pc|steam|gog|epic|ubisoft|origin|ea app)\b/gi, '')
+    .replace(/\b(key|digital|gift|dlc)\b/gi, '') // NO eliminar "código" para no perder tilde
+    .replace(/\s+/g, ' ')
+    .trim()
+    .normalize('NFC'); // Mantener tildes y ñ correctamente
+}
+
+function giftCardAmount(baseName) {
+  const match = /([0-9]+\s?(usd|eur|clp|mxn|\$|€|\₿|\₽|\£|\₺|\₩|\¥|\₴|\₪|\₹|\₫|\₦|\₲|\₵|\₡|\₱|\₸|\₭|\₮|\₠|\₢|\₣|\₤|\₥|\₧|\₨|\₩|\₪|\₫|\₭|\₮|\₯|\₰|\₱|\₲|\₳|\₴|\₵|\₸|\₺|\₼|\₽|\₾|\₿|dólares?|euros?|pesos?|reales?|soles?|libras?|yuanes?|yenes?))/i.exec(baseName);
+  return match ? match[0].toUpperCase() : "";
+}
+
+/**
+ * Reemplaza los placeholders {{nombre}} con los valores del contexto.
+ * Los que no existen en el contexto quedan vacíos y se informan en missing. Función pura.
+ * @returns {{text: string, missing: string[]}}
+ */
+export function renderTemplate(body, context) {
+  const missing = new Set();
+  const text = String(body || "").replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => {
+    if (context[key] === undefined || context[key] === null) {
+      missing.add(key);
+      return "";
+    }
+    return String(context[key]);
+  });
+  return { text, missing: [...missing] };
+}
+
+/**
+ * Valores disponibles para las plantillas de un producto de Kinguin.
+ * @param {object} product - Producto de Kinguin
+ * @param {string} productType - Valor de getProductType
+ * @param {object} extra - Valores adicionales o reemplazos (p. ej. activationGuide guardada en activation_guides)
+ */
+export function listingTemplateContext(product, productType = getProductType(product), extra = {}) {
+  const platform = normalizePlatform(product?.platform);
+  const baseName = product?.originalName || product?.name || "";
+  const steps = ACTIVATION_STEPS[productType] || ACTIVATION_STEPS.key;
+  const activationGuide = extra.activationGuide ?? DEFAULT_ACTIVATION_GUIDES[platform] ?? DEFAULT_ACTIVATION_GUIDES.PC;
+
+  return {
+    name: baseName || "este producto",
+    shortName: titleName(baseName || "Videojuego"),
+    platform,
+    productType,
+    region: product?.regionalLimitations || "",
+    amount: giftCardAmount(baseName),
+    activationSteps: renderTemplate(steps, { platform, activationGuide }).text,
+    activationGuide,
+    benefits: DESCRIPTION_BENEFITS,
+    promo: "¡OFERTA POR TIEMPO LIMITADO! No te pierdas esta oportunidad.",
+    schedule: "Horario de atención: Lunes a Domingo de 9:00 a 23:00 hrs. Entrega por mensajería de Mercado Libre.",
+    support: "Soporte en español durante todo el proceso. Garantía real: si tienes un problema, te ayudamos.",
+    trust: "Compra segura y atención personalizada. Experiencia comprobada.",
+    faq: DESCRIPTION_FAQ,
+    ...extra,
+  };
+}
+
+/**
+ * Título a partir de una plantilla. Si supera el máximo de ML se acorta {{shortName}} con "...".
+ */
+export function renderTitle(body, context) {
+  const { text } = renderTemplate(body, context);
+  if (text.length <= ML_TITLE_MAX_LENGTH) return text;
+
+  const overflow = text.length - ML_TITLE_MAX_LENGTH + 3;
+  const shortName = `${context.shortName.slice(0, Math.max(context.shortName.length - overflow, 0))}...`;
+  return renderTemplate(body, { ...context, shortName }).text.slice(0, ML_TITLE_MAX_LENGTH);
+}
+
+/**
+ * Descripción en texto plano a partir de una plantilla, con la limpieza básica para ML.
+ */
+export function renderDescription(body, context) {
+  return sanitizeDescriptionBasic(renderTemplate(body, context).text);
+}
+
+// ---------- Título ----------
+export function titleFrom(product, productType) {
+  const templates = DEFAULT_LISTING_TEMPLATES.title;
+  return renderTitle(templates[productType] || templates.key, listingTemplateContext(product, productType));
+}
+
+// ---------- Descripción (plantillas texto plano) ----------
+export function descriptionFrom(product, productType) {
+  const templates = DEFAULT_LISTING_TEMPLATES.description;
+  return renderDescription(templates[productType] || templates.key, listingTemplateContext(product, productType));
 }
 
 // ---------- Lógica de Descripción para ML ----------
@@ -0,0 +1,298 @@
+// Validación de precio contra el mercado de MercadoLibre Chile
+// Busca publicaciones comparables del mismo juego, calcula mediana/IQR sin outliers
+// y decide si un precio propuesto está dentro de un rango aceptable.
+
+import fs from "fs";
+import { createClient } from "@supabase/supabase-js";
+import { axiosWithSmartRetry } from "./_http-utils";
+import { getAccessToken } from "../../lib/ml-tokens";
+import { listAccounts } from "../../lib/ml-accounts";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const SEARCH_CATEGORY = "MLC159270"; // Misma categoría en la que publica add-product
+const SEARCH_LIMIT = 50;
+const MIN_SAMPLE_SIZE = 5;            // Con menos comparables no se rechaza ningún precio
+const CACHE_TTL_MS = 6 * 60 * 60 * 1000;
+const RANGE_MIN_RATIO = 0.5;          // Aceptable: desde la mitad de la mediana...
+const RANGE_MAX_RATIO = 2.0;          // ...hasta el doble, ampliado al rango intercuartil si es más ancho
+const ABSOLUTE_MIN_CLP = 500;
+const ABSOLUTE_MAX_CLP = 1000000;
+
+// Palabras que no identifican al juego y que cada vendedor escribe distinto
+const NOISE_WORDS = new Set([
+  "key", "keys", "code", "codigo", "digital", "juego", "game", "pc", "steam", "gog", "epic", "games",
+  "origin", "ea", "app", "ubisoft", "connect", "battle", "net", "microsoft", "store", "global", "row",
+  "region", "free", "cd", "cdkey", "original", "entrega", "inmediata", "licencia", "para", "de", "the",
+]);
+
+// Palabras de contenido adicional: una publicación que las tiene y el título buscado no, es otro producto
+const ADDON_WORDS = new Set([
+  "dlc", "expansion", "addon", "add", "season", "pass", "soundtrack", "ost", "upgrade", "pack", "bundle",
+  "coins", "points", "credits", "skin", "skins",
+]);
+// Más palabras que estas fuera del título buscado indican otra edición o una expansión sin marcar como tal
+const MAX_EXTRA_TITLE_WORDS = 2;
+
+const memoryCache = new Map();
+let searchAdapter = null;
+
+/**
+ * Título normalizado para buscar y cachear: minúsculas, sin tildes, sin signos
+ * y sin palabras de plataforma o de venta.
+ */
+export function normalizeGameTitle(title) {
+  return String(title || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter(word => word && !NOISE_WORDS.has(word))
+    .join(" ");
+}
+
+// ---------- Búsqueda en ML ----------
+
+async function searchMercadoLibre(query) {
+  const token = await getAccessToken();
+  const { data } = await axiosWithSmartRetry(
+    "https://api.mercadolibre.com/sites/MLC/search",
+    null,
+    {
+      method: "get",
+      params: { q: query, category: SEARCH_CATEGORY, limit: SEARCH_LIMIT },
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      retries: 3,
+    }
+  );
+  return data?.results || [];
+}
+
+/**
+ * Stand-in de ML que responde desde un archivo de respuestas grabadas,
+ * indexado por título normalizado: { "elden ring": { "results": [...] } }.
+ * Con record = true las búsquedas que no están en el archivo se hacen en ML y se agregan.
+ */
+export function createFixtureSearch(fixturesPath, { record = false } = {}) {
+  const load = () => (fs.existsSync(fixturesPath) ? JSON.parse(fs.readFileSync(fixturesPath, "utf8")) : {});
+
+  return async (query) => {
+    const fixtures = load();
+    if (fixtures[query]) return fixtures[query].results || [];
+    if (!record) return [];
+
+    const results = await searchMercadoLibre(query);
+    fixtures[query] = { recorded_at: new Date().toISOString(), results };
+    fs.writeFileSync(fixturesPath, JSON.stringify(fixtures, null, 2));
+    return results;
+  };
+}
+
+/**
+ * Reemplaza la búsqueda en ML (por ejemplo por createFixtureSearch). null vuelve a la API real.
+ */
+export function setMarketSearchAdapter(adapter) {
+  searchAdapter = adapter;
+  memoryCache.clear();
+}
+
+function currentSearch() {
+  if (searchAdapter) return searchAdapter;
+  if (process.env.ML_MARKET_FIXTURES) {
+    searchAdapter = createFixtureSearch(process.env.ML_MARKET_FIXTURES, {
+      record: process.env.ML_MARKET_RECORD === "true",
+    });
+    return searchAdapter;
+  }
+  return searchMercadoLibre;
+}
+
+// ---------- Estadísticas ----------
+
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const base = Math.floor(position);
+  const rest = position - base;
+  return sorted[base + 1] !== undefined
+    ? sorted[base] + rest * (sorted[base + 1] - sorted[base])
+    : sorted[base];
+}
+
+/**
+ * user_id de ML de todas nuestras cuentas (ml_accounts, o ML_USER_ID sin la tabla).
+ */
+async function ownSellerIds() {
+  const accounts = await listAccounts({ includeInactive: true });
+  const ids = accounts.map(account => account.ml_user_id).concat(process.env.ML_USER_ID);
+  return new Set(ids.filter(Boolean).map(String));
+}
+
+/**
+ * true si el título de la publicación es el mismo juego: contiene todas las palabras buscadas,
+ * no agrega palabras de DLC o add-on y no suma más de MAX_EXTRA_TITLE_WORDS palabras propias.
+ */
+function isSameGame(itemTitle, words) {
+  const title = normalizeGameTitle(itemTitle).split(" ").filter(Boolean);
+  if (!words.every(word => title.includes(word))) return false;
+
+  const extra = title.filter(word => !words.includes(word));
+  if (extra.some(word => ADDON_WORDS.has(word))) return false;
+  return new Set(extra).size <= MAX_EXTRA_TITLE_WORDS;
+}
+
+/**
+ * Publicaciones comparables: mismo juego (isSameGame), en CLP, nuevas y que no sean de ninguna
+ * de nuestras cuentas. Si hay suficientes de la misma plataforma se usan solo esas.
+ */
+function comparableListings(results, normalizedTitle, platform, ownSellers) {
+  const words = normalizedTitle.split(" ").filter(Boolean);
+
+  const sameGame = results.filter(item => {
+    if (item.currency_id && item.currency_id !== "CLP") return false;
+    if (item.condition && item.condition !== "new") return false;
+    if (ownSellers.has(String(item.seller?.id ?? item.seller_id))) return false;
+    if (!(Number(item.price) > 0)) return false;
+    return isSameGame(item.title, words);
+  });
+
+  if (!platform) return sameGame;
+  const platformWord = String(platform).toLowerCase().split(" ")[0];
+  const samePlatform = sameGame.filter(item => String(item.title).toLowerCase().includes(platformWord));
+  return samePlatform.length >= MIN_SAMPLE_SIZE ? samePlatform : sameGame;
+}
+
+/**
+ * Mediana e IQR de los precios, descartando outliers fuera de [Q1 − 1.5·IQR, Q3 + 1.5·IQR].
+ * @returns {object|null} null si no hay suficientes comparables.
+ */
+export function computeMarketStats(prices) {
+  if (prices.length < MIN_SAMPLE_SIZE) return null;
+
+  const sorted = [...prices].sort((a, b) => a - b);
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const iqr = q3 - q1;
+  const filtered = sorted.filter(price => price >= q1 - 1.5 * iqr && price <= q3 + 1.5 * iqr);
+  if (filtered.length < MIN_SAMPLE_SIZE) return null;
+
+  const median = quantile(filtered, 0.5);
+  const fq1 = quantile(filtered, 0.25);
+  const fq3 = quantile(filtered, 0.75);
+
+  return {
+    sampleSize: filtered.length,
+    outliersRemoved: sorted.length - filtered.length,
+    median: Math.round(median),
+    q1: Math.round(fq1),
+    q3: Math.round(fq3),
+    iqr: Math.round(fq3 - fq1),
+    min: filtered[0],
+    max: filtered[filtered.length - 1],
+    acceptableRange: {
+      min: Math.round(Math.min(median * RANGE_MIN_RATIO, fq1)),
+      max: Math.round(Math.max(median * RANGE_MAX_RATIO, fq3)),
+    },
+  };
+}
+
+// ---------- Caché por título normalizado ----------
+
+async function readCachedStats(cacheKey) {
+  const cached = memoryCache.get(cacheKey);
+  if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) return cached.stats;
+
+  const { data } = await supabase
+    .from("market_price_cache")
+    .select("stats, fetched_at")
+    .eq("cache_key", cacheKey)
+    .maybeSingle();
+
+  if (data && Date.now() - new Date(data.fetched_at).getTime() < CACHE_TTL_MS) {
+    memoryCache.set(cacheKey, { stats: data.stats, fetchedAt: new Date(data.fetched_at).getTime() });
+    return data.stats;
+  }
+  return undefined;
+}
+
+async function writeCachedStats(cacheKey, stats) {
+  memoryCache.set(cacheKey, { stats, fetchedAt: Date.now() });
+  const { error } = await supabase
+    .from("market_price_cache")
+    .upsert({ cache_key: cacheKey, stats, fetched_at: new Date().toISOString() }, { onConflict: "cache_key" });
+  if (error) console.warn(`[Mercado] ⚠️ No se pudo guardar caché de ${cacheKey}: ${error.message}`);
+}
+
+/**
+ * Estadísticas de mercado de un juego, desde caché o buscando en ML.
+ * @returns {Promise<object|null>} null si no hay suficientes publicaciones comparables.
+ */
+export async function getMarketStats(gameName, { platform = null } = {}) {
+  const normalizedTitle = normalizeGameTitle(gameName);
+  if (!normalizedTitle) return null;
+
+  // Con adaptador de fixtures no se usa la caché de Supabase: las respuestas deben ser reproducibles
+  const useSharedCache = !searchAdapter && !process.env.ML_MARKET_FIXTURES;
+  const cacheKey = platform ? `${normalizedTitle}|${String(platform).toLowerCase()}` : normalizedTitle;
+  if (useSharedCache) {
+    const cached = await readCachedStats(cacheKey);
+    if (cached !== undefined) return cached && { ...cached, cached: true };
+  }
+
+  const [results, ownSellers] = await Promise.all([currentSearch()(normalizedTitle), ownSellerIds()]);
+  const listings = comparableListings(results, normalizedTitle, platform, ownSellers);
+  const stats = computeMarketStats(listings.map(item => Number(item.price)));
+
+  if (useSharedCache) await writeCachedStats(cacheKey, stats);
+  return stats && { ...stats, cached: false };
+}
+
+// ---------- API pública ----------
+
+/**
+ * Cota absoluta de cordura para un precio de juego en CLP; si hay estadísticas, además debe caer en su rango.
+ */
+export function isReasonableGamePrice(priceCLP, marketStats = null) {
+  if (!Number.isFinite(priceCLP) || priceCLP < ABSOLUTE_MIN_CLP || priceCLP > ABSOLUTE_MAX_CLP) return false;
+  if (!marketStats?.acceptableRange) return true;
+  return priceCLP >= marketStats.acceptableRange.min && priceCLP <= marketStats.acceptableRange.max;
+}
+
+/**
+ * Compara un precio propuesto con publicaciones comparables en ML.
+ * Sin datos suficientes el precio se acepta (reason: insufficient_market_data).
+ * @param {string} gameName - Nombre del juego (de Kinguin).
+ * @param {number} priceCLP - Precio propuesto.
+ * @param {object} options
+ * @param {string|null} options.platform - Plataforma normalizada, para preferir comparables de la misma.
+ * @returns {Promise<{isValid: boolean, reason: string, marketStats: object|null, priceRatio: object|null}>}
+ */
+export async function validateMarketPrice(gameName, priceCLP, { platform = null } = {}) {
+  const marketStats = await getMarketStats(gameName, { platform });
+
+  if (!marketStats) {
+    return {
+      isValid: isReasonableGamePrice(priceCLP),
+      reason: "insufficient_market_data",
+      marketStats: null,
+      priceRatio: null,
+    };
+  }
+
+  const priceRatio = {
+    toMedian: Number((priceCLP / marketStats.median).toFixed(2)),
+    toMin: Number((priceCLP / marketStats.acceptableRange.min).toFixed(2)),
+    toMax: Number((priceCLP / marketStats.acceptableRange.max).toFixed(2)),
+  };
+  const isValid = isReasonableGamePrice(priceCLP, marketStats);
+
+  return {
+    isValid,
+    reason: isValid ? "within_market_range" : "outside_market_range",
+    marketStats,
+    priceRatio,
+  };
+}
@@ -0,0 +1,63 @@
+import {
+  listGuides,
+  saveGuide,
+  activateGuideVersion,
+  deactivateGuide,
+  getDeliveredGuides,
+  sanitizeGuide,
+  GUIDE_PLATFORMS
+} from "../../lib/activation-guides";
+import { DEFAULT_ACTIVATION_GUIDES } from "./_logic";
+
+const PRODUCT_TYPES = ["key", "dlc", "gift", "altergift", "gift_card", "account"];
+
+/**
+ * Guías de activación por plataforma (lib/activation-guides.js), editables desde el gestor de productos.
+ * GET ?history=true: guías guardadas activas (o todas las versiones), las del código y las opciones.
+ * GET ?ml_order_id=: guías que recibió el comprador de esa orden.
+ * POST { platform, product_type, body, notes }: nueva versión activa.
+ * PUT ?id=: vuelve a activar esa versión. DELETE ?id=: la desactiva (se usa la del código).
+ */
+export default async function handler(req, res) {
+  try {
+    if (req.method === "GET") {
+      if (req.query.ml_order_id) {
+        const deliveries = await getDeliveredGuides(req.query.ml_order_id);
+        return res.status(200).json({ success: true, deliveries });
+      }
+      const guides = await listGuides({ includeInactive: req.query.history === "true" });
+      return res.status(200).json({
+        success: true,
+        guides,
+        defaults: DEFAULT_ACTIVATION_GUIDES,
+        options: { platforms: GUIDE_PLATFORMS, productTypes: PRODUCT_TYPES }
+      });
+    }
+
+    if (req.method === "POST") {
+      try {
+        sanitizeGuide(req.body || {});
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      const guide = await saveGuide(req.body || {});
+      return res.status(200).json({ success: true, guide });
+    }
+
+    const { id } = req.query;
+    if (req.method === "PUT" || req.method === "DELETE") {
+      if (!id) return res.status(400).json({ success: false, error: "Falta el id de la guía" });
+      if (req.method === "PUT") {
+        const guide = await activateGuideVersion(id);
+        return res.status(200).json({ success: true, guide });
+      }
+      await deactivateGuide(id);
+      return res.status(200).json({ success: true });
+    }
+
+    return res.status(405).json({ success: false, error: "Método no permitido" });
+  } catch (error) {
+    console.error("❌ Error en guías de activación:", error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
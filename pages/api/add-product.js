@@ -1,14 +1,13 @@
 import axios from "axios";
 import { createClient } from "@supabase/supabase-js";
-import { createJob, completeJob, updateJobProgress, failJob } from "../../lib/jobs";
+import { enqueueJob, kickWorker } from "../../lib/job-queue";
+import { recordPriceChange } from "../../lib/price-history";
 import {
   validateProduct,
   normalizePlatform,
   getProductType,
   regionVerdict as regionVerdictLogic,
   computePriceCLP,
-  titleFrom,
-  descriptionFrom,
   postPlainDescription,
   getKinguinProduct,
   logActivity,
@@ -17,10 +16,21 @@ import {
 } from "./_logic";
 // ✅ IMPORTAR VALIDACIÓN DE MERCADO para evitar infracciones de precios
 import { validateMarketPrice, isReasonableGamePrice } from "./_market-validation";
-import { 
-  axiosWithSmartRetry, 
-  batchRequests
-} from "./_http-utils";
+import { axiosWithSmartRetry } from "./_http-utils";
+import { getRequestUser, serviceAuthHeaders } from "./_auth";
+import {
+  DEFAULT_ACCOUNT_ID,
+  getAccount,
+  accountAccessToken,
+  accountKinguinKey,
+  accountSiteProfile,
+  getRequestAccount
+} from "../../lib/ml-accounts";
+import { getOfferSeller } from "./_offer-utils";
+import { siteItemAttributes, PRIMARY_SITE_ID } from "../../lib/ml-sites";
+import { resolveCategoryMapping, missingRequiredAttributes } from "../../lib/ml-categories";
+import { renderListing, markRendered } from "../../lib/listing-templates";
+import { prepareListingPictures, MAX_PICTURES } from "../../lib/ml-images";
 import {
   analyzeMercadoLibreError,
   recoverFromMercadoLibreError
@@ -31,6 +41,25 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
+// ---------- Publicación existente por SKU ----------
+// Un intento anterior del mismo producto (p. ej. uno que siguió corriendo tras su timeout en la cola)
+// pudo haberlo publicado aunque published_products no lo refleje. SELLER_SKU es el Kinguin ID.
+async function findListingBySku(sku, ML_ACCESS_TOKEN, account, signal = null) {
+  const headers = { 'Authorization': `Bearer ${ML_ACCESS_TOKEN}` };
+  const userId = account.ml_user_id
+    || (await axiosWithSmartRetry('https://api.mercadolibre.com/users/me', null, { method: 'get', headers, signal })).data.id;
+
+  for (const status of ['active', 'paused']) {
+    const { data } = await axiosWithSmartRetry(
+      `https://api.mercadolibre.com/users/${userId}/items/search?seller_sku=${encodeURIComponent(sku)}&status=${status}`,
+      null,
+      { method: 'get', headers, signal }
+    );
+    if (data.results?.length) return { ml_id: data.results[0], status };
+  }
+  return null;
+}
+
 // ---------- Verificación de SKU duplicado en MercadoLibre ----------
 async function checkSkuDuplicateInMercadoLibre(sku, ML_ACCESS_TOKEN, jobId = null) {
   try {
@@ -166,24 +195,7 @@ async function checkSkuDuplicateInMercadoLibre(sku, ML_ACCESS_TOKEN, jobId = nul
   }
 }
 
-// ---------- Tokens desde Supabase (con fallback a ENV) ----------
-async function getTokenFromSupabase(key) {
-  try {
-    const { data, error } = await supabase
-      .from("tokens")
-      .select("value")
-      .eq("key", key)
-      .single();
-
-    if (error) throw error;
-    return data?.value;
-  } catch (err) {
-    console.warn(`⚠️ Error al obtener ${key} desde Supabase: ${err.message}. Usando variable de entorno.`);
-    return process.env[key];
-  }
-}
-
-async function processSingleProduct(kinguinId, existingProduct, { ML_ACCESS_TOKEN, KINGUIN_API_KEY }, jobId = null) {
+async function processSingleProduct(kinguinId, existingProduct, { ML_ACCESS_TOKEN, KINGUIN_API_KEY, account, signal = null }, jobId = null) {
   const startTime = Date.now();
   let duration = 0;
   let updatedFields = []; // Variable para rastrear campos actualizados
@@ -200,6 +212,8 @@ async function processSingleProduct(kinguinId, existingProduct, { ML_ACCESS_TOKE
       .from("published_products")
       .select("*")
       .eq("kinguin_id", kinguinId)
+      .eq("site_id", PRIMARY_SITE_ID)
+      .eq("account_id", account.id)
       .neq("status", "closed_duplicate");
       
     if (supabaseCheckError) {
@@ -299,7 +313,9 @@ async function processSingleProduct(kinguinId, existingProduct, { ML_ACCESS_TOKE
     
     // ✅ PASO 3: RESERVA ATÓMICA: Intentar reservar el Kinguin ID insertando un registro de "processing"
     const reservationData = {
+      account_id: account.id,
       kinguin_id: kinguinId,
+      site_id: PRIMARY_SITE_ID,
       status: 'processing',
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString()
@@ -310,7 +326,7 @@ async function processSingleProduct(kinguinId, existingProduct, { ML_ACCESS_TOKE
       const { data: insertResult, error: insertError } = await supabase
         .from("published_products")
         .upsert(reservationData, { 
-          onConflict: 'kinguin_id',
+          onConflict: 'account_id,kinguin_id,site_id',
           ignoreDuplicates: false 
         })
         .select();
@@ -351,6 +367,8 @@ async function processSingleProduct(kinguinId, existingProduct, { ML_ACCESS_TOKE
       .from("published_products")
       .select("id, ml_id, status, created_at")
       .eq("kinguin_id", kinguinId)
+      .eq("site_id", PRIMARY_SITE_ID)
+      .eq("account_id", account.id)
       .neq("status", "closed_duplicate")
       .limit(5);
       
@@ -390,6 +408,8 @@ async function processSingleProduct(kinguinId, existingProduct, { ML_ACCESS_TOKE
                 .from("published_products")
                 .delete()
                 .eq("kinguin_id", kinguinId)
+                .eq("site_id", PRIMARY_SITE_ID)
+                .eq("account_id", account.id)
                 .eq("status", "processing")
                 .is("ml_id", null);
               
@@ -414,7 +434,9 @@ async function processSingleProduct(kinguinId, existingProduct, { ML_ACCESS_TOKE
     }, jobId);
     
     const reservationDataSecond = {
+      account_id: account.id,
       kinguin_id: kinguinId,
+      site_id: PRIMARY_SITE_ID,
       status: 'processing',
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString()
@@ -424,7 +446,7 @@ async function processSingleProduct(kinguinId, existingProduct, { ML_ACCESS_TOKE
       const { data: insertResult, error: insertError } = await supabase
         .from("published_products")
         .upsert(reservationDataSecond, { 
-          onConflict: 'kinguin_id',
+          onConflict: 'account_id,kinguin_id,site_id',
           ignoreDuplicates: false 
         })
         .select();
@@ -465,6 +487,8 @@ async function processSingleProduct(kinguinId, existingProduct, { ML_ACCESS_TOKE
       .from("published_products")
       .select("*")
       .eq("kinguin_id", kinguinId)
+      .eq("site_id", PRIMARY_SITE_ID)
+      .eq("account_id", account.id)
       .neq("status", "closed_duplicate"); // Excluir duplicados ya cerrados
       
     if (duplicateError) {
@@ -770,7 +794,9 @@ async function processSingleProduct(kinguinId, existingProduct, { ML_ACCESS_TOKE
               status: "paused",
               updated_at: new Date().toISOString()
             })
-            .eq("kinguin_id", kinguinId);
+            .eq("kinguin_id", kinguinId)
+            .eq("site_id", PRIMARY_SITE_ID)
+            .eq("account_id", account.id);
             
           await logStep("STOCK", "Producto pausado por falta de stock", { ml_id: existingProduct.ml_id }, jobId);
         } catch (pauseError) {
@@ -829,7 +855,9 @@ async function processSingleProduct(kinguinId, existingProduct, { ML_ACCESS_TOKE
               status: "paused",
               updated_at: new Date().toISOString()
             })
-            .eq("kinguin_id", kinguinId);
+            .eq("kinguin_id", kinguinId)
+            .eq("site_id", PRIMARY_SITE_ID)
+            .eq("account_id", account.id);
             
           await logStep("STOCK", "Producto pausado por falta de stock", { ml_id: existingProduct.ml_id }, jobId);
         } catch (pauseError) {
@@ -968,7 +996,8 @@ async function processSingleProduct(kinguinId, existingProduct, { ML_ACCESS_TOKE
       };
     }
     
-    const { priceCLP, FX_EUR_CLP } = await computePriceCLP(lowestOffer.price);
+    // Con account_id se aplican también las reglas de precio de la cuenta
+    let { priceCLP, FX_EUR_CLP, pricingRule, breakdown } = await computePriceCLP(lowestOffer.price, { ...productData, account_id: account.id });
     
     // Verificar si se pudo calcular un precio válido
     if (priceCLP === null || !FX_EUR_CLP) {
@@ -986,7 +1015,7 @@ async function processSingleProduct(kinguinId, existingProduct, { ML_ACCESS_TOKE
       };
     }
     
-    await logStep("PRECIO", `Precio calculado: ${priceCLP} CLP (${lowestOffer.price} EUR, FX: ${FX_EUR_CLP})`, { price: priceCLP, eurPrice: lowestOffer.price }, jobId);
+    await logStep("PRECIO", `Precio calculado: ${priceCLP} CLP (${lowestOffer.price} EUR, FX: ${FX_EUR_CLP}, regla: ${pricingRule?.name})`, { price: priceCLP, eurPrice: lowestOffer.price, pricingRule }, jobId);
     
     // ✅ VALIDACIÓN ANTI-INFRACCIÓN: Precio para MercadoLibre
     if (!priceCLP || isNaN(priceCLP) || priceCLP < 100 || priceCLP > 50000000) {
@@ -1055,7 +1084,7 @@ async function processSingleProduct(kinguinId, existingProduct, { ML_ACCESS_TOKE
       }, jobId);
       
       try {
-        const marketValidation = await validateMarketPrice(gameNameForSearch, priceCLP);
+        const marketValidation = await validateMarketPrice(gameNameForSearch, priceCLP, { platform: normalizePlatform(productData.platform) });
         
         if (!marketValidation.isValid && marketValidation.reason === 'outside_market_range') {
           await logDecision(
@@ -1096,7 +1125,8 @@ async function processSingleProduct(kinguinId, existingProduct, { ML_ACCESS_TOKE
     
     // 6. Preparar datos para ML
     const productType = getProductType(productData);
-    const rawTitle = titleFrom(productData, productType);
+    const listing = await renderListing(productData, { productType, kinguinId });
+    const rawTitle = listing.title;
     
     // ✅ VALIDACIÓN ANTI-INFRACCIÓN: Limpiar título para MercadoLibre
     let title = rawTitle
@@ -1146,7 +1176,7 @@ async function processSingleProduct(kinguinId, existingProduct, { ML_ACCESS_TOKE
       };
     }
     const platform = normalizePlatform(productData.platform);
-    const description = descriptionFrom(productData, productType);
+    const description = listing.description;
     
     // 7. ✅ LÓGICA CRÍTICA: Publicar o actualizar SOLO si está activo en MercadoLibre
     // Si ya existe en Supabase, verificar si necesita actualización
@@ -1313,9 +1343,29 @@ async function processSingleProduct(kinguinId, existingProduct, { ML_ACCESS_TOKE
             title: title,
             updated_at: new Date().toISOString(),
             euro_price: lowestOffer.price,
+            pricing_rule_id: pricingRule?.id || null,
+            pricing_rule_name: pricingRule?.name || null,
             status: "active"
           })
-          .eq("kinguin_id", kinguinId);
+          .eq("kinguin_id", kinguinId)
+          .eq("site_id", PRIMARY_SITE_ID)
+          .eq("account_id", account.id);
+
+        if (Number(existingProduct.price) !== priceCLP) {
+          await recordPriceChange({
+            kinguinId,
+            mlId: existingProduct.ml_id,
+            oldPrice: existingProduct.price,
+            newPrice: priceCLP,
+            exchangeRate: FX_EUR_CLP,
+            originalEurPrice: lowestOffer.price,
+            pricingRule,
+            breakdown,
+            seller: getOfferSeller(lowestOffer),
+            source: "add-product",
+            accountId: account.id
+          });
+        }
       } catch (error) {
         // Si hay error al actualizar, intentar republicar
         await logStep("ERROR", `Error al actualizar: ${error.message}. Intentando republicar.`, { error: error.message }, jobId);
@@ -1351,96 +1401,41 @@ async function processSingleProduct(kinguinId, existingProduct, { ML_ACCESS_TOKE
         await logStep("NUEVO", "Creando nuevo producto en ML", null, jobId);
       }
       
-      const ML_USER_ID = process.env.ML_USER_ID;
-      if (!ML_USER_ID) {
-        throw new Error("Falta ML_USER_ID en variables de entorno");
+      if (!account.ml_user_id) {
+        throw new Error(`La cuenta ${account.id} no tiene ml_user_id; autorízala en /api/mercadolibre/callback`);
       }
       
-      // Extraer imágenes de Kinguin para gold_pro (portada primero + máximo 6 imágenes)
-      let pictures = [];
-      
-      // 1. SIEMPRE comenzar con la portada si existe (estructura correcta de Kinguin API)
-      if (productData.images && productData.images.cover && productData.images.cover.url) {
-        pictures.push({ source: productData.images.cover.url });
-        await logStep("IMAGES", "Portada agregada como imagen principal", { cover: productData.images.cover.url }, jobId);
-      }
-      
-      // 2. Agregar screenshots adicionales hasta completar máximo 6 imágenes (estructura correcta de Kinguin API)
-      if (productData.images && productData.images.screenshots && Array.isArray(productData.images.screenshots) && productData.images.screenshots.length > 0) {
-        const remainingSlots = 6 - pictures.length; // Espacios restantes
-        const additionalScreenshots = productData.images.screenshots
-          .slice(0, remainingSlots)
-          .map(screenshot => ({
-            source: screenshot.url
-          }));
-        
-        pictures.push(...additionalScreenshots);
-        await logStep("IMAGES", `${additionalScreenshots.length} screenshots adicionales agregados`, { screenshots: additionalScreenshots.length }, jobId);
-      }
-      
-      await logStep("IMAGES", `Total de imágenes preparadas: ${pictures.length}/6`, { total: pictures.length }, jobId);
+      // Imágenes validadas, deduplicadas y subidas a ML (portada primero + máximo 6); los IDs quedan en caché
+      const images = await prepareListingPictures(productData, { kinguinId, token: ML_ACCESS_TOKEN });
+      const pictures = images.pictures;
+      await logStep("IMAGES", `Total de imágenes preparadas: ${pictures.length}/${MAX_PICTURES}`, {
+        total: pictures.length,
+        uploaded: images.uploaded,
+        cached: images.cached,
+        duplicates: images.duplicates,
+        rejected: images.rejected
+      }, jobId);
+
+      // Perfil de MLC con la categoría y el tipo de publicación por defecto de la cuenta
+      const siteProfile = await accountSiteProfile(account);
+      // Categoría y value_id según plataforma y tipo (consola, gift card...), no siempre los de PC
+      const categoryMapping = await resolveCategoryMapping(siteProfile, productData);
+      await logStep("CATEGORIA", `Categoría ${categoryMapping.category_id} para ${categoryMapping.platform}/${categoryMapping.product_type} (${categoryMapping.source})`, {
+        category_id: categoryMapping.category_id,
+        source: categoryMapping.source
+      }, jobId);
 
       const mlItemData = {
         title,
-        category_id: "MLC159270", // Videojuegos - categoría que funciona 100%
+        category_id: categoryMapping.category_id,
         price: priceCLP,
-        currency_id: "CLP",
+        currency_id: siteProfile.currency_id,
         available_quantity: 1,
         buying_mode: "buy_it_now",
-        listing_type_id: "gold_pro", // Requiere imágenes pero las extraemos de Kinguin
+        listing_type_id: siteProfile.listing_type_id, // Requiere imágenes pero las extraemos de Kinguin
         condition: "new",
         seller_custom_field: String(kinguinId), // 🔑 SKU CRÍTICO para detección de duplicados
-        attributes: [
-          {
-            id: "COLLECTION",
-            value_name: productData.name || "Videojuego Digital" // Usar nombre del producto
-          },
-          {
-            id: "CONSOLE_VERSION",
-            value_id: "59585252", // PC - SIEMPRE usar este value_id
-            value_name: "PC" // Agregar también el value_name para evitar errores de resolución
-          },
-          {
-            id: "EDITION", 
-            value_name: productData.name || "Código Digital Standard"
-          },
-          {
-            id: "EMPTY_GTIN_REASON",
-            value_id: "17055159" // El producto es un kit o un pack
-          },
-          {
-            id: "FORMAT",
-            value_id: "2132699" // Digital
-          },
-          {
-            id: "ITEM_CONDITION",
-            value_id: "2230284" // Nuevo
-          },
-          {
-            id: "PUBLISHERS",
-            value_name: productData.publishers?.[0] || "Desarrollador Independiente" // Usar publishers de Kinguin
-          },
-          {
-            id: "REGION",
-            value_id: "1233475" // Global
-          },
-          {
-            id: "SELLER_SKU",
-            value_name: kinguinId.toString()
-          },
-          {
-            id: "US_GAME_CLASSIFICATION",
-            value_name: "RP (Rating Pending)"
-          },
-          {
-            id: "VIDEO_GAME_PLATFORM",
-            value_id: "126552" // PC
-          },
-          {
-            id: "VIDEO_GAME_TITLE",
-            value_name: productData.originalName || productData.name || "Videojuego Digital" // Usar originalName preferentemente
-          }
-        ],
+        attributes: siteItemAttributes(siteProfile, productData, kinguinId, categoryMapping),
         sale_terms: [
           {
             id: "WARRANTY_TYPE",
@@ -1462,6 +1457,11 @@ async function processSingleProduct(kinguinId, existingProduct, { ML_ACCESS_TOKE
         }
       };
 
+      const missingAttributes = missingRequiredAttributes(categoryMapping, mlItemData.attributes);
+      if (missingAttributes.length > 0) {
+        throw new Error(`Faltan atributos obligatorios de ${categoryMapping.category_id}: ${missingAttributes.join(", ")} (configurar en /api/ml-category-mappings)`);
+      }
+
       // Agregar imágenes solo si las tenemos (gold_pro las requiere)
       if (pictures.length > 0) {
         mlItemData.pictures = pictures;
@@ -1481,6 +1481,40 @@ async function processSingleProduct(kinguinId, existingProduct, { ML_ACCESS_TOKE
         listing_type_id: mlItemData.listing_type_id
       }, jobId);
       
+      // En la cola, un intento que pasó su timeout ya se reintenta en otro lado: no publica
+      signal?.throwIfAborted();
+
+      const listedItem = await findListingBySku(String(kinguinId), ML_ACCESS_TOKEN, account, signal);
+      if (listedItem) {
+        // Se vincula la publicación que ya existe en vez de crear otra; el sync de precios ajusta el precio
+        await supabase
+          .from("published_products")
+          .update({
+            ml_id: listedItem.ml_id,
+            euro_price: lowestOffer.price,
+            title,
+            platform,
+            product_type: productType,
+            region: normalizedRegion,
+            status: listedItem.status,
+            updated_at: new Date().toISOString()
+          })
+          .eq("kinguin_id", kinguinId)
+          .eq("site_id", PRIMARY_SITE_ID)
+          .eq("account_id", account.id)
+          .eq("status", "processing");
+
+        await logDecision("SKU_EXISTS_IN_ML", `Kinguin ID ${kinguinId} ya está publicado en ML (${listedItem.ml_id}), se vincula sin crear otro`, listedItem, jobId);
+        return {
+          kinguinId,
+          status: 'skipped',
+          reason: 'sku_exists_in_ml',
+          message: `Ya publicado en MercadoLibre: ${listedItem.ml_id}`,
+          ml_id: listedItem.ml_id,
+          success: false
+        };
+      }
+
       // Crear el item en ML
       const { data: createdItem } = await axiosWithSmartRetry(
         "https://api.mercadolibre.com/items",
@@ -1495,6 +1529,7 @@ async function processSingleProduct(kinguinId, existingProduct, { ML_ACCESS_TOKE
       
       // Actualizar descripción
       await postPlainDescription(createdItem.id, description, ML_ACCESS_TOKEN, productData);
+      await markRendered({ account_id: account.id, kinguin_id: kinguinId, site_id: PRIMARY_SITE_ID }, listing.templates.description);
       await logStep("DESCRIPCION", "Descripción actualizada", null, jobId);
       
       // ✅ ACTUALIZAR el registro de "processing" con la información completa
@@ -1504,6 +1539,8 @@ async function processSingleProduct(kinguinId, existingProduct, { ML_ACCESS_TOKE
           ml_id: createdItem.id,
           price: priceCLP,
           euro_price: lowestOffer.price,
+          pricing_rule_id: pricingRule?.id || null,
+          pricing_rule_name: pricingRule?.name || null,
           title,
           platform,
           product_type: productType,
@@ -1512,6 +1549,8 @@ async function processSingleProduct(kinguinId, existingProduct, { ML_ACCESS_TOKE
           status: "active"
         })
         .eq("kinguin_id", kinguinId)
+        .eq("site_id", PRIMARY_SITE_ID)
+        .eq("account_id", account.id)
         .eq("status", "processing");
         
       if (updateError) {
@@ -1519,6 +1558,21 @@ async function processSingleProduct(kinguinId, existingProduct, { ML_ACCESS_TOKE
       } else {
         await logStep("SUPABASE_UPDATE", "Registro actualizado en Supabase exitosamente", { ml_id: createdItem.id }, jobId);
       }
+
+      // Primer punto del historial: deja el desglose del precio de publicación
+      await recordPriceChange({
+        kinguinId,
+        mlId: createdItem.id,
+        oldPrice: 0,
+        newPrice: priceCLP,
+        exchangeRate: FX_EUR_CLP,
+        originalEurPrice: lowestOffer.price,
+        pricingRule,
+        breakdown,
+        seller: getOfferSeller(lowestOffer),
+        source: "add-product",
+        accountId: account.id
+      });
       
       await logDecision("APROBADO", `Nuevo producto publicado en ML con ID: ${createdItem.id}`, { ml_id: createdItem.id, price: priceCLP }, jobId);
       
@@ -1682,6 +1736,8 @@ async function processSingleProduct(kinguinId, existingProduct, { ML_ACCESS_TOKE
           .from("published_products")
           .delete()
           .eq("kinguin_id", kinguinId)
+          .eq("site_id", PRIMARY_SITE_ID)
+          .eq("account_id", account.id)
           .eq("status", "processing")
           .is("ml_id", null);
           
@@ -1701,242 +1757,97 @@ async function processSingleProduct(kinguinId, existingProduct, { ML_ACCESS_TOKE
   }
 }
 
+// Configuración si /api/optimize-speed no responde
+const DEFAULT_SPEED_CONFIG = {
+  concurrency: 15,
+  batch_interval_ms: 100,
+  max_retries: 5,
+  base_delay_ms: 500,
+  request_timeout_ms: 30000
+};
+
 /**
- * Función principal que se ejecuta en segundo plano para procesar todos los productos.
- * Ahora también registra el progreso en Supabase.
+ * Configuración de velocidad desde la API interna, funciona tanto en Vercel como en desarrollo local.
  */
-async function runProductProcessingJob(jobId, kinguinIds) {
-  console.log(`🚀 [Job ID: ${jobId}] === INICIANDO runProductProcessingJob ===`);
-  console.log(`🚀 [Job ID: ${jobId}] Productos a procesar: ${kinguinIds.length}`);
-  console.log(`🚀 [Job ID: ${jobId}] Timestamp: ${new Date().toISOString()}`);
-  
+async function fetchSpeedConfig(jobId) {
+  const apiUrl = process.env.VERCEL_URL
+    ? `https://${process.env.VERCEL_URL}/api/optimize-speed`
+    : 'http://localhost:3000/api/optimize-speed';
+
+  // Usar timeout muy corto para evitar que se cuelgue
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 3000); // 3 segundos máximo
   try {
-    console.log(`🎯 [Job ID: ${jobId}] Función runProductProcessingJob iniciada`);
-    await logActivity(`Iniciando runProductProcessingJob para ${kinguinIds.length} productos`, 'info', { jobId, productCount: kinguinIds.length }, jobId);
-    // 1. Obtener configuración de procesamiento
-    let speedConfig;
-    try {
-      console.log(`⚙️ [Job ID: ${jobId}] Obteniendo configuración de velocidad...`);
-      
-      // Obtener configuración desde la API interna, funciona tanto en Vercel como en desarrollo local
-      let apiUrl;
-      if (process.env.VERCEL_URL) {
-        // Estamos en Vercel, usar la URL completa
-        apiUrl = `https://${process.env.VERCEL_URL}/api/optimize-speed`;
-      } else {
-        // Estamos en desarrollo local
-        apiUrl = 'http://localhost:3000/api/optimize-speed';
-      }
-      
-      // Usar timeout muy corto para evitar que se cuelgue
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 3000); // 3 segundos máximo
-      
-      const speedConfigResponse = await fetch(apiUrl, {
-        signal: controller.signal,
-        timeout: 3000
-      });
-      clearTimeout(timeoutId);
-      
-      speedConfig = await speedConfigResponse.json();
-      console.log(`✅ [Job ID: ${jobId}] Configuración de velocidad obtenida:`, speedConfig);
-    } catch (configError) {
-      console.warn(`⚠️ [Job ID: ${jobId}] Error obteniendo configuración (${configError.message}). Usando valores predeterminados.`);
-      speedConfig = {
-        concurrency: 15,
-        batch_interval_ms: 100,
-        max_retries: 5,
-        base_delay_ms: 500,
-        request_timeout_ms: 30000
-      };
-      console.log(`📋 [Job ID: ${jobId}] Usando configuración por defecto:`, speedConfig);
-    }
-    
-    await logActivity(`Configuración aplicada: concurrencia=${speedConfig.concurrency}`, 'info', { speedConfig }, jobId);
-    
-    console.log(`🔑 [Job ID: ${jobId}] === OBTENIENDO TOKENS ===`);
-    
-    // Obtener tokens necesarios
-    // Primero intentar desde Supabase, con fallback a variables de entorno directas de Vercel
-    let ML_ACCESS_TOKEN;
-    try {
-      console.log(`🔐 [Job ID: ${jobId}] Obteniendo ML_ACCESS_TOKEN desde Supabase...`);
-      ML_ACCESS_TOKEN = await getTokenFromSupabase("ML_ACCESS_TOKEN");
-      console.log(`✅ [Job ID: ${jobId}] ML_ACCESS_TOKEN obtenido desde Supabase`);
-    } catch (tokenError) {
-      console.warn(`⚠️ [Job ID: ${jobId}] No se pudo obtener ML_ACCESS_TOKEN desde Supabase: ${tokenError.message}. Usando variable de entorno.`);
-      ML_ACCESS_TOKEN = process.env.ML_ACCESS_TOKEN;
-      console.log(`✅ [Job ID: ${jobId}] ML_ACCESS_TOKEN obtenido desde variables de entorno`);
-    }
-    
-    // La API key de Kinguin siempre viene directamente de las variables de entorno de Vercel
-    console.log(`🔐 [Job ID: ${jobId}] Obteniendo KINGUIN_API_KEY...`);
-    const KINGUIN_API_KEY = process.env.KINGUIN_API_KEY;
-    const MAX_RETRIES = speedConfig.max_retries || 3;
-    console.log(`✅ [Job ID: ${jobId}] KINGUIN_API_KEY obtenida`);
+    const response = await fetch(apiUrl, { headers: serviceAuthHeaders(), signal: controller.signal });
+    return await response.json();
+  } catch (configError) {
+    console.warn(`⚠️ [Job ID: ${jobId}] Error obteniendo configuración (${configError.message}). Usando valores predeterminados.`);
+    return DEFAULT_SPEED_CONFIG;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
 
-    if (!ML_ACCESS_TOKEN || !KINGUIN_API_KEY) {
-      throw new Error("Faltan credenciales (ML_ACCESS_TOKEN o KINGUIN_API_KEY)");
-    }
-    
-    console.log(`🏁 [Job ID: ${jobId}] === INICIANDO PROCESAMIENTO PRINCIPAL ===`);
-    await logActivity(`Iniciando procesamiento para ${kinguinIds.length} productos.`, 'info', null, jobId);
-    console.log(`🚀 [Job ID: ${jobId}] Iniciando procesamiento para ${kinguinIds.length} productos.`);
-    const CONCURRENCY_LIMIT = 50; // Procesa 50 productos por lote
-    const allResults = [];
+/**
+ * Handler de la cola de jobs (lib/job-queue.js) para 'add-product': publica o actualiza un producto
+ * por ítem con la cuenta de ML del job. Un ítem que lanza error o pasa de 60 segundos se reintenta
+ * con backoff; los rechazos de validación quedan como resultado y no se reintentan.
+ */
+export const addProductJob = {
+  itemTimeoutMs: 60000,
 
-    // Deduplica IDs para evitar procesamiento duplicado
-    const uniqueIds = [...new Set(kinguinIds.map(id => String(id)))]; 
-    if (uniqueIds.length < kinguinIds.length) {
-      console.log(`ℹ️ [Job ID: ${jobId}] Se encontraron ${kinguinIds.length - uniqueIds.length} IDs duplicados que serán ignorados.`);
-    }
+  async prepare(job) {
+    const account = await getAccount(job.account_id || DEFAULT_ACCOUNT_ID);
+    const speedConfig = await fetchSpeedConfig(job.id);
 
-    for (let i = 0; i < uniqueIds.length; i += CONCURRENCY_LIMIT) {
-      const chunk = uniqueIds.slice(i, i + CONCURRENCY_LIMIT);
-      const currentBatch = Math.floor(i / CONCURRENCY_LIMIT) + 1;
-      const totalBatches = Math.ceil(uniqueIds.length / CONCURRENCY_LIMIT);
-      
-      console.log(`--- [Job ID: ${jobId}] Procesando Lote ${currentBatch}/${totalBatches} (${chunk.length} productos) ---`);
+    // La API key de Kinguin viene de la variable de entorno que indica la cuenta (KINGUIN_API_KEY por defecto);
+    // el token de ML se pide de una vez para fallar aquí, y no en cada producto, si la cuenta no está autorizada
+    const KINGUIN_API_KEY = accountKinguinKey(account);
+    await accountAccessToken(account);
+    if (!KINGUIN_API_KEY) {
+      throw new Error(`Faltan credenciales de la cuenta ${account.id} (${account.kinguin_key_env})`);
+    }
 
-      // Buscar productos existentes en la DB de forma segura con reintentos más rápidos
-      let existingProductsInChunk = [];
-      for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-        try {
-          const { data, error } = await supabase
-            .from("published_products")
-            .select("kinguin_id, ml_id")
-            .in("kinguin_id", chunk);
-          
-          if (error) throw new Error(`Error DB: ${error.message}`);
-          existingProductsInChunk = data || [];
-          break; // Éxito, salir del bucle de reintentos
-        } catch (err) {
-          if (attempt === MAX_RETRIES) {
-            console.error(`⚠️ [Job ID: ${jobId}] Error al obtener productos existentes después de ${MAX_RETRIES} intentos: ${err.message}`);
-            // Continuar con array vacío en último caso
-          } else {
-            console.warn(`⚠️ [Job ID: ${jobId}] Error al obtener productos existentes (intento ${attempt}): ${err.message}. Reintentando...`);
-            await new Promise(r => setTimeout(r, 500 * attempt)); // Espera reducida a la mitad
-          }
-        }
-      }
-      
-      const existingProductMap = new Map(existingProductsInChunk.map(product => [String(product.kinguin_id), product]));
+    await logActivity(`Configuración aplicada: concurrencia=${speedConfig.concurrency}, cuenta=${account.id}`, 'info', { speedConfig }, job.id);
+    return { account, KINGUIN_API_KEY, concurrency: speedConfig.concurrency || DEFAULT_SPEED_CONFIG.concurrency };
+  },
 
-      // Procesar con nuestro sistema inteligente de lotes
-      console.log(`🔄 [Job ID: ${jobId}] Procesando lote ${currentBatch} con sistema optimizado de concurrencia`);
-      await logActivity(`Iniciando procesamiento de lote ${currentBatch} con ${chunk.length} productos`, 'info', null, jobId);
-      
-      // Preparar las funciones de procesamiento
-      const processFunctions = chunk.map(id => {
-        return async () => {
-          // Usar sistema de reintentos para cada producto individual CON TIMEOUT
-          try {
-            // Timeout de 60 segundos por producto
-            const timeoutPromise = new Promise((_, reject) => 
-              setTimeout(() => reject(new Error('Timeout: Producto tomó más de 60 segundos')), 60000)
-            );
-            
-            const processingPromise = processSingleProduct(
-              id, 
-              existingProductMap.get(String(id)), 
-              { ML_ACCESS_TOKEN, KINGUIN_API_KEY }, 
-              jobId
-            );
-            
-            return await Promise.race([processingPromise, timeoutPromise]);
-          } catch (err) {
-            console.error(`❌ [Job ID: ${jobId}] Error procesando producto ${id}:`, err.message);
-            // Devolver un objeto de error en lugar de lanzar la excepción
-            return { 
-              kinguinId: id, 
-              status: 'error', 
-              reason: err.message.includes('Timeout') ? 'timeout_error' : 'processing_error',
-              message: err.message,
-              timeElapsed: 'N/A'
-            };
-          }
-        };
-      });
-      
-      // Usar batchRequests para procesar con concurrencia controlada
-      // Agregar timeout al lote completo para evitar cuelgues
-      const batchTimeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error(`Timeout: Lote ${currentBatch} tomó más de 5 minutos`)), 300000) // 5 minutos
-      );
-      
-      const batchProcessingPromise = batchRequests(processFunctions, {
-        concurrency: speedConfig.concurrency || 15, // Usar el valor configurado
-        intervalMs: speedConfig.batch_interval_ms || 100,
-        onProgress: (index, result) => {
-          if (index % 5 === 0 || result.completed === chunk.length) {
-            console.log(`📊 [Job ID: ${jobId}] Progreso del lote ${currentBatch}: ${result.completed}/${chunk.length}`);
-          }
-        }
-      });
-      
-      const batchResults = await Promise.race([batchProcessingPromise, batchTimeoutPromise]);
-      
-      console.log(`✅ [Job ID: ${jobId}] Lote ${currentBatch} completado exitosamente`);
-      await logActivity(`Lote ${currentBatch} completado: ${chunk.length} productos procesados`, 'info', null, jobId);
-      
-      // Mapear resultados para formato consistente
-      const results = batchResults.map(result => result.success ? result.data : result.error);
-      
-      allResults.push(...results);
+  async processItem(kinguinId, { account, KINGUIN_API_KEY }, job, { signal } = {}) {
+    const { data: existing, error } = await supabase
+      .from("published_products")
+      .select("kinguin_id, ml_id")
+      .eq("kinguin_id", kinguinId)
+      .eq("site_id", PRIMARY_SITE_ID)
+      .eq("account_id", account.id)
+      .maybeSingle();
+    if (error) throw new Error(`Error DB: ${error.message}`);
 
-      await updateJobProgress(jobId, allResults); // Actualiza el progreso en la DB
-      const processingSpeed = results.length > 0 
-        ? (results.reduce((sum, r) => sum + (parseFloat(r.timeElapsed) || 0), 0) / results.length).toFixed(2)
-        : "N/A";
-        
-      // Registrar estadísticas de progreso
-      await logActivity(
-        `Progreso: ${allResults.length}/${kinguinIds.length} productos procesados. Velocidad media: ${processingSpeed}s/producto.`,
-        'info',
-        {
-          processed: allResults.length,
-          total: kinguinIds.length,
-          avgSpeed: processingSpeed,
-          success: allResults.filter(result => result.status === 'success').length,
-          failed: allResults.filter(result => result.status !== 'success').length
-        },
-        jobId
-      );
-      
-      console.log(`📈 [Job ID: ${jobId}] Progreso: ${allResults.length}/${kinguinIds.length} productos procesados. Velocidad media: ${processingSpeed}s/producto.`);
-    }
+    // Se pide por producto: en jobs largos toma el token refrescado sin esperar un 401
+    return processSingleProduct(
+      kinguinId,
+      existing,
+      { ML_ACCESS_TOKEN: await accountAccessToken(account), KINGUIN_API_KEY, account, signal },
+      job.id
+    );
+  },
 
-    const summary = allResults.reduce((acc, result) => {
+  async finalize(job, results) {
+    const summary = results.reduce((acc, result) => {
       const key = result.status;
       acc[key] = (acc[key] || 0) + 1;
       return acc;
-    }, { total: allResults.length });
+    }, { total: results.length });
 
-    await completeJob(jobId, summary, allResults);
-    
-    // Registrar finalización exitosa
     await logActivity(
-      `Procesamiento completado con éxito. Total: ${allResults.length}, Exitosos: ${summary.success || 0}, Errores: ${summary.failed || 0}`,
+      `Procesamiento completado con éxito. Total: ${results.length}, Exitosos: ${summary.success || 0}, Errores: ${summary.failed || 0}`,
       'success',
       summary,
-      jobId
+      job.id
     );
-    
-    console.log(`✅ [Job ID: ${jobId}] Procesamiento completado.`);
-  } catch (err) {
-    // Registrar error fatal
-    await logActivity(
-      `ERROR FATAL EN EL PROCESO: ${err.message}`,
-      'error',
-      err.response?.data || { message: err.message, stack: err.stack },
-      jobId
-    );
-    
-    console.error(`\n💥 [Job ID: ${jobId}] ERROR FATAL EN EL PROCESO:`, err.response?.data || err.message);
-    await failJob(jobId, err);
+    console.log(`✅ [Job ID: ${job.id}] Procesamiento completado.`);
+    return summary;
   }
-}
+};
 
 export default async function handler(req, res) {
   // Configurar un timeout de 60 segundos para la API route completa
@@ -1962,22 +1873,30 @@ export default async function handler(req, res) {
       console.log(`Optimización: Se eliminaron ${kinguinIds.length - uniqueIds.length} IDs duplicados`);
     }
 
-    // 1. Crear un registro del "job" en Supabase
-    console.log(`🔄 Creando job para ${uniqueIds.length} productos...`);
-    const jobId = await createJob('add-product', uniqueIds);
-    console.log(`✅ Job creado con ID: ${jobId}`);
+    // Cuenta de ML con la que se publica (selector del panel, ?account= o la predeterminada)
+    let account;
+    try {
+      account = await getRequestAccount(req);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // 1. Encolar el job: el worker de la cola (/api/cron/job-worker o scripts/job-worker.js) lo procesa
+    // y, si se corta a la mitad, el siguiente tick retoma desde el último producto terminado
+    console.log(`🔄 Encolando job para ${uniqueIds.length} productos en la cuenta ${account.id}...`);
+    const jobId = await enqueueJob('add-product', uniqueIds, { triggeredBy: getRequestUser(req), accountId: account.id });
+    console.log(`✅ Job encolado con ID: ${jobId}`);
     
     // Log inicial para confirmar que el job fue creado
-    await logActivity(`Job ${jobId} creado para ${uniqueIds.length} productos`, 'info', { jobId, productCount: uniqueIds.length }, jobId);
+    await logActivity(`Job ${jobId} encolado para ${uniqueIds.length} productos`, 'info', { jobId, productCount: uniqueIds.length }, jobId);
 
-    // 2. Iniciar el procesamiento en segundo plano (no esperamos a que termine)
-    console.log(`🚀 Iniciando procesamiento en segundo plano para job ${jobId}...`);
-    runProductProcessingJob(jobId, uniqueIds);
+    // 2. Adelantar un tick del worker sin esperarlo, así el job arranca sin esperar al cron
+    await kickWorker();
 
     // 3. Responder inmediatamente al cliente
     console.log(`📤 Respondiendo al cliente con jobId: ${jobId}`);
     return res.status(202).json({
-      message: `El procesamiento ha comenzado en segundo plano para ${uniqueIds.length} productos.`,
+      message: `El procesamiento de ${uniqueIds.length} productos quedó en cola.`,
       jobId: jobId,
     });
 
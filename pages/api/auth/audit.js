@@ -0,0 +1,23 @@
+import { listAudit } from "../../../lib/auth";
+
+/**
+ * Auditoría (solo admin): logins, cambios de usuarios, jobs lanzados y peticiones que modifican algo.
+ * GET ?limit=100&user=&action=
+ */
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ success: false, error: "Método no permitido" });
+  }
+
+  try {
+    const entries = await listAudit({
+      limit: Math.min(parseInt(req.query.limit, 10) || 100, 500),
+      userEmail: req.query.user || null,
+      action: req.query.action || null
+    });
+    return res.status(200).json({ success: true, entries });
+  } catch (error) {
+    console.error("❌ Error leyendo auditoría:", error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
@@ -0,0 +1,31 @@
+import { authenticate, recordAudit } from "../../../lib/auth";
+import { sessionCookie, signSession } from "../../../lib/auth-session";
+
+/**
+ * Login del panel. POST { email, password }: deja la cookie de sesión (HttpOnly, 12 horas).
+ */
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ success: false, error: "Método no permitido. Usa POST." });
+  }
+
+  const { email, password } = req.body || {};
+  try {
+    const user = await authenticate(email, password);
+    if (!user) {
+      await recordAudit({ email: String(email || "").toLowerCase() }, "login:failed", {
+        ip: req.headers["x-forwarded-for"] || req.socket?.remoteAddress || null
+      });
+      return res.status(401).json({ success: false, error: "Email o contraseña incorrectos" });
+    }
+
+    const principal = { sub: user.id, email: user.email, role: user.role };
+    res.setHeader("Set-Cookie", sessionCookie(await signSession(principal)));
+    await recordAudit(principal, "login", {});
+
+    return res.status(200).json({ success: true, user });
+  } catch (error) {
+    console.error("❌ Error en login:", error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
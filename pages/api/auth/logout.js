@@ -0,0 +1,11 @@
+import { sessionCookie } from "../../../lib/auth-session";
+
+// Borra la cookie de sesión; el token firmado deja de enviarse aunque no haya vencido
+export default function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ success: false, error: "Método no permitido. Usa POST." });
+  }
+
+  res.setHeader("Set-Cookie", sessionCookie("", { maxAge: 0 }));
+  return res.status(200).json({ success: true });
+}
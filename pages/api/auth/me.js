@@ -0,0 +1,12 @@
+import { getRequestUser } from "../_auth";
+
+// Usuario de la sesión actual, para que el panel sepa si mostrar el login y qué acciones habilitar
+export default function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ success: false, error: "Método no permitido" });
+  }
+
+  const user = getRequestUser(req);
+  if (!user) return res.status(401).json({ success: false, error: "No autorizado" });
+  return res.status(200).json({ success: true, user: { id: user.sub, email: user.email, role: user.role } });
+}
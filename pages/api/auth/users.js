@@ -0,0 +1,66 @@
+import { getRequestUser } from "../_auth";
+import { createUser, listUsers, recordAudit, sanitizeUser, updateUser, validateUserChanges } from "../../../lib/auth";
+import { ROLES } from "../../../lib/auth-session";
+
+/**
+ * Usuarios del panel (solo admin, lo exige el middleware).
+ * GET: usuarios y roles disponibles.
+ * POST { email, name, role, password }: crea un usuario.
+ * PUT ?id= { name, role, active, password }: lo modifica.
+ * DELETE ?id=: lo desactiva (se conserva para la auditoría).
+ */
+export default async function handler(req, res) {
+  const actor = getRequestUser(req);
+
+  try {
+    if (req.method === "GET") {
+      const users = await listUsers();
+      return res.status(200).json({ success: true, users, roles: ROLES });
+    }
+
+    if (req.method === "POST") {
+      try {
+        sanitizeUser(req.body || {});
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      let user;
+      try {
+        user = await createUser(req.body || {});
+      } catch (error) {
+        // Email repetido: conflicto del cliente, no error del servidor
+        if (error.code !== "23505") throw error;
+        return res.status(409).json({ success: false, error: error.message });
+      }
+      await recordAudit(actor, "user:create", { user_id: user.id, email: user.email, role: user.role });
+      return res.status(200).json({ success: true, user });
+    }
+
+    const { id } = req.query;
+    if (req.method === "PUT" || req.method === "DELETE") {
+      if (!id) return res.status(400).json({ success: false, error: "Falta el id del usuario" });
+      if (id === actor?.sub && (req.method === "DELETE" || (req.body?.role && req.body.role !== "admin"))) {
+        return res.status(400).json({ success: false, error: "No puedes quitarte el rol admin ni desactivarte" });
+      }
+
+      const changes = req.method === "DELETE" ? { active: false } : (req.body || {});
+      try {
+        validateUserChanges(changes);
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      const user = await updateUser(id, changes);
+      await recordAudit(actor, req.method === "DELETE" ? "user:deactivate" : "user:update", {
+        user_id: id,
+        changes: Object.keys(changes).filter(key => key !== "password"),
+        password_changed: changes.password !== undefined
+      });
+      return res.status(200).json({ success: true, user });
+    }
+
+    return res.status(405).json({ success: false, error: "Método no permitido" });
+  } catch (error) {
+    console.error("❌ Error en usuarios del panel:", error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
@@ -1,4 +1,5 @@
 import { createClient } from "@supabase/supabase-js";
+import { PRIMARY_SITE_ID } from "../../lib/ml-sites";
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -19,6 +20,7 @@ export default async function handler(req, res) {
     const { count: totalCount, error: countError } = await supabase
       .from("published_products")
       .select("*", { count: 'exact', head: true })
+      .eq("site_id", PRIMARY_SITE_ID)
       .neq("status", "closed_duplicate");
     
     if (countError) throw countError;
@@ -37,6 +39,7 @@ export default async function handler(req, res) {
       const { data: batch, error: batchError } = await supabase
         .from("published_products")
         .select("kinguin_id, id, ml_id, status, created_at, title")
+        .eq("site_id", PRIMARY_SITE_ID)
         .neq("status", "closed_duplicate")
         .range(start, start + batchSize - 1);
       
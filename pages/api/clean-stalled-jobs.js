@@ -1,4 +1,5 @@
 import { createClient } from "@supabase/supabase-js";
+import { activeQueueJobIds } from "../../lib/job-queue";
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -7,7 +8,8 @@ const supabase = createClient(
 
 /**
  * Endpoint para limpiar trabajos estancados (colgados)
- * Un trabajo se considera estancado si lleva más de 30 minutos en estado "running"
+ * Un trabajo se considera estancado si lleva más de 30 minutos en estado "running".
+ * Los jobs que siguen abiertos en la cola (lib/job-queue.js) no se tocan: un worker los retoma.
  */
 export default async function handler(req, res) {
   res.setHeader("Access-Control-Allow-Origin", "*");
@@ -40,11 +42,13 @@ export default async function handler(req, res) {
     const MAX_JOB_RUNTIME_MS = 30 * 60 * 1000; // 30 minutos
     const now = new Date();
     
-    const stalledJobs = runningJobs.filter(job => {
+    const overdueJobs = runningJobs.filter(job => {
       const createdAt = new Date(job.created_at);
       const elapsedMs = now - createdAt;
       return elapsedMs >= MAX_JOB_RUNTIME_MS;
     });
+    const queuedJobIds = await activeQueueJobIds(overdueJobs.map(job => job.id));
+    const stalledJobs = overdueJobs.filter(job => !queuedJobIds.has(job.id));
 
     // Actualizar todos los trabajos estancados a estado "failed"
     const updates = [];
@@ -1,9 +1,4 @@
-import { createClient } from "@supabase/supabase-js";
-
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
+import { requireAccessToken } from '../../lib/ml-tokens';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -14,17 +9,7 @@ export default async function handler(req, res) {
     console.log('🧹 Iniciando limpieza de duplicados en MercadoLibre...');
 
     // 1. Obtener token de ML
-    const { data: tokenData } = await supabase
-      .from('tokens')
-      .select('value')
-      .eq('key', 'ML_ACCESS_TOKEN')
-      .single();
-
-    if (!tokenData?.value) {
-      throw new Error('No ML access token found');
-    }
-
-    const ML_ACCESS_TOKEN = tokenData.value;
+    const ML_ACCESS_TOKEN = await requireAccessToken();
 
     // 2. Obtener el user_id de MercadoLibre
     const userResponse = await fetch('https://api.mercadolibre.com/users/me', {
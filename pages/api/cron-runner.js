@@ -1,22 +1,37 @@
 import { createClient } from '@supabase/supabase-js';
 import externalCrons from '../../lib/external-crons';
+import { SESSION_COOKIE, resolvePrincipal, roleAllows, safeEqual } from '../../lib/auth-session';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_KEY
 );
 
-// Clave API secreta para proteger los endpoints de cronjobs
-const API_KEY = process.env.EXTERNAL_CRON_API_KEY || 'kinguin-ml-cron-key';
+/**
+ * La ruta es pública para los schedulers externos, que mandan EXTERNAL_CRON_API_KEY;
+ * el panel la llama con la sesión de un admin. Sin clave configurada solo sirve la sesión.
+ */
+async function isAuthorized(req) {
+  const expected = process.env.EXTERNAL_CRON_API_KEY;
+  const provided = req.query.key || req.headers['x-api-key'];
+  if (expected && safeEqual(provided, expected)) return true;
+
+  const principal = await resolvePrincipal(req.headers.authorization, req.cookies?.[SESSION_COOKIE]);
+  return Boolean(principal) && roleAllows(principal.role, 'admin');
+}
 
 export default async function handler(req, res) {
-  // Verificar si la solicitud incluye la clave API correcta
-  const apiKey = req.query.key || req.headers['x-api-key'];
-  
-  if (apiKey !== API_KEY) {
+  let authorized = false;
+  try {
+    authorized = await isAuthorized(req);
+  } catch (error) {
+    console.error('Error verificando acceso a cron-runner:', error.message);
+  }
+
+  if (!authorized) {
     return res.status(403).json({
       success: false,
-      error: 'Acceso no autorizado. Se requiere una clave API válida.'
+      error: 'Acceso no autorizado. Se requiere una clave API válida o una sesión de admin.'
     });
   }
   
@@ -76,6 +91,8 @@ export default async function handler(req, res) {
       const urlObj = new URL(cronUrl, 'http://localhost');
       
       Object.entries(cronJob.params).forEach(([key, value]) => {
+        // Un parámetro sin valor se omite: en el query string llegaría como "null"
+        if (value === null || value === undefined) return;
         urlObj.searchParams.append(key, value);
       });
       
@@ -0,0 +1,70 @@
+// API para reprecio según la competencia en ML, entre un piso por costo y un techo por regla de precio
+
+import { runCompetitorRepricing } from '../../../lib/competitor-repricing';
+import { forEachAccount } from '../../../lib/ml-accounts';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Only GET method allowed' });
+  }
+
+  try {
+    const { limit, dryRun = 'false', force = 'false', account } = req.query;
+
+    console.log('🏷️ Repricing por competencia...');
+    const startTime = Date.now();
+
+    // Cada cuenta con su token: si una falla, las demás se reprecian igual
+    const accounts = await forEachAccount(seller => runCompetitorRepricing({
+      limit: parseInt(limit, 10) || null,
+      dryRun: dryRun === 'true',
+      force: force === 'true',
+      account: seller
+    }), { label: 'Repricing por competencia', accountId: account || null });
+
+    const summaries = accounts.filter(result => result.status === 'ok').map(result => result.result);
+    const enabled = summaries.some(summary => summary.enabled);
+    const held = summaries.some(summary => summary.held);
+    const processed = summaries.reduce((sum, summary) => sum + summary.processed, 0);
+    const moves = summaries.flatMap(summary => summary.moves);
+    const outcomes = {};
+    summaries.forEach(summary => Object.entries(summary.outcomes).forEach(([outcome, count]) => {
+      outcomes[outcome] = (outcomes[outcome] || 0) + count;
+    }));
+
+    const executionTime = Math.round((Date.now() - startTime) / 1000);
+    if (!enabled && force !== 'true' && summaries.length > 0) {
+      console.log('🏷️ Repricing por competencia deshabilitado (system_config.competitor_repricing.enabled)');
+    } else if (held) {
+      console.log('🏷️ Repricing por competencia omitido: tipo de cambio en modo hold');
+    } else {
+      console.log(`🏷️ Repricing: ${processed} revisados, ${moves.length} movidos en ${accounts.length} cuentas (${executionTime}s)`);
+    }
+
+    const failed = accounts.filter(result => result.status === 'error');
+    res.status(200).json({
+      success: failed.length === 0,
+      type: 'competitor_repricing',
+      enabled,
+      held,
+      dry_run: dryRun === 'true',
+      processed,
+      outcomes,
+      moves,
+      accounts: accounts.map(({ account_id, status, error, result }) => ({
+        account_id,
+        status,
+        error,
+        processed: result?.processed,
+        moved: result?.moves.length
+      })),
+      execution_time_seconds: executionTime
+    });
+  } catch (error) {
+    console.error('❌ Error en repricing por competencia:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,37 @@
+// API para actualizar visitas y ventas de las publicaciones en experimentos A/B de título y descripción
+
+import { refreshExperimentMetrics } from '../../../lib/listing-experiments';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Only GET method allowed' });
+  }
+
+  try {
+    const { limit } = req.query;
+
+    console.log('🧪 Actualizando métricas de experimentos...');
+    const startTime = Date.now();
+
+    const summary = await refreshExperimentMetrics({
+      limit: Math.min(parseInt(limit, 10) || 200, 500)
+    });
+
+    const executionTime = Math.round((Date.now() - startTime) / 1000);
+    console.log(`🧪 Experimentos: ${summary.updated} asignaciones actualizadas, ${summary.errors} errores (${executionTime}s)`);
+
+    res.status(200).json({
+      success: true,
+      type: 'experiment_metrics',
+      updated: summary.updated,
+      errors: summary.errors,
+      execution_time_seconds: executionTime
+    });
+  } catch (error) {
+    console.error('❌ Error actualizando métricas de experimentos:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,47 @@
+// API para un tick del worker de la cola de jobs: procesa ítems de add-product y sync-prices-stock
+// hasta agotar el presupuesto de tiempo; lo que quede lo retoma el tick siguiente
+
+import { runWorkerTick, DEFAULT_TICK_BUDGET_MS } from '../../../lib/job-queue';
+import { JOB_HANDLERS } from '../../../lib/job-handlers';
+
+export const maxDuration = 300; // 5 minutos: presupuesto del tick + timeout del último ítem
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Only GET method allowed' });
+  }
+
+  try {
+    const { budgetMs, workerId } = req.query;
+
+    console.log('🧵 Tick del worker de jobs...');
+    const startTime = Date.now();
+
+    const tick = await runWorkerTick({
+      handlers: JOB_HANDLERS,
+      budgetMs: Math.min(parseInt(budgetMs, 10) || DEFAULT_TICK_BUDGET_MS, DEFAULT_TICK_BUDGET_MS),
+      ...(workerId && { workerId: String(workerId) })
+    });
+
+    const processed = tick.jobs.reduce((sum, job) => sum + job.processed, 0);
+    const executionTime = Math.round((Date.now() - startTime) / 1000);
+    console.log(`🧵 Worker ${tick.worker_id}: ${tick.jobs.length} jobs, ${processed} ítems (${executionTime}s)`);
+
+    res.status(200).json({
+      success: true,
+      type: 'job_worker',
+      worker_id: tick.worker_id,
+      processed,
+      // Quedan ítems pendientes: el proceso de larga duración vuelve a llamar sin esperar
+      has_more: tick.jobs.some(job => job.status === 'running' && job.remaining > 0),
+      jobs: tick.jobs,
+      execution_time_seconds: executionTime
+    });
+  } catch (error) {
+    console.error('❌ Error en el worker de jobs:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
@@ -1,5 +1,9 @@
 // API para mantenimiento: limpiar productos discontinuados y procesar webhooks pendientes
 
+import { processWebhookQueue } from '../../../lib/webhook-queue';
+import { purgeExpiredNonces } from '../../../lib/webhook-security';
+import { refreshStaleMlFeeRates } from '../../../lib/ml-fees';
+
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Only GET method allowed' });
@@ -16,48 +20,11 @@ export default async function handler(req, res) {
     let productsRemoved = 0;
     let cacheCleared = 0;
 
-    // 1. Procesar webhooks pendientes
+    // 1. Procesar webhooks pendientes (misma lógica que /api/cron/process-webhooks)
     try {
-      const { data: pendingWebhooks } = await supabase
-        .from('webhook_queue')
-        .select('*')
-        .eq('processed', false)
-        .limit(100);
-
-      if (pendingWebhooks && pendingWebhooks.length > 0) {
-        console.log(`📥 Procesando ${pendingWebhooks.length} webhooks pendientes`);
-
-        for (const webhook of pendingWebhooks) {
-          try {
-            // Procesar cada webhook
-            const response = await fetch(`${process.env.VERCEL_URL || 'https://kinguin-ml-reseller.vercel.app'}/api/add-product`, {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({ productId: webhook.kinguin_id })
-            });
-
-            if (response.ok) {
-              await supabase
-                .from('webhook_queue')
-                .update({ 
-                  processed: true, 
-                  processed_at: new Date().toISOString() 
-                })
-                .eq('id', webhook.id);
-              
-              webhooksProcessed++;
-            } else {
-              // Incrementar retry count
-              await supabase
-                .from('webhook_queue')
-                .update({ retry_count: webhook.retry_count + 1 })
-                .eq('id', webhook.id);
-            }
-          } catch (error) {
-            console.error(`Error procesando webhook ${webhook.id}:`, error.message);
-          }
-        }
-      }
+      const summary = await processWebhookQueue({ limit: 100 });
+      webhooksProcessed = summary.rows;
+      console.log(`📥 ${summary.rows} webhooks procesados (${summary.errors} errores)`);
     } catch (webhookError) {
       console.error('Error procesando webhooks:', webhookError.message);
     }
@@ -70,11 +37,29 @@ export default async function handler(req, res) {
       await supabase
         .from('webhook_queue')
         .delete()
-        .lt('created_at', sevenDaysAgo.toISOString());
+        .lt('created_at', sevenDaysAgo.toISOString())
+        .or('outcome.is.null,outcome.neq.dead_letter'); // Los dead letters se conservan para revisión
     } catch (cleanupError) {
       console.error('Error limpiando webhooks antiguos:', cleanupError.message);
     }
 
+    // 2b. Limpiar nonces de webhooks vencidos
+    try {
+      await purgeExpiredNonces();
+    } catch (nonceError) {
+      console.error('Error limpiando nonces de webhooks:', nonceError.message);
+    }
+
+    // 2c. Refrescar tarifas de comisión de ML con más de 7 días
+    try {
+      const fees = await refreshStaleMlFeeRates();
+      if (fees.refreshed || fees.errors) {
+        console.log(`💸 Tarifas ML refrescadas: ${fees.refreshed} (${fees.errors} errores)`);
+      }
+    } catch (feeError) {
+      console.error('Error refrescando tarifas de ML:', feeError.message);
+    }
+
     // 3. Limpiar historial de sync muy antiguo (más de 30 días)
     try {
       const thirtyDaysAgo = new Date();
@@ -0,0 +1,51 @@
+// API para consultar órdenes de Kinguin que aún no entregan keys.
+// Cuando Kinguin completa la orden se envían las keys; si no llegan a tiempo la orden pasa a revisión manual.
+
+import { getOrdersAwaitingKeys, processOrder } from '../../../lib/orders';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Only GET method allowed' });
+  }
+
+  try {
+    const { limit = 20 } = req.query;
+
+    console.log('⏳ Consultando órdenes de Kinguin pendientes de keys...');
+    const startTime = Date.now();
+
+    const orders = await getOrdersAwaitingKeys(parseInt(limit, 10) || 20);
+    const results = [];
+
+    for (const order of orders) {
+      const result = await processOrder(order.id);
+      results.push({ ml_order_id: order.ml_order_id, ...result });
+    }
+
+    const delivered = results.filter(r => r.status === 'key_delivered').length;
+    const waiting = results.filter(r => r.awaitingKeys).length;
+    const manualReview = results.filter(r => r.status === 'manual_review').length;
+    const failed = results.filter(r => r.error).length;
+    const executionTime = Math.round((Date.now() - startTime) / 1000);
+
+    console.log(`⏳ Órdenes esperando keys: ${orders.length} revisadas, ${delivered} entregadas, ${waiting} siguen esperando, ${manualReview} a revisión manual (${executionTime}s)`);
+
+    res.status(200).json({
+      success: true,
+      type: 'poll_kinguin_orders',
+      processed: orders.length,
+      delivered,
+      waiting,
+      manual_review: manualReview,
+      errors: failed,
+      execution_time_seconds: executionTime,
+      results
+    });
+  } catch (error) {
+    console.error('❌ Error consultando órdenes de Kinguin:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
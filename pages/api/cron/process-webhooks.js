@@ -0,0 +1,41 @@
+// API para procesar la cola de webhooks product.update de Kinguin (webhook_queue)
+
+import { processWebhookQueue } from '../../../lib/webhook-queue';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Only GET method allowed' });
+  }
+
+  try {
+    const { limit = 100, maxRetries = 5 } = req.query;
+
+    console.log('📨 Procesando cola de webhooks de Kinguin...');
+    const startTime = Date.now();
+
+    const summary = await processWebhookQueue({
+      limit: parseInt(limit, 10) || 100,
+      maxRetries: parseInt(maxRetries, 10) || 5
+    });
+
+    const executionTime = Math.round((Date.now() - startTime) / 1000);
+    console.log(`📨 Webhooks: ${summary.rows} eventos, ${summary.products} productos, ${summary.errors} errores, ${summary.deadLettered} a dead letter (${executionTime}s)`);
+
+    res.status(200).json({
+      success: true,
+      type: 'process_webhooks',
+      processed: summary.rows,
+      products: summary.products,
+      outcomes: summary.outcomes,
+      errors: summary.errors,
+      dead_lettered: summary.deadLettered,
+      execution_time_seconds: executionTime
+    });
+  } catch (error) {
+    console.error('❌ Error procesando cola de webhooks:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
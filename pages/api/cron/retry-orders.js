@@ -0,0 +1,52 @@
+// API para reintentar órdenes de MercadoLibre con pasos pendientes (pago, compra o entrega de key)
+
+import { getRetryableOrders, processOrder, reconcileOrderProfits } from '../../../lib/orders';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Only GET method allowed' });
+  }
+
+  try {
+    const { limit = 20 } = req.query;
+
+    console.log('📦 Reintentando órdenes pendientes...');
+    const startTime = Date.now();
+
+    const orders = await getRetryableOrders(parseInt(limit, 10) || 20);
+    const results = [];
+
+    // Secuencial a propósito: cada orden puede implicar una compra en Kinguin
+    for (const order of orders) {
+      const result = await processOrder(order.id);
+      results.push({ ml_order_id: order.ml_order_id, previous_status: order.status, ...result });
+    }
+
+    // Utilidades que no se pudieron registrar al comprar (profit_pending)
+    const profits = await reconcileOrderProfits(parseInt(limit, 10) || 20);
+
+    const delivered = results.filter(r => r.status === 'key_delivered').length;
+    const failed = results.filter(r => r.error).length;
+    const executionTime = Math.round((Date.now() - startTime) / 1000);
+
+    console.log(`📦 Órdenes: ${orders.length} revisadas, ${delivered} entregadas, ${failed} con error, ${profits.recorded}/${profits.checked} utilidades reconciliadas (${executionTime}s)`);
+
+    res.status(200).json({
+      success: true,
+      type: 'retry_orders',
+      processed: orders.length,
+      delivered,
+      errors: failed,
+      profits_reconciled: profits.recorded,
+      profits_pending: profits.checked - profits.recorded,
+      execution_time_seconds: executionTime,
+      results
+    });
+  } catch (error) {
+    console.error('❌ Error reintentando órdenes:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
@@ -1,5 +1,6 @@
 // API para sincronización por lotes optimizada para cron jobs externos
 // Maneja 5000 productos por llamada para maximizar eficiencia
+import { serviceAuthHeaders } from '../_auth';
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
@@ -47,7 +48,7 @@ export default async function handler(req, res) {
           // Llamar al endpoint add-product existente
           const addResponse = await fetch(`${process.env.VERCEL_URL || 'https://kinguin-ml-reseller.vercel.app'}/api/add-product`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: { 'Content-Type': 'application/json', ...serviceAuthHeaders() },
             body: JSON.stringify({ productId: product.kinguinId })
           });
 
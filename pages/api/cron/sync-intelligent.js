@@ -1,5 +1,6 @@
 // Sistema inteligente de clasificación de productos por prioridad
 // Analiza métricas reales para determinar importancia
+import { serviceAuthHeaders } from '../_auth';
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
@@ -196,7 +197,7 @@ async function processProductGroup(products, priority, chunkSize, timeout) {
         
         const addResponse = await fetch(`${process.env.VERCEL_URL || 'https://kinguin-ml-reseller.vercel.app'}/api/add-product`, {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
+          headers: { 'Content-Type': 'application/json', ...serviceAuthHeaders() },
           body: JSON.stringify({ 
             productId: product.kinguinId,
             priority,
@@ -0,0 +1,39 @@
+// API para sincronizar precio y stock de las publicaciones en sitios de ML distintos de MLC
+
+import { syncSiteListings } from '../../../lib/ml-site-listings';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Only GET method allowed' });
+  }
+
+  try {
+    const { limit, site } = req.query;
+
+    console.log('🌎 Sincronizando publicaciones de otros sitios...');
+    const startTime = Date.now();
+
+    const summary = await syncSiteListings({
+      siteId: site || null,
+      limit: parseInt(limit, 10) || 50
+    });
+
+    const executionTime = Math.round((Date.now() - startTime) / 1000);
+    console.log(`🌎 Sitios: ${summary.processed} publicaciones revisadas (${executionTime}s)`, summary.outcomes);
+
+    res.status(200).json({
+      success: true,
+      type: 'site_listings_sync',
+      processed: summary.processed,
+      outcomes: summary.outcomes,
+      sites: summary.sites,
+      execution_time_seconds: executionTime
+    });
+  } catch (error) {
+    console.error('❌ Error sincronizando publicaciones de otros sitios:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
@@ -1,4 +1,5 @@
 // API optimizada para sincronización ultra rápida con paralelización masiva
+import { serviceAuthHeaders } from '../_auth';
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
@@ -64,7 +65,7 @@ export default async function handler(req, res) {
           
           const addResponse = await fetch(`${baseUrl}/api/add-product`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: { 'Content-Type': 'application/json', ...serviceAuthHeaders() },
             body: JSON.stringify({ 
               productId: product.kinguinId,
               priority: 'turbo',
@@ -1,4 +1,5 @@
 import { createClient } from "@supabase/supabase-js";
+import { PRIMARY_SITE_ID } from "../../lib/ml-sites";
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -10,7 +11,8 @@ export default async function handler(req, res) {
     // 1. Contar total de productos
     const { count: totalCount, error: countError } = await supabase
       .from('published_products')
-      .select('*', { count: 'exact', head: true });
+      .select('*', { count: 'exact', head: true })
+      .eq('site_id', PRIMARY_SITE_ID);
 
     if (countError) throw countError;
 
@@ -20,6 +22,7 @@ export default async function handler(req, res) {
     const { data: allProducts, error: fetchError } = await supabase
       .from('published_products')
       .select('kinguin_id, ml_id, created_at, title')
+      .eq('site_id', PRIMARY_SITE_ID)
       .order('kinguin_id');
 
     if (fetchError) throw fetchError;
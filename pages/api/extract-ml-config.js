@@ -1,28 +1,5 @@
 import axios from 'axios';
-import { createClient } from '@supabase/supabase-js';
-
-// Configurar Supabase - usar la clave anónima disponible en Vercel
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
-
-/**
- * Obtiene el token de ML desde Supabase
- */
-async function getTokenFromSupabase(tokenName) {
-  const { data, error } = await supabase
-    .from('tokens')
-    .select('token_value')
-    .eq('token_name', tokenName)
-    .single();
-
-  if (error) {
-    throw new Error(`Error obteniendo ${tokenName}: ${error.message}`);
-  }
-
-  return data.token_value;
-}
+import { getAccessToken } from '../../lib/ml-tokens';
 
 /**
  * API para extraer configuración de publicaciones de MercadoLibre
@@ -46,35 +23,13 @@ export default async function handler(req, res) {
   try {
     console.log(`🔍 Extrayendo configuración de: ${item_id}`);
     
-    // Verificar variables de entorno
-    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_ANON_KEY) {
-      return res.status(500).json({ 
-        error: 'Variables de entorno de Supabase no configuradas',
-        missing: {
-          SUPABASE_URL: !process.env.SUPABASE_URL,
-          SUPABASE_ANON_KEY: !process.env.SUPABASE_ANON_KEY
-        }
-      });
-    }
-
-    // Obtener token de ML desde Supabase
-    let ML_ACCESS_TOKEN;
-    try {
-      console.log('🔑 Obteniendo token desde Supabase...');
-      ML_ACCESS_TOKEN = await getTokenFromSupabase("ML_ACCESS_TOKEN");
-      console.log(`✅ Token ML obtenido desde Supabase`);
-    } catch (tokenError) {
-      console.warn(`⚠️ No se pudo obtener ML_ACCESS_TOKEN desde Supabase: ${tokenError.message}`);
-      console.log('🔄 Intentando con variable de entorno...');
-      ML_ACCESS_TOKEN = process.env.ML_ACCESS_TOKEN;
-      if (ML_ACCESS_TOKEN) {
-        console.log('✅ Token obtenido desde variables de entorno');
-      }
-    }
+    // Obtener token de ML desde el gestor de tokens
+    console.log('🔑 Obteniendo token de ML...');
+    const ML_ACCESS_TOKEN = await getAccessToken();
 
     if (!ML_ACCESS_TOKEN) {
       return res.status(500).json({ 
-        error: 'ML_ACCESS_TOKEN no disponible en Supabase ni en variables de entorno' 
+        error: 'ML_ACCESS_TOKEN no disponible; autoriza la cuenta en /api/mercadolibre/callback' 
       });
     }
 
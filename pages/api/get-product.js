@@ -2,6 +2,7 @@
 import axios from "axios";
 
 import { createClient } from '@supabase/supabase-js';
+import { PRIMARY_SITE_ID } from "../../lib/ml-sites";
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -36,6 +37,7 @@ export default async function handler(req, res) {
       .from("published_products")
       .select("*")
       .eq("kinguin_id", productId)
+      .eq("site_id", PRIMARY_SITE_ID)
       .single();
 
     if (dbError && dbError.code !== 'PGRST116') { // PGRST116 es "no se encontraron registros"
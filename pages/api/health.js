@@ -1,4 +1,7 @@
 import { createClient } from "@supabase/supabase-js";
+import { PRIMARY_SITE_ID } from "../../lib/ml-sites";
+import { getActiveSecrets, getRejectionStats } from "../../lib/webhook-security";
+import { getTokenStatus, PRIMARY_ACCOUNT_KEY } from "../../lib/ml-tokens";
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -26,15 +29,43 @@ async function checkKinguin() {
 
 async function checkMercadoLibre() {
   try {
-    const { data, error } = await supabase
-      .from("tokens")
-      .select("value")
-      .eq("key", "ML_ACCESS_TOKEN")
-      .single();
-    if (error || !data?.value) {
-        throw new Error("ML_ACCESS_TOKEN not found in Supabase");
+    // Sin refrescar: solo el estado que dejó el gestor de tokens
+    const accounts = await getTokenStatus();
+    const primary = accounts.find(account => account.account_key === PRIMARY_ACCOUNT_KEY);
+    if (!primary) {
+      throw new Error(`${PRIMARY_ACCOUNT_KEY} not found in ml_oauth_tokens`);
     }
-    return { status: 'ok', message: 'ML_ACCESS_TOKEN is accessible' };
+    if (primary.expired && !primary.has_refresh_token) {
+      throw new Error(`${PRIMARY_ACCOUNT_KEY} expired and has no refresh token`);
+    }
+    return { status: 'ok', message: `ML token expires at ${primary.expires_at || 'unknown'}`, accounts };
+  } catch (error) {
+    return { status: 'error', message: error.message };
+  }
+}
+
+async function checkWebhooks() {
+  try {
+    const [kinguinSecrets, mlSecrets, rejections] = await Promise.all([
+      getActiveSecrets('kinguin'),
+      getActiveSecrets('mercadolibre'),
+      getRejectionStats(24),
+    ]);
+
+    // Sin secrets la verificación rechaza todos los webhooks de ese origen
+    const missing = [
+      kinguinSecrets.length === 0 && 'kinguin',
+      mlSecrets.length === 0 && 'mercadolibre',
+    ].filter(Boolean);
+
+    return {
+      status: missing.length > 0 ? 'error' : 'ok',
+      message: missing.length > 0
+        ? `No webhook secrets configured for: ${missing.join(', ')}`
+        : `${rejections.total} webhooks rejected in the last 24h`,
+      active_secrets: { kinguin: kinguinSecrets.length, mercadolibre: mlSecrets.length },
+      rejections_24h: rejections,
+    };
   } catch (error) {
     return { status: 'error', message: error.message };
   }
@@ -49,7 +80,8 @@ export default async function handler(req, res) {
       // 1. Estadísticas generales
       const { count: totalProducts, error: countError } = await supabase
         .from('published_products')
-        .select('*', { count: 'exact', head: true });
+        .select('*', { count: 'exact', head: true })
+        .eq('site_id', PRIMARY_SITE_ID);
 
       if (countError) throw countError;
 
@@ -57,6 +89,7 @@ export default async function handler(req, res) {
       const { data: allProducts, error: fetchError } = await supabase
         .from('published_products')
         .select('kinguin_id, ml_id, created_at, title')
+        .eq('site_id', PRIMARY_SITE_ID)
         .order('kinguin_id');
 
       if (fetchError) throw fetchError;
@@ -168,7 +201,8 @@ export default async function handler(req, res) {
       // Contar total de productos
       const { count: totalCount, error: countError } = await supabase
         .from('published_products')
-        .select('*', { count: 'exact', head: true });
+        .select('*', { count: 'exact', head: true })
+        .eq('site_id', PRIMARY_SITE_ID);
 
       if (countError) throw countError;
 
@@ -176,6 +210,7 @@ export default async function handler(req, res) {
       const { data: allProducts, error: fetchError } = await supabase
         .from('published_products')
         .select('kinguin_id, ml_id, created_at')
+        .eq('site_id', PRIMARY_SITE_ID)
         .order('kinguin_id');
 
       if (fetchError) throw fetchError;
@@ -237,6 +272,7 @@ export default async function handler(req, res) {
     supabase: await checkSupabase(),
     kinguin: await checkKinguin(),
     mercadoLibre: await checkMercadoLibre(),
+    webhooks: await checkWebhooks(),
   };
 
   const isHealthy = Object.values(checks).every(check => check.status === 'ok');
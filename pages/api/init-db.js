@@ -1,4 +1,5 @@
 import { createClient } from "@supabase/supabase-js";
+import { requireRole } from "./_auth";
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -26,16 +27,8 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Verificar si el usuario tiene una clave de autorización
-    const { authorization } = req.headers;
-    const expectedAuth = process.env.API_SECRET_KEY || "oskar123"; // Fallback a "oskar123" si no está configurado
-    
-    if (!authorization || authorization !== `Bearer ${expectedAuth}`) {
-      return res.status(401).json({
-        success: false,
-        error: "No autorizado"
-      });
-    }
+    // Solo admin (el middleware ya lo exige; se repite por si el handler se llama directamente)
+    if (!requireRole(req, res, "admin")) return;
 
     // Crear la tabla job_logs si no existe
     await supabase.rpc('create_tables_if_not_exist');
@@ -1,4 +1,5 @@
 import { createClient } from "@supabase/supabase-js";
+import { requireAccessToken } from '../../lib/ml-tokens';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -16,17 +17,7 @@ export default async function handler(req, res) {
       console.log('🔍 Iniciando detección de duplicados en MercadoLibre...');
 
       // 1. Obtener token de ML
-      const { data: tokenData } = await supabase
-        .from('tokens')
-        .select('value')
-        .eq('key', 'ML_ACCESS_TOKEN')
-        .single();
-
-      if (!tokenData?.value) {
-        throw new Error('No ML access token found');
-      }
-
-      const ML_ACCESS_TOKEN = tokenData.value;
+      const ML_ACCESS_TOKEN = await requireAccessToken();
 
       // 2. Obtener info del usuario
       const userResponse = await fetch('https://api.mercadolibre.com/users/me', {
@@ -169,4 +160,4 @@ export default async function handler(req, res) {
 
   // Si llegamos aquí sin acción válida, error
   return res.status(400).json({ error: "Parámetros inválidos" });
-}
\ No newline at end of file
+}
\ No newline at end of file
@@ -0,0 +1,31 @@
+import { requireApiKey, getRequestUser } from '../../_auth';
+import { cancelQueueJob } from '../../../../lib/job-queue';
+import { recordAudit } from '../../../../lib/auth';
+
+// Cancela un job de la cola: los ítems en curso terminan y el resto queda sin procesar.
+// Si el job cerró enseguida responde con processed_ids y remaining_ids; si no, quedan en el summary de /api/job-status.
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  if (!requireApiKey(req, res)) return;
+
+  const { id } = req.query;
+
+  try {
+    const result = await cancelQueueJob(id);
+    if (!result) {
+      return res.status(404).json({ success: false, error: `El job ${id} no está en la cola` });
+    }
+    if (!result.changed) {
+      return res.status(409).json({ success: false, error: `El job ${id} ya no se puede cancelar (estado: ${result.status})`, status: result.status });
+    }
+
+    await recordAudit(getRequestUser(req), 'job:cancel', { job_id: id, settled: result.settled });
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    console.error(`❌ Error cancelando el job ${id}:`, error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
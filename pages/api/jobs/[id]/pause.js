@@ -0,0 +1,30 @@
+import { requireApiKey, getRequestUser } from '../../_auth';
+import { pauseQueueJob } from '../../../../lib/job-queue';
+import { recordAudit } from '../../../../lib/auth';
+
+// Pausa un job de la cola: el worker termina los ítems en curso y no toma más hasta /resume
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  if (!requireApiKey(req, res)) return;
+
+  const { id } = req.query;
+
+  try {
+    const result = await pauseQueueJob(id);
+    if (!result) {
+      return res.status(404).json({ success: false, error: `El job ${id} no está en la cola` });
+    }
+    if (!result.changed) {
+      return res.status(409).json({ success: false, error: `El job ${id} no se puede pausar (estado: ${result.status})`, status: result.status });
+    }
+
+    await recordAudit(getRequestUser(req), 'job:pause', { job_id: id });
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    console.error(`❌ Error pausando el job ${id}:`, error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
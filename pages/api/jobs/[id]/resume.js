@@ -0,0 +1,31 @@
+import { requireApiKey, getRequestUser } from '../../_auth';
+import { resumeQueueJob, kickWorker } from '../../../../lib/job-queue';
+import { recordAudit } from '../../../../lib/auth';
+
+// Reanuda un job pausado desde el primer ítem pendiente, sin esperar al próximo cron
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  if (!requireApiKey(req, res)) return;
+
+  const { id } = req.query;
+
+  try {
+    const result = await resumeQueueJob(id);
+    if (!result) {
+      return res.status(404).json({ success: false, error: `El job ${id} no está en la cola` });
+    }
+    if (!result.changed) {
+      return res.status(409).json({ success: false, error: `El job ${id} no está pausado (estado: ${result.status})`, status: result.status });
+    }
+
+    await recordAudit(getRequestUser(req), 'job:resume', { job_id: id });
+    await kickWorker();
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    console.error(`❌ Error reanudando el job ${id}:`, error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
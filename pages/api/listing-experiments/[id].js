@@ -0,0 +1,59 @@
+import { requireApiKey } from "../_auth";
+import {
+  assignListings,
+  cancelExperiment,
+  getExperimentResults,
+  promoteVariant,
+  refreshExperimentMetrics
+} from "../../../lib/listing-experiments";
+
+export const maxDuration = 300; // 5 minutos
+
+/**
+ * Un experimento A/B.
+ * GET: visitas, ventas y conversión por variante, con el test de significancia contra el control.
+ * POST { action: "assign", limit }: asigna más publicaciones hasta completar sample_size.
+ * POST { action: "refresh" }: actualiza ahora las métricas (también lo hace el cron experiment-metrics).
+ * POST { action: "promote", variant_id }: cierra el experimento y deja la variante como plantilla activa.
+ * DELETE: cancela el experimento y devuelve las publicaciones a la plantilla activa.
+ */
+export default async function handler(req, res) {
+  if (!requireApiKey(req, res)) return;
+  const { id } = req.query;
+
+  try {
+    if (req.method === "GET") {
+      const experiment = await getExperimentResults(id);
+      return res.status(200).json({ success: true, experiment });
+    }
+
+    if (req.method === "POST") {
+      const { action, limit, variant_id } = req.body || {};
+      if (action === "assign") {
+        const summary = await assignListings(id, { limit: Math.min(parseInt(limit, 10) || 50, 200) });
+        return res.status(200).json({ success: true, ...summary });
+      }
+      if (action === "refresh") {
+        const summary = await refreshExperimentMetrics();
+        const experiment = await getExperimentResults(id);
+        return res.status(200).json({ success: true, metrics: summary, experiment });
+      }
+      if (action === "promote") {
+        if (!variant_id) return res.status(400).json({ success: false, error: "Falta variant_id" });
+        const summary = await promoteVariant(id, variant_id);
+        return res.status(200).json({ success: true, ...summary });
+      }
+      return res.status(400).json({ success: false, error: "action debe ser assign, refresh o promote" });
+    }
+
+    if (req.method === "DELETE") {
+      const summary = await cancelExperiment(id);
+      return res.status(200).json({ success: true, ...summary });
+    }
+
+    return res.status(405).json({ success: false, error: "Método no permitido" });
+  } catch (error) {
+    console.error(`❌ Error en experimento ${id}:`, error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
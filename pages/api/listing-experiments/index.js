@@ -0,0 +1,37 @@
+import { requireApiKey } from "../_auth";
+import { assignListings, createExperiment, listExperiments, sanitizeExperiment } from "../../../lib/listing-experiments";
+
+export const maxDuration = 300; // 5 minutos
+
+/**
+ * Experimentos A/B de título y descripción (lib/listing-experiments.js).
+ * GET ?status=: experimentos, del más nuevo al más viejo.
+ * POST { name, kind, variants: [{ name, body }], site_id, product_type, platform, sample_size }:
+ *   crea el experimento (el control es la plantilla activa) y asigna el primer lote de publicaciones.
+ */
+export default async function handler(req, res) {
+  if (!requireApiKey(req, res)) return;
+
+  try {
+    if (req.method === "GET") {
+      const experiments = await listExperiments({ status: req.query.status || null });
+      return res.status(200).json({ success: true, experiments });
+    }
+
+    if (req.method === "POST") {
+      try {
+        sanitizeExperiment(req.body || {});
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      const experiment = await createExperiment(req.body || {});
+      const assignment = await assignListings(experiment.id);
+      return res.status(200).json({ success: true, experiment, assignment });
+    }
+
+    return res.status(405).json({ success: false, error: "Método no permitido" });
+  } catch (error) {
+    console.error("❌ Error en experimentos de publicación:", error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
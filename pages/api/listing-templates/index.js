@@ -0,0 +1,63 @@
+import { requireApiKey } from "../_auth";
+import {
+  listTemplates,
+  saveTemplate,
+  activateTemplateVersion,
+  deactivateTemplate,
+  sanitizeTemplate,
+  TEMPLATE_KINDS,
+  TEMPLATE_PLACEHOLDERS
+} from "../../../lib/listing-templates";
+import { DEFAULT_LISTING_TEMPLATES } from "../_logic";
+
+/**
+ * Plantillas versionadas de título y descripción (lib/listing-templates.js).
+ * GET ?kind=&history=true: versiones activas (o todas), las del código y los placeholders disponibles.
+ * POST { kind, product_type, platform, site_id, body, notes }: nueva versión activa de ese alcance.
+ * PUT ?id=: vuelve a activar esa versión.
+ * DELETE ?id=: desactiva la plantilla (se usa la siguiente más general o la del código).
+ */
+export default async function handler(req, res) {
+  if (!requireApiKey(req, res)) return;
+
+  try {
+    if (req.method === "GET") {
+      const templates = await listTemplates({
+        kind: req.query.kind || null,
+        includeInactive: req.query.history === "true"
+      });
+      return res.status(200).json({
+        success: true,
+        templates,
+        defaults: DEFAULT_LISTING_TEMPLATES,
+        options: { kinds: TEMPLATE_KINDS, placeholders: TEMPLATE_PLACEHOLDERS }
+      });
+    }
+
+    if (req.method === "POST") {
+      try {
+        sanitizeTemplate(req.body || {});
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      const template = await saveTemplate(req.body || {});
+      return res.status(200).json({ success: true, template });
+    }
+
+    const { id } = req.query;
+    if (req.method === "PUT" || req.method === "DELETE") {
+      if (!id) return res.status(400).json({ success: false, error: "Falta el id de la plantilla" });
+      if (req.method === "PUT") {
+        const template = await activateTemplateVersion(id);
+        return res.status(200).json({ success: true, template });
+      }
+      await deactivateTemplate(id);
+      return res.status(200).json({ success: true });
+    }
+
+    return res.status(405).json({ success: false, error: "Método no permitido" });
+  } catch (error) {
+    console.error("❌ Error en plantillas de publicación:", error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
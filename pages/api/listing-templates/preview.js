@@ -0,0 +1,26 @@
+import { requireApiKey } from "../_auth";
+import { previewTemplate, TEMPLATE_KINDS } from "../../../lib/listing-templates";
+
+/**
+ * Renderiza una plantilla contra cualquier producto de Kinguin sin publicar.
+ * POST { kinguin_id, kind, body?, site_id? }: sin body usa la plantilla activa que le tocaría al producto.
+ */
+export default async function handler(req, res) {
+  if (!requireApiKey(req, res)) return;
+  if (req.method !== "POST") {
+    return res.status(405).json({ success: false, error: "Método no permitido. Usa POST." });
+  }
+
+  const { kinguin_id: kinguinId, kind, body, site_id: siteId } = req.body || {};
+  if (!kinguinId || !TEMPLATE_KINDS.includes(kind)) {
+    return res.status(400).json({ success: false, error: `Faltan kinguin_id y kind (${TEMPLATE_KINDS.join(", ")})` });
+  }
+
+  try {
+    const preview = await previewTemplate({ kinguinId, kind, body: body || null, siteId: siteId || undefined });
+    return res.status(200).json({ success: true, ...preview });
+  } catch (error) {
+    console.error("❌ Error en vista previa de plantilla:", error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
@@ -0,0 +1,36 @@
+import { requireApiKey } from "../_auth";
+import { rerenderDescriptions } from "../../../lib/listing-templates";
+
+export const maxDuration = 300; // 5 minutos
+
+/**
+ * Re-render masivo de descripciones con las plantillas activas, por lotes.
+ * POST ?limit=20&site=&since=&dryRun=false: llamar hasta que remaining sea 0.
+ */
+export default async function handler(req, res) {
+  if (!requireApiKey(req, res)) return;
+  if (req.method !== "POST") {
+    return res.status(405).json({ success: false, error: "Método no permitido. Usa POST." });
+  }
+
+  try {
+    const { limit, site, since, dryRun = "false" } = req.query;
+    if (since && Number.isNaN(Date.parse(since))) {
+      return res.status(400).json({ success: false, error: "since debe ser una fecha ISO" });
+    }
+
+    console.log("📝 Re-renderizando descripciones...");
+    const summary = await rerenderDescriptions({
+      limit: Math.min(parseInt(limit, 10) || 20, 100),
+      siteId: site || null,
+      since: since ? new Date(since).toISOString() : null,
+      dryRun: dryRun === "true"
+    });
+    console.log(`📝 Descripciones: ${summary.updated} actualizadas, ${summary.errors} errores, ${summary.remaining} pendientes`);
+
+    return res.status(200).json({ success: true, dry_run: dryRun === "true", ...summary });
+  } catch (error) {
+    console.error("❌ Error re-renderizando descripciones:", error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
@@ -0,0 +1,42 @@
+import { getRequestUser } from "../_auth";
+import { createOAuthState } from "../../../lib/auth-session";
+import { authorizationUrl } from "../../../lib/ml-tokens";
+import { SITE_PROFILES, PRIMARY_SITE_ID } from "../../../lib/ml-sites";
+import { getAccount } from "../../../lib/ml-accounts";
+
+/**
+ * Inicia la autorización OAuth de una cuenta de ML (admin).
+ * GET ?target=MLA autoriza la cuenta de ese sitio; ?target=account:<id>, una cuenta de ml_accounts;
+ * sin target, la cuenta principal de MLC. Redirige a ML con un state de un solo uso que el callback verifica.
+ */
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ success: false, error: "Método no permitido, usa GET" });
+  }
+
+  const user = getRequestUser(req);
+  if (!user || user.sub === "service") {
+    // El callback compara la sesión del navegador con la que inició la autorización
+    return res.status(403).json({ success: false, error: "La autorización se inicia desde el panel con una sesión de admin" });
+  }
+
+  const target = String(req.query.target || PRIMARY_SITE_ID);
+
+  try {
+    // Las cuentas de ml_accounts venden en MLC; las de sitio, en su propio país
+    const known = target.startsWith("account:")
+      ? await getAccount(target.slice("account:".length), { includeInactive: true }).then(Boolean, () => false)
+      : Boolean(SITE_PROFILES[target]);
+    if (!known) {
+      return res.status(400).json({ success: false, error: `Cuenta a autorizar desconocida: ${target}` });
+    }
+    const siteId = SITE_PROFILES[target] ? target : PRIMARY_SITE_ID;
+
+    const { nonce, cookie } = await createOAuthState(user, target);
+    res.setHeader("Set-Cookie", cookie);
+    res.redirect(authorizationUrl(nonce, { siteId }));
+  } catch (error) {
+    console.error("❌ Error iniciando la autorización de ML:", error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
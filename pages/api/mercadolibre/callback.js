@@ -1,35 +1,41 @@
-import axios from "axios";
-import qs from "qs";
+import { completeAuthorization, PRIMARY_ACCOUNT_KEY } from "../../../lib/ml-tokens";
+import { SITE_PROFILES } from "../../../lib/ml-sites";
+import { getAccount, linkAccountUser } from "../../../lib/ml-accounts";
+import { SESSION_COOKIE, OAUTH_STATE_COOKIE, verifySession, verifyOAuthState, clearOAuthStateCookie } from "../../../lib/auth-session";
 
+/**
+ * Callback OAuth de MercadoLibre: canjea el code y guarda los tokens en ml_oauth_tokens.
+ * Solo acepta autorizaciones iniciadas desde /api/mercadolibre/authorize: `state` debe ser el nonce
+ * de la cookie firmada de esa ruta, vigente y de la misma sesión. La cuenta que se autoriza
+ * (sitio, p. ej. MLA, o account:<id> de ml_accounts) sale de la cookie, nunca de la URL.
+ */
 export default async function handler(req, res) {
-  const { code } = req.query;
+  const { code, state } = req.query;
 
   if (!code) {
     return res.status(400).json({ error: "Authorization code required" });
   }
 
+  // Sin importar el resultado, el nonce no se puede volver a usar
+  res.setHeader("Set-Cookie", clearOAuthStateCookie());
+
   try {
-    // Intercambiar código por token con redirect_uri fijo
-    const tokenResponse = await axios.post(
-      "https://api.mercadolibre.com/oauth/token",
-      qs.stringify({
-        grant_type: "authorization_code",
-        client_id: process.env.ML_APP_ID,
-        client_secret: process.env.ML_CLIENT_SECRET,
-        code,
-        redirect_uri: "https://kinguin-ml-reseller.vercel.app/api/mercadolibre/callback"
-      }),
-      {
-        headers: { "Content-Type": "application/x-www-form-urlencoded" }
-      }
-    );
+    const session = await verifySession(req.cookies[SESSION_COOKIE]);
+    const target = await verifyOAuthState(req.cookies[OAUTH_STATE_COOKIE], state, session);
+    if (!target) {
+      console.warn("⚠️ Callback OAuth rechazado: state inválido, vencido o de otra sesión");
+      return res.status(403).json({ error: "Invalid or expired OAuth state. Start the authorization again from the panel." });
+    }
 
-    const { access_token, refresh_token, user_id } = tokenResponse.data;
+    const accountId = target.startsWith("account:") ? target.slice("account:".length) : null;
+    const account = accountId ? await getAccount(accountId, { includeInactive: true }) : null;
+    const accountKey = account
+      ? account.token_key
+      : SITE_PROFILES[target] ? SITE_PROFILES[target].token_key : PRIMARY_ACCOUNT_KEY;
 
-    // Por ahora solo log para probar (luego guardar en DB)
-    console.log("Access Token:", access_token);
-    console.log("Refresh Token:", refresh_token);
-    console.log("User ID:", user_id);
+    const { user_id } = await completeAuthorization(code, { accountKey });
+    if (account) await linkAccountUser(account.id, user_id);
+    console.log(`✅ Cuenta de ML ${user_id} autorizada (${accountKey}${account ? `, cuenta ${account.id}` : ""})`);
 
     res.redirect("/dashboard?auth=success");
   } catch (error) {
@@ -0,0 +1,56 @@
+import { requireApiKey, requireRole } from "./_auth";
+import { listAccounts, saveAccount, sanitizeAccount, getRequestAccount } from "../../lib/ml-accounts";
+import { getTokenStatus } from "../../lib/ml-tokens";
+import { ML_LISTING_TYPES } from "../../lib/ml-fees";
+
+/**
+ * Cuentas de vendedor de ML (lib/ml-accounts.js).
+ * GET: cuentas con el estado de sus tokens y la cuenta seleccionada en el panel (cookie ml_account).
+ * POST { id, name, token_key, ml_user_id, kinguin_key_env, settings, active, is_default }: crea o actualiza (admin).
+ */
+export default async function handler(req, res) {
+  if (!requireApiKey(req, res)) return;
+
+  try {
+    if (req.method === "GET") {
+      const [accounts, tokens] = await Promise.all([listAccounts({ includeInactive: true }), getTokenStatus()]);
+      let current = null;
+      try {
+        current = (await getRequestAccount(req)).id;
+      } catch {
+        // La cookie apunta a una cuenta desactivada o borrada: el panel vuelve a la predeterminada
+      }
+
+      return res.status(200).json({
+        success: true,
+        current,
+        accounts: accounts.map(account => {
+          const token = tokens.find(row => row.account_key === account.token_key);
+          return {
+            ...account,
+            authorized: Boolean(token),
+            token_expired: Boolean(token?.expired),
+            authorize_url: `/api/mercadolibre/authorize?target=account:${encodeURIComponent(account.id)}`,
+          };
+        }),
+        options: { listingTypes: ML_LISTING_TYPES }
+      });
+    }
+
+    if (req.method === "POST") {
+      if (!requireRole(req, res, "admin")) return;
+      try {
+        sanitizeAccount(req.body || {});
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      const account = await saveAccount(req.body || {});
+      return res.status(200).json({ success: true, account });
+    }
+
+    return res.status(405).json({ success: false, error: "Método no permitido" });
+  } catch (error) {
+    console.error("❌ Error en cuentas de ML:", error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
@@ -0,0 +1,62 @@
+import { requireApiKey } from "./_auth";
+import {
+  listCategoryMappings,
+  saveCategoryOverride,
+  deleteCategoryMapping,
+  mlPlatformFor
+} from "../../lib/ml-categories";
+import { SITE_PROFILES } from "../../lib/ml-sites";
+
+// Valores posibles de getProductType, para el override
+const PRODUCT_TYPES = ["key", "dlc", "gift", "altergift", "gift_card", "account"];
+const PLATFORMS = ["PC", "Xbox One", "Xbox Series X|S", "PlayStation 4", "PlayStation 5", "Nintendo Switch"];
+
+/**
+ * Mapeo plataforma/tipo de producto → categoría y value_id de atributos de ML (lib/ml-categories.js).
+ * GET ?site=: mapeos guardados (predictor y manuales).
+ * POST { site_id, platform, product_type, category_id, attributes }: override manual.
+ * DELETE ?id=: borra el mapeo para que se vuelva a predecir.
+ */
+export default async function handler(req, res) {
+  if (!requireApiKey(req, res)) return;
+
+  try {
+    if (req.method === "GET") {
+      const mappings = await listCategoryMappings({ siteId: req.query.site || null });
+      return res.status(200).json({
+        success: true,
+        mappings,
+        options: {
+          sites: Object.keys(SITE_PROFILES),
+          platforms: PLATFORMS,
+          productTypes: PRODUCT_TYPES
+        }
+      });
+    }
+
+    if (req.method === "POST") {
+      const body = req.body || {};
+      if (!SITE_PROFILES[body.site_id]) {
+        return res.status(400).json({ success: false, error: `Sitio de MercadoLibre no soportado: ${body.site_id}` });
+      }
+      if (!PRODUCT_TYPES.includes(body.product_type)) {
+        return res.status(400).json({ success: false, error: `Tipo de producto inválido: ${body.product_type}` });
+      }
+      const mapping = await saveCategoryOverride({ ...body, platform: mlPlatformFor(body.platform) });
+      return res.status(200).json({ success: true, mapping });
+    }
+
+    if (req.method === "DELETE") {
+      const { id } = req.query;
+      if (!id) return res.status(400).json({ success: false, error: "Falta el id del mapeo" });
+      await deleteCategoryMapping(id);
+      return res.status(200).json({ success: true });
+    }
+
+    return res.status(405).json({ success: false, error: "Método no permitido" });
+  } catch (error) {
+    console.error("❌ Error en mapeos de categoría:", error.message);
+    const status = req.method === "POST" && error.message.includes("obligatorios") ? 400 : 500;
+    return res.status(status).json({ success: false, error: error.response?.data?.message || error.message });
+  }
+}
@@ -0,0 +1,46 @@
+import {
+  getMlFeeTable,
+  mlSaleFee,
+  solvePriceForNet,
+  refreshMlFeeRate,
+  DEFAULT_CATEGORY,
+  DEFAULT_LISTING_TYPE
+} from "../../lib/ml-fees";
+
+// API de comisiones de ML: cotiza la comisión de un precio o el precio para un neto, y refresca tarifas desde listing_prices
+export default async function handler(req, res) {
+  try {
+    const categoryId = req.query.category_id || req.body?.category_id || DEFAULT_CATEGORY;
+    const listingTypeId = req.query.listing_type_id || req.body?.listing_type_id || DEFAULT_LISTING_TYPE;
+    const options = { categoryId, listingTypeId };
+
+    if (req.method === "GET") {
+      const table = await getMlFeeTable();
+      const response = { success: true, category_id: categoryId, listing_type_id: listingTypeId, table };
+
+      if (req.query.price) {
+        const price = Number(req.query.price);
+        if (!(price > 0)) return res.status(400).json({ success: false, error: "price debe ser un número positivo" });
+        const fee = mlSaleFee(table, price, options);
+        response.quote = { price, ...fee, net: price - fee.amount };
+      }
+      if (req.query.target_net) {
+        const targetNet = Number(req.query.target_net);
+        if (!(targetNet > 0)) return res.status(400).json({ success: false, error: "target_net debe ser un número positivo" });
+        const price = Math.ceil(solvePriceForNet(table, targetNet, options));
+        response.solved = { target_net: targetNet, price, fee: mlSaleFee(table, price, options) };
+      }
+      return res.status(200).json(response);
+    }
+
+    if (req.method === "POST") {
+      const rate = await refreshMlFeeRate(categoryId, listingTypeId);
+      return res.status(200).json({ success: true, rate });
+    }
+
+    return res.status(405).json({ success: false, error: "Método no permitido" });
+  } catch (error) {
+    console.error("❌ Error en comisiones ML:", error.response?.data?.message || error.message);
+    return res.status(500).json({ success: false, error: error.response?.data?.message || error.message });
+  }
+}
@@ -0,0 +1,62 @@
+import { createClient } from "@supabase/supabase-js";
+import { requireApiKey } from "./_auth";
+import { SITE_PROFILES, getEnabledSiteIds, getSiteProfile } from "../../lib/ml-sites";
+import { publishToSite } from "../../lib/ml-site-listings";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+async function countActiveListings(siteId) {
+  const { count, error } = await supabase
+    .from("published_products")
+    .select("kinguin_id", { count: "exact", head: true })
+    .eq("site_id", siteId)
+    .eq("status", "active");
+  if (error) throw new Error(`Error contando publicaciones de ${siteId}: ${error.message}`);
+  return count || 0;
+}
+
+/**
+ * Sitios de MercadoLibre.
+ * GET: perfiles (con ajustes de system_config.ml_sites), sitios habilitados y publicaciones activas por sitio.
+ * POST { kinguin_id, site_id, dry_run }: publica en otro sitio un producto activo en MLC.
+ */
+export default async function handler(req, res) {
+  if (!requireApiKey(req, res)) return;
+
+  try {
+    if (req.method === "GET") {
+      const enabled = await getEnabledSiteIds();
+      const sites = await Promise.all(Object.keys(SITE_PROFILES).map(async siteId => {
+        const profile = await getSiteProfile(siteId);
+        const isEnabled = enabled.includes(siteId);
+        return {
+          ...profile,
+          enabled: isEnabled,
+          active_listings: isEnabled ? await countActiveListings(siteId) : 0,
+        };
+      }));
+      return res.status(200).json({ success: true, enabled, sites });
+    }
+
+    if (req.method === "POST") {
+      const { kinguin_id: kinguinId, site_id: siteId, dry_run: dryRun = false } = req.body || {};
+      if (!kinguinId || !siteId) {
+        return res.status(400).json({ success: false, error: "Faltan kinguin_id y site_id" });
+      }
+      if (!SITE_PROFILES[siteId]) {
+        return res.status(400).json({ success: false, error: `Sitio de MercadoLibre no soportado: ${siteId}` });
+      }
+
+      const result = await publishToSite({ kinguinId, siteId, dryRun: Boolean(dryRun) });
+      return res.status(result.status === "published" ? 201 : 200).json({ success: true, ...result });
+    }
+
+    return res.status(405).json({ success: false, error: "Método no permitido" });
+  } catch (error) {
+    console.error("❌ Error en sitios de ML:", error.message);
+    return res.status(500).json({ success: false, error: error.response?.data?.message || error.message });
+  }
+}
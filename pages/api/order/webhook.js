@@ -1,74 +1,63 @@
+import { recordOrderNotification, processOrder, PENDING_ORDER_STATUSES } from "../../../lib/orders";
+import { verifyInboundWebhook } from "../../../lib/webhook-security";
+import { DEFAULT_ACCOUNT_ID, getAccountByMlUserId } from "../../../lib/ml-accounts";
+import { PRIMARY_SITE_ID, getSiteIdByMlUserId } from "../../../lib/ml-sites";
+
 // Webhook para cuando se realiza una venta en ML
+// Cada notificación queda registrada en la tabla orders antes de procesarse;
+// si algún paso falla, /api/cron/retry-orders lo reintenta desde el último estado guardado.
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { topic, resource } = req.body;
-
-  if (topic === 'orders_v2') {
-    try {
-      // Obtener detalles de la orden
-      const orderResponse = await axios.get(
-        `https://api.mercadolibre.com${resource}`,
-        {
-          headers: {
-            'Authorization': `Bearer ${process.env.ML_ACCESS_TOKEN}`
-          }
-        }
-      );
+  // La URL de notificaciones configurada en ML incluye ?secret=...; sin él no se procesa nada
+  const verification = await verifyInboundWebhook(req, 'mercadolibre');
+  if (!verification.ok) {
+    // Un replay ya se recibió antes: confirmar para que ML no insista
+    if (verification.replay) return res.status(200).json({ received: true, replay: true });
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
 
-      const order = orderResponse.data;
-      
-      // Buscar el producto en Kinguin
-      const kinguinProductId = order.order_items[0].item.seller_custom_field;
-      
-      // Comprar key en Kinguin
-      const kinguinOrder = await axios.post(
-        'https://gateway.kinguin.net/esa/api/v2/orders',
-        {
-          products: [{
-            productId: kinguinProductId,
-            quantity: 1
-          }]
-        },
-        {
-          headers: {
-            'X-Api-Key': process.env.KINGUIN_API_KEY,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+  const { topic, resource, user_id: mlUserId } = req.body || {};
 
-      // Obtener la key
-      const keys = kinguinOrder.data.keys;
-      
-      // Enviar key al comprador por mensaje en ML
-      await axios.post(
-        `https://api.mercadolibre.com/messages/packs/${order.pack_id}/messages`,
-        {
-          from: {
-            user_id: process.env.ML_USER_ID
-          },
-          to: {
-            user_id: order.buyer.id
-          },
-          text: `¡Gracias por tu compra! 🎮\n\nAquí está tu código de activación:\n\n🔑 ${keys[0]}\n\nSigue las instrucciones en la descripción del producto para activarlo.\n\n¡Que disfrutes tu juego!`
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${process.env.ML_ACCESS_TOKEN}`
-          }
-        }
-      );
+  if (topic !== 'orders_v2') {
+    return res.status(200).json({ received: true });
+  }
 
-      res.status(200).json({ success: true, keySent: true });
+  let order;
+  let duplicate;
+  try {
+    // user_id de la notificación es el vendedor: define con qué cuenta se cobra y se entrega
+    const account = await getAccountByMlUserId(mlUserId);
+    // Los vendedores de MLA, MLM, ... no están en ml_accounts: se reconocen por el token de su sitio
+    // y sus publicaciones son de la cuenta principal (lib/ml-site-listings.js)
+    const siteId = account ? PRIMARY_SITE_ID : await getSiteIdByMlUserId(mlUserId);
+    if (!account && !siteId) console.warn(`⚠️ Orden de un vendedor sin cuenta (${mlUserId}), se asigna a ${DEFAULT_ACCOUNT_ID}`);
+    ({ order, duplicate } = await recordOrderNotification(resource, {
+      accountId: account?.id || DEFAULT_ACCOUNT_ID,
+      siteId: siteId || PRIMARY_SITE_ID
+    }));
+  } catch (error) {
+    // Sin registro no hay forma de reintentar: responder error para que ML reenvíe la notificación
+    console.error('Webhook Error:', error.message);
+    return res.status(500).json({ error: 'Failed to record order' });
+  }
 
-    } catch (error) {
-      console.error('Webhook Error:', error);
-      res.status(500).json({ error: 'Failed to process order' });
-    }
-  } else {
-    res.status(200).json({ received: true });
+  if (!PENDING_ORDER_STATUSES.includes(order.status)) {
+    return res.status(200).json({ received: true, duplicate, status: order.status });
   }
+
+  const result = await processOrder(order.id);
+
+  // La orden ya está persistida: aunque el procesamiento falle respondemos 200
+  // para que ML no reenvíe, el cron de reintentos se encarga del resto.
+  return res.status(200).json({
+    received: true,
+    duplicate,
+    status: result.status,
+    keySent: result.status === 'key_delivered',
+    awaitingKeys: Boolean(result.awaitingKeys),
+    partial: Boolean(result.partial)
+  });
 }
@@ -0,0 +1,23 @@
+import { requireApiKey } from '../../_auth';
+import { redeliverOrderKeys } from '../../../../lib/orders';
+import { logActivity } from '../../_logic';
+
+// Reenvía al comprador las keys de una orden ya entregada, leyéndolas desde el vault cifrado
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  if (!requireApiKey(req, res)) return;
+
+  const { id } = req.query;
+
+  try {
+    const result = await redeliverOrderKeys(id);
+    return res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    console.error(`❌ Error reenviando keys de la orden ${id}:`, error.message);
+    await logActivity(`Error reenviando keys de la orden ML ${id}: ${error.message}`, 'error', { ml_order_id: id });
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
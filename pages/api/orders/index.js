@@ -0,0 +1,20 @@
+import { requireApiKey } from '../_auth';
+import { listRecentOrders } from '../../../lib/orders';
+
+// Lista las últimas órdenes de ML para el panel (sin keys)
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  if (!requireApiKey(req, res)) return;
+
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const orders = await listRecentOrders(limit, req.query.status || null);
+    return res.status(200).json({ success: true, orders });
+  } catch (error) {
+    console.error('❌ Error listando órdenes:', error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
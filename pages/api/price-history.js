@@ -1,4 +1,5 @@
 import { createClient } from '@supabase/supabase-js';
+import { getRequestAccount } from '../../lib/ml-accounts';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -20,6 +21,14 @@ export default async function handler(req, res) {
       });
     }
     
+    // Historial de la cuenta seleccionada: el mismo kinguinId puede estar publicado por varias cuentas
+    let account;
+    try {
+      account = await getRequestAccount(req);
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+
     // Calculamos la fecha límite (hace X días)
     const limitDate = new Date();
     limitDate.setDate(limitDate.getDate() - parseInt(days, 10));
@@ -28,6 +37,7 @@ export default async function handler(req, res) {
     let query = supabase
       .from('price_history')
       .select('*')
+      .eq('account_id', account.id)
       .gte('recorded_at', limitDate.toISOString());
       
     // Filtrar por kinguinId o mlId según lo proporcionado
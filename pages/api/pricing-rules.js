@@ -0,0 +1,60 @@
+import {
+  listPricingRules,
+  savePricingRule,
+  deletePricingRule,
+  sanitizePricingRule,
+  DEFAULT_PRICING_RULES,
+  ROUNDING_MODES,
+  FEE_MODES
+} from "../../lib/pricing-rules";
+import { ML_LISTING_TYPES } from "../../lib/ml-fees";
+import { listAccounts } from "../../lib/ml-accounts";
+
+// Valores posibles de getProductType y normalizePlatform, para los selects del editor
+const PRODUCT_TYPES = ["key", "dlc", "gift", "altergift", "gift_card", "account"];
+const PLATFORMS = ["PC", "Steam", "EA App", "Origin", "GOG", "Epic Games", "Ubisoft", "Battle.net", "Microsoft Store"];
+
+// API para administrar las reglas de precio (pricing_rules) desde el gestor de productos
+export default async function handler(req, res) {
+  try {
+    if (req.method === "GET") {
+      const [rules, accounts] = await Promise.all([listPricingRules(), listAccounts()]);
+      return res.status(200).json({
+        success: true,
+        rules,
+        defaults: DEFAULT_PRICING_RULES,
+        options: {
+          productTypes: PRODUCT_TYPES,
+          platforms: PLATFORMS,
+          rounding: ROUNDING_MODES,
+          feeModes: FEE_MODES,
+          listingTypes: ML_LISTING_TYPES,
+          accounts: accounts.map(account => ({ id: account.id, name: account.name }))
+        }
+      });
+    }
+
+    if (req.method === "POST") {
+      // La regla se valida antes de guardar, así todo error posterior es de la base de datos
+      try {
+        sanitizePricingRule(req.body || {});
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      const rule = await savePricingRule(req.body || {});
+      return res.status(200).json({ success: true, rule });
+    }
+
+    if (req.method === "DELETE") {
+      const { id } = req.query;
+      if (!id) return res.status(400).json({ success: false, error: "Falta el id de la regla" });
+      await deletePricingRule(id);
+      return res.status(200).json({ success: true });
+    }
+
+    return res.status(405).json({ success: false, error: "Método no permitido" });
+  } catch (error) {
+    console.error("❌ Error en reglas de precio:", error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
@@ -0,0 +1,57 @@
+import { simulatePricing, simulationToCsv } from "../../../lib/pricing-simulator";
+import { sanitizePricingRule } from "../../../lib/pricing-rules";
+
+// Simulación de precios: recalcula el catálogo publicado con reglas o tipo de cambio candidatos, sin tocar MercadoLibre
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ success: false, error: "Método no permitido" });
+  }
+
+  const input = req.method === "POST" ? { ...req.query, ...(req.body || {}) } : req.query;
+  const fx = input.fx !== undefined && input.fx !== "" ? Number(input.fx) : null;
+  const format = input.format === "csv" ? "csv" : "json";
+
+  if (fx !== null && (!Number.isFinite(fx) || fx <= 0)) {
+    return res.status(400).json({ success: false, error: "fx debe ser un número positivo" });
+  }
+  if (input.rules !== undefined && !Array.isArray(input.rules)) {
+    return res.status(400).json({ success: false, error: "rules debe ser un arreglo de reglas" });
+  }
+
+  // Las reglas candidatas se validan aquí, así todo error posterior de la simulación es del servidor
+  let rules = null;
+  if (input.rules) {
+    try {
+      rules = input.rules.map(sanitizePricingRule);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+  }
+
+  try {
+    const startTime = Date.now();
+    const { fx: usedFx, summary, products } = await simulatePricing({
+      rules,
+      fx,
+      onlyChanged: input.onlyChanged === true || input.onlyChanged === "true",
+    });
+
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="simulacion-precios-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.status(200).send(simulationToCsv(products));
+    }
+
+    return res.status(200).json({
+      success: true,
+      fx: usedFx,
+      rules_source: input.rules ? "candidate" : "current",
+      summary,
+      products,
+      execution_time_seconds: ((Date.now() - startTime) / 1000).toFixed(2)
+    });
+  } catch (error) {
+    console.error("❌ Error en simulación de precios:", error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
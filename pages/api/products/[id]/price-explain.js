@@ -0,0 +1,46 @@
+import { getPriceExplanation } from "../../../../lib/price-history";
+import { getRequestAccount } from "../../../../lib/ml-accounts";
+
+/**
+ * Explica cómo se calculó cada precio de una publicación: oferta EUR, vendedor, fee Kinguin,
+ * tipo de cambio y su fuente, regla de margen, comisión ML y redondeo.
+ * GET /api/products/{kinguin_id|ml_id}/price-explain?history_id=&limit=&account=
+ * Sin ?account= se usa la cuenta seleccionada en el panel.
+ */
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ success: false, error: "Método no permitido. Usa GET." });
+  }
+
+  const { id, history_id: historyId, limit } = req.query;
+  if (!/^[A-Za-z0-9_-]+$/.test(String(id || ""))) {
+    return res.status(400).json({ success: false, error: "ID de producto inválido" });
+  }
+
+  let account;
+  try {
+    account = await getRequestAccount(req);
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+
+  try {
+    const explanation = await getPriceExplanation(String(id), {
+      historyId: historyId || null,
+      limit: Math.min(Number.parseInt(limit, 10) || 50, 200),
+      accountId: account.id,
+    });
+
+    if (!explanation) {
+      return res.status(404).json({ success: false, error: `Producto ${id} no encontrado` });
+    }
+    if (historyId && explanation.points.length === 0) {
+      return res.status(404).json({ success: false, error: `Punto de historial ${historyId} no encontrado` });
+    }
+
+    return res.status(200).json({ success: true, ...explanation });
+  } catch (error) {
+    console.error("Error al explicar precio:", error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
@@ -0,0 +1,46 @@
+import { requireApiKey } from '../_auth';
+import { getProfitReport, PROFIT_PERIODS } from '../../../lib/profit-ledger';
+
+const DEFAULT_DAYS = { day: 30, month: 365 };
+
+// Reporte de utilidad neta por día o mes, con desglose por plataforma y tipo de producto
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  if (!requireApiKey(req, res)) return;
+
+  const period = req.query.period || 'day';
+  if (!PROFIT_PERIODS.includes(period)) {
+    return res.status(400).json({ success: false, error: `period debe ser uno de: ${PROFIT_PERIODS.join(', ')}` });
+  }
+
+  const days = Math.min(parseInt(req.query.days) || DEFAULT_DAYS[period], 730);
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+    return res.status(400).json({ success: false, error: 'Rango de fechas inválido' });
+  }
+
+  try {
+    const report = await getProfitReport({
+      period,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      platform: req.query.platform || null,
+      productType: req.query.product_type || null
+    });
+
+    return res.status(200).json({
+      success: true,
+      period,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      ...report
+    });
+  } catch (error) {
+    console.error('❌ Error generando reporte de utilidad:', error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
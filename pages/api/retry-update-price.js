@@ -1,14 +1,18 @@
 // Controlador especializado para manejar reenvío de actualizaciones de precio con tokens renovados
 // Este archivo maneja específicamente el caso en que un token expire durante la actualización
 
-import axios from "axios";
 import { createClient } from "@supabase/supabase-js";
 import { 
   logActivity, 
-  getEuroToClp 
+  computePriceCLP 
 } from "./_logic";
+import { getFxQuote } from "../../lib/fx-provider";
+import { recordPriceChange } from "../../lib/price-history";
+import { competitorPriceHeld, RULE_PRICING_STATE } from "../../lib/price-guards";
+import { PRIMARY_SITE_ID } from "../../lib/ml-sites";
 import { axiosWithSmartRetry } from "./_http-utils";
 import { analyzeMercadoLibreError } from "./_ml-error-handler";
+import { getAccessToken, refreshAccessToken, PRIMARY_ACCOUNT_KEY } from "../../lib/ml-tokens";
 
 // ---------- Supabase ----------
 const supabase = createClient(
@@ -35,48 +39,22 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Paso 1: Obtener un nuevo token si se solicita el refresco
+    // Paso 1: Token de ML; si se pide, se fuerza el refresh (el gestor serializa refresh concurrentes)
     let ML_ACCESS_TOKEN;
     
     if (retryAfterRefresh) {
-      // Llamar al endpoint interno para refrescar el token
-      let refreshUrl;
-      if (process.env.VERCEL_URL) {
-        refreshUrl = `https://${process.env.VERCEL_URL}/api/refresh-token`;
-      } else {
-        refreshUrl = 'http://localhost:3000/api/refresh-token';
-      }
-      
       await logActivity("Refrescando token de MercadoLibre...", "info", null, jobId);
-      
-      const refreshResponse = await axios.post(refreshUrl);
-      
-      if (!refreshResponse.data.success) {
+      try {
+        ML_ACCESS_TOKEN = await refreshAccessToken(PRIMARY_ACCOUNT_KEY, { force: true });
+      } catch (refreshError) {
         return res.status(500).json({
           error: "Error al refrescar el token",
-          details: refreshResponse.data
+          details: refreshError.message
         });
       }
-      
       await logActivity("Token de MercadoLibre refrescado con éxito", "success", null, jobId);
-      
-      // Obtener el nuevo token desde Supabase (ya que el refresh lo guarda allí)
-      const { data: tokenData } = await supabase
-        .from("tokens")
-        .select("value")
-        .eq("key", "ML_ACCESS_TOKEN")
-        .single();
-      
-      ML_ACCESS_TOKEN = tokenData?.value || process.env.ML_ACCESS_TOKEN;
     } else {
-      // Usar directamente el token de Supabase
-      const { data: tokenData } = await supabase
-        .from("tokens")
-        .select("value")
-        .eq("key", "ML_ACCESS_TOKEN")
-        .single();
-      
-      ML_ACCESS_TOKEN = tokenData?.value || process.env.ML_ACCESS_TOKEN;
+      ML_ACCESS_TOKEN = await getAccessToken();
     }
     
     if (!ML_ACCESS_TOKEN) {
@@ -85,8 +63,27 @@ export default async function handler(req, res) {
       });
     }
     
-    // Paso 2: Calcular el precio en CLP
-    const { priceCLP, FX_EUR_CLP, source } = await getEuroToClp(eurPrice);
+    // Paso 2: Calcular el precio en CLP (con el producto publicado para elegir la regla)
+    const { data: product } = await supabase
+      .from("published_products")
+      .select("account_id, kinguin_id, ml_id, price, euro_price, platform, product_type, pricing_source, competitor_price_until")
+      .eq("ml_id", ml_id)
+      .eq("site_id", PRIMARY_SITE_ID)
+      .maybeSingle();
+
+    // El precio lo maneja el repricing por competencia: no se pisa con el de la regla
+    if (competitorPriceHeld(product, eurPrice)) {
+      await logActivity(`Reintento de precio omitido para ${ml_id}: precio de competencia vigente`, "info", null, jobId);
+      return res.status(200).json({
+        success: true,
+        skipped: "competitor",
+        ml_id,
+        price: Number(product.price)
+      });
+    }
+    
+    const { priceCLP, FX_EUR_CLP, pricingRule, breakdown, fxHeld } = await computePriceCLP(eurPrice, product);
+    const { mode: source, reason: fxReason } = await getFxQuote();
     
     if (!priceCLP || !FX_EUR_CLP) {
       return res.status(500).json({ 
@@ -95,6 +92,17 @@ export default async function handler(req, res) {
       });
     }
     
+    // Tipo de cambio en modo hold: los precios quedan congelados hasta que se resuelva
+    if (fxHeld) {
+      await logActivity(`Reintento de precio omitido para ${ml_id}: tipo de cambio en modo hold (${fxReason})`, "warning", null, jobId);
+      return res.status(200).json({
+        success: true,
+        skipped: "fx_hold",
+        ml_id,
+        message: `Precios congelados: ${fxReason}`
+      });
+    }
+
     await logActivity(`Precio calculado: ${priceCLP} CLP (${eurPrice} EUR, FX: ${FX_EUR_CLP} [${source}])`, "info", null, jobId);
     
     // Paso 3: Actualizar el precio en MercadoLibre
@@ -121,9 +129,28 @@ export default async function handler(req, res) {
         .update({
           price: priceCLP,
           euro_price: eurPrice,
+          pricing_rule_id: pricingRule?.id || null,
+          pricing_rule_name: pricingRule?.name || null,
+          ...RULE_PRICING_STATE,
           updated_at: new Date().toISOString()
         })
-        .eq("ml_id", ml_id);
+        .eq("ml_id", ml_id)
+        .eq("site_id", PRIMARY_SITE_ID);
+      
+      if (product && Number(product.price) !== priceCLP) {
+        await recordPriceChange({
+          kinguinId: product.kinguin_id,
+          mlId: ml_id,
+          oldPrice: product.price,
+          newPrice: priceCLP,
+          exchangeRate: FX_EUR_CLP,
+          originalEurPrice: eurPrice,
+          pricingRule,
+          breakdown,
+          source: "retry-update-price",
+          accountId: product.account_id
+        });
+      }
       
       return res.status(200).json({
         success: true,
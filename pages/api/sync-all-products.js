@@ -1,13 +1,14 @@
 import axios from "axios";
 import { createClient } from "@supabase/supabase-js";
+import { PRIMARY_SITE_ID } from "../../lib/ml-sites";
+import { renderListing, markRendered } from "../../lib/listing-templates";
 import {
-  titleFrom,
   computePriceCLP,
-  descriptionFrom,
   postPlainDescription,
   regionVerdict as regionVerdictLogic,
   getProductType,
 } from "./_logic";
+import { requireAccessToken } from "../../lib/ml-tokens";
 
 // ---------- Supabase ----------
 const supabase = createClient(
@@ -34,17 +35,6 @@ function extractNumericKpcId(p) {
   return candidates.length ? String(candidates[0]) : null;
 }
 
-// ---------- Token ML desde Supabase ----------
-async function getMLAccessToken() {
-  const { data, error } = await supabase
-    .from("tokens")
-    .select("value")
-    .eq("key", "ML_ACCESS_TOKEN")
-    .maybeSingle();
-  if (error || !data) throw new Error("No se pudo obtener ML_ACCESS_TOKEN de Supabase");
-  return data.value;
-}
-
 // ---------- Axios con Reintentos (Exponential Backoff) ----------
 async function axiosWithRetry(config, retries = 3, initialDelayMs = 1000) {
   for (let i = 0; i < retries; i++) {
@@ -104,7 +94,7 @@ async function processProduct(product, existingProductMap, { KINGUIN_API_KEY, ML
       } catch (e) {
         console.warn("⚠️ Error cerrando ML", existing.ml_id, e.response?.data || e.message);
       }
-      await supabase.from("published_products").delete().eq("kinguin_id", kpcId);
+      await supabase.from("published_products").delete().eq("kinguin_id", kpcId).eq("site_id", PRIMARY_SITE_ID);
       console.log(`[CLOSED] ID: ${kpcId} - Producto cerrado en ML por región inválida: ${regionName}`);
       return { status: "closed", id: `${existing.ml_id} (kinguin ${kpcId})`, reason: `Región inválida: ${regionName}` };
     }
@@ -117,8 +107,7 @@ async function processProduct(product, existingProductMap, { KINGUIN_API_KEY, ML
   if (existing) {
     // Sincronizar título si cambió
     const productType = getProductType(detail);
-    const newTitle = titleFrom(detail, productType);
-    const newDescription = descriptionFrom(detail, productType);
+    const { title: newTitle, description: newDescription, templates } = await renderListing(detail, { productType, kinguinId: kpcId });
 
     try {
       const [itemRes, descRes] = await Promise.all([
@@ -151,6 +140,7 @@ async function processProduct(product, existingProductMap, { KINGUIN_API_KEY, ML
 
       if (currentDescription.trim() !== newDescription.trim()) {
         await postPlainDescription(existing.ml_id, newDescription, ML_ACCESS_TOKEN, detail);
+        await markRendered({ kinguin_id: kpcId, site_id: PRIMARY_SITE_ID }, templates.description);
         console.log(`[DESC UPDATED] ID: ${kpcId} - Descripción actualizada en ML.`);
         updated = true;
       }
@@ -189,7 +179,7 @@ export default async function handler(req, res) {
   }
 
   try {
-    const ML_ACCESS_TOKEN = await getMLAccessToken();
+    const ML_ACCESS_TOKEN = await requireAccessToken();
 
     const summary = {
       published: [], content_updated: [], closed: [], no_changes: [],
@@ -218,7 +208,8 @@ export default async function handler(req, res) {
       const { data: existingProductsInDB } = await supabase
         .from("published_products")
         .select("kinguin_id, ml_id")
-        .in("kinguin_id", kinguinIdsOnPage);
+        .in("kinguin_id", kinguinIdsOnPage)
+        .eq("site_id", PRIMARY_SITE_ID);
       
       const existingProductMap = new Map(
         (existingProductsInDB || []).map(p => [p.kinguin_id, { ml_id: p.ml_id }])
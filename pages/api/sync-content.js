@@ -1,11 +1,12 @@
 import axios from "axios";
 import { createClient } from "@supabase/supabase-js";
+import { PRIMARY_SITE_ID } from "../../lib/ml-sites";
+import { renderListing, markRendered } from "../../lib/listing-templates";
 import {
-  descriptionFrom,
   postPlainDescription,
   getProductType,
-  titleFrom,
 } from "./_logic";
+import { requireAccessToken } from "../../lib/ml-tokens";
 
 export const maxDuration = 300; // 5 minutos
 
@@ -14,16 +15,6 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-async function getMLAccessToken() {
-  const { data, error } = await supabase
-    .from("tokens")
-    .select("value")
-    .eq("key", "ML_ACCESS_TOKEN")
-    .single();
-  if (error || !data?.value) throw new Error("No se pudo obtener ML_ACCESS_TOKEN de Supabase");
-  return data.value;
-}
-
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
 async function axiosWithRetry(config, retries = 3, initialDelayMs = 1000) {
@@ -66,8 +57,7 @@ async function processSingleProduct(product, { KINGUIN_API_KEY, ML_ACCESS_TOKEN
 
     // 2. Generar nuevo título y descripción
     const productType = getProductType(kinguinProduct);
-    const newTitle = titleFrom(kinguinProduct, productType);
-    const newDescription = descriptionFrom(kinguinProduct, productType);
+    const { title: newTitle, description: newDescription, templates } = await renderListing(kinguinProduct, { productType, kinguinId: kinguin_id });
 
     // 3. Comparar y actualizar si es necesario
     let updatedFields = [];
@@ -88,6 +78,7 @@ async function processSingleProduct(product, { KINGUIN_API_KEY, ML_ACCESS_TOKEN
     if (mlDescription.trim() !== newDescription.trim()) {
       console.log(`   - Descripción necesita actualización.`);
       await postPlainDescription(ml_id, newDescription, ML_ACCESS_TOKEN, kinguinProduct);
+      await markRendered({ kinguin_id, site_id: PRIMARY_SITE_ID }, templates.description);
       updatedFields.push("description");
       console.log(`   ✅ Descripción actualizada.`);
     }
@@ -114,7 +105,7 @@ export default async function handler(req, res) {
   console.log(`🚀 Iniciando batch de sincronización de contenido #${batch}`);
 
   try {
-    const ML_ACCESS_TOKEN = await getMLAccessToken();
+    const ML_ACCESS_TOKEN = await requireAccessToken();
     const KINGUIN_API_KEY = process.env.KINGUIN_API_KEY;
 
     if (!KINGUIN_API_KEY) {
@@ -125,6 +116,7 @@ export default async function handler(req, res) {
     const { data: products, error: dbError } = await supabase
       .from("published_products")
       .select("kinguin_id, ml_id")
+      .eq("site_id", PRIMARY_SITE_ID)
       .not("ml_id", "is", null)
       .order("created_at", { ascending: true })
       .range((batch - 1) * BATCH_SIZE, batch * BATCH_SIZE - 1);
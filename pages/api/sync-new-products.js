@@ -1,5 +1,6 @@
 import axios from "axios";
 import { createClient } from "@supabase/supabase-js";
+import { PRIMARY_SITE_ID } from "../../lib/ml-sites";
 
 /* -------------------- Supabase -------------------- */
 const supabase = createClient(
@@ -44,7 +45,8 @@ export default async function handler(req, res) {
     // 1) Traer IDs que ya están en Supabase
     const { data: published, error: pubErr } = await supabase
       .from("published_products")
-      .select("kinguin_id");
+      .select("kinguin_id")
+      .eq("site_id", PRIMARY_SITE_ID);
 
     if (pubErr) throw pubErr;
 
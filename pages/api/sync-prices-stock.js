@@ -1,10 +1,23 @@
 import axios from "axios";
 import { createClient } from "@supabase/supabase-js";
-import { createJob, completeJob, updateJobProgress, failJob } from "../../lib/jobs";
+import { enqueueJob, kickWorker } from "../../lib/job-queue";
+import { recordPriceChange } from "../../lib/price-history";
+import { competitorPriceHeld, RULE_PRICING_STATE } from "../../lib/price-guards";
 import {
   computePriceCLP,
   logActivity
 } from "./_logic";
+import { getOfferSeller } from "./_offer-utils";
+import { PRIMARY_SITE_ID } from "../../lib/ml-sites";
+import { getRequestUser } from "./_auth";
+import {
+  DEFAULT_ACCOUNT_ID,
+  getAccount,
+  accountAccessToken,
+  accountKinguinKey,
+  forEachAccount,
+  getRequestAccount
+} from "../../lib/ml-accounts";
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -12,172 +25,135 @@ const supabase = createClient(
 );
 
 const PRICE_CHANGE_THRESHOLD = 0.05; // 5% de cambio para registrar como cambio significativo
-const BATCH_SIZE = 50; // Procesar 50 productos a la vez para no sobrecargar la API
+const BATCH_SIZE = 50; // Procesar 50 productos a la vez por tick para no sobrecargar la API
 
 /**
- * Función principal que actualiza precios y stock de productos existentes
+ * Kinguin IDs de las publicaciones de la cuenta que entran en la actualización.
+ * Primero los que hace más tiempo no se actualizan.
  */
-async function updateProductsJob(jobId, options = {}) {
-  try {
-    const { 
-      updatePrices = true, 
-      updateStock = true,
-      updateOnlyWithStock = false,
-      updateMl = true,
-      limit = null
-    } = options;
+async function selectProductIds(account, { updateOnlyWithStock = false, limit = null }) {
+  let query = supabase
+    .from("published_products")
+    .select("kinguin_id")
+    .eq("account_id", account.id)
+    .eq("site_id", PRIMARY_SITE_ID)
+    .order("updated_at", { ascending: true }); // Priorizar los que hace más tiempo no se actualizan
+  
+  if (updateOnlyWithStock) {
+    query = query.gt("stock", 0);
+  }
+  
+  if (limit) {
+    query = query.limit(limit);
+  }
+  
+  const { data: products, error } = await query;
+  
+  if (error) {
+    throw new Error(`Error al obtener productos: ${error.message}`);
+  }
+  return products.map(product => String(product.kinguin_id));
+}
 
-    // Obtener token de ML solo si vamos a actualizar en ML
-    let ML_ACCESS_TOKEN = null;
-    if (updateMl) {
-      const { data: tokenData } = await supabase
-        .from("tokens")
-        .select("value")
-        .eq("key", "ML_ACCESS_TOKEN")
-        .single();
-        
-      if (!tokenData?.value) {
-        throw new Error("No se pudo obtener el token de MercadoLibre");
-      }
-      
-      ML_ACCESS_TOKEN = tokenData.value;
-    }
-    
-    const KINGUIN_API_KEY = process.env.KINGUIN_API_KEY;
+/**
+ * Encola la actualización de precios y stock de una cuenta de ML en la cola de jobs.
+ */
+async function enqueueProductsUpdate(account, options, triggeredBy) {
+  const kinguinIds = await selectProductIds(account, options);
+  const jobId = await enqueueJob('sync-prices-stock', kinguinIds, { triggeredBy, accountId: account.id, payload: options });
+  await logActivity(`Actualización de ${kinguinIds.length} productos de la cuenta ${account.id} en cola`, 'info', options, jobId);
+  return { jobId, total: kinguinIds.length };
+}
+
+/**
+ * Handler de la cola de jobs (lib/job-queue.js) para 'sync-prices-stock': actualiza precio y stock
+ * de una publicación de la cuenta del job por ítem. Las opciones vienen en job.payload.
+ */
+export const syncPricesStockJob = {
+  concurrency: BATCH_SIZE,
+
+  async prepare(job) {
+    const account = await getAccount(job.account_id || DEFAULT_ACCOUNT_ID);
+    const KINGUIN_API_KEY = accountKinguinKey(account);
 
     if (!KINGUIN_API_KEY) {
-      throw new Error("Faltan credenciales (KINGUIN_API_KEY)");
+      throw new Error(`Faltan credenciales (${account.kinguin_key_env}) de la cuenta ${account.id}`);
+    }
+    // Validar el token de ML solo si vamos a actualizar en ML
+    if (job.payload?.updateMl !== false) {
+      await accountAccessToken(account);
     }
 
-    await logActivity(`Iniciando actualización de productos existentes`, 'info', options, jobId);
+    await logActivity(`Iniciando actualización de productos existentes de la cuenta ${account.id}`, 'info', job.payload, job.id);
+    return { account, KINGUIN_API_KEY };
+  },
 
-    // Consultar productos ya publicados
-    let query = supabase
+  async processItem(kinguinId, { account, KINGUIN_API_KEY }, job) {
+    const { updatePrices = true, updateStock = true, updateMl = true } = job.payload || {};
+
+    const { data: product, error } = await supabase
       .from("published_products")
-      .select("kinguin_id, ml_id, price_clp, stock, title, updated_at")
-      .order("updated_at", { ascending: true }); // Priorizar los que hace más tiempo no se actualizan
-    
-    if (updateOnlyWithStock) {
-      query = query.gt("stock", 0);
-    }
-    
-    if (limit) {
-      query = query.limit(limit);
-    }
-    
-    const { data: products, error } = await query;
-    
-    if (error) {
-      throw new Error(`Error al obtener productos: ${error.message}`);
-    }
+      .select("account_id, kinguin_id, ml_id, price_clp, stock, title, updated_at, euro_price, pricing_source, competitor_price_until")
+      .eq("account_id", account.id)
+      .eq("kinguin_id", kinguinId)
+      .eq("site_id", PRIMARY_SITE_ID)
+      .maybeSingle();
+    if (error) throw new Error(`Error al obtener el producto ${kinguinId}: ${error.message}`);
+    if (!product) return { kinguinId, status: 'skipped', reason: 'not_published' };
 
-    await logActivity(`Se encontraron ${products.length} productos para actualizar`, 'info', null, jobId);
-    
-    // Estadísticas
+    // Se pide por producto: en jobs largos toma el token refrescado sin esperar un 401
+    const ML_ACCESS_TOKEN = updateMl ? await accountAccessToken(account) : null;
+    return updateSingleProduct(product, { ML_ACCESS_TOKEN, KINGUIN_API_KEY, updatePrices, updateStock, updateMl }, job.id);
+  },
+
+  async finalize(job, results) {
     const stats = {
-      total: products.length,
-      processed: 0,
+      total: results.length,
+      processed: results.length,
       priceUpdated: 0,
       stockUpdated: 0,
       errors: 0,
       noStock: 0,
       unchanged: 0,
-      significantPriceChanges: 0
+      significantPriceChanges: 0,
+      competitorHeld: 0,
+      fxHeld: 0
     };
-    
-    // Procesar en lotes
-    const batches = [];
-    for (let i = 0; i < products.length; i += BATCH_SIZE) {
-      batches.push(products.slice(i, i + BATCH_SIZE));
-    }
-    
-    const updateResults = [];
-    
-    for (let [batchIndex, batch] of batches.entries()) {
-      await logActivity(`Procesando lote ${batchIndex + 1} de ${batches.length} (${batch.length} productos)`, 'info', null, jobId);
-      
-      const batchPromises = batch.map(product => 
-        updateSingleProduct(product, { ML_ACCESS_TOKEN, KINGUIN_API_KEY, updatePrices, updateStock, updateMl }, jobId)
-      );
-      
-      const batchResults = await Promise.allSettled(batchPromises);
-      
-      // Analizar resultados
-      for (const result of batchResults) {
-        stats.processed++;
-        
-        if (result.status === 'fulfilled') {
-          updateResults.push(result.value);
-          
-          if (result.value.status === 'error') {
-            stats.errors++;
-          } else {
-            if (result.value.priceUpdated) stats.priceUpdated++;
-            if (result.value.stockUpdated) stats.stockUpdated++;
-            if (result.value.significantPriceChange) stats.significantPriceChanges++;
-            if (result.value.noStock) stats.noStock++;
-            if (!result.value.priceUpdated && !result.value.stockUpdated) stats.unchanged++;
-          }
-        } else {
-          stats.errors++;
-          updateResults.push({
-            status: 'error',
-            kinguinId: 'unknown',
-            error: result.reason?.message || 'Error desconocido'
-          });
-        }
-      }
-      
-      // Actualizar el progreso del trabajo
-      await updateJobProgress(jobId, {
-        stats,
-        completed: stats.processed,
-        total: stats.total,
-        lastUpdated: new Date().toISOString()
-      });
-      
-      // Breve pausa entre lotes para no sobrecargar APIs
-      if (batchIndex < batches.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, 500));
+
+    for (const result of results) {
+      if (result.status === 'error') {
+        stats.errors++;
+        continue;
       }
+      if (result.priceUpdated) stats.priceUpdated++;
+      if (result.stockUpdated) stats.stockUpdated++;
+      if (result.significantPriceChange) stats.significantPriceChanges++;
+      if (result.noStock) stats.noStock++;
+      if (result.priceHeld === 'competitor') stats.competitorHeld++;
+      if (result.priceHeld === 'fx_hold') stats.fxHeld++;
+      if (!result.priceUpdated && !result.stockUpdated) stats.unchanged++;
     }
-    
-    // Completar el trabajo
-    await completeJob(jobId, {
-      stats,
-      completedAt: new Date().toISOString(),
-      summary: `${stats.priceUpdated} precios y ${stats.stockUpdated} stocks actualizados. ${stats.errors} errores.`
-    }, updateResults);
-    
+
     await logActivity(
       `Actualización de productos completada: ${stats.priceUpdated} precios y ${stats.stockUpdated} stocks actualizados. ${stats.significantPriceChanges} cambios significativos de precio.`,
       'success',
       stats,
-      jobId
-    );
-    
-    return { success: true, stats };
-    
-  } catch (err) {
-    console.error(`Error en actualización de productos:`, err);
-    
-    await logActivity(
-      `Error en proceso de actualización: ${err.message}`,
-      'error',
-      { stack: err.stack },
-      jobId
+      job.id
     );
-    
-    await failJob(jobId, err);
-    throw err;
+
+    return {
+      stats,
+      completedAt: new Date().toISOString(),
+      summary: `${stats.priceUpdated} precios y ${stats.stockUpdated} stocks actualizados. ${stats.errors} errores.`
+    };
   }
-}
+};
 
 /**
  * Actualiza un solo producto
  */
 async function updateSingleProduct(product, { ML_ACCESS_TOKEN, KINGUIN_API_KEY, updatePrices, updateStock, updateMl }, jobId) {
-  const { kinguin_id: kinguinId, ml_id: mlId, price_clp: currentPrice, stock: currentStock } = product;
+  const { account_id: accountId, kinguin_id: kinguinId, ml_id: mlId, price_clp: currentPrice, stock: currentStock } = product;
   const result = {
     kinguinId,
     mlId,
@@ -214,7 +190,7 @@ async function updateSingleProduct(product, { ML_ACCESS_TOKEN, KINGUIN_API_KEY,
       
       // Actualizar stock a cero si está habilitada la actualización de stock
       if (updateStock && currentStock > 0) {
-        await updateProductInDB(kinguinId, { stock: 0 });
+        await updateProductInDB(accountId, kinguinId, { stock: 0 });
         result.stockUpdated = true;
         
         if (updateMl && ML_ACCESS_TOKEN) {
@@ -234,7 +210,7 @@ async function updateSingleProduct(product, { ML_ACCESS_TOKEN, KINGUIN_API_KEY,
       
       // Actualizar stock a cero si está habilitada la actualización de stock
       if (updateStock && currentStock > 0) {
-        await updateProductInDB(kinguinId, { stock: 0 });
+        await updateProductInDB(accountId, kinguinId, { stock: 0 });
         result.stockUpdated = true;
         
         if (updateMl && ML_ACCESS_TOKEN) {
@@ -253,17 +229,27 @@ async function updateSingleProduct(product, { ML_ACCESS_TOKEN, KINGUIN_API_KEY,
       availableOffers[0]
     );
     
-    // 4. Actualizar precio si está habilitado
-    if (updatePrices) {
-      const priceData = await computePriceCLP(parseFloat(cheapest.price));
+    // 4. Actualizar precio si está habilitado y el repricing por competencia no lo está manejando
+    if (updatePrices && competitorPriceHeld(product, parseFloat(cheapest.price))) {
+      result.priceHeld = 'competitor';
+    } else if (updatePrices) {
+      const priceData = await computePriceCLP(parseFloat(cheapest.price), { ...kinguinProduct, account_id: accountId });
       const newPrice = priceData.priceCLP;
       
       const priceChange = Math.abs(newPrice - currentPrice) / currentPrice;
       const isSignificantChange = priceChange > PRICE_CHANGE_THRESHOLD;
       
-      if (newPrice !== currentPrice) {
+      // Tipo de cambio en modo hold: los precios quedan congelados hasta que se resuelva
+      if (priceData.fxHeld) {
+        result.priceHeld = 'fx_hold';
+      } else if (newPrice !== currentPrice) {
         // Actualizar en nuestra base de datos
-        await updateProductInDB(kinguinId, { price_clp: newPrice });
+        await updateProductInDB(accountId, kinguinId, {
+          price_clp: newPrice,
+          pricing_rule_id: priceData.pricingRule?.id || null,
+          pricing_rule_name: priceData.pricingRule?.name || null,
+          ...RULE_PRICING_STATE
+        });
         
         // Actualizar en MercadoLibre si está habilitado
         if (updateMl && ML_ACCESS_TOKEN) {
@@ -271,7 +257,19 @@ async function updateSingleProduct(product, { ML_ACCESS_TOKEN, KINGUIN_API_KEY,
         }
         
         // Registrar historial de precio
-        await recordPriceChange(kinguinId, mlId, currentPrice, newPrice, priceData.FX_EUR_CLP, cheapest.price);
+        await recordPriceChange({
+          kinguinId,
+          mlId,
+          oldPrice: currentPrice,
+          newPrice,
+          exchangeRate: priceData.FX_EUR_CLP,
+          originalEurPrice: cheapest.price,
+          pricingRule: priceData.pricingRule,
+          breakdown: priceData.breakdown,
+          seller: getOfferSeller(cheapest),
+          source: "sync-prices-stock",
+          accountId
+        });
         
         result.priceUpdated = true;
         result.significantPriceChange = isSignificantChange;
@@ -287,7 +285,8 @@ async function updateSingleProduct(product, { ML_ACCESS_TOKEN, KINGUIN_API_KEY,
             oldPrice: currentPrice, 
             newPrice: newPrice, 
             change: priceChange,
-            mlId: mlId
+            mlId: mlId,
+            pricingRule: priceData.pricingRule?.name
           },
           jobId
         );
@@ -297,7 +296,7 @@ async function updateSingleProduct(product, { ML_ACCESS_TOKEN, KINGUIN_API_KEY,
     // 5. Actualizar stock si está habilitado
     if (updateStock && cheapest.qty !== currentStock) {
       // Actualizar en nuestra base de datos
-      await updateProductInDB(kinguinId, { stock: cheapest.qty });
+      await updateProductInDB(accountId, kinguinId, { stock: cheapest.qty });
       
       // Actualizar en MercadoLibre si está habilitado
       if (updateMl && ML_ACCESS_TOKEN) {
@@ -373,38 +372,20 @@ async function updateMLStock(mlId, quantity, token) {
 /**
  * Actualiza los datos en nuestra base de datos
  */
-async function updateProductInDB(kinguinId, updates) {
+async function updateProductInDB(accountId, kinguinId, updates) {
   const { error } = await supabase
     .from("published_products")
     .update({
       ...updates,
       updated_at: new Date().toISOString()
     })
-    .eq("kinguin_id", String(kinguinId));
+    .eq("account_id", accountId)
+    .eq("kinguin_id", String(kinguinId))
+    .eq("site_id", PRIMARY_SITE_ID);
     
   if (error) throw new Error(`Error actualizando en DB: ${error.message}`);
 }
 
-/**
- * Registra un cambio de precio en el historial
- */
-async function recordPriceChange(kinguinId, mlId, oldPrice, newPrice, exchangeRate, originalEurPrice) {
-  const { error } = await supabase
-    .from("price_history")
-    .insert({
-      kinguin_id: String(kinguinId),
-      ml_id: mlId,
-      old_price: oldPrice,
-      new_price: newPrice,
-      change_percentage: ((newPrice - oldPrice) / oldPrice) * 100,
-      exchange_rate: exchangeRate,
-      original_eur_price: originalEurPrice,
-      recorded_at: new Date().toISOString()
-    });
-    
-  if (error) console.error(`Error registrando historial de precio: ${error.message}`);
-}
-
 export default async function handler(req, res) {
   res.setHeader("Access-Control-Allow-Origin", "*");
   res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
@@ -452,36 +433,40 @@ export default async function handler(req, res) {
       };
     }
 
-    // Crear un trabajo para ejecutar la actualización
-    const jobId = await createJob('sync-prices-stock', options);
-    
-    // Para cronjobs externos, esperamos que se complete
+    const triggeredBy = getRequestUser(req);
+
+    // Para cronjobs externos: un job por cuenta en la cola de jobs.
+    // Si falla una cuenta (no se pudo leer o encolar) las demás se encolan igual.
     if (isExternalCron) {
+      const accounts = await forEachAccount(
+        account => enqueueProductsUpdate(account, options, triggeredBy),
+        { label: "sync-prices-stock", accountId: req.query.account || null }
+      );
+      const failed = accounts.filter(result => result.status === "error");
+      await kickWorker();
+
+      return res.status(failed.length === accounts.length ? 500 : 202).json({
+        success: failed.length === 0,
+        message: failed.length ? `Actualización encolada con errores en ${failed.length} de ${accounts.length} cuentas` : "Actualización encolada",
+        accounts
+      });
+    } 
+    // Para solicitudes normales (POST), encolar con la cuenta seleccionada
+    else {
+      let account;
       try {
-        const result = await updateProductsJob(jobId, options);
-        return res.status(200).json({
-          success: true,
-          message: "Actualización completada",
-          stats: result.stats,
-          jobId
-        });
+        account = await getRequestAccount(req);
       } catch (err) {
-        return res.status(500).json({
-          success: false,
-          error: err.message,
-          jobId
-        });
+        return res.status(400).json({ success: false, error: err.message });
       }
-    } 
-    // Para solicitudes normales (POST), ejecutar en segundo plano
-    else {
-      // Ejecutar el proceso en segundo plano
-      updateProductsJob(jobId, options)
-        .catch(err => console.error(`Error en job de actualización ${jobId}:`, err));
+
+      const { jobId, total } = await enqueueProductsUpdate(account, options, triggeredBy);
+      await kickWorker();
   
       return res.status(202).json({
         success: true,
-        message: "Actualización de productos iniciada en segundo plano",
+        message: `Actualización de ${total} productos de la cuenta ${account.id} en cola`,
+        accountId: account.id,
         jobId
       });
     }
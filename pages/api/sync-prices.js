@@ -3,6 +3,12 @@ export const maxDuration = 300;
 import axios from "axios";
 import { createClient } from "@supabase/supabase-js"; // Supabase sigue siendo necesario para published_products
 import { computePriceCLP, getKinguinProduct } from "./_logic"; // Cambiado de getKinguinProductWithCache
+import { recordPriceChange } from "../../lib/price-history";
+import { getOfferSeller } from "./_offer-utils";
+import { competitorPriceHeld } from "../../lib/price-guards";
+import { PRIMARY_SITE_ID } from "../../lib/ml-sites";
+import { serviceAuthHeaders } from "./_auth";
+import { requireAccessToken } from "../../lib/ml-tokens";
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -13,6 +19,20 @@ const supabase = createClient(
 const runningBatches = global.runningBatches || new Set();
 global.runningBatches = runningBatches;
 
+// ---------- Sincronizar solo el stock (precio retenido) ----------
+async function syncQuantityOnly(ml_id, currentQty, newQty, status, { ML_ACCESS_TOKEN, isTest }) {
+  if (currentQty === newQty) return { status, ml_id };
+  if (!isTest) {
+    await axios.put(
+      `https://api.mercadolibre.com/items/${ml_id}`,
+      { available_quantity: newQty },
+      { headers: { Authorization: `Bearer ${ML_ACCESS_TOKEN}` }, timeout: 20000 }
+    );
+  }
+  console.log(`⏸️ Precio retenido (${status}): ${ml_id} | qty ${newQty}`);
+  return { status, ml_id, newQty };
+}
+
 // ---------- Procesar un producto individual ----------
 async function processSingleProduct(product, { ML_ACCESS_TOKEN, KINGUIN_API_KEY, isTest }) {
   const { ml_id, kinguin_id } = product;
@@ -62,7 +82,14 @@ async function processSingleProduct(product, { ML_ACCESS_TOKEN, KINGUIN_API_KEY,
       console.log(`▶️ Reactivado: ${ml_id}`);
     }
 
-    const { priceCLP: newPrice, FX_EUR_CLP } = await computePriceCLP(parseFloat(cheapest.price));
+    const newQty = Number(cheapest.qty);
+
+    // Precio fijado por el repricing por competencia: solo se sincroniza el stock
+    if (competitorPriceHeld(product, Number(cheapest.price))) {
+      return syncQuantityOnly(ml_id, currentQty, newQty, "competitor_held", { ML_ACCESS_TOKEN, isTest });
+    }
+
+    const { priceCLP: newPrice, FX_EUR_CLP, pricingRule, breakdown, fxHeld } = await computePriceCLP(parseFloat(cheapest.price), product);
     
     // Verificar si se pudo calcular un precio válido
     if (newPrice === null || !FX_EUR_CLP) {
@@ -77,8 +104,12 @@ async function processSingleProduct(product, { ML_ACCESS_TOKEN, KINGUIN_API_KEY,
       }
       return { ml_id, kinguin_id, status: "paused", reason: "invalid_price" };
     }
+
+    // Tipo de cambio en modo hold: los precios quedan congelados hasta que se resuelva
+    if (fxHeld) {
+      return syncQuantityOnly(ml_id, currentQty, newQty, "fx_held", { ML_ACCESS_TOKEN, isTest });
+    }
     
-    const newQty = Number(cheapest.qty);
     const needUpdate = currentPrice !== newPrice || currentQty !== newQty;
 
     if (needUpdate) {
@@ -89,6 +120,21 @@ async function processSingleProduct(product, { ML_ACCESS_TOKEN, KINGUIN_API_KEY,
           { headers: { Authorization: `Bearer ${ML_ACCESS_TOKEN}` }, timeout: 20000 }
         );
       }
+      if (!isTest && currentPrice !== newPrice) {
+        await recordPriceChange({
+          kinguinId: kinguin_id,
+          mlId: ml_id,
+          oldPrice: currentPrice,
+          newPrice,
+          exchangeRate: FX_EUR_CLP,
+          originalEurPrice: Number(cheapest.price),
+          pricingRule,
+          breakdown,
+          seller: getOfferSeller(cheapest),
+          source: "sync-prices",
+          accountId: product.account_id
+        });
+      }
       console.log(`🔄 Actualizado: ${ml_id} → $${newPrice} | qty ${newQty}`);
       return { status: "updated", ml_id, newPrice, newQty };
     } else {
@@ -107,7 +153,7 @@ async function triggerBatch(batchNumber) {
   const url = `${base}/api/sync-prices?batch=${batchNumber}`;
   console.log(`🔗 Disparando lote: ${url}`);
   // No esperamos la respuesta para que la función actual termine rápido
-  axios.post(url, {}, { timeout: 5000 }).catch(err => {
+  axios.post(url, {}, { timeout: 5000, headers: serviceAuthHeaders() }).catch(err => {
     console.error(`💥 Error al disparar el lote #${batchNumber}:`, err.message);
   });
 }
@@ -116,17 +162,6 @@ async function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-// ---------- Obtener Token de ML desde Supabase ----------
-async function getMLAccessToken() {
-  const { data, error } = await supabase
-    .from("tokens")
-    .select("value")
-    .eq("key", "ML_ACCESS_TOKEN")
-    .single();
-  if (error || !data?.value) throw new Error("No se pudo obtener ML_ACCESS_TOKEN de Supabase");
-  return data.value;
-}
-
 // ---------- Handler ----------
 export default async function handler(req, res) {
   if (req.method !== "GET" && req.method !== "POST") {
@@ -170,14 +205,15 @@ export default async function handler(req, res) {
       console.log(`\n--- 🚀 Iniciando Lote de Precios #${currentBatch} ---`);
       try {
         const [ML_ACCESS_TOKEN, KINGUIN_API_KEY] = await Promise.all([
-          getMLAccessToken(),
+          requireAccessToken(),
           Promise.resolve(process.env.KINGUIN_API_KEY)
         ]);
         if (!ML_ACCESS_TOKEN || !KINGUIN_API_KEY) throw new Error("Faltan credenciales (ML_ACCESS_TOKEN o KINGUIN_API_KEY).");
 
         const { data: products, error } = await supabase
           .from("published_products")
-          .select("ml_id, kinguin_id")
+          .select("account_id, ml_id, kinguin_id, platform, product_type, euro_price, pricing_source, competitor_price_until")
+          .eq("site_id", PRIMARY_SITE_ID)
           .not("ml_id", "is", null)
           .range((currentBatch - 1) * BATCH_SIZE, currentBatch * BATCH_SIZE - 1);
 
@@ -1,4 +1,6 @@
 import { createClient } from "@supabase/supabase-js";
+import { activeQueueJobIds } from "../../lib/job-queue";
+import { JOB_STATUS } from "../../lib/jobs";
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -73,7 +75,7 @@ export default async function handler(req, res) {
     const { data: potentialActiveJobs, error: activeJobsError } = await supabase
       .from("job_logs")
       .select("id, status, summary, total_products, created_at, results")
-      .eq("status", "running")
+      .in("status", [JOB_STATUS.RUNNING, JOB_STATUS.PAUSED])
       .order("created_at", { ascending: false });
 
     if (activeJobsError) throw activeJobsError;
@@ -82,19 +84,21 @@ export default async function handler(req, res) {
     const MAX_JOB_RUNTIME_MS = 30 * 60 * 1000; // 30 minutos
     const now = new Date();
     
-    // Solo consideramos activos los trabajos que estén en ejecución menos de 30 minutos
-    const activeJobs = potentialActiveJobs?.filter(job => {
+    // Los jobs abiertos en la cola (lib/job-queue.js) siguen activos aunque pasen los 30 minutos: un worker los retoma
+    const queuedJobIds = await activeQueueJobIds((potentialActiveJobs || []).map(job => job.id));
+
+    // Un trabajo pausado no está colgado: espera a que lo reanuden o cancelen
+    const isStalled = job => {
       const createdAt = new Date(job.created_at);
       const elapsedMs = now - createdAt;
-      return elapsedMs < MAX_JOB_RUNTIME_MS;
-    }) || [];
+      return job.status === JOB_STATUS.RUNNING && elapsedMs >= MAX_JOB_RUNTIME_MS && !queuedJobIds.has(job.id);
+    };
+
+    // Activos: pausados, en ejecución hace menos de 30 minutos o todavía abiertos en la cola
+    const activeJobs = potentialActiveJobs?.filter(job => !isStalled(job)) || [];
     
     // Actualizar automáticamente los trabajos que se detectan como "colgados"
-    const stalledJobs = potentialActiveJobs?.filter(job => {
-      const createdAt = new Date(job.created_at);
-      const elapsedMs = now - createdAt;
-      return elapsedMs >= MAX_JOB_RUNTIME_MS;
-    }) || [];
+    const stalledJobs = potentialActiveJobs?.filter(isStalled) || [];
     
     // Marcar los trabajos estancados como fallidos
     for (const job of stalledJobs) {
@@ -122,6 +126,8 @@ export default async function handler(req, res) {
         products: productMetrics,
         jobs: {
           active: activeJobs?.length || 0,
+          // En curso o pausados, con su progreso, para los botones de pausar/reanudar/cancelar
+          active_jobs: activeJobs.map(({ results, ...job }) => ({ ...job, processed: results?.length || 0 })),
           recent: recentJobs || []
         },
         system: {
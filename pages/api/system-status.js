@@ -3,8 +3,10 @@
 
 import axios from "axios";
 import { createClient } from "@supabase/supabase-js";
-import { getEuroToClp, logActivity } from "./_logic";
+import { logActivity } from "./_logic";
+import { getFxQuote } from "../../lib/fx-provider";
 import { axiosWithSmartRetry } from "./_http-utils";
+import { getAccessToken, getTokenStatus, PRIMARY_ACCOUNT_KEY } from "../../lib/ml-tokens";
 
 // ---------- Supabase ----------
 const supabase = createClient(
@@ -50,33 +52,23 @@ export default async function handler(req, res) {
     // 2. Verificar Token ML
     let ML_ACCESS_TOKEN;
     try {
-      // Primero intentar desde Supabase
-      const { data: tokenData, error } = await supabase
-        .from("tokens")
-        .select("value, updated_at")
-        .eq("key", "ML_ACCESS_TOKEN")
-        .single();
-      
-      if (error) throw error;
-      
-      ML_ACCESS_TOKEN = tokenData.value;
-      const tokenAge = Date.now() - new Date(tokenData.updated_at).getTime();
-      const tokenAgeHours = Math.round(tokenAge / (1000 * 60 * 60) * 10) / 10;
+      // El gestor de tokens lo refresca si está por vencer
+      ML_ACCESS_TOKEN = await getAccessToken();
+      const status = (await getTokenStatus()).find(row => row.account_key === PRIMARY_ACCOUNT_KEY);
+      const tokenAge = status?.updated_at ? Date.now() - new Date(status.updated_at).getTime() : null;
       
       checks.mercadolibreToken = {
-        status: "ok",
-        source: "supabase",
-        updatedHoursAgo: tokenAgeHours,
+        status: ML_ACCESS_TOKEN ? "ok" : "error",
+        source: "ml_oauth_tokens",
+        updatedHoursAgo: tokenAge === null ? null : Math.round(tokenAge / (1000 * 60 * 60) * 10) / 10,
+        expiresAt: status?.expires_at || null,
         tokenPresent: !!ML_ACCESS_TOKEN
       };
     } catch (error) {
-      // Fallback a variables de entorno
-      ML_ACCESS_TOKEN = process.env.ML_ACCESS_TOKEN;
-      
       checks.mercadolibreToken = {
-        status: ML_ACCESS_TOKEN ? "ok" : "error",
-        source: "env",
-        tokenPresent: !!ML_ACCESS_TOKEN,
+        status: "error",
+        source: "ml_oauth_tokens",
+        tokenPresent: false,
         error: error.message
       };
     }
@@ -147,13 +139,14 @@ export default async function handler(req, res) {
     
     // 5. Verificar tasa de cambio EUR a CLP
     try {
-      const { priceCLP, FX_EUR_CLP, source } = await getEuroToClp(1);
+      const quote = await getFxQuote();
       
       checks.exchangeRate = {
-        status: "ok",
-        eurToCLP: FX_EUR_CLP,
-        source: source,
-        testPrice: priceCLP
+        status: quote.mode === "live" ? "ok" : "warning",
+        eurToCLP: quote.rate,
+        mode: quote.mode,
+        reason: quote.reason,
+        sources: quote.sources.map(s => s.name)
       };
     } catch (error) {
       checks.exchangeRate = {
@@ -3,6 +3,7 @@
 
 import { axiosWithSmartRetry } from "./_http-utils";
 import { logStep } from "./_logic";
+import { getAccessToken } from "../../lib/ml-tokens";
 
 // Función copiada de add-product.js para probar
 async function checkSkuDuplicateInMercadoLibre(sku, ML_ACCESS_TOKEN, jobId = null) {
@@ -137,8 +138,8 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: "Se requiere 'sku'" });
     }
     
-    // Usar token del body o variable de entorno
-    const ML_ACCESS_TOKEN = ml_token || process.env.ML_ACCESS_TOKEN;
+    // Usar token del body o el del gestor de tokens
+    const ML_ACCESS_TOKEN = ml_token || await getAccessToken();
     
     if (!ML_ACCESS_TOKEN) {
       return res.status(400).json({ error: "Token de MercadoLibre requerido" });
@@ -1,16 +1,188 @@
 /**
  * Endpoint para actualizar el precio de todos los productos activos
- * usando el tipo de cambio más reciente
+ * usando el tipo de cambio más reciente, en todas las cuentas de ML (?account= limita a una)
  */
 import axios from "axios";
 import { createClient } from "@supabase/supabase-js";
-import { getEuroToClp, computePriceCLP, logActivity } from "./_logic";
+import { computePriceCLP, logActivity } from "./_logic";
+import { recordPriceChange } from "../../lib/price-history";
+import { competitorPriceHeld, RULE_PRICING_STATE } from "../../lib/price-guards";
+import { getFxQuote } from "../../lib/fx-provider";
+import { PRIMARY_SITE_ID } from "../../lib/ml-sites";
+import { accountAccessToken, forEachAccount } from "../../lib/ml-accounts";
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
+/**
+ * Actualiza el precio de las publicaciones activas de una cuenta con el tipo de cambio dado.
+ * Cada cuenta usa su token de ML y sus reglas de precio (account_id va en el producto).
+ * @returns {Promise<{total: number, updated: number, competitorHeld: number, errors: number}>}
+ */
+async function updateAccountPrices(account, currentFX) {
+  // 1. Obtener los productos activos de la cuenta
+  const { data: activeProducts, error: queryError } = await supabase
+    .from("published_products")
+    .select("id, account_id, ml_id, kinguin_id, euro_price, price, platform, product_type, pricing_source, competitor_price_until")
+    .eq("account_id", account.id)
+    .eq("status", "active")
+    .eq("site_id", PRIMARY_SITE_ID);
+  
+  if (queryError) {
+    throw new Error(`Error al consultar productos activos: ${queryError.message}`);
+  }
+  
+  if (!activeProducts || activeProducts.length === 0) {
+    return { total: 0, updated: 0, competitorHeld: 0, errors: 0 };
+  }
+  
+  // Sin token la cuenta falla entera (queda en su resultado de forEachAccount) en vez de fallar producto por producto
+  await accountAccessToken(account);
+  
+  // 2. Registrar el inicio del proceso
+  await logActivity(
+    `Iniciando actualización de precios de la cuenta ${account.id} para ${activeProducts.length} productos con tipo de cambio ${currentFX}`,
+    'info',
+    { account_id: account.id, fx: currentFX, productCount: activeProducts.length }
+  );
+  
+  // 3. Procesar productos en lotes para no sobrecargar la API
+  const BATCH_SIZE = 50;
+  let updatedCount = 0;
+  let errorCount = 0;
+  let competitorHeldCount = 0;
+  
+  for (let i = 0; i < activeProducts.length; i += BATCH_SIZE) {
+    const batch = activeProducts.slice(i, i + BATCH_SIZE);
+    const updates = [];
+    
+    // Procesar cada producto en el lote
+    for (const product of batch) {
+      try {
+        // El precio lo maneja el repricing por competencia hasta competitor_price_until
+        if (competitorPriceHeld(product)) {
+          competitorHeldCount++;
+          continue;
+        }
+
+        // Solo actualizar si tiene euro_price
+        if (product.euro_price && product.euro_price > 0) {
+          // Calcular nuevo precio
+          const { priceCLP, FX_EUR_CLP, pricingRule, breakdown } = await computePriceCLP(product.euro_price, product);
+          
+          if (priceCLP && priceCLP > 0) {
+            // Si el precio es diferente, añadir a la lista de actualizaciones
+            if (Math.abs(priceCLP - product.price) > 10) {
+              updates.push({
+                id: product.id,
+                ml_id: product.ml_id,
+                kinguin_id: product.kinguin_id,
+                old_price: product.price,
+                new_price: priceCLP,
+                euro_price: product.euro_price,
+                fx: FX_EUR_CLP,
+                pricing_rule: pricingRule,
+                breakdown
+              });
+            }
+          }
+        }
+      } catch (error) {
+        console.error(`Error procesando producto ${product.kinguin_id}:`, error);
+        errorCount++;
+      }
+    }
+    
+    // Realizar actualizaciones en MercadoLibre y en Supabase
+    for (const update of updates) {
+      try {
+        // Actualizar en MercadoLibre con el token de la cuenta (se pide por producto: toma el refrescado)
+        const ML_ACCESS_TOKEN = await accountAccessToken(account);
+        
+        await axios.put(
+          `https://api.mercadolibre.com/items/${update.ml_id}`,
+          { price: update.new_price },
+          { headers: { 'Authorization': `Bearer ${ML_ACCESS_TOKEN}` } }
+        );
+        
+        // Actualizar en Supabase
+        await supabase
+          .from("published_products")
+          .update({
+            price: update.new_price,
+            pricing_rule_id: update.pricing_rule?.id || null,
+            pricing_rule_name: update.pricing_rule?.name || null,
+            ...RULE_PRICING_STATE,
+            updated_at: new Date().toISOString()
+          })
+          .eq("id", update.id);
+
+        await recordPriceChange({
+          kinguinId: update.kinguin_id,
+          mlId: update.ml_id,
+          oldPrice: update.old_price,
+          newPrice: update.new_price,
+          exchangeRate: update.fx,
+          originalEurPrice: update.euro_price,
+          pricingRule: update.pricing_rule,
+          breakdown: update.breakdown,
+          source: "update-all-prices",
+          accountId: account.id
+        });
+        
+        updatedCount++;
+        
+        // Registrar la actualización
+        await logActivity(
+          `Precio actualizado para producto ${update.kinguin_id}: ${update.old_price} → ${update.new_price} CLP (${update.euro_price} EUR, FX: ${currentFX})`,
+          'info',
+          {
+            kinguin_id: update.kinguin_id,
+            ml_id: update.ml_id,
+            old_price: update.old_price,
+            new_price: update.new_price,
+            euro_price: update.euro_price,
+            fx: currentFX,
+            pricing_rule: update.pricing_rule?.name
+          }
+        );
+      } catch (error) {
+        console.error(`Error actualizando producto ${update.kinguin_id}:`, error);
+        errorCount++;
+      }
+    }
+    
+    // Pequeña pausa entre lotes para no sobrecargar la API
+    await new Promise(r => setTimeout(r, 1000));
+    
+    // Registrar progreso
+    console.log(`Procesado lote ${Math.ceil(i/BATCH_SIZE) + 1} de ${Math.ceil(activeProducts.length/BATCH_SIZE)}`);
+  }
+  
+  // 4. Registrar finalización
+  await logActivity(
+    `Actualización de precios de la cuenta ${account.id} completada: ${updatedCount} productos actualizados, ${errorCount} errores`,
+    errorCount > 0 ? 'warning' : 'success',
+    {
+      account_id: account.id,
+      total: activeProducts.length,
+      updated: updatedCount,
+      competitorHeld: competitorHeldCount,
+      errors: errorCount,
+      fx: currentFX
+    }
+  );
+
+  return {
+    total: activeProducts.length,
+    updated: updatedCount,
+    competitorHeld: competitorHeldCount,
+    errors: errorCount
+  };
+}
+
 export default async function handler(req, res) {
   res.setHeader("Access-Control-Allow-Origin", "*");
   res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
@@ -24,142 +196,48 @@ export default async function handler(req, res) {
   
   try {
     // 1. Obtener el tipo de cambio actual
-    const currentFX = await getEuroToClp();
+    const fxQuote = await getFxQuote();
+    const currentFX = fxQuote.rate;
     
     if (!currentFX) {
       throw new Error("No se pudo obtener el tipo de cambio actual");
     }
     
-    // 2. Obtener todos los productos activos
-    const { data: activeProducts, error: queryError } = await supabase
-      .from("published_products")
-      .select("id, ml_id, kinguin_id, euro_price, price")
-      .eq("status", "active");
-    
-    if (queryError) {
-      throw new Error(`Error al consultar productos activos: ${queryError.message}`);
-    }
-    
-    if (!activeProducts || activeProducts.length === 0) {
-      return res.status(200).json({ 
-        success: true, 
-        message: "No hay productos activos para actualizar" 
+    // En modo hold las fuentes no son confiables: se congelan los precios hasta que se resuelva
+    if (fxQuote.held) {
+      await logActivity(
+        `Actualización de precios omitida: tipo de cambio en modo hold (${fxQuote.reason})`,
+        'warning',
+        { fx: currentFX, median: fxQuote.median, sources: fxQuote.sources }
+      );
+      return res.status(200).json({
+        success: true,
+        held: true,
+        message: `Precios congelados: ${fxQuote.reason}`,
+        updatedProducts: 0,
+        currentFX
       });
     }
     
-    // 3. Registrar el inicio del proceso
-    await logActivity(
-      `Iniciando actualización de precios para ${activeProducts.length} productos con tipo de cambio ${currentFX}`,
-      'info',
-      { fx: currentFX, productCount: activeProducts.length }
+    // 2. Actualizar cuenta por cuenta: si falla una (token vencido), las demás se actualizan igual
+    const accounts = await forEachAccount(
+      account => updateAccountPrices(account, currentFX),
+      { label: "update-all-prices", accountId: req.query.account || null }
     );
+    const stats = accounts.filter(result => result.status === "ok").map(result => result.result);
+    const failed = accounts.filter(result => result.status === "error");
+    const sum = key => stats.reduce((total, result) => total + result[key], 0);
     
-    // 4. Procesar productos en lotes para no sobrecargar la API
-    const BATCH_SIZE = 50;
-    let updatedCount = 0;
-    let errorCount = 0;
-    
-    for (let i = 0; i < activeProducts.length; i += BATCH_SIZE) {
-      const batch = activeProducts.slice(i, i + BATCH_SIZE);
-      const updates = [];
-      
-      // Procesar cada producto en el lote
-      for (const product of batch) {
-        try {
-          // Solo actualizar si tiene euro_price
-          if (product.euro_price && product.euro_price > 0) {
-            // Calcular nuevo precio
-            const { priceCLP } = await computePriceCLP(product.euro_price);
-            
-            if (priceCLP && priceCLP > 0) {
-              // Si el precio es diferente, añadir a la lista de actualizaciones
-              if (Math.abs(priceCLP - product.price) > 10) {
-                updates.push({
-                  id: product.id,
-                  ml_id: product.ml_id,
-                  kinguin_id: product.kinguin_id,
-                  old_price: product.price,
-                  new_price: priceCLP,
-                  euro_price: product.euro_price
-                });
-              }
-            }
-          }
-        } catch (error) {
-          console.error(`Error procesando producto ${product.kinguin_id}:`, error);
-          errorCount++;
-        }
-      }
-      
-      // Realizar actualizaciones en MercadoLibre y en Supabase
-      for (const update of updates) {
-        try {
-          // Actualizar en MercadoLibre
-          const ML_ACCESS_TOKEN = await getTokenFromSupabase("ML_ACCESS_TOKEN");
-          
-          await axios.put(
-            `https://api.mercadolibre.com/items/${update.ml_id}`,
-            { price: update.new_price },
-            { headers: { 'Authorization': `Bearer ${ML_ACCESS_TOKEN}` } }
-          );
-          
-          // Actualizar en Supabase
-          await supabase
-            .from("published_products")
-            .update({
-              price: update.new_price,
-              updated_at: new Date().toISOString()
-            })
-            .eq("id", update.id);
-          
-          updatedCount++;
-          
-          // Registrar la actualización
-          await logActivity(
-            `Precio actualizado para producto ${update.kinguin_id}: ${update.old_price} → ${update.new_price} CLP (${update.euro_price} EUR, FX: ${currentFX})`,
-            'info',
-            {
-              kinguin_id: update.kinguin_id,
-              ml_id: update.ml_id,
-              old_price: update.old_price,
-              new_price: update.new_price,
-              euro_price: update.euro_price,
-              fx: currentFX
-            }
-          );
-        } catch (error) {
-          console.error(`Error actualizando producto ${update.kinguin_id}:`, error);
-          errorCount++;
-        }
-      }
-      
-      // Pequeña pausa entre lotes para no sobrecargar la API
-      await new Promise(r => setTimeout(r, 1000));
-      
-      // Registrar progreso
-      console.log(`Procesado lote ${Math.ceil(i/BATCH_SIZE) + 1} de ${Math.ceil(activeProducts.length/BATCH_SIZE)}`);
-    }
-    
-    // 5. Registrar finalización
-    await logActivity(
-      `Actualización de precios completada: ${updatedCount} productos actualizados, ${errorCount} errores`,
-      errorCount > 0 ? 'warning' : 'success',
-      {
-        total: activeProducts.length,
-        updated: updatedCount,
-        errors: errorCount,
-        fx: currentFX
-      }
-    );
-    
-    // 6. Responder con el resultado
-    return res.status(200).json({
-      success: true,
-      message: `Actualización de precios completada`,
-      totalProducts: activeProducts.length,
-      updatedProducts: updatedCount,
-      errors: errorCount,
-      currentFX: currentFX
+    // 3. Responder con el resultado
+    return res.status(failed.length === accounts.length ? 500 : 200).json({
+      success: failed.length === 0,
+      message: failed.length ? `Actualización de precios completada con errores en ${failed.length} de ${accounts.length} cuentas` : `Actualización de precios completada`,
+      totalProducts: sum("total"),
+      updatedProducts: sum("updated"),
+      competitorHeld: sum("competitorHeld"),
+      errors: sum("errors"),
+      currentFX: currentFX,
+      accounts
     });
     
   } catch (error) {
@@ -169,21 +247,4 @@ export default async function handler(req, res) {
       error: `Error al actualizar precios: ${error.message}`
     });
   }
-}
-
-// Función auxiliar para obtener token
-async function getTokenFromSupabase(key) {
-  try {
-    const { data, error } = await supabase
-      .from("tokens")
-      .select("value")
-      .eq("key", key)
-      .single();
-
-    if (error) throw error;
-    return data?.value || process.env[key];
-  } catch (err) {
-    console.warn(`Error al obtener ${key} desde Supabase: ${err.message}. Usando variable de entorno.`);
-    return process.env[key];
-  }
 }
\ No newline at end of file
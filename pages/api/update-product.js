@@ -1,17 +1,10 @@
 import axios from "axios";
-import { createClient } from "@supabase/supabase-js";
 import {
-  getProductType,
   computePriceCLP,
   regionVerdict as regionVerdictLogic,
-  titleFrom,
 } from "./_logic";
-
-/* -------------------- Supabase -------------------- */
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
+import { renderListing } from "../../lib/listing-templates";
+import { requireAccessToken } from "../../lib/ml-tokens";
 
 /* -------------------- Región -------------------- */
 function regionVerdict(product) {
@@ -20,17 +13,6 @@ function regionVerdict(product) {
   return { allowed, normalized: norm };
 }
 
-/* -------------------- Tokens -------------------- */
-async function getMLAccessToken() {
-  const { data, error } = await supabase
-    .from("tokens")
-    .select("value")
-    .eq("key", "ML_ACCESS_TOKEN")
-    .maybeSingle();
-  if (error || !data) throw new Error("No se pudo obtener ML_ACCESS_TOKEN de Supabase");
-  return data.value;
-}
-
 /* -------------------- Helpers ML -------------------- */
 async function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 
@@ -94,7 +76,7 @@ async function updateSingle(kinguinId, ML_ACCESS_TOKEN, KINGUIN_API_KEY) {
       return { kinguinId, mlId, status: "paused", reason: "qty=0" };
     }
 
-    const { priceCLP, FX_EUR_CLP } = await computePriceCLP(parseFloat(cheapest.price));
+    const { priceCLP, FX_EUR_CLP } = await computePriceCLP(parseFloat(cheapest.price), product);
     
     // Verificar si se pudo calcular un precio válido
     if (priceCLP === null || !FX_EUR_CLP) {
@@ -104,10 +86,11 @@ async function updateSingle(kinguinId, ML_ACCESS_TOKEN, KINGUIN_API_KEY) {
     }
     
     const qty = Math.max(1, Math.min(9999, Number(cheapest.qty) || 1));
+    const { title } = await renderListing(product, { kinguinId });
 
     await mlPut(`https://api.mercadolibre.com/items/${mlId}`, {
-      // Detecta el tipo de producto para generar el título más preciso
-      title: titleFrom(product, getProductType(product)),
+      // Título con la plantilla activa para el tipo de producto
+      title,
       price: priceCLP,
       available_quantity: qty,
       status: "active",
@@ -135,7 +118,7 @@ export default async function handler(req, res) {
     if (!kinguinIds.length) return res.status(400).json({ error: "Debes enviar kinguinIds o sku" });
 
     const KINGUIN_API_KEY = process.env.KINGUIN_API_KEY;
-    const ML_ACCESS_TOKEN = await getMLAccessToken();
+    const ML_ACCESS_TOKEN = await requireAccessToken();
 
     let results = [];
     for (let i = 0; i < kinguinIds.length; i++) {
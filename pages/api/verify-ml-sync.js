@@ -1,4 +1,6 @@
 import { createClient } from "@supabase/supabase-js";
+import { PRIMARY_SITE_ID } from "../../lib/ml-sites";
+import { requireAccessToken } from '../../lib/ml-tokens';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -13,6 +15,7 @@ export default async function handler(req, res) {
     const { data: localProducts, error: localError } = await supabase
       .from('published_products')
       .select('kinguin_id, ml_id, title, created_at')
+      .eq('site_id', PRIMARY_SITE_ID)
       .not('ml_id', 'is', null)
       .order('created_at', { ascending: false })
       .limit(100);
@@ -22,17 +25,7 @@ export default async function handler(req, res) {
     console.log(`📊 Productos en BD con ML_ID: ${localProducts.length}`);
 
     // 2. Verificar algunos productos en MercadoLibre
-    const { data: tokenData } = await supabase
-      .from('tokens')
-      .select('value')
-      .eq('key', 'ML_ACCESS_TOKEN')
-      .single();
-
-    if (!tokenData?.value) {
-      throw new Error('No ML access token found');
-    }
-
-    const ML_ACCESS_TOKEN = tokenData.value;
+    const ML_ACCESS_TOKEN = await requireAccessToken();
     
     // 3. Verificar productos en ML
     const mlVerifications = [];
@@ -1,4 +1,6 @@
 import { createClient } from "@supabase/supabase-js";
+import { handleKinguinOrderEvent } from "../../../lib/orders";
+import { releaseWebhookNonce, verifyInboundWebhook } from "../../../lib/webhook-security";
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -16,47 +18,59 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Obtener headers de Kinguin
     const eventName = req.headers['x-event-name'];
-    const eventSecret = req.headers['x-event-secret'];
-    
-    console.log(`🔔 Webhook recibido: ${eventName || 'TEST'}`, {
-      headers: req.headers,
-      body: req.body
-    });
 
-    // Validar secrets conocidos (32 caracteres máximo)
-    const validSecrets = [
-      'haerin2025productupdate789xyz', // Product Update
-      'haerin2025ordercomplete123abc', // Order Complete
-      'haerin2025orderstatus456def',   // Order Status
-      process.env.KINGUIN_WEBHOOK_SECRET // Variable de entorno
-    ].filter(Boolean);
+    console.log(`🔔 Webhook recibido: ${eventName || 'TEST'}`, { body: req.body });
 
-    // Si hay secret, validarlo
-    if (eventSecret && validSecrets.length > 0 && !validSecrets.includes(eventSecret)) {
-      console.warn(`🚨 Secret inválido: ${eventSecret}`);
-      return res.status(401).json({ error: 'Secret inválido' });
+    // Secret obligatorio (rotable desde system_config) + protección contra eventos repetidos
+    const verification = await verifyInboundWebhook(req, 'kinguin');
+    if (!verification.ok) {
+      // Un replay ya se procesó: responder 204 para que Kinguin no lo reintente
+      if (verification.replay) return res.status(204).end();
+      return res.status(401).json({ error: 'Webhook no autorizado' });
     }
 
     // Guardar webhook en cola para procesamiento posterior
+    let queuedId = null;
     try {
-      await supabase.from('webhook_queue').insert({
+      const { data: queued, error: queueError } = await supabase.from('webhook_queue').insert({
         event_type: eventName || 'test',
         kinguin_id: req.body?.kinguinId || 0,
         payload: req.body || {},
         processed: false
-      });
+      }).select('id').single();
+      if (queueError) throw new Error(queueError.message);
+      queuedId = queued?.id || null;
     } catch (dbError) {
-      console.warn(`⚠️ Error guardando en DB: ${dbError.message}`);
-      // No fallar el webhook por errores de DB
+      // Sin el evento en la cola se perdería: se libera el nonce y se responde error para que Kinguin lo reenvíe
+      console.error(`❌ Error guardando webhook en la cola: ${dbError.message}`);
+      await releaseWebhookNonce('kinguin', verification.nonce);
+      return res.status(500).json({ error: 'No se pudo guardar el evento' });
     }
 
     // Log del evento procesado
     if (eventName === 'product.update') {
       console.log(`📦 Producto actualizado: ${req.body?.kinguinId} - Stock: ${req.body?.qty}`);
-    } else if (eventName === 'order.status') {
+    } else if (eventName === 'order.status' || eventName === 'order.complete') {
       console.log(`📋 Orden ${req.body?.orderId} cambió a: ${req.body?.status}`);
+
+      // Si la orden es nuestra y ya se completó, enviar las keys sin esperar al cron
+      try {
+        // order.complete no siempre trae status: el propio evento indica que la orden terminó
+        const payload = eventName === 'order.complete' ? { status: 'completed', ...req.body } : req.body;
+        const result = await handleKinguinOrderEvent(payload);
+        if (result.handled) {
+          console.log(`🔑 Orden ML ${result.ml_order_id} procesada por evento Kinguin: ${result.status}`);
+        }
+        if (queuedId) {
+          await supabase.from('webhook_queue')
+            .update({ processed: true, processed_at: new Date().toISOString() })
+            .eq('id', queuedId);
+        }
+      } catch (orderError) {
+        // El cron poll-kinguin-orders vuelve a consultar la orden igual
+        console.warn(`⚠️ Error procesando evento de orden: ${orderError.message}`);
+      }
     } else {
       console.log(`🔍 Evento desconocido o prueba de conexión`);
     }
@@ -67,7 +81,7 @@ export default async function handler(req, res) {
   } catch (error) {
     console.error(`💥 Error en webhook:`, error);
     
-    // Aún así devolver 204 para evitar reintentos
-    return res.status(204).end();
+    // Solo se llega aquí antes de encolar el evento (verificación): un error hace que Kinguin lo reintente
+    return res.status(500).json({ error: 'Error procesando el webhook' });
   }
 }
\ No newline at end of file
@@ -1,23 +1,40 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import Head from 'next/head';
 import Link from 'next/link';
 import CronJobManager from '../components/CronJobManager';
 
 export default function CronJobsPage() {
   const [authorized, setAuthorized] = useState(false);
+  const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   
-  const CORRECT_PASSWORD = process.env.NEXT_PUBLIC_PANEL_CLAVE || "oskar123";
+  // Misma sesión que el panel principal: si la cookie es válida se entra directo
+  useEffect(() => {
+    fetch('/api/auth/me')
+      .then(res => setAuthorized(res.ok))
+      .catch(() => {});
+  }, []);
   
-  const handleLogin = (e) => {
+  const handleLogin = async (e) => {
     e.preventDefault();
-    if (password === CORRECT_PASSWORD) {
+    try {
+      const response = await fetch('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, password })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error || 'Credenciales incorrectas. Intenta nuevamente.');
+        setPassword('');
+        return;
+      }
       setAuthorized(true);
       setError('');
-    } else {
-      setError('Clave incorrecta. Intenta nuevamente.');
       setPassword('');
+    } catch (err) {
+      setError(`No se pudo iniciar sesión: ${err.message}`);
     }
   };
   
@@ -36,15 +53,28 @@ export default function CronJobsPage() {
             <p className="login-subtitle">Ingresa tus credenciales para continuar</p>
             
             <form className="login-form" onSubmit={handleLogin}>
+              <div className="input-group">
+                <span className="input-icon">📧</span>
+                <input
+                  type="email"
+                  className="login-input"
+                  placeholder="Email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  autoComplete="username"
+                  autoFocus
+                />
+              </div>
+
               <div className="input-group">
                 <span className="input-icon">🔒</span>
                 <input
                   type="password"
                   className="login-input"
-                  placeholder="Ingresa la clave de acceso"
+                  placeholder="Contraseña"
                   value={password}
                   onChange={(e) => setPassword(e.target.value)}
-                  autoFocus
+                  autoComplete="current-password"
                 />
               </div>
               
@@ -206,7 +236,8 @@ export default function CronJobsPage() {
           </Link>
           <button 
             className="logout-button"
-            onClick={() => {
+            onClick={async () => {
+              await fetch('/api/auth/logout', { method: 'POST' }).catch(() => {});
               setAuthorized(false);
               setPassword('');
             }}
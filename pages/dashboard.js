@@ -3,6 +3,9 @@ import Head from 'next/head';
 import { useState, useEffect } from 'react';
 import SpeedOptimizer from '../components/SpeedOptimizer';
 import LogViewer from '../components/LogViewer';
+import OrdersPanel from '../components/OrdersPanel';
+import ProfitChart from '../components/ProfitChart';
+import AccountSwitcher from '../components/AccountSwitcher';
 
 export default function Dashboard() {
   const [activeJobId, setActiveJobId] = useState('');
@@ -66,7 +69,12 @@ export default function Dashboard() {
       
       const data = await response.json();
       
-      if (data.fallback) {
+      if (data.held) {
+        setFxStatus({
+          type: 'warning',
+          message: `Tipo de cambio retenido en ${data.rate}: ${data.reason}. Mediana actual: ${data.median}`
+        });
+      } else if (data.fallback) {
         setFxStatus({
           type: 'warning',
           message: `Usando tipo de fallback: ${data.rate} (${data.fallbackSource || 'desconocido'})`
@@ -110,8 +118,10 @@ export default function Dashboard() {
       const data = await response.json();
       
       setFxStatus({
-        type: 'success',
-        message: `${data.updatedProducts} productos actualizados con FX: ${data.currentFX}`
+        type: data.held || !data.success ? 'warning' : 'success',
+        message: data.held
+          ? `${data.message} (FX: ${data.currentFX})`
+          : `${data.updatedProducts} productos actualizados con FX: ${data.currentFX}${data.success ? '' : `. ${data.message}`}`
       });
     } catch (error) {
       console.error('Error al actualizar precios:', error);
@@ -227,6 +237,36 @@ export default function Dashboard() {
             )}
           </div>
         </div>
+
+        {/* Cuenta de vendedor de ML con la que trabaja el panel */}
+        <div className="action-card">
+          <div className="action-icon">👤</div>
+          <div className="action-content">
+            <h3>Cuenta de MercadoLibre</h3>
+            <p>Elige la cuenta con la que se publican y actualizan los productos</p>
+            <AccountSwitcher />
+          </div>
+        </div>
+
+        {/* Órdenes de ML y reenvío de keys desde el vault */}
+        <div className="action-card">
+          <div className="action-icon">🔑</div>
+          <div className="action-content">
+            <h3>Órdenes</h3>
+            <p>Revisa las últimas ventas y reenvía keys al comprador</p>
+            <OrdersPanel />
+          </div>
+        </div>
+
+        {/* Utilidad neta registrada en profit_ledger */}
+        <div className="action-card">
+          <div className="action-icon">💰</div>
+          <div className="action-content">
+            <h3>Utilidad</h3>
+            <p>Utilidad neta por día o mes, después de comisión ML y costo Kinguin</p>
+            <ProfitChart />
+          </div>
+        </div>
       </div>
       
       {/* Monitor de logs con diseño mejorado */}
@@ -8,9 +8,8 @@ export default function ExternalCronsPage() {
   const [cronLogs, setCronLogs] = useState([]);
   const [cronStats, setCronStats] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [apiKey, setApiKey] = useState('');
   const [baseUrl, setBaseUrl] = useState('');
-  const [showApiKey, setShowApiKey] = useState(false);
+  const [runningCron, setRunningCron] = useState(null);
   
   // Obtener todos los cronjobs disponibles
   const allCrons = Object.entries(externalCrons).flatMap(
@@ -60,9 +59,7 @@ export default function ExternalCronsPage() {
     setCronStats(mockStats);
     setLoading(false);
     
-    // Obtener la URL base y la API Key de las variables de entorno
-    // (en un entorno real deberías obtener esto de forma segura)
-    setApiKey(process.env.NEXT_PUBLIC_EXTERNAL_CRON_API_KEY || 'kinguin-ml-cron-key');
+    // La clave de los crons externos no llega al navegador: las URLs llevan un marcador
     setBaseUrl(window.location.origin);
   }, [allCrons]);
   
@@ -104,7 +101,21 @@ export default function ExternalCronsPage() {
   
   // Construir URL para el cronjob
   const buildCronUrl = (cron) => {
-    return `${baseUrl}/api/cron-runner?id=${cron.id}&key=${apiKey}`;
+    return `${baseUrl}/api/cron-runner?id=${cron.id}&key=EXTERNAL_CRON_API_KEY`;
+  };
+  
+  // Ejecutar un cronjob desde el panel: cron-runner acepta la sesión de admin en lugar de la clave
+  const runCron = async (cron) => {
+    setRunningCron(cron.id);
+    try {
+      const response = await fetch(`/api/cron-runner?id=${cron.id}&source=manual`);
+      const data = await response.json();
+      alert(data.success ? data.message : `Error: ${data.error}`);
+    } catch (error) {
+      alert(`Error al ejecutar el cronjob: ${error.message}`);
+    } finally {
+      setRunningCron(null);
+    }
   };
   
   if (loading) {
@@ -141,17 +152,10 @@ export default function ExternalCronsPage() {
           <p>Para configurar un servicio externo de cronjobs (como cron-job.org, Zapier, Github Actions, etc.), usa las URLs generadas para cada tarea.</p>
           
           <div className="api-key-section">
-            <div className="api-key-display">
-              <span>API Key: </span>
-              <input 
-                type="text" 
-                value={showApiKey ? apiKey : '••••••••••••••••'} 
-                readOnly 
-              />
-              <button onClick={() => setShowApiKey(!showApiKey)}>
-                {showApiKey ? 'Ocultar' : 'Mostrar'}
-              </button>
-            </div>
+            <p>
+              Reemplaza <code>EXTERNAL_CRON_API_KEY</code> en cada URL por el valor de esa variable de entorno del servidor.
+              Si no está configurada, los cronjobs solo se pueden ejecutar desde este panel con una sesión de admin.
+            </p>
             <p className="warning-text">
               ⚠️ Esta clave es necesaria para que los servicios externos puedan acceder a los endpoints. Mantenla segura.
             </p>
@@ -199,6 +203,9 @@ export default function ExternalCronsPage() {
                       readOnly 
                     />
                     <button onClick={() => copyToClipboard(cronUrl)}>Copiar</button>
+                    <button onClick={() => runCron(cron)} disabled={runningCron === cron.id}>
+                      {runningCron === cron.id ? 'Ejecutando...' : 'Ejecutar ahora'}
+                    </button>
                   </div>
                 </div>
                 
@@ -376,37 +383,6 @@ export default function ExternalCronsPage() {
           margin-top: 15px;
         }
         
-        .api-key-display {
-          display: flex;
-          align-items: center;
-          gap: 10px;
-        }
-        
-        .api-key-display input {
-          flex: 1;
-          padding: 10px;
-          border: 1px solid #e2e8f0;
-          border-radius: 4px;
-          background: white;
-          color: #2d3748;
-          font-family: monospace;
-        }
-        
-        .api-key-display button {
-          background: #edf2f7;
-          border: none;
-          padding: 10px 15px;
-          border-radius: 4px;
-          cursor: pointer;
-          color: #4a5568;
-          font-size: 14px;
-          transition: all 0.2s;
-        }
-        
-        .api-key-display button:hover {
-          background: #e2e8f0;
-        }
-        
         .warning-text {
           margin: 10px 0 0 0;
           color: #c53030;
@@ -667,16 +643,6 @@ export default function ExternalCronsPage() {
           .crons-list {
             grid-template-columns: 1fr;
           }
-          
-          .api-key-display {
-            flex-direction: column;
-            align-items: flex-start;
-          }
-          
-          .api-key-display input,
-          .api-key-display button {
-            width: 100%;
-          }
         }
       `}</style>
     </div>
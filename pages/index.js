@@ -2,6 +2,7 @@ import { useState, useEffect, useRef, useCallback } from "react";
 import Link from 'next/link';
 import ActivityMonitor from "../components/ActivityMonitor";
 import SystemMetrics from "../components/SystemMetrics";
+import AccountSwitcher from "../components/AccountSwitcher";
 
 // Función para dividir un array en lotes de un tamaño específico
 const chunkArray = (array, size) => {
@@ -13,13 +14,16 @@ const chunkArray = (array, size) => {
 };
 
 export default function Home() {
+  const [email, setEmail] = useState("");
   const [clave, setClave] = useState("");
   const [autorizado, setAutorizado] = useState(false);
+  const [usuario, setUsuario] = useState(null); // { id, email, role } de la sesión
   const [input, setInput] = useState("");
   const [resultado, setResultado] = useState([]); // Acumulará todos los resultados
   const [cargando, setCargando] = useState(false);
   const [error, setError] = useState("");
   const [jobInfo, setJobInfo] = useState(null);
+  const [jobStatus, setJobStatus] = useState(null); // Estado del job en curso: running, paused...
   const [batchInfo, setBatchInfo] = useState(""); // Para info de lotes
   const [logs, setLogs] = useState([]); // Para almacenar los logs en tiempo real
   const [showLivePanel, setShowLivePanel] = useState(true); // Controla la visibilidad del panel (inicia visible)
@@ -28,19 +32,52 @@ export default function Home() {
   const logsPanelRef = useRef(null);
   const pollingIntervalRef = useRef(null);
 
-  const CLAVE_CORRECTA = process.env.NEXT_PUBLIC_PANEL_CLAVE || "oskar123";
+  // Si ya hay una sesión válida (cookie HttpOnly) se entra directo al panel
+  useEffect(() => {
+    fetch('/api/auth/me')
+      .then(res => (res.ok ? res.json() : null))
+      .then(data => {
+        if (data?.user) {
+          setUsuario(data.user);
+          setAutorizado(true);
+        }
+      })
+      .catch(() => {});
+  }, []);
 
-  const handleLogin = (e) => {
+  const handleLogin = async (e) => {
     e.preventDefault();
-    if (clave === CLAVE_CORRECTA) {
+    try {
+      const response = await fetch('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, password: clave })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error || "Credenciales incorrectas. Intenta nuevamente.");
+        setClave("");
+        return;
+      }
+      setUsuario(data.user);
       setAutorizado(true);
       setError("");
-    } else {
-      setError("Clave incorrecta. Intenta nuevamente.");
       setClave("");
+    } catch (err) {
+      setError(`No se pudo iniciar sesión: ${err.message}`);
     }
   };
 
+  const handleLogout = async () => {
+    await fetch('/api/auth/logout', { method: 'POST' }).catch(() => {});
+    setAutorizado(false);
+    setUsuario(null);
+    setClave("");
+    setInput("");
+    setResultado([]);
+    setError("");
+  };
+
   // Función para añadir un log al panel
   const addLog = useCallback((message, type = 'info') => {
     const timestamp = new Date().toLocaleTimeString();
@@ -99,6 +136,7 @@ export default function Home() {
       return;
     }
 
+    let lastStatus = null;
     pollingIntervalRef.current = setInterval(async () => {
       try {
         const res = await fetch(`/api/job-status?id=${jobId}`);        
@@ -112,6 +150,17 @@ export default function Home() {
         }
         
         const data = await res.json();
+
+        // Pausas y reanudaciones pedidas desde este panel o desde las métricas
+        if (data.status !== lastStatus) {
+          if (data.status === 'paused') {
+            addLog(`⏸️ Trabajo #${jobId} pausado: ${data.results.length} de ${data.total_products} procesados`, 'warning');
+          } else if (lastStatus === 'paused' && data.status === 'running') {
+            addLog(`▶️ Trabajo #${jobId} reanudado`, 'info');
+          }
+          lastStatus = data.status;
+          setJobStatus(data.status);
+        }
         
         // Añadir información de progreso a los logs
         if (data.status === 'in_progress') {
@@ -147,6 +196,18 @@ export default function Home() {
         // Reemplazar los resultados del job actual, manteniendo los de jobs anteriores
         setResultado(prev => [...prev.filter(r => r.jobId !== jobId), ...data.results.map(r => ({...r, jobId}))]);
 
+        if (data.status === 'cancelled') {
+          const processedIds = data.summary?.processed_ids || [];
+          const remainingIds = data.summary?.remaining_ids || [];
+          addLog(`⏹️ Trabajo #${jobId} cancelado: ${processedIds.length} procesados, ${remainingIds.length} sin procesar`, 'warning');
+          if (processedIds.length > 0) addLog(`✔️ Procesados: ${processedIds.join(', ')}`, 'info');
+          if (remainingIds.length > 0) addLog(`⏭️ Sin procesar: ${remainingIds.join(', ')}`, 'warning');
+
+          clearInterval(pollingIntervalRef.current);
+          resolve({ cancelled: true, remainingIds });
+          return;
+        }
+
         if (data.status === 'completed' || data.status === 'failed') {
           if (data.status === 'completed') {
             addLog(`✅ Trabajo #${jobId} completado con éxito`, 'success');
@@ -155,7 +216,7 @@ export default function Home() {
           }
           
           clearInterval(pollingIntervalRef.current);
-          data.status === 'failed' ? reject(new Error(data.summary?.error || "El trabajo falló sin un mensaje específico.")) : resolve();
+          data.status === 'failed' ? reject(new Error(data.summary?.error || "El trabajo falló sin un mensaje específico.")) : resolve({ cancelled: false });
         }
       } catch (err) {
         // No hacer nada, el intervalo seguirá intentando
@@ -194,6 +255,7 @@ export default function Home() {
 
     const idChunks = chunkArray(ids, 50);
     const totalBatches = idChunks.length;
+    let cancelled = false;
 
     for (let i = 0; i < idChunks.length; i++) {
       const batch = idChunks[i];
@@ -272,9 +334,20 @@ export default function Home() {
         setJobInfo({ id: data.jobId, message: data.message });
         
         // Esperar a que el polling termine para este lote.
-        // La promesa de startPolling se resolverá cuando el job esté 'completed'
+        // La promesa de startPolling se resolverá cuando el job esté 'completed' o 'cancelled'
         // o se rechazará si está 'failed'.
-        await startPolling(data.jobId);
+        const outcome = await startPolling(data.jobId);
+        if (outcome.cancelled) {
+          // Los lotes que no se llegaron a enviar también quedan sin procesar
+          const unsentIds = idChunks.slice(i + 1).flat();
+          if (unsentIds.length > 0) {
+            addLog(`⏭️ ${unsentIds.length} IDs de lotes sin enviar: ${unsentIds.join(', ')}`, 'warning');
+          }
+          const leftCount = outcome.remainingIds.length + unsentIds.length;
+          setBatchInfo(`Proceso cancelado en el lote ${batchNumber} de ${totalBatches}. Quedaron ${leftCount} productos sin procesar.`);
+          cancelled = true;
+          break;
+        }
         addLog(`✓ Lote ${batchNumber} completado`, 'success');
       } catch (err) {
         const errorMsg = `Fallo en el lote ${batchNumber}: ${err.message}. Proceso detenido.`;
@@ -286,6 +359,11 @@ export default function Home() {
     }
 
     setCargando(false);
+    setJobStatus(null);
+    if (cancelled) {
+      addLog('⏹️ Proceso cancelado', 'warning');
+      return;
+    }
     // Mensaje final que resume el total de productos procesados, no solo los lotes.
     const finalMessage = `¡Proceso completado! Se procesaron un total de ${ids.length} productos.`;
     setBatchInfo(finalMessage);
@@ -293,6 +371,27 @@ export default function Home() {
     setInput("");
   };
 
+  // Pausar, reanudar o cancelar el job del lote en curso (/api/jobs/[id]/pause, /resume, /cancel).
+  // El worker lo respeta entre un ítem y el siguiente; el polling refleja el cambio
+  const controlJob = async (action) => {
+    if (!jobInfo?.id) return;
+    if (action === 'cancel' && !confirm('¿Cancelar el proceso? Los productos que no alcanzó a procesar quedarán sin procesar.')) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/jobs/${jobInfo.id}/${action}`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Error ${response.status}`);
+      }
+      const labels = { pause: '⏸️ Pausa solicitada', resume: '▶️ Reanudación solicitada', cancel: '⏹️ Cancelación solicitada' };
+      addLog(`${labels[action]} para el trabajo #${jobInfo.id}`, 'info');
+    } catch (err) {
+      addLog(`❌ No se pudo ${action === 'pause' ? 'pausar' : action === 'resume' ? 'reanudar' : 'cancelar'} el trabajo: ${err.message}`, 'error');
+    }
+  };
+
   // Función para obtener el mensaje apropiado para cada resultado
   const obtenerMensajeResultado = (resultado) => {
     return resultado.message || `Estado: ${resultado.status}, Razón: ${resultado.reason}`;
@@ -467,15 +566,28 @@ export default function Home() {
             <p className="login-subtitle">Ingresa tus credenciales para continuar</p>
             
             <form className="login-form" onSubmit={handleLogin}>
+              <div className="input-group">
+                <span className="input-icon">📧</span>
+                <input
+                  type="email"
+                  className="login-input"
+                  placeholder="Email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  autoComplete="username"
+                  autoFocus
+                />
+              </div>
+
               <div className="input-group">
                 <span className="input-icon">🔒</span>
                 <input
                   type="password"
                   className="login-input"
-                  placeholder="Ingresa la clave de acceso"
+                  placeholder="Contraseña"
                   value={clave}
                   onChange={(e) => setClave(e.target.value)}
-                  autoFocus
+                  autoComplete="current-password"
                 />
               </div>
               
@@ -1057,13 +1169,8 @@ export default function Home() {
       <div className="container">
         <button 
           className="logout-button"
-          onClick={() => {
-            setAutorizado(false);
-            setClave("");
-            setInput("");
-            setResultado([]);
-            setError("");
-          }}
+          onClick={handleLogout}
+          title={usuario ? `${usuario.email} (${usuario.role})` : undefined}
         >
           <span>🚪</span> Cerrar Sesión
         </button>
@@ -1071,6 +1178,8 @@ export default function Home() {
         <div className="header">
           <h1 className="title">🛒 Panel de Gestión de Productos</h1>
           <p className="subtitle">Sincroniza productos de Kinguin con Supabase y MercadoLibre</p>
+          {/* Los productos se publican con la cuenta elegida aquí (cookie ml_account) */}
+          <AccountSwitcher />
         </div>
         
         <div className="main-card">
@@ -1216,7 +1325,7 @@ export default function Home() {
             <div className="error-alert" style={{ background: '#bee3f8', color: '#2c5282', marginTop: '20px' }}>
               <span>ℹ️</span>
               <span>
-                Proceso completado. Puedes iniciar uno nuevo.
+                Proceso finalizado. Puedes iniciar uno nuevo.
               </span>
             </div>
           )}
@@ -1233,6 +1342,22 @@ export default function Home() {
             <div className="live-panel-header">
               <h4>📊 Monitor de actividad en tiempo real (local)</h4>
               <div className="panel-controls">
+                {cargando && jobInfo?.id && (
+                  <>
+                    {jobStatus === 'paused' ? (
+                      <button className="panel-control-button" onClick={() => controlJob('resume')} title="Reanudar">
+                        ▶️
+                      </button>
+                    ) : (
+                      <button className="panel-control-button" onClick={() => controlJob('pause')} title="Pausar">
+                        ⏸️
+                      </button>
+                    )}
+                    <button className="panel-control-button" onClick={() => controlJob('cancel')} title="Cancelar">
+                      ⏹️
+                    </button>
+                  </>
+                )}
                 <button className="panel-control-button" onClick={() => setLogs([])}>
                   🗑️
                 </button>
@@ -1321,4 +1446,4 @@ export default function Home() {
       </div>
     </>
   );
-}
\ No newline at end of file
+}
@@ -2,6 +2,8 @@ import { useState } from 'react';
 import Head from 'next/head';
 import ProductsTable from '../components/ProductsTable';
 import ActivityMonitor from '../components/ActivityMonitor';
+import PricingRulesEditor from '../components/PricingRulesEditor';
+import ActivationGuidesEditor from '../components/ActivationGuidesEditor';
 
 export default function ProductManager() {
   const [activeTab, setActiveTab] = useState('products');
@@ -25,6 +27,18 @@ export default function ProductManager() {
             >
               Productos
             </button>
+            <button 
+              className={`tab ${activeTab === 'pricing' ? 'active' : ''}`}
+              onClick={() => setActiveTab('pricing')}
+            >
+              Reglas de precio
+            </button>
+            <button 
+              className={`tab ${activeTab === 'guides' ? 'active' : ''}`}
+              onClick={() => setActiveTab('guides')}
+            >
+              Guías de activación
+            </button>
             <button 
               className={`tab ${activeTab === 'activity' ? 'active' : ''}`}
               onClick={() => setActiveTab('activity')}
@@ -40,6 +54,18 @@ export default function ProductManager() {
           </section>
         )}
         
+        {activeTab === 'pricing' && (
+          <section className="section">
+            <PricingRulesEditor />
+          </section>
+        )}
+        
+        {activeTab === 'guides' && (
+          <section className="section">
+            <ActivationGuidesEditor />
+          </section>
+        )}
+        
         {activeTab === 'activity' && (
           <section className="section">
             <ActivityMonitor />
@@ -242,10 +242,12 @@ export default function SyncDashboard() {
                   </td>
                   <td className="p-3">
                     <span className={`px-2 py-1 rounded text-xs ${
+                      webhook.outcome === 'dead_letter' ? 'bg-red-100 text-red-800' :
                       webhook.processed ? 'bg-green-100 text-green-800' :
                       'bg-yellow-100 text-yellow-800'
-                    }`}>
-                      {webhook.processed ? '✅ Procesado' : '⏳ Pendiente'}
+                    }`} title={webhook.last_error || ''}>
+                      {webhook.outcome === 'dead_letter' ? '☠️ Dead letter' :
+                        webhook.processed ? `✅ ${webhook.outcome || 'Procesado'}` : '⏳ Pendiente'}
                     </span>
                   </td>
                   <td className="p-3 text-sm">{webhook.retry_count}</td>
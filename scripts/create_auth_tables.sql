@@ -0,0 +1,32 @@
+-- Usuarios del panel con rol: viewer (solo lectura), operator (syncs, publicaciones, órdenes), admin (todo + usuarios)
+CREATE TABLE IF NOT EXISTS admin_users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email TEXT NOT NULL UNIQUE, -- Siempre en minúsculas
+  name TEXT,
+  role TEXT NOT NULL DEFAULT 'viewer' CHECK (role IN ('viewer', 'operator', 'admin')),
+  password_hash TEXT NOT NULL, -- scrypt$<sal>$<hash>
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  last_login_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Auditoría: logins, peticiones que modifican algo (middleware) y jobs lanzados (createJob)
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  user_id TEXT, -- UUID de admin_users o "service" para la API key
+  user_email TEXT,
+  role TEXT,
+  action TEXT NOT NULL, -- "POST /api/add-product", "job:add-product", "login", "user:create"...
+  status INTEGER, -- Resultado de la autorización en el middleware (200, 401, 403)
+  details JSONB NOT NULL DEFAULT '{}'::jsonb,
+  ip TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_user_email ON audit_log(user_email, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action, created_at DESC);
+
+-- Quién lanzó cada job
+ALTER TABLE job_logs ADD COLUMN IF NOT EXISTS triggered_by TEXT;
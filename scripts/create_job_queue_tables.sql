@@ -0,0 +1,59 @@
+-- Cola de jobs durable (lib/job-queue.js)
+-- Cada job de la cola comparte id con su fila de job_logs, que sigue siendo lo que lee el panel.
+-- Estados del job: queued → running → completed / failed; paused y cancelled desde /api/jobs/[id]
+CREATE TABLE IF NOT EXISTS jobs (
+  id UUID PRIMARY KEY REFERENCES job_logs(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,            -- Handler que procesa los ítems: 'add-product', 'sync-prices-stock'
+  account_id TEXT,               -- Cuenta de ML (lib/ml-accounts.js)
+  payload JSONB NOT NULL DEFAULT '{}', -- Opciones del job (ej. updatePrices, updateMl)
+  status TEXT NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'paused', 'completed', 'failed', 'cancelled')),
+  total_items INTEGER NOT NULL DEFAULT 0,
+  attempts INTEGER NOT NULL DEFAULT 0, -- Fallos al preparar el job (token, credenciales)
+  last_error TEXT,
+  run_after TIMESTAMP WITH TIME ZONE, -- Backoff tras un fallo al preparar
+  locked_by TEXT,                -- Worker que tiene el lease
+  lease_expires_at TIMESTAMP WITH TIME ZONE, -- Visibility timeout: vencido, otro worker retoma el job
+  heartbeat_at TIMESTAMP WITH TIME ZONE,
+  started_at TIMESTAMP WITH TIME ZONE,
+  finished_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_claimable ON jobs(status, created_at) WHERE status IN ('queued', 'running');
+
+-- Un ítem por producto del job. Estados: pending → running → done / failed; cancelled si el job se canceló antes
+CREATE TABLE IF NOT EXISTS job_items (
+  id BIGSERIAL PRIMARY KEY,
+  job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,     -- Orden en que se encoló
+  item_key TEXT NOT NULL,        -- Kinguin ID
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'running', 'done', 'failed', 'cancelled')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  result JSONB,                  -- Resultado del handler, el mismo formato que job_logs.results
+  last_error TEXT,
+  run_after TIMESTAMP WITH TIME ZONE, -- Backoff antes del próximo intento
+  locked_by TEXT,
+  lease_expires_at TIMESTAMP WITH TIME ZONE,
+  finished_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (job_id, item_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_items_claimable ON job_items(job_id, status, position);
+
+COMMENT ON TABLE jobs IS 'Cola de jobs con lease y heartbeat; el progreso visible sigue en job_logs';
+COMMENT ON TABLE job_items IS 'Ítems de cada job: se reintentan con backoff y un worker nuevo retoma los pendientes';
+
+-- Pausar, reanudar y cancelar (/api/jobs/[id]/pause, /resume, /cancel), para tablas creadas antes
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_status_check;
+ALTER TABLE jobs ADD CONSTRAINT jobs_status_check
+  CHECK (status IN ('queued', 'running', 'paused', 'completed', 'failed', 'cancelled'));
+ALTER TABLE job_items DROP CONSTRAINT IF EXISTS job_items_status_check;
+ALTER TABLE job_items ADD CONSTRAINT job_items_status_check
+  CHECK (status IN ('pending', 'running', 'done', 'failed', 'cancelled'));
+ALTER TABLE job_logs DROP CONSTRAINT IF EXISTS job_logs_status_check;
+ALTER TABLE job_logs ADD CONSTRAINT job_logs_status_check
+  CHECK (status IN ('running', 'paused', 'completed', 'failed', 'cancelled'));
@@ -0,0 +1,121 @@
+-- Plantillas de título y descripción (lib/listing-templates.js)
+-- Cada guardado crea una versión nueva; solo una versión activa por alcance (scope_key).
+-- Un campo de alcance en NULL acepta cualquier valor; gana la plantilla más específica.
+CREATE TABLE IF NOT EXISTS listing_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  kind TEXT NOT NULL CHECK (kind IN ('title', 'description')),
+  product_type TEXT,      -- Valor de getProductType: key, dlc, gift, altergift, gift_card, account
+  platform TEXT,          -- Valor de normalizePlatform: Steam, GOG, Epic Games, ...
+  site_id TEXT,           -- Sitio de ML: MLC, MLA, ...
+  scope_key TEXT NOT NULL, -- kind:product_type:platform:site_id con * para NULL
+  version INTEGER NOT NULL,
+  body TEXT NOT NULL,     -- Texto con placeholders {{name}}, {{platform}}, {{activationSteps}}...
+  notes TEXT,
+  active BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (scope_key, version)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_listing_templates_active_scope ON listing_templates(scope_key) WHERE active;
+
+-- Versión de plantilla con la que se publicó cada descripción, para el re-render masivo
+ALTER TABLE published_products ADD COLUMN IF NOT EXISTS description_template_id UUID;
+ALTER TABLE published_products ADD COLUMN IF NOT EXISTS description_template_version INTEGER;
+ALTER TABLE published_products ADD COLUMN IF NOT EXISTS description_rendered_at TIMESTAMP WITH TIME ZONE;
+CREATE INDEX IF NOT EXISTS idx_published_products_description_rendered ON published_products(description_rendered_at NULLS FIRST) WHERE status = 'active';
+
+-- Experimentos A/B de título y descripción (lib/listing-experiments.js)
+CREATE TABLE IF NOT EXISTS listing_experiments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('title', 'description')),
+  site_id TEXT NOT NULL DEFAULT 'MLC',
+  product_type TEXT,      -- NULL = cualquier tipo
+  platform TEXT,          -- NULL = cualquier plataforma
+  sample_size INTEGER NOT NULL DEFAULT 100,
+  status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'cancelled')),
+  winner_variant_id UUID,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  ended_at TIMESTAMP WITH TIME ZONE
+);
+
+-- El control (is_control, body NULL) usa la plantilla activa
+CREATE TABLE IF NOT EXISTS listing_experiment_variants (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  experiment_id UUID NOT NULL REFERENCES listing_experiments(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  is_control BOOLEAN NOT NULL DEFAULT FALSE,
+  body TEXT,
+  UNIQUE (experiment_id, name)
+);
+
+-- visits y sales se cuentan desde assigned_at (cron experiment-metrics)
+CREATE TABLE IF NOT EXISTS listing_experiment_assignments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  experiment_id UUID NOT NULL REFERENCES listing_experiments(id) ON DELETE CASCADE,
+  variant_id UUID NOT NULL REFERENCES listing_experiment_variants(id) ON DELETE CASCADE,
+  kinguin_id TEXT NOT NULL,
+  site_id TEXT NOT NULL,
+  ml_id TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'excluded')),
+  assigned_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  visits INTEGER NOT NULL DEFAULT 0,
+  sales INTEGER NOT NULL DEFAULT 0,
+  metrics_updated_at TIMESTAMP WITH TIME ZONE,
+  last_error TEXT,
+  UNIQUE (experiment_id, kinguin_id, site_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_experiment_assignments_listing ON listing_experiment_assignments(kinguin_id, site_id) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_experiment_assignments_metrics ON listing_experiment_assignments(metrics_updated_at NULLS FIRST) WHERE status = 'active';
+
+-- Guías de activación por plataforma (lib/activation-guides.js), versionadas como las plantillas
+CREATE TABLE IF NOT EXISTS activation_guides (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  platform TEXT NOT NULL,  -- Valor de normalizePlatform: Steam, EA App, GOG, ...
+  product_type TEXT,       -- NULL = cualquier tipo
+  scope_key TEXT NOT NULL, -- platform:product_type con * para NULL
+  version INTEGER NOT NULL,
+  body TEXT NOT NULL,
+  notes TEXT,
+  active BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (scope_key, version)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_activation_guides_active_scope ON activation_guides(scope_key) WHERE active;
+
+-- Guía enviada junto a cada key (versión 0 = la del código para esa plataforma)
+ALTER TABLE key_vault ADD COLUMN IF NOT EXISTS activation_guide_id UUID;
+ALTER TABLE key_vault ADD COLUMN IF NOT EXISTS activation_guide_platform TEXT;
+ALTER TABLE key_vault ADD COLUMN IF NOT EXISTS activation_guide_version INTEGER;
+
+-- Imágenes procesadas y subidas a ML por producto de Kinguin (lib/ml-images.js)
+-- variant: plain o badge:<plataforma> (portada con sello). Los rechazos también se guardan para no descargarlos de nuevo.
+CREATE TABLE IF NOT EXISTS ml_picture_cache (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  kinguin_id TEXT NOT NULL,
+  source_url TEXT NOT NULL,
+  variant TEXT NOT NULL DEFAULT 'plain',
+  role TEXT NOT NULL CHECK (role IN ('cover', 'screenshot')),
+  status TEXT NOT NULL CHECK (status IN ('uploaded', 'rejected')),
+  reason TEXT,            -- Motivo del rechazo (formato, tamaño)
+  picture_id TEXT,        -- ID devuelto por /pictures/items/upload
+  phash TEXT,             -- dHash de 64 bits en hex, para deduplicar screenshots
+  width INTEGER,
+  height INTEGER,
+  bytes INTEGER,
+  content_hash TEXT,      -- SHA-256 de lo subido
+  pipeline_version INTEGER NOT NULL DEFAULT 1,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (kinguin_id, source_url, variant)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ml_picture_cache_kinguin ON ml_picture_cache(kinguin_id);
+
+INSERT INTO system_config (key, value)
+VALUES ('image_pipeline', '{"min_width": 500, "min_height": 500, "min_bytes": 5120, "max_hash_distance": 6, "badge": false}')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,42 @@
+-- Cuentas de vendedor de MercadoLibre (lib/ml-accounts.js)
+-- Sin filas, el código usa una cuenta "main" armada con ML_USER_ID y KINGUIN_API_KEY.
+CREATE TABLE IF NOT EXISTS ml_accounts (
+  id TEXT PRIMARY KEY,           -- Slug: "main", "tienda2"... va en ?account= y en la cookie ml_account
+  name TEXT NOT NULL,
+  token_key TEXT NOT NULL,       -- Fila de ml_oauth_tokens (account_key) con los tokens de la cuenta
+  ml_user_id TEXT,               -- Vendedor en ML; se completa al autorizar la cuenta en el callback OAuth
+  kinguin_key_env TEXT NOT NULL DEFAULT 'KINGUIN_API_KEY' -- Nombre de la variable de entorno con la API key de Kinguin
+    CHECK (kinguin_key_env ~ '^KINGUIN_API_KEY(_[A-Z0-9]+)?$'),
+  settings JSONB NOT NULL DEFAULT '{}', -- { "category_id": "MLC1144", "listing_type_id": "gold_special" }
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ml_accounts_default ON ml_accounts(is_default) WHERE is_default;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ml_accounts_ml_user ON ml_accounts(ml_user_id) WHERE ml_user_id IS NOT NULL;
+
+-- La cuenta de siempre; sus tokens siguen en ml_oauth_tokens bajo ML_ACCESS_TOKEN
+INSERT INTO ml_accounts (id, name, token_key, is_default)
+VALUES ('main', 'Cuenta principal', 'ML_ACCESS_TOKEN', TRUE)
+ON CONFLICT (id) DO NOTHING;
+
+COMMENT ON TABLE ml_accounts IS 'Cuentas de vendedor de ML: tokens, API key de Kinguin y valores por defecto de cada una';
+
+-- Publicaciones por cuenta: el mismo producto puede estar publicado por varias cuentas en el mismo sitio
+ALTER TABLE published_products ADD COLUMN IF NOT EXISTS account_id TEXT NOT NULL DEFAULT 'main';
+DROP INDEX IF EXISTS idx_published_products_kinguin_site;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_published_products_account_kinguin_site ON published_products(account_id, kinguin_id, site_id);
+
+-- Reglas de precio por cuenta (NULL = todas las cuentas)
+ALTER TABLE pricing_rules ADD COLUMN IF NOT EXISTS account_id TEXT;
+
+-- Cuenta de cada job y de cada orden
+ALTER TABLE job_logs ADD COLUMN IF NOT EXISTS account_id TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS account_id TEXT NOT NULL DEFAULT 'main';
+CREATE INDEX IF NOT EXISTS idx_orders_account ON orders(account_id);
+
+-- Historial de precios por cuenta: dos cuentas pueden publicar el mismo kinguin_id
+ALTER TABLE price_history ADD COLUMN IF NOT EXISTS account_id TEXT NOT NULL DEFAULT 'main';
+CREATE INDEX IF NOT EXISTS idx_price_history_account_kinguin_recorded ON price_history(account_id, kinguin_id, recorded_at DESC);
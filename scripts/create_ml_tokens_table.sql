@@ -0,0 +1,16 @@
+-- Tokens OAuth de MercadoLibre, una fila por cuenta (account_key = token_key del perfil del sitio)
+-- Los escribe solo lib/ml-tokens.js: callback OAuth, refresh proactivo y refresh tras un 401
+CREATE TABLE IF NOT EXISTS ml_oauth_tokens (
+  account_key TEXT PRIMARY KEY, -- "ML_ACCESS_TOKEN" (MLC), "ML_ACCESS_TOKEN_MLA"...
+  user_id TEXT, -- Vendedor de ML dueño de los tokens
+  access_token TEXT,
+  refresh_token TEXT, -- ML lo rota en cada refresh: siempre se guarda el último
+  scope TEXT,
+  expires_at TIMESTAMP WITH TIME ZONE, -- NULL en tokens importados de la tabla tokens: se refrescan en el primer 401
+  refresh_locked_until TIMESTAMP WITH TIME ZONE, -- Lease para que una sola instancia use el refresh token
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Para encontrar la cuenta de un token rechazado con 401
+CREATE INDEX IF NOT EXISTS idx_ml_oauth_tokens_access_token ON ml_oauth_tokens(access_token);
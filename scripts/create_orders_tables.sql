@@ -0,0 +1,99 @@
+-- Tabla de órdenes de MercadoLibre en proceso de fulfillment
+-- Estados: received → paid → key_purchased → key_delivered / failed / manual_review
+CREATE TABLE IF NOT EXISTS orders (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  ml_order_id TEXT NOT NULL UNIQUE, -- Deduplicación de notificaciones orders_v2
+  ml_resource TEXT NOT NULL,
+  pack_id TEXT,
+  buyer_id TEXT,
+  status TEXT NOT NULL DEFAULT 'received'
+    CHECK (status IN ('received', 'paid', 'key_purchased', 'key_delivered', 'failed', 'manual_review')),
+  -- Un elemento por order_item de ML:
+  -- { ml_item_id, title, kinguin_product_id, quantity, status: pending|purchased|unavailable, kinguin_order_id, error }
+  items JSONB NOT NULL DEFAULT '[]'::jsonb,
+  kinguin_order_id TEXT, -- Orden combinada en Kinguin; se guarda apenas Kinguin confirma la compra
+  partial_fulfillment BOOLEAN NOT NULL DEFAULT FALSE, -- Algún ítem no se pudo comprar
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  review_reason TEXT, -- Motivo por el que la orden quedó en la cola de revisión manual
+  next_retry_at TIMESTAMP WITH TIME ZONE,
+  locked_until TIMESTAMP WITH TIME ZONE, -- Lease para que webhook y cron no procesen la misma orden a la vez
+  notifications_count INTEGER NOT NULL DEFAULT 1,
+  ml_order JSONB,
+  paid_at TIMESTAMP WITH TIME ZONE,
+  purchased_at TIMESTAMP WITH TIME ZONE,
+  delivered_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Índices para performance
+CREATE INDEX IF NOT EXISTS idx_orders_status_retry ON orders(status, next_retry_at);
+CREATE INDEX IF NOT EXISTS idx_orders_kinguin_order_id ON orders(kinguin_order_id);
+CREATE INDEX IF NOT EXISTS idx_orders_manual_review ON orders(created_at) WHERE status = 'manual_review';
+
+-- Vault de keys entregadas, cifradas con AES-256-GCM (clave en KEY_VAULT_SECRET)
+CREATE TABLE IF NOT EXISTS key_vault (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  ml_order_id TEXT NOT NULL,
+  buyer_id TEXT,
+  ml_item_id TEXT,
+  item_title TEXT,
+  kinguin_product_id TEXT,
+  kinguin_order_id TEXT,
+  encrypted_key TEXT NOT NULL, -- v1:<iv>:<authTag>:<ciphertext> en base64
+  key_hash TEXT NOT NULL, -- HMAC-SHA256 de la key, evita duplicados al reintentar
+  delivery_count INTEGER NOT NULL DEFAULT 0,
+  first_delivered_at TIMESTAMP WITH TIME ZONE,
+  last_delivered_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (order_id, key_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_key_vault_ml_order_id ON key_vault(ml_order_id);
+
+-- Comentarios
+COMMENT ON TABLE orders IS 'Órdenes de MercadoLibre y su estado de compra/entrega de keys en Kinguin';
+COMMENT ON TABLE key_vault IS 'Keys compradas en Kinguin, cifradas, para auditoría y reenvío al comprador';
+
+-- Utilidad neta por ítem vendido (lib/profit-ledger.js), registrada al comprar en Kinguin
+CREATE TABLE IF NOT EXISTS profit_ledger (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  ml_order_id TEXT NOT NULL,
+  ml_item_id TEXT,
+  kinguin_product_id TEXT,
+  kinguin_order_id TEXT,
+  title TEXT,
+  platform TEXT,
+  product_type TEXT,
+  quantity INTEGER NOT NULL DEFAULT 1,
+  sale_price_clp NUMERIC NOT NULL,          -- unit_price × cantidad
+  ml_fee_clp NUMERIC NOT NULL,              -- sale_fee de ML (o estimado con ml_fee_rates)
+  kinguin_offer_price_eur NUMERIC NOT NULL, -- Precio unitario pagado a Kinguin
+  kinguin_fee_eur NUMERIC NOT NULL,         -- kinguinFeeEUR por unidad
+  cost_source TEXT NOT NULL,                -- kinguin_order | published_price
+  exchange_rate NUMERIC NOT NULL,           -- EUR/CLP al momento de la compra
+  cost_clp NUMERIC NOT NULL,
+  net_profit_clp NUMERIC NOT NULL,
+  sold_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (order_id, ml_item_id, kinguin_product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_profit_ledger_sold_at ON profit_ledger(sold_at);
+
+-- Ventas de otros sitios de ML: los montos *_clp van convertidos y estos guardan los originales
+ALTER TABLE profit_ledger ADD COLUMN IF NOT EXISTS site_id TEXT NOT NULL DEFAULT 'MLC';
+ALTER TABLE profit_ledger ADD COLUMN IF NOT EXISTS currency_id TEXT NOT NULL DEFAULT 'CLP';
+ALTER TABLE profit_ledger ADD COLUMN IF NOT EXISTS sale_price_local NUMERIC; -- unit_price × cantidad, en currency_id
+ALTER TABLE profit_ledger ADD COLUMN IF NOT EXISTS ml_fee_local NUMERIC;     -- sale_fee × cantidad, en currency_id
+ALTER TABLE profit_ledger ADD COLUMN IF NOT EXISTS local_to_clp NUMERIC;     -- CLP por unidad de currency_id (EUR/CLP ÷ EUR/moneda)
+
+-- Órdenes cuya utilidad no se pudo registrar al comprar; el cron retry-orders las reconcilia
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS profit_pending BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS profit_error TEXT;
+CREATE INDEX IF NOT EXISTS idx_orders_profit_pending ON orders(purchased_at) WHERE profit_pending;
+
+COMMENT ON TABLE profit_ledger IS 'Venta, comisión ML, costo Kinguin y utilidad neta en CLP por ítem de orden';
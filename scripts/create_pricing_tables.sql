@@ -0,0 +1,119 @@
+-- Reglas de precio (lib/pricing-rules.js)
+-- Se evalúan por prioridad ascendente; gana la primera cuyo alcance coincide con el producto.
+-- Un campo de alcance en NULL acepta cualquier valor. Si ninguna coincide se usan las reglas base del código.
+CREATE TABLE IF NOT EXISTS pricing_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  priority INTEGER NOT NULL DEFAULT 100,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  -- Alcance
+  product_type TEXT,      -- Valor de getProductType: key, dlc, gift, altergift, gift_card, account
+  platform TEXT,          -- Valor de normalizePlatform: Steam, GOG, Epic Games, ...
+  kinguin_id TEXT,        -- Producto específico
+  min_cost_clp NUMERIC,   -- Banda de costo (oferta + fee Kinguin en CLP), mínimo inclusive
+  max_cost_clp NUMERIC,   -- máximo exclusivo
+  -- Cálculo
+  margin NUMERIC NOT NULL,                 -- 0.30 = 30% sobre el costo
+  low_price_threshold NUMERIC,             -- Si el precio con margen queda bajo este valor...
+  low_price_bump NUMERIC NOT NULL DEFAULT 0, -- ...se le suma este ajuste en CLP
+  ml_fee_factor NUMERIC NOT NULL DEFAULT 1,  -- Factor para compensar la comisión de ML
+  rounding TEXT NOT NULL DEFAULT '990' CHECK (rounding IN ('990', '100', 'none')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pricing_rules_priority ON pricing_rules(priority) WHERE enabled;
+
+-- Regla que produjo cada precio
+ALTER TABLE published_products ADD COLUMN IF NOT EXISTS pricing_rule_id UUID;
+ALTER TABLE published_products ADD COLUMN IF NOT EXISTS pricing_rule_name TEXT;
+ALTER TABLE price_history ADD COLUMN IF NOT EXISTS pricing_rule_id UUID;
+ALTER TABLE price_history ADD COLUMN IF NOT EXISTS pricing_rule_name TEXT;
+
+COMMENT ON TABLE pricing_rules IS 'Reglas configurables de margen, ajustes y redondeo para computePriceCLP';
+
+-- Comisión real de ML por regla (lib/ml-fees.js)
+ALTER TABLE pricing_rules ADD COLUMN IF NOT EXISTS fee_mode TEXT NOT NULL DEFAULT 'factor' CHECK (fee_mode IN ('factor', 'ml'));
+ALTER TABLE pricing_rules ADD COLUMN IF NOT EXISTS listing_type_id TEXT; -- gold_pro, gold_special, free (NULL = gold_pro)
+ALTER TABLE pricing_rules ADD COLUMN IF NOT EXISTS category_id TEXT;     -- Categoría ML (NULL = MLC159270)
+
+-- Tarifas de ML traídas de /sites/{site}/listing_prices
+CREATE TABLE IF NOT EXISTS ml_fee_rates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  site_id TEXT NOT NULL DEFAULT 'MLC',
+  category_id TEXT NOT NULL,
+  listing_type_id TEXT NOT NULL,
+  percentage_fee NUMERIC NOT NULL,           -- 0.17 = 17% sobre el precio
+  fixed_fees JSONB NOT NULL DEFAULT '[]',    -- [{ "max_price": 9990, "fee": 700 }, { "max_price": null, "fee": 0 }]
+  fetched_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (site_id, category_id, listing_type_id)
+);
+
+COMMENT ON TABLE ml_fee_rates IS 'Comisiones de venta de ML por categoría y tipo de publicación, cacheadas desde listing_prices';
+
+-- Estadísticas de mercado por título normalizado (pages/api/_market-validation.js), válidas 6 horas
+CREATE TABLE IF NOT EXISTS market_price_cache (
+  cache_key TEXT PRIMARY KEY,  -- Título normalizado, con "|plataforma" si se filtró por plataforma
+  stats JSONB,                 -- NULL = sin suficientes publicaciones comparables
+  fetched_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Repricing por competencia (lib/competitor-repricing.js)
+ALTER TABLE price_history ADD COLUMN IF NOT EXISTS reason TEXT; -- Motivo del cambio si no viene de la regla de precio
+ALTER TABLE published_products ADD COLUMN IF NOT EXISTS competitor_checked_at TIMESTAMP WITH TIME ZONE;
+CREATE INDEX IF NOT EXISTS idx_published_products_competitor_checked ON published_products(competitor_checked_at NULLS FIRST) WHERE status = 'active';
+-- Quién fijó el precio vigente: 'rule' (syncs de regla) o 'competitor'; los syncs no lo tocan hasta competitor_price_until (lib/price-guards.js)
+ALTER TABLE published_products ADD COLUMN IF NOT EXISTS pricing_source TEXT NOT NULL DEFAULT 'rule' CHECK (pricing_source IN ('rule', 'competitor'));
+ALTER TABLE published_products ADD COLUMN IF NOT EXISTS competitor_price_until TIMESTAMP WITH TIME ZONE;
+
+-- Configuración (se puede editar desde Supabase); enabled en false hasta activarlo explícitamente
+INSERT INTO system_config (key, value)
+VALUES ('competitor_repricing', '{"enabled": false, "position": "cheapest", "adjust_pct": -0.01, "floor_margin": 0.10, "ceiling_ratio": 1.5, "min_change_pct": 0.02, "batch_size": 50, "hold_hours": 24}')
+ON CONFLICT (key) DO NOTHING;
+
+-- Proveedor de tipo de cambio (lib/fx-provider.js)
+INSERT INTO system_config (key, value)
+VALUES ('fx_provider', '{"max_deviation_pct": 0.05, "max_spread_pct": 0.03, "deviation_window_hours": 48, "cache_ttl_seconds": 600, "hold_on_disagreement": true}')
+ON CONFLICT (key) DO NOTHING;
+
+-- Desglose de cada precio escrito (buildPriceBreakdown en pages/api/_logic.js), para /api/products/[id]/price-explain
+ALTER TABLE price_history ADD COLUMN IF NOT EXISTS breakdown JSONB; -- Oferta EUR, vendedor, fee Kinguin, FX y fuente, regla, comisión ML, redondeo
+CREATE INDEX IF NOT EXISTS idx_price_history_kinguin_recorded ON price_history(kinguin_id, recorded_at DESC);
+
+-- Sitios de MercadoLibre (lib/ml-sites.js): una publicación por producto y sitio
+ALTER TABLE published_products ADD COLUMN IF NOT EXISTS site_id TEXT NOT NULL DEFAULT 'MLC';
+ALTER TABLE published_products ADD COLUMN IF NOT EXISTS currency_id TEXT NOT NULL DEFAULT 'CLP';
+ALTER TABLE published_products DROP CONSTRAINT IF EXISTS published_products_kinguin_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_published_products_kinguin_site ON published_products(kinguin_id, site_id);
+ALTER TABLE exchange_rates ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'CLP'; -- Tipo de cambio EUR/currency
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS site_id TEXT NOT NULL DEFAULT 'MLC'; -- Sitio del vendedor: define el token con que se entrega
+
+-- Sitios habilitados y ajustes por sitio (category_id, attributes, rounding, tax_factor, token_key)
+INSERT INTO system_config (key, value)
+VALUES ('ml_sites', '{"enabled": ["MLC"], "profiles": {}}')
+ON CONFLICT (key) DO NOTHING;
+
+-- Categoría y atributos de ML por sitio, plataforma y tipo de producto (lib/ml-categories.js)
+-- source = 'predictor' se vuelve a predecir a los 30 días; 'manual' es un override y no se toca.
+CREATE TABLE IF NOT EXISTS ml_category_mappings (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  site_id TEXT NOT NULL,
+  platform TEXT NOT NULL,       -- Valor de mlPlatformFor: PC, Xbox One, PlayStation 5, ...
+  product_type TEXT NOT NULL,   -- Valor de getProductType
+  category_id TEXT NOT NULL,
+  category_name TEXT,
+  attributes JSONB NOT NULL DEFAULT '{}',  -- { "REGION": { "value_id": "...", "value_name": "Global" } }
+  required_attributes JSONB,               -- Ids obligatorios de la categoría; NULL = consultar a ML en el próximo uso
+  source TEXT NOT NULL DEFAULT 'predictor' CHECK (source IN ('predictor', 'manual')),
+  resolved_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (site_id, platform, product_type)
+);
+
+-- Juegos de PC en MLC: la categoría y los value_id con los que se publicaba hasta ahora
+INSERT INTO ml_category_mappings (site_id, platform, product_type, category_id, attributes, source)
+SELECT 'MLC', 'PC', product_type, 'MLC159270',
+  '{"CONSOLE_VERSION": {"value_id": "59585252", "value_name": "PC"}, "EMPTY_GTIN_REASON": {"value_id": "17055159"}, "FORMAT": {"value_id": "2132699"}, "ITEM_CONDITION": {"value_id": "2230284"}, "REGION": {"value_id": "1233475"}, "VIDEO_GAME_PLATFORM": {"value_id": "126552"}}',
+  'manual'
+FROM unnest(ARRAY['key', 'dlc', 'gift', 'altergift', 'account']) AS product_type
+ON CONFLICT (site_id, platform, product_type) DO NOTHING;
@@ -24,11 +24,38 @@ CREATE TABLE IF NOT EXISTS webhook_queue (
   processed_at TIMESTAMP WITH TIME ZONE
 );
 
+-- Resultado del procesamiento (lib/webhook-queue.js)
+ALTER TABLE webhook_queue ADD COLUMN IF NOT EXISTS outcome VARCHAR(30); -- 'repriced', 'paused', 'reactivated', 'unchanged', 'not_published', 'dead_letter'
+ALTER TABLE webhook_queue ADD COLUMN IF NOT EXISTS last_error TEXT;
+
+-- Nonces de webhooks ya recibidos (lib/webhook-security.js), para rechazar repeticiones
+CREATE TABLE IF NOT EXISTS webhook_nonces (
+  source VARCHAR(30) NOT NULL, -- 'kinguin', 'mercadolibre'
+  nonce TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (source, nonce)
+);
+
+-- Webhooks rechazados por la verificación (métricas en /api/health)
+CREATE TABLE IF NOT EXISTS webhook_rejections (
+  id SERIAL PRIMARY KEY,
+  source VARCHAR(30) NOT NULL,
+  reason VARCHAR(50) NOT NULL, -- 'missing_secret', 'invalid_secret', 'stale_timestamp', 'replay', ...
+  event_name VARCHAR(50),
+  ip TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Índices para performance
 CREATE INDEX IF NOT EXISTS idx_sync_history_type_date ON sync_history(sync_type, created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_webhook_queue_processed ON webhook_queue(processed, created_at);
 CREATE INDEX IF NOT EXISTS idx_webhook_queue_kinguin_id ON webhook_queue(kinguin_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_nonces_created ON webhook_nonces(created_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_rejections_created ON webhook_rejections(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_queue_dead_letter ON webhook_queue(created_at) WHERE outcome = 'dead_letter';
 
 -- Comentarios
 COMMENT ON TABLE sync_history IS 'Historial de sincronizaciones con Kinguin API';
-COMMENT ON TABLE webhook_queue IS 'Cola de webhooks de Kinguin para procesamiento asíncrono';
\ No newline at end of file
+COMMENT ON TABLE webhook_queue IS 'Cola de webhooks de Kinguin para procesamiento asíncrono';
+COMMENT ON TABLE webhook_nonces IS 'Envíos de webhooks ya recibidos, para protección contra replay';
+COMMENT ON TABLE webhook_rejections IS 'Webhooks rechazados por secret inválido, timestamp vencido o replay';
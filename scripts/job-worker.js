@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * Worker de la cola de jobs (lib/job-queue.js) como proceso de larga duración.
+ *
+ * Llama a /api/cron/job-worker en bucle: mientras haya ítems listos pide el siguiente tick
+ * de inmediato y, sin trabajo, espera unos segundos. Si el proceso o el servidor se cae a la
+ * mitad de un job, el lease vence y el siguiente tick lo retoma desde el último ítem terminado.
+ *
+ * Para ejecutar:
+ * node scripts/job-worker.js
+ *
+ * Para ejecutar como proceso en segundo plano:
+ * pm2 start scripts/job-worker.js --name "kinguin-ml-job-worker"
+ */
+
+require('dotenv').config();
+const os = require('os');
+
+const API_BASE_URL = process.env.API_BASE_URL || 'http://localhost:3000';
+const WORKER_ID = `job-worker-${os.hostname()}-${process.pid}`;
+const IDLE_DELAY_MS = 15 * 1000;  // Sin ítems listos
+const ERROR_DELAY_MS = 60 * 1000; // Tras un error del servidor
+
+let stopping = false;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function tick() {
+  const response = await fetch(`${API_BASE_URL}/api/cron/job-worker?workerId=${encodeURIComponent(WORKER_ID)}`, {
+    headers: process.env.API_SECRET_KEY ? { Authorization: `Bearer ${process.env.API_SECRET_KEY}` } : {}
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || `Error ${response.status}`);
+  return data;
+}
+
+async function main() {
+  console.log(`[${new Date().toISOString()}] Worker de jobs ${WORKER_ID} iniciado contra ${API_BASE_URL}`);
+
+  while (!stopping) {
+    try {
+      const result = await tick();
+      if (result.processed > 0) {
+        console.log(`[${new Date().toISOString()}] ${result.processed} ítems en ${result.jobs.length} jobs (${result.execution_time_seconds}s)`);
+      }
+      // Con ítems pendientes y avance en este tick se sigue sin pausa; si solo quedan reintentos en backoff, se espera
+      if (!(result.has_more && result.processed > 0)) await sleep(IDLE_DELAY_MS);
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] Error en el tick del worker:`, error.message);
+      await sleep(ERROR_DELAY_MS);
+    }
+  }
+
+  console.log(`[${new Date().toISOString()}] Worker de jobs detenido`);
+}
+
+// Manejar señales para un cierre ordenado: termina el tick en curso y sale
+process.on('SIGINT', () => {
+  console.log(`[${new Date().toISOString()}] Deteniendo worker de jobs después del tick en curso...`);
+  stopping = true;
+});
+
+process.on('SIGTERM', () => {
+  console.log(`[${new Date().toISOString()}] Deteniendo worker de jobs por señal SIGTERM...`);
+  stopping = true;
+});
+
+main();
@@ -66,7 +66,10 @@ async function runSyncJob(jobConfig) {
     const response = await axios.post(
       `${API_BASE_URL}${jobConfig.endpoint}`, 
       jobConfig.params,
-      { timeout: 30000 }
+      {
+        timeout: 30000,
+        headers: process.env.API_SECRET_KEY ? { Authorization: `Bearer ${process.env.API_SECRET_KEY}` } : {}
+      }
     );
     
     console.log(`Trabajo programado iniciado con éxito. Job ID: ${response.data.jobId}`);
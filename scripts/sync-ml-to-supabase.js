@@ -36,7 +36,9 @@ async function main() {
   // 1️⃣ Obtener todos los kinguin_id desde Supabase
   const { data: products, error: errorProducts } = await supabase
     .from("published_products")
-    .select("kinguin_id");
+    .select("kinguin_id")
+    .eq("account_id", "main") // El token de la tabla tokens es el de la cuenta principal
+    .eq("site_id", "MLC");
 
   if (errorProducts) {
     console.error("❌ Error leyendo published_products:", errorProducts.message);
@@ -61,7 +63,7 @@ async function main() {
         // 3️⃣ Guardar en Supabase
         const { error: upsertError } = await supabase
           .from("published_products")
-          .upsert({ kinguin_id, ml_id }, { onConflict: "kinguin_id" });
+          .upsert({ account_id: "main", kinguin_id, ml_id, site_id: "MLC" }, { onConflict: "account_id,kinguin_id,site_id" });
 
         if (upsertError) {
           console.error(
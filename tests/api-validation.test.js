@@ -0,0 +1,133 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+// Toda escritura en la base falla: una respuesta 400 solo puede venir de la validación
+const db = vi.hoisted(() => ({ writes: [] }));
+
+vi.mock("@supabase/supabase-js", () => import("./helpers/supabase").then(m => m.fakeSupabase(query => {
+  if (query.action === "select") return { data: [] };
+  db.writes.push(query);
+  return { error: { message: "connection reset" } };
+})));
+
+const { default: pricingRules } = await import("../pages/api/pricing-rules");
+const { default: listingTemplates } = await import("../pages/api/listing-templates/index");
+const { default: listingExperiments } = await import("../pages/api/listing-experiments/index");
+const { default: activationGuides } = await import("../pages/api/activation-guides");
+const { default: authUsers } = await import("../pages/api/auth/users");
+const { default: mlAccounts } = await import("../pages/api/ml-accounts");
+
+function call(handler, { method = "POST", query = {}, body = {} } = {}) {
+  const res = { status: vi.fn(() => res), json: vi.fn(() => res) };
+  return handler({ method, query, body, headers: { "x-auth-user-role": "admin" } }, res).then(() => res);
+}
+
+beforeEach(() => {
+  db.writes = [];
+  vi.spyOn(console, "error").mockImplementation(() => {});
+});
+
+describe("/api/pricing-rules", () => {
+  it("una regla inválida es un 400 y no llega a la base", async () => {
+    const res = await call(pricingRules, { body: { name: "Oferta", priority: 1, margin: 9 } });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ success: false, error: "Margen inválido (0 a 5)" });
+    expect(db.writes).toEqual([]);
+  });
+
+  it("un error de la base es un 500", async () => {
+    const res = await call(pricingRules, { body: { name: "Oferta", priority: 1, margin: 0.2 } });
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(db.writes).toHaveLength(1);
+  });
+});
+
+describe("/api/listing-templates", () => {
+  it("una plantilla inválida es un 400 y no llega a la base", async () => {
+    const res = await call(listingTemplates, { body: { kind: "title", body: "{{no_existe}}" } });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error).toMatch(/^Placeholders desconocidos: no_existe/);
+    expect(db.writes).toEqual([]);
+  });
+
+  it("un error de la base es un 500", async () => {
+    const res = await call(listingTemplates, { body: { kind: "title", body: "{{shortName}} {{platform}}" } });
+
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+});
+
+describe("/api/listing-experiments", () => {
+  it("un experimento inválido es un 400 y no llega a la base", async () => {
+    const res = await call(listingExperiments, { body: { name: "Títulos cortos", kind: "title", variants: [] } });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ success: false, error: "Se necesita al menos una variante además del control" });
+    expect(db.writes).toEqual([]);
+  });
+
+  it("un error de la base es un 500", async () => {
+    const res = await call(listingExperiments, {
+      body: { name: "Títulos cortos", kind: "title", variants: [{ name: "corto", body: "{{shortName}}" }] },
+    });
+
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+});
+
+describe("/api/activation-guides", () => {
+  it("una guía inválida es un 400 y no llega a la base", async () => {
+    const res = await call(activationGuides, { body: { platform: "Steam", body: "  " } });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ success: false, error: "La guía no puede estar vacía" });
+    expect(db.writes).toEqual([]);
+  });
+
+  it("un error de la base es un 500", async () => {
+    const res = await call(activationGuides, { body: { platform: "Steam", body: "1. Abre Steam" } });
+
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+});
+
+describe("/api/auth/users", () => {
+  it("un usuario inválido es un 400 y no llega a la base", async () => {
+    const res = await call(authUsers, { body: { email: "ops@example.com", role: "viewer", password: "corta" } });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ success: false, error: "La contraseña debe tener al menos 10 caracteres" });
+    expect(db.writes).toEqual([]);
+  });
+
+  it("un cambio de rol inválido es un 400", async () => {
+    const res = await call(authUsers, { method: "PUT", query: { id: "u1" }, body: { role: "root" } });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(db.writes).toEqual([]);
+  });
+
+  it("un error de la base es un 500", async () => {
+    const res = await call(authUsers, { body: { email: "ops@example.com", role: "viewer", password: "una-contraseña-larga" } });
+
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+});
+
+describe("/api/ml-accounts", () => {
+  it("una cuenta inválida es un 400 y no llega a la base", async () => {
+    const res = await call(mlAccounts, { body: { id: "tienda2", name: "Tienda 2", kinguin_key_env: "API_SECRET_KEY" } });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error).toMatch(/^Variable de entorno inválida: API_SECRET_KEY/);
+    expect(db.writes).toEqual([]);
+  });
+
+  it("un error de la base es un 500", async () => {
+    const res = await call(mlAccounts, { body: { id: "tienda2", name: "Tienda 2", kinguin_key_env: "KINGUIN_API_KEY_TIENDA2" } });
+
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+});
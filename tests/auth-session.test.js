@@ -0,0 +1,136 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { NextRequest } from "next/server";
+
+const db = vi.hoisted(() => ({ users: [], updates: [] }));
+
+vi.mock("@supabase/supabase-js", () => import("./helpers/supabase").then(m => m.fakeSupabase(query => {
+  if (query.table !== "admin_users") return {};
+  if (query.action === "update") {
+    db.updates.push(query.payload);
+    return {};
+  }
+  return { data: db.users.find(user => user.email === query.filters.email) || null };
+})));
+
+const {
+  SESSION_COOKIE,
+  SERVICE_PRINCIPAL,
+  requiredRole,
+  roleAllows,
+  resolvePrincipal,
+  signSession,
+  verifySession,
+} = await import("../lib/auth-session");
+const { authenticate, hashPassword } = await import("../lib/auth");
+const { middleware } = await import("../middleware");
+
+const ENV = { ...process.env };
+
+beforeEach(() => {
+  process.env.AUTH_SECRET = "s".repeat(32);
+  process.env.API_SECRET_KEY = "secret-key";
+  Object.assign(db, { users: [], updates: [] });
+});
+afterEach(() => {
+  process.env = { ...ENV };
+  vi.useRealTimers();
+});
+
+describe("sesiones", () => {
+  const user = { sub: "1", email: "ops@example.com", role: "operator" };
+
+  it("firma y verifica una sesión", async () => {
+    expect(await verifySession(await signSession(user))).toMatchObject(user);
+  });
+
+  it("rechaza un token alterado, firmado con otro secret o vencido", async () => {
+    const token = await signSession(user);
+    const [payload, signature] = token.split(".");
+    const forged = Buffer.from(JSON.stringify({ ...user, role: "admin", exp: 9999999999 })).toString("base64url");
+
+    expect(await verifySession(`${forged}.${signature}`)).toBeNull();
+    expect(await verifySession(`${payload}.${signature.slice(0, -1)}x`)).toBeNull();
+
+    process.env.AUTH_SECRET = "t".repeat(32);
+    expect(await verifySession(token)).toBeNull();
+
+    process.env.AUTH_SECRET = "s".repeat(32);
+    vi.useFakeTimers();
+    vi.setSystemTime(Date.now() + 13 * 60 * 60 * 1000);
+    expect(await verifySession(token)).toBeNull();
+  });
+
+  it("no firma sin un AUTH_SECRET de al menos 32 caracteres", async () => {
+    process.env.AUTH_SECRET = "corto";
+    await expect(signSession(user)).rejects.toThrow("AUTH_SECRET");
+  });
+
+  it("resuelve la API key como servicio y si no la cookie de sesión", async () => {
+    expect(await resolvePrincipal("Bearer secret-key", undefined)).toEqual(SERVICE_PRINCIPAL);
+    expect(await resolvePrincipal("Bearer otra-key", await signSession(user))).toMatchObject(user);
+    expect(await resolvePrincipal("Bearer otra-key", undefined)).toBeNull();
+  });
+});
+
+describe("roles", () => {
+  it("pide viewer para leer, operator para escribir y admin para administración", () => {
+    expect(requiredRole("/api/orders", "GET")).toBe("viewer");
+    expect(requiredRole("/api/orders", "POST")).toBe("operator");
+    expect(requiredRole("/api/sync-prices-stock", "GET")).toBe("operator");
+    expect(requiredRole("/api/cron/poll-kinguin-orders", "GET")).toBe("operator");
+    expect(requiredRole("/api/auth/users", "GET")).toBe("admin");
+    expect(requiredRole("/api/init-db", "POST")).toBe("admin");
+  });
+
+  it("deja públicas las rutas que verifican su propia firma", () => {
+    expect(requiredRole("/api/auth/login", "POST")).toBeNull();
+    expect(requiredRole("/api/webhooks/kinguin", "POST")).toBeNull();
+    expect(requiredRole("/api/order/webhook", "POST")).toBeNull();
+  });
+
+  it("cada rol incluye los permisos de los anteriores", () => {
+    expect(roleAllows("admin", "operator")).toBe(true);
+    expect(roleAllows("operator", "operator")).toBe(true);
+    expect(roleAllows("viewer", "operator")).toBe(false);
+    expect(roleAllows("root", "viewer")).toBe(false);
+  });
+});
+
+describe("middleware", () => {
+  async function request(path, { method = "GET", role, headers = {} } = {}) {
+    const cookie = role ? `${SESSION_COOKIE}=${await signSession({ sub: "1", email: "u@example.com", role })}` : "";
+    return middleware(new NextRequest(`http://localhost${path}`, { method, headers: { cookie, ...headers } }), { waitUntil: () => {} });
+  }
+
+  it("responde 401 sin sesión y 403 si el rol no alcanza", async () => {
+    expect((await request("/api/orders")).status).toBe(401);
+    expect((await request("/api/orders", { method: "POST", role: "viewer" })).status).toBe(403);
+    expect((await request("/api/auth/users", { role: "operator" })).status).toBe(403);
+  });
+
+  it("deja pasar con el rol necesario y no confía en los headers x-auth-user-* del cliente", async () => {
+    expect((await request("/api/orders", { method: "POST", role: "operator" })).status).toBe(200);
+    expect((await request("/api/orders", { headers: { "x-auth-user-role": "admin" } })).status).toBe(401);
+  });
+});
+
+describe("authenticate", () => {
+  it("acepta la contraseña correcta de un usuario activo y guarda el último login", async () => {
+    db.users = [{ id: "u1", email: "ops@example.com", name: "Ops", role: "operator", active: true, password_hash: await hashPassword("correct-horse") }];
+
+    expect(await authenticate(" OPS@example.com ", "correct-horse")).toEqual({ id: "u1", email: "ops@example.com", name: "Ops", role: "operator" });
+    expect(db.updates).toEqual([{ last_login_at: expect.any(String) }]);
+  });
+
+  it("rechaza una contraseña incorrecta o un usuario desactivado", async () => {
+    const password_hash = await hashPassword("correct-horse");
+    db.users = [
+      { id: "u1", email: "ops@example.com", role: "operator", active: true, password_hash },
+      { id: "u2", email: "old@example.com", role: "admin", active: false, password_hash },
+    ];
+
+    expect(await authenticate("ops@example.com", "wrong-horse")).toBeNull();
+    expect(await authenticate("old@example.com", "correct-horse")).toBeNull();
+    expect(db.updates).toEqual([]);
+  });
+});
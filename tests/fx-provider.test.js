@@ -0,0 +1,47 @@
+import { describe, it, expect, vi } from "vitest";
+
+vi.mock("@supabase/supabase-js", () => import("./helpers/supabase").then(m => m.fakeSupabase()));
+vi.mock("../pages/api/_logic", () => ({ logActivity: vi.fn(async () => {}) }));
+
+const { resolveFxRate, DEFAULT_FX_CONFIG, FX_MODE } = await import("../lib/fx-provider");
+
+const stored = (rate, ageHours) => ({ rate, ageHours, createdAt: new Date().toISOString() });
+
+describe("resolveFxRate", () => {
+  it("descarta una fuente desviada si el resto coincide", () => {
+    const decision = resolveFxRate([1000, 1002, 1001, 1500], stored(1000, 1), DEFAULT_FX_CONFIG);
+
+    expect(decision.mode).toBe(FX_MODE.LIVE);
+    expect(decision.rate).toBe(1001);
+    expect(decision.discarded).toBe(1);
+  });
+
+  it("con dos fuentes en desacuerdo retiene el último valor reciente", () => {
+    const decision = resolveFxRate([1000, 1100], stored(1010, 5), DEFAULT_FX_CONFIG);
+
+    expect(decision.mode).toBe(FX_MODE.HOLD);
+    expect(decision.rate).toBe(1010);
+  });
+
+  it("sin mayoría que coincida no descarta nada y retiene", () => {
+    const decision = resolveFxRate([900, 1000, 1100], stored(1000, 5), DEFAULT_FX_CONFIG);
+
+    expect(decision.discarded).toBe(0);
+    expect(decision.mode).toBe(FX_MODE.HOLD);
+  });
+
+  it("no retiene con un valor guardado más viejo que deviation_window_hours: usa la mediana", () => {
+    const disagreement = resolveFxRate([1000, 1100], stored(900, 72), DEFAULT_FX_CONFIG);
+    const deviation = resolveFxRate([1000, 1001], stored(900, 72), DEFAULT_FX_CONFIG);
+
+    expect(disagreement.mode).toBe(FX_MODE.LIVE);
+    expect(disagreement.rate).toBe(1050);
+    expect(deviation.mode).toBe(FX_MODE.LIVE);
+    expect(deviation.rate).toBe(1001);
+  });
+
+  it("sin fuentes usa el valor guardado de menos de 24 horas o pasa a emergencia", () => {
+    expect(resolveFxRate([], stored(1000, 5), DEFAULT_FX_CONFIG)).toMatchObject({ mode: FX_MODE.STORED, rate: 1000 });
+    expect(resolveFxRate([], stored(1000, 30), DEFAULT_FX_CONFIG)).toMatchObject({ mode: FX_MODE.EMERGENCY, rate: null });
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Cliente falso de @supabase/supabase-js para los tests. Cada consulta se encadena como en PostgREST
+ * y al resolverse llama a `respond(query)` con lo que se pidió:
+ * { table, action, payload, filters, inFilters, range, limit, single }. `filters` guarda los eq() por columna
+ * e `inFilters` los in(); el resto de los filtros no se registra.
+ * `respond` devuelve { data, error } (o una promesa); si no devuelve nada la respuesta es vacía.
+ *
+ * Uso: vi.mock("@supabase/supabase-js", () => import("./helpers/supabase").then(m => m.fakeSupabase(respond)))
+ */
+export function fakeSupabase(respond = () => {}) {
+  return {
+    createClient: () => ({
+      from: table => createQuery(table, respond),
+    }),
+  };
+}
+
+const ACTIONS = ["insert", "update", "upsert", "delete"];
+const CHAINABLE = ["select", "neq", "is", "not", "or", "gt", "gte", "lt", "lte", "like", "ilike", "contains", "order"];
+
+function createQuery(table, respond) {
+  const query = { table, action: "select", payload: null, filters: {}, inFilters: {}, range: null, limit: null, single: false };
+  const run = async () => ({ data: null, error: null, ...(await respond(query)) });
+
+  const builder = {
+    eq: (column, value) => {
+      query.filters[column] = value;
+      return builder;
+    },
+    in: (column, values) => {
+      query.inFilters[column] = values;
+      return builder;
+    },
+    range: (from, to) => {
+      query.range = [from, to];
+      return builder;
+    },
+    limit: count => {
+      query.limit = count;
+      return builder;
+    },
+    single: () => {
+      query.single = true;
+      return run();
+    },
+    maybeSingle: () => {
+      query.single = true;
+      return run();
+    },
+    then: (resolve, reject) => run().then(resolve, reject),
+  };
+  ACTIONS.forEach(action => {
+    builder[action] = payload => {
+      query.action = action;
+      query.payload = payload;
+      return builder;
+    };
+  });
+  CHAINABLE.forEach(method => {
+    builder[method] = () => builder;
+  });
+  return builder;
+}
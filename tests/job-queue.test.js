@@ -0,0 +1,236 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+// Tablas jobs y job_items en memoria. Los filtros or() e is() de la cola no llegan al cliente falso:
+// se aplican acá según la consulta (tomar jobs con el lease libre, tomar ítems disponibles, cerrar cancelaciones).
+const db = vi.hoisted(() => ({ jobs: [], items: [] }));
+
+vi.mock("@supabase/supabase-js", () => import("./helpers/supabase").then(m => m.fakeSupabase(query => {
+  const now = new Date().toISOString();
+  const matches = row =>
+    Object.entries(query.filters).every(([column, value]) => String(row[column]) === String(value)) &&
+    Object.entries(query.inFilters).every(([column, values]) => values.map(String).includes(String(row[column])));
+  const leaseFree = row => !row.lease_expires_at || row.lease_expires_at < now;
+
+  if (query.table === "jobs") {
+    if (query.action === "insert") db.jobs.push({ attempts: 0, run_after: null, ...query.payload });
+    if (query.action === "delete") db.jobs = db.jobs.filter(row => !matches(row));
+    if (query.action === "select") {
+      const rows = db.jobs.filter(matches)
+        .filter(row => !query.inFilters.type || leaseFree(row))
+        .filter(row => query.filters.status !== "cancelled" || (!row.finished_at && leaseFree(row)));
+      return { data: query.single ? rows[0] || null : rows };
+    }
+    if (query.action === "update") {
+      const claiming = Boolean(query.payload.locked_by);
+      const settling = query.filters.status === "cancelled" && query.payload.finished_at;
+      const rows = db.jobs.filter(matches)
+        .filter(row => !claiming || leaseFree(row))
+        .filter(row => !settling || !row.finished_at);
+      rows.forEach(row => Object.assign(row, query.payload));
+      return { data: rows.map(row => ({ ...row })) };
+    }
+    return {};
+  }
+
+  if (query.table === "job_items") {
+    if (query.action === "insert") {
+      db.items.push(...query.payload.map(row => ({
+        id: `i${row.position}`,
+        status: "pending",
+        attempts: 0,
+        run_after: null,
+        locked_by: null,
+        lease_expires_at: null,
+        result: null,
+        ...row,
+      })));
+    }
+    if (query.action === "select") {
+      let rows = db.items.filter(matches).sort((a, b) => a.position - b.position);
+      if (!query.filters.status && !query.inFilters.status) {
+        rows = rows.filter(row =>
+          (row.status === "pending" && (!row.run_after || row.run_after <= now)) ||
+          (row.status === "running" && row.lease_expires_at < now)
+        );
+      }
+      if (query.range) rows = rows.slice(query.range[0], query.range[1] + 1);
+      if (query.limit) rows = rows.slice(0, query.limit);
+      return { data: rows.map(row => ({ ...row })), count: rows.length };
+    }
+    if (query.action === "update") {
+      const cancelling = query.payload.status === "cancelled";
+      const rows = db.items.filter(matches).filter(row =>
+        !cancelling || row.status === "pending" || (row.status === "running" && row.lease_expires_at < now)
+      );
+      rows.forEach(row => Object.assign(row, query.payload));
+      return { data: rows.map(row => ({ ...row })) };
+    }
+  }
+  return {};
+})));
+
+vi.mock("../lib/jobs", async importOriginal => ({
+  ...(await importOriginal()),
+  createJob: vi.fn(async () => "job-1"),
+  updateJobProgress: vi.fn(async () => {}),
+  completeJob: vi.fn(async () => {}),
+  failJob: vi.fn(async () => {}),
+  setJobStatus: vi.fn(async () => {}),
+  cancelJob: vi.fn(async () => {}),
+}));
+vi.mock("../pages/api/_logic", () => ({ logActivity: vi.fn(async () => {}) }));
+
+const { completeJob, cancelJob } = await import("../lib/jobs");
+const { enqueueJob, runWorkerTick, pauseQueueJob, resumeQueueJob, cancelQueueJob } = await import("../lib/job-queue");
+
+const past = () => new Date(Date.now() - 1000).toISOString();
+const future = () => new Date(Date.now() + 60 * 1000).toISOString();
+const tick = (processItem, workerId = "w1", concurrency) =>
+  runWorkerTick({ handlers: { test: { processItem, concurrency } }, workerId, budgetMs: 5000 });
+const succeed = vi.fn(async key => ({ kinguinId: key, status: "success" }));
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+  db.jobs = [];
+  db.items = [];
+});
+
+describe("cola de jobs", () => {
+  it("encola un ítem por ID sin repetidos y libera el lease al terminar de encolar", async () => {
+    const jobId = await enqueueJob("test", ["1", "2", " 2 ", "3"]);
+
+    expect(jobId).toBe("job-1");
+    expect(db.items.map(item => item.item_key)).toEqual(["1", "2", "3"]);
+    expect(db.jobs[0]).toMatchObject({ status: "queued", total_items: 3, locked_by: null, lease_expires_at: null });
+  });
+
+  it("procesa todos los ítems en orden y completa el job", async () => {
+    await enqueueJob("test", ["1", "2", "3"]);
+
+    const { jobs } = await tick(succeed);
+
+    expect(jobs).toEqual([{ id: "job-1", type: "test", status: "completed", processed: 3, remaining: 0 }]);
+    expect(db.items.map(item => [item.status, item.attempts, item.locked_by])).toEqual([["done", 1, null], ["done", 1, null], ["done", 1, null]]);
+    expect(completeJob).toHaveBeenCalledWith("job-1", { success: 3 }, ["1", "2", "3"].map(kinguinId => ({ kinguinId, status: "success" })));
+    expect(db.jobs[0]).toMatchObject({ status: "completed", locked_by: null });
+  });
+
+  it("no toma un job con el lease vigente de otro worker y lo retoma cuando vence", async () => {
+    await enqueueJob("test", ["1", "2", "3"]);
+    Object.assign(db.jobs[0], { status: "running", locked_by: "w0", lease_expires_at: future() });
+    Object.assign(db.items[0], { status: "done", attempts: 1, result: { kinguinId: "1", status: "success" } });
+    Object.assign(db.items[1], { status: "running", attempts: 1, locked_by: "w0", lease_expires_at: future() });
+
+    expect((await tick(succeed)).jobs).toEqual([]);
+
+    // w0 murió: vencen el lease del job y el del ítem que tenía en curso
+    db.jobs[0].lease_expires_at = past();
+    db.items[1].lease_expires_at = past();
+    const { jobs } = await tick(succeed);
+
+    expect(jobs[0]).toMatchObject({ status: "completed", processed: 2 });
+    expect(succeed.mock.calls.map(([key]) => key)).toEqual(["2", "3"]);
+    expect(db.items[1]).toMatchObject({ status: "done", attempts: 2 });
+  });
+
+  it("reintenta con backoff un ítem que falla y lo da por fallido tras 3 intentos", async () => {
+    await enqueueJob("test", ["1"]);
+    const fail = vi.fn(async () => {
+      throw new Error("Kinguin no responde");
+    });
+
+    expect((await tick(fail)).jobs[0]).toMatchObject({ status: "running", processed: 1, remaining: 1 });
+    expect(db.items[0]).toMatchObject({ status: "pending", attempts: 1, last_error: "Kinguin no responde" });
+    expect(db.items[0].run_after > new Date().toISOString()).toBe(true);
+
+    for (let attempt = 2; attempt <= 3; attempt++) {
+      db.items[0].run_after = past();
+      await tick(fail);
+    }
+
+    expect(fail).toHaveBeenCalledTimes(3);
+    expect(db.items[0]).toMatchObject({ status: "failed", attempts: 3, result: { kinguinId: "1", status: "error", reason: "max_attempts" } });
+    expect(db.jobs[0].status).toBe("completed");
+  });
+
+  it("aborta la señal del ítem que pasa el timeout y lo deja para reintentar", async () => {
+    await enqueueJob("test", ["1"]);
+    let aborted = false;
+    const hang = vi.fn((key, context, job, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener("abort", () => {
+        aborted = true;
+        reject(signal.reason);
+      });
+    }));
+
+    await runWorkerTick({ handlers: { test: { processItem: hang, itemTimeoutMs: 20 } }, workerId: "w1", budgetMs: 5000 });
+
+    expect(aborted).toBe(true);
+    expect(db.items[0]).toMatchObject({ status: "pending", attempts: 1, last_error: "Timeout: el ítem tomó más de 0.02 segundos" });
+  });
+
+  it("da por fallido sin volver a ejecutarlo un ítem que tumbó al worker en todos los intentos", async () => {
+    await enqueueJob("test", ["1"]);
+    Object.assign(db.items[0], { status: "running", attempts: 3, locked_by: "w0", lease_expires_at: past() });
+
+    await tick(succeed);
+
+    expect(succeed).not.toHaveBeenCalled();
+    expect(db.items[0]).toMatchObject({ status: "failed", result: { reason: "max_attempts" } });
+  });
+});
+
+describe("pausa y cancelación", () => {
+  // Un ítem por lote: el pedido llega mientras se procesa el ítem `key`
+  const requestDuring = (key, request) => vi.fn(async itemKey => {
+    if (itemKey === key) await request("job-1");
+    return { kinguinId: itemKey, status: "success" };
+  });
+
+  it("una pausa deja terminar el ítem en curso y el job sigue desde ahí al reanudarlo", async () => {
+    await enqueueJob("test", ["1", "2", "3"]);
+
+    expect((await tick(requestDuring("1", pauseQueueJob), "w1", 1)).jobs[0]).toMatchObject({ status: "paused", processed: 1, remaining: 2 });
+    expect((await tick(succeed)).jobs).toEqual([]);
+
+    expect(await resumeQueueJob("job-1")).toEqual({ changed: true, status: "queued" });
+    expect((await tick(succeed)).jobs[0]).toMatchObject({ status: "completed", processed: 2 });
+    expect(succeed.mock.calls.map(([key]) => key)).toEqual(["2", "3"]);
+  });
+
+  it("una cancelación durante el job informa qué IDs se procesaron y cuáles no", async () => {
+    await enqueueJob("test", ["1", "2", "3"]);
+
+    expect((await tick(requestDuring("2", cancelQueueJob), "w1", 1)).jobs[0]).toMatchObject({ status: "cancelled", processed: 2 });
+    expect(db.items.map(item => item.status)).toEqual(["done", "done", "cancelled"]);
+    expect(cancelJob).toHaveBeenCalledTimes(1);
+    expect(cancelJob.mock.calls[0][1]).toMatchObject({ success: 2, processed_ids: ["1", "2"], remaining_ids: ["3"] });
+    expect(completeJob).not.toHaveBeenCalled();
+  });
+
+  it("sin ítems en curso la cancelación se cierra enseguida y no se repite", async () => {
+    await enqueueJob("test", ["1", "2"]);
+
+    expect(await cancelQueueJob("job-1")).toEqual({ changed: true, status: "cancelled", settled: true, processed_ids: [], remaining_ids: ["1", "2"] });
+    expect(await cancelQueueJob("job-1")).toEqual({ changed: false, status: "cancelled" });
+    expect(await resumeQueueJob("job-1")).toEqual({ changed: false, status: "cancelled" });
+    expect(cancelJob).toHaveBeenCalledTimes(1);
+  });
+
+  it("si el worker murió con ítems en curso, el próximo tick cierra la cancelación", async () => {
+    await enqueueJob("test", ["1", "2"]);
+    Object.assign(db.jobs[0], { status: "running", locked_by: "w0", lease_expires_at: future() });
+    Object.assign(db.items[0], { status: "running", attempts: 1, locked_by: "w0", lease_expires_at: future() });
+
+    expect(await cancelQueueJob("job-1")).toMatchObject({ changed: true, settled: false });
+    expect(cancelJob).not.toHaveBeenCalled();
+
+    db.jobs[0].lease_expires_at = past();
+    db.items[0].lease_expires_at = past();
+    await tick(succeed);
+
+    expect(succeed).not.toHaveBeenCalled();
+    expect(cancelJob.mock.calls[0][1]).toMatchObject({ processed_ids: [], remaining_ids: ["1", "2"] });
+  });
+});
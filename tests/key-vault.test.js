@@ -0,0 +1,87 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+
+const db = vi.hoisted(() => ({ upserts: [], rows: [] }));
+
+vi.mock("@supabase/supabase-js", () => import("./helpers/supabase").then(m => m.fakeSupabase(query => {
+  if (query.action === "upsert") db.upserts.push(query);
+  return { data: query.action === "select" ? db.rows : null };
+})));
+
+const { encryptKey, decryptKey, storeOrderKeys, getOrderKeys } = await import("../lib/key-vault");
+
+const ENV = { ...process.env };
+const SECRET = Buffer.alloc(32, 1).toString("base64");
+
+beforeEach(() => {
+  process.env.KEY_VAULT_SECRET = SECRET;
+  Object.assign(db, { upserts: [], rows: [] });
+});
+afterEach(() => {
+  process.env = { ...ENV };
+});
+
+describe("encryptKey / decryptKey", () => {
+  it("cifra con un IV distinto cada vez y descifra a la key original", () => {
+    const first = encryptKey("AAAA-BBBB-CCCC");
+    const second = encryptKey("AAAA-BBBB-CCCC");
+
+    expect(first).toMatch(/^v1:/);
+    expect(first).not.toContain("AAAA");
+    expect(first).not.toBe(second);
+    expect(decryptKey(first)).toBe("AAAA-BBBB-CCCC");
+    expect(decryptKey(second)).toBe("AAAA-BBBB-CCCC");
+  });
+
+  it("rechaza un contenido alterado", () => {
+    const [version, iv, authTag, ciphertext] = encryptKey("AAAA-BBBB-CCCC").split(":");
+    const bytes = Buffer.from(ciphertext, "base64");
+    bytes[0] ^= 1;
+
+    expect(() => decryptKey([version, iv, authTag, bytes.toString("base64")].join(":"))).toThrow();
+    expect(() => decryptKey("AAAA-BBBB-CCCC")).toThrow("Formato de key cifrada no reconocido");
+  });
+
+  it("no descifra con otra clave del vault", () => {
+    const payload = encryptKey("AAAA-BBBB-CCCC");
+    process.env.KEY_VAULT_SECRET = Buffer.alloc(32, 2).toString("base64");
+
+    expect(() => decryptKey(payload)).toThrow();
+  });
+
+  it("exige KEY_VAULT_SECRET de 32 bytes", () => {
+    delete process.env.KEY_VAULT_SECRET;
+    expect(() => encryptKey("x")).toThrow("Falta KEY_VAULT_SECRET");
+
+    process.env.KEY_VAULT_SECRET = Buffer.alloc(16).toString("base64");
+    expect(() => encryptKey("x")).toThrow("32 bytes");
+  });
+});
+
+describe("storeOrderKeys / getOrderKeys", () => {
+  const order = { id: "o1", ml_order_id: "2000001", buyer_id: "999" };
+  const item = { ml_item_id: "MLC1", title: "Juego", kinguin_product_id: "55", kinguin_order_id: "K1" };
+
+  it("guarda solo la key cifrada y un HMAC estable para no duplicar filas", async () => {
+    await storeOrderKeys(order, [{ item, keys: ["AAAA-BBBB"] }]);
+    await storeOrderKeys(order, [{ item, keys: ["AAAA-BBBB"] }]);
+
+    const [first, second] = db.upserts;
+    expect(first.payload[0]).toMatchObject({ order_id: "o1", ml_item_id: "MLC1", kinguin_order_id: "K1" });
+    expect(JSON.stringify(first.payload)).not.toContain("AAAA-BBBB");
+    expect(first.payload[0].key_hash).toBe(second.payload[0].key_hash);
+    expect(decryptKey(first.payload[0].encrypted_key)).toBe("AAAA-BBBB");
+  });
+
+  it("devuelve las keys descifradas agrupadas por ítem", async () => {
+    db.rows = [
+      { id: "v1", ml_item_id: "MLC1", item_title: "Juego", encrypted_key: encryptKey("K-1") },
+      { id: "v2", ml_item_id: "MLC2", item_title: "Otro juego", encrypted_key: encryptKey("K-2") },
+      { id: "v3", ml_item_id: "MLC1", item_title: "Juego", encrypted_key: encryptKey("K-3") },
+    ];
+
+    expect(await getOrderKeys("o1")).toEqual([
+      { title: "Juego", keys: ["K-1", "K-3"], vaultIds: ["v1", "v3"] },
+      { title: "Otro juego", keys: ["K-2"], vaultIds: ["v2"] },
+    ]);
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const db = vi.hoisted(() => ({ queueError: null, inserts: [] }));
+
+vi.mock("@supabase/supabase-js", () => import("./helpers/supabase").then(m => m.fakeSupabase(query => {
+  db.inserts.push({ table: query.table, row: query.payload });
+  return db.queueError ? { error: db.queueError } : { data: { id: 7 } };
+})));
+
+vi.mock("../lib/orders", () => ({ handleKinguinOrderEvent: vi.fn(async () => ({ handled: false })) }));
+vi.mock("../lib/webhook-security", () => ({
+  verifyInboundWebhook: vi.fn(async () => ({ ok: true, nonce: "abc" })),
+  releaseWebhookNonce: vi.fn(async () => {}),
+}));
+
+const { releaseWebhookNonce } = await import("../lib/webhook-security");
+const { default: handler } = await import("../pages/api/webhooks/kinguin");
+
+function deliver() {
+  const res = { status: vi.fn(() => res), json: vi.fn(() => res), end: vi.fn(() => res) };
+  const req = { method: "POST", headers: { "x-event-name": "product.update" }, body: { kinguinId: 123, qty: 4 } };
+  return handler(req, res).then(() => res);
+}
+
+describe("webhook de Kinguin", () => {
+  beforeEach(() => {
+    db.queueError = null;
+    db.inserts = [];
+    vi.clearAllMocks();
+  });
+
+  it("responde 204 con el evento en la cola y conserva el nonce", async () => {
+    const res = await deliver();
+
+    expect(res.status).toHaveBeenCalledWith(204);
+    expect(db.inserts).toEqual([expect.objectContaining({ table: "webhook_queue" })]);
+    expect(releaseWebhookNonce).not.toHaveBeenCalled();
+  });
+
+  it("si no se puede encolar libera el nonce y responde 500 para que Kinguin reintente", async () => {
+    db.queueError = { message: "connection reset" };
+
+    const res = await deliver();
+
+    expect(releaseWebhookNonce).toHaveBeenCalledWith("kinguin", "abc");
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import path from "path";
+
+const FIXTURES_PATH = path.resolve(__dirname, "../scripts/fixtures/ml-market-search.json");
+
+const db = vi.hoisted(() => ({ cached: null, upserts: [] }));
+
+vi.mock("@supabase/supabase-js", () => import("./helpers/supabase").then(m => m.fakeSupabase(query => {
+  if (query.action === "upsert") {
+    db.upserts.push(query.payload);
+    return {};
+  }
+  return { data: db.cached };
+})));
+
+// La API de búsqueda de ML responde lo grabado en el fixture
+vi.mock("../pages/api/_http-utils", async () => {
+  const fixtures = JSON.parse((await import("fs")).readFileSync(
+    (await import("path")).resolve(__dirname, "../scripts/fixtures/ml-market-search.json"), "utf8"
+  ));
+  return {
+    axiosWithSmartRetry: vi.fn(async (url, data, { params }) => ({ data: fixtures[params.q] || { results: [] } })),
+  };
+});
+vi.mock("../lib/ml-tokens", () => ({ getAccessToken: vi.fn(async () => "token") }));
+vi.mock("../lib/ml-accounts", () => ({
+  listAccounts: vi.fn(async () => [{ id: "main", ml_user_id: "100000009" }, { id: "second", ml_user_id: null }]),
+}));
+
+const { axiosWithSmartRetry } = await import("../pages/api/_http-utils");
+const { listAccounts } = await import("../lib/ml-accounts");
+const { createFixtureSearch, getMarketStats, setMarketSearchAdapter, validateMarketPrice } = await import("../pages/api/_market-validation");
+
+describe("getMarketStats con el fixture de búsquedas", () => {
+  beforeEach(() => {
+    db.cached = null;
+    db.upserts = [];
+    setMarketSearchAdapter(null);
+    vi.clearAllMocks();
+  });
+
+  it("filtra comparables y outliers antes de la mediana", async () => {
+    setMarketSearchAdapter(createFixtureSearch(FIXTURES_PATH));
+
+    const stats = await getMarketStats("ELDEN RING Steam Key GLOBAL");
+
+    // Fuera: la usada (PS5), la expansión (Shadow of the Erdtree), la de nuestra cuenta y el outlier de 2.990
+    expect(stats).toEqual({
+      sampleSize: 5,
+      outliersRemoved: 1,
+      median: 24990,
+      q1: 23490,
+      q3: 25990,
+      iqr: 2500,
+      min: 22990,
+      max: 26990,
+      acceptableRange: { min: 12495, max: 49980 },
+      cached: false,
+    });
+  });
+
+  it("excluye las publicaciones de todas nuestras cuentas", async () => {
+    setMarketSearchAdapter(createFixtureSearch(FIXTURES_PATH));
+    listAccounts.mockResolvedValueOnce([{ id: "main", ml_user_id: "100000001" }, { id: "second", ml_user_id: "100000002" }]);
+
+    const stats = await getMarketStats("Elden Ring");
+
+    // Quedan 23.490, 24.490, 25.990, 26.990 y el outlier de 2.990: sin él no alcanzan las 5 comparables
+    expect(stats).toBeNull();
+    expect(listAccounts).toHaveBeenCalledWith({ includeInactive: true });
+  });
+
+  it("sin comparables suficientes acepta el precio", async () => {
+    setMarketSearchAdapter(createFixtureSearch(FIXTURES_PATH));
+
+    const result = await validateMarketPrice("Juego Sin Grabar", 9990);
+
+    expect(result).toMatchObject({ isValid: true, reason: "insufficient_market_data", marketStats: null });
+  });
+
+  it("guarda en market_price_cache y la siguiente consulta sale de memoria", async () => {
+    const first = await getMarketStats("Elden Ring");
+    const second = await getMarketStats("Elden Ring");
+
+    expect(axiosWithSmartRetry).toHaveBeenCalledTimes(1);
+    expect(db.upserts).toHaveLength(1);
+    expect(db.upserts[0]).toMatchObject({ cache_key: "elden ring", stats: { median: 24990 } });
+    expect(first.cached).toBe(false);
+    expect(second).toMatchObject({ median: 24990, cached: true });
+  });
+
+  it("usa la caché de Supabase vigente sin buscar en ML", async () => {
+    db.cached = { stats: { median: 19990, sampleSize: 7 }, fetched_at: new Date().toISOString() };
+
+    const stats = await getMarketStats("Elden Ring");
+
+    expect(stats).toEqual({ median: 19990, sampleSize: 7, cached: true });
+    expect(axiosWithSmartRetry).not.toHaveBeenCalled();
+  });
+
+  it("la caché vencida se vuelve a buscar", async () => {
+    db.cached = { stats: { median: 19990, sampleSize: 7 }, fetched_at: new Date(Date.now() - 7 * 3600 * 1000).toISOString() };
+
+    const stats = await getMarketStats("Elden Ring");
+
+    expect(stats.median).toBe(24990);
+    expect(axiosWithSmartRetry).toHaveBeenCalledTimes(1);
+  });
+});
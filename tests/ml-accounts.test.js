@@ -0,0 +1,34 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+
+vi.mock("@supabase/supabase-js", () => import("./helpers/supabase").then(m => m.fakeSupabase()));
+
+const { accountKinguinKey, sanitizeAccount } = await import("../lib/ml-accounts");
+
+const ENV = { ...process.env };
+
+describe("kinguin_key_env", () => {
+  afterEach(() => {
+    process.env = { ...ENV };
+  });
+
+  it("acepta KINGUIN_API_KEY y KINGUIN_API_KEY_<SUFIJO>", () => {
+    expect(sanitizeAccount({ id: "tienda2", name: "Tienda 2" }).kinguin_key_env).toBe("KINGUIN_API_KEY");
+    expect(sanitizeAccount({ id: "tienda2", name: "Tienda 2", kinguin_key_env: "KINGUIN_API_KEY_TIENDA2" }).kinguin_key_env)
+      .toBe("KINGUIN_API_KEY_TIENDA2");
+  });
+
+  it("rechaza variables que no son keys de Kinguin", () => {
+    for (const envName of ["SUPABASE_SERVICE_ROLE_KEY", "API_SECRET_KEY", "KINGUIN_API_KEYX", "KINGUIN_API_KEY_"]) {
+      expect(() => sanitizeAccount({ id: "tienda2", name: "Tienda 2", kinguin_key_env: envName })).toThrow(/Variable de entorno inválida/);
+    }
+  });
+
+  it("accountKinguinKey no lee otra variable aunque la cuenta la tenga guardada", () => {
+    process.env.KINGUIN_API_KEY_TIENDA2 = "kinguin-2";
+    process.env.SUPABASE_SERVICE_ROLE_KEY = "service-role";
+    vi.spyOn(console, "error").mockImplementation(() => {});
+
+    expect(accountKinguinKey({ id: "tienda2", kinguin_key_env: "KINGUIN_API_KEY_TIENDA2" })).toBe("kinguin-2");
+    expect(accountKinguinKey({ id: "tienda2", kinguin_key_env: "SUPABASE_SERVICE_ROLE_KEY" })).toBeNull();
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect, vi } from "vitest";
+
+vi.mock("@supabase/supabase-js", () => import("./helpers/supabase").then(m => m.fakeSupabase()));
+
+const { DEFAULT_FEE_TABLE, mlSaleFee, solvePriceForNet } = await import("../lib/ml-fees");
+const { DEFAULT_PRICING_RULES, applyPricingRule, matchPricingRule } = await import("../lib/pricing-rules");
+
+const netAt = (table, price, options) => price - mlSaleFee(table, price, options).amount;
+
+describe("solvePriceForNet con la tabla de comisiones", () => {
+  it("bajo 9.990 incluye el cargo fijo", () => {
+    // (6.500 + 700) / 0,83
+    expect(solvePriceForNet(DEFAULT_FEE_TABLE, 6500)).toBeCloseTo(8674.7, 1);
+  });
+
+  it("sobre 9.990 no hay cargo fijo", () => {
+    expect(solvePriceForNet(DEFAULT_FEE_TABLE, 13000)).toBeCloseTo(15662.65, 2);
+  });
+
+  it("entre tramos devuelve el límite del tramo siguiente", () => {
+    // Con cargo fijo haría falta 10.241 (fuera del tramo); sin él bastaría 9.398 (bajo el tramo)
+    expect(solvePriceForNet(DEFAULT_FEE_TABLE, 7800)).toBe(9990);
+    expect(netAt(DEFAULT_FEE_TABLE, 9990)).toBeGreaterThanOrEqual(7800);
+  });
+
+  it("el neto del precio resuelto alcanza el objetivo en cada tipo de publicación", () => {
+    for (const listingTypeId of ["gold_pro", "gold_special", "free"]) {
+      for (const target of [1000, 5000, 7800, 9000, 25000]) {
+        const price = Math.ceil(solvePriceForNet(DEFAULT_FEE_TABLE, target, { listingTypeId }));
+        expect(netAt(DEFAULT_FEE_TABLE, price, { listingTypeId })).toBeGreaterThanOrEqual(target);
+      }
+    }
+  });
+
+  it("la tarifa de la categoría reemplaza a la del tipo de publicación", () => {
+    const table = {
+      ...DEFAULT_FEE_TABLE,
+      categories: { "MLC1144:gold_pro": { percentage_fee: 0.2, fixed_fees: [{ max_price: null, fee: 0 }] } },
+    };
+    expect(solvePriceForNet(table, 8000, { categoryId: "MLC1144" })).toBeCloseTo(10000, 6);
+  });
+});
+
+// Cálculo de computePriceCLP antes de pricing_rules: las reglas base deben dar exactamente lo mismo
+function baselinePriceCLP(costCLP) {
+  let price = costCLP * (1 + (costCLP < 3500 ? 0.75 : 0.30));
+  if (price < 9990) price += 700;
+  price *= 1.19;
+  return Math.ceil(price / 1000) * 1000 - 10;
+}
+
+describe("reglas base", () => {
+  const priceFor = costCLP => applyPricingRule(matchPricingRule(DEFAULT_PRICING_RULES, { costCLP }), costCLP, DEFAULT_FEE_TABLE);
+
+  it("usan el factor: el modo ml se activa regla por regla", () => {
+    expect(DEFAULT_PRICING_RULES.every(rule => (rule.fee_mode || "factor") === "factor")).toBe(true);
+  });
+
+  it("dan el mismo precio que el cálculo anterior a las reglas", () => {
+    for (const costCLP of [500, 2000, 3499, 3500, 5000, 7000, 7683, 10000, 25000, 80000]) {
+      expect(priceFor(costCLP).priceCLP).toBe(baselinePriceCLP(costCLP));
+    }
+  });
+});
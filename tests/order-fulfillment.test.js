@@ -0,0 +1,208 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+// Una sola fila de orders en memoria; cada update se aplica sobre ella
+const db = vi.hoisted(() => ({ order: null, lockTaken: false, updates: [], vault: [] }));
+// Kinguin rechaza (4xx) las órdenes que incluyan un producto de `rejected`;
+// cada orden creada devuelve solo las keys de sus productos
+const http = vi.hoisted(() => ({ mlOrder: null, previous: [], rejected: [], keys: [], kinguinOrders: {}, kinguinStatus: "", sendError: null, calls: [] }));
+
+vi.mock("@supabase/supabase-js", () => import("./helpers/supabase").then(m => m.fakeSupabase(query => {
+  if (query.table === "key_vault") {
+    if (query.action === "upsert") {
+      const fresh = query.payload.filter(row => !db.vault.some(stored => stored.key_hash === row.key_hash));
+      db.vault.push(...fresh.map((row, index) => ({ id: `v${db.vault.length + index + 1}`, ...row })));
+    }
+    return { data: query.action === "select" ? db.vault : null };
+  }
+  if (query.table !== "orders") return { data: null };
+  if (query.action === "update") {
+    if (db.lockTaken && query.payload.locked_until) return { data: [] };
+    db.updates.push(query.payload);
+    Object.assign(db.order, query.payload);
+  }
+  return { data: query.single ? { ...db.order } : [{ ...db.order }] };
+})));
+
+vi.mock("../pages/api/_logic", async importOriginal => ({
+  ...(await importOriginal()),
+  logActivity: vi.fn(async () => {}),
+}));
+vi.mock("../lib/ml-tokens", async importOriginal => ({
+  ...(await importOriginal()),
+  getAccessToken: vi.fn(async () => "ml-token"),
+  requireAccessToken: vi.fn(async () => "ml-token"),
+}));
+vi.mock("../pages/api/_http-utils", async importOriginal => ({
+  ...(await importOriginal()),
+  axiosWithSmartRetry: vi.fn(async (url, body, { method }) => {
+    http.calls.push({ method, url, body });
+    if (url.startsWith("https://api.mercadolibre.com/orders/")) return { data: http.mlOrder };
+    if (url.includes("orderExternalId=")) return { data: { results: http.previous } };
+    if (url.endsWith("/v2/orders")) {
+      const productIds = body.products.map(product => product.productId);
+      if (productIds.some(id => http.rejected.includes(id))) {
+        throw Object.assign(new Error("Out of stock"), { response: { status: 400, data: { message: "Out of stock" } } });
+      }
+      const orderId = `K-${productIds.join("-")}`;
+      http.kinguinOrders[orderId] = productIds;
+      return { data: { orderId } };
+    }
+    const orderMatch = url.match(/\/v1\/order\/([^/?]+)$/);
+    if (orderMatch) return { data: { orderId: orderMatch[1], status: http.kinguinStatus } };
+    const keysMatch = url.match(/\/v2\/order\/([^/]+)\/keys$/);
+    if (keysMatch) return { data: http.keys.filter(key => http.kinguinOrders[keysMatch[1]]?.includes(String(key.kinguinId))) };
+    if (url.includes("/messages/packs/")) {
+      if (http.sendError) throw http.sendError;
+      return { data: {} };
+    }
+    throw new Error(`URL inesperada: ${url}`);
+  }),
+}));
+
+const { ORDER_STATUS, processOrder, redeliverOrderKeys } = await import("../lib/orders");
+
+const purchases = () => http.calls.filter(call => call.method === "post" && call.url.endsWith("/v2/orders"));
+const statuses = () => db.updates.map(update => update.status).filter(Boolean);
+
+beforeEach(() => {
+  vi.spyOn(console, "error").mockImplementation(() => {});
+  process.env.ML_USER_ID = "111";
+  process.env.KINGUIN_API_KEY = "kinguin-key";
+  process.env.KEY_VAULT_SECRET = Buffer.alloc(32, 7).toString("base64");
+  db.order = { id: "o1", ml_order_id: "2000001", ml_resource: "/orders/2000001", status: ORDER_STATUS.RECEIVED, attempts: 0 };
+  db.lockTaken = false;
+  db.updates = [];
+  db.vault = [];
+  Object.assign(http, {
+    mlOrder: {
+      id: 2000001,
+      status: "paid",
+      buyer: { id: 999 },
+      order_items: [{ item: { id: "MLC1", title: "Juego", seller_custom_field: "55" }, quantity: 1, unit_price: 9990 }],
+    },
+    previous: [],
+    rejected: [],
+    keys: [{ serial: "AAAA-BBBB", kinguinId: 55 }],
+    kinguinOrders: {},
+    kinguinStatus: "completed",
+    sendError: null,
+    calls: [],
+  });
+});
+
+describe("processOrder", () => {
+  it("avanza received → paid → key_purchased → key_delivered en una pasada", async () => {
+    const result = await processOrder("o1");
+
+    expect(result.status).toBe(ORDER_STATUS.KEY_DELIVERED);
+    expect(statuses()).toEqual([ORDER_STATUS.PAID, ORDER_STATUS.KEY_PURCHASED, ORDER_STATUS.KEY_DELIVERED]);
+    expect(purchases()).toHaveLength(1);
+    expect(http.calls.find(call => call.url.includes("/messages/packs/")).body.text).toContain("AAAA-BBBB");
+    expect(db.order.locked_until).toBeNull();
+    expect(db.vault).toHaveLength(1);
+    expect(db.vault[0].encrypted_key).not.toContain("AAAA-BBBB");
+  });
+
+  it("si falla la entrega, el reintento retoma desde key_purchased sin volver a comprar", async () => {
+    http.sendError = new Error("MercadoLibre no responde");
+
+    const failed = await processOrder("o1");
+
+    expect(failed.error).toBe("MercadoLibre no responde");
+    expect(db.order).toMatchObject({ status: ORDER_STATUS.KEY_PURCHASED, attempts: 1, locked_until: null });
+    expect(new Date(db.order.next_retry_at).getTime()).toBeGreaterThan(Date.now());
+
+    http.sendError = null;
+    const retried = await processOrder("o1");
+
+    expect(retried.status).toBe(ORDER_STATUS.KEY_DELIVERED);
+    expect(purchases()).toHaveLength(1);
+    expect(db.vault).toHaveLength(1);
+  });
+
+  it("si Kinguin rechaza la orden combinada compra por producto y entrega lo que tiene stock", async () => {
+    http.mlOrder.order_items.push({ item: { id: "MLC2", title: "Otro juego", seller_custom_field: "77" }, quantity: 1, unit_price: 4990 });
+    http.rejected = ["77"];
+
+    const result = await processOrder("o1");
+
+    expect(result.status).toBe(ORDER_STATUS.KEY_DELIVERED);
+    expect(purchases().map(call => call.body.orderExternalId)).toEqual(["ML-2000001", "ML-2000001-55", "ML-2000001-77"]);
+    expect(db.order.items.map(item => item.status)).toEqual(["purchased", "unavailable"]);
+    expect(db.order.partial_fulfillment).toBe(true);
+    expect(db.order.last_error).toContain("Otro juego");
+  });
+
+  it("mientras Kinguin procesa la orden espera las keys sin contar un intento", async () => {
+    http.kinguinStatus = "processing";
+
+    const result = await processOrder("o1");
+
+    expect(result).toMatchObject({ status: ORDER_STATUS.KEY_PURCHASED, awaitingKeys: true });
+    expect(db.order).toMatchObject({ attempts: 0, locked_until: null });
+    expect(db.order.last_error).toContain("processing");
+    expect(new Date(db.order.next_retry_at).getTime()).toBeGreaterThan(Date.now());
+
+    http.kinguinStatus = "completed";
+    expect((await processOrder("o1")).status).toBe(ORDER_STATUS.KEY_DELIVERED);
+    expect(purchases()).toHaveLength(1);
+  });
+
+  it("pasa a revisión manual si Kinguin cancela la orden o las keys no llegan a tiempo", async () => {
+    http.kinguinStatus = "refunded";
+    expect((await processOrder("o1")).status).toBe(ORDER_STATUS.MANUAL_REVIEW);
+    expect(db.order).toMatchObject({ review_reason: "Orden Kinguin K-55 en estado refunded", next_retry_at: null });
+
+    Object.assign(db.order, { status: ORDER_STATUS.KEY_PURCHASED, purchased_at: new Date(Date.now() - 7 * 3600000).toISOString() });
+    http.kinguinStatus = "processing";
+    expect((await processOrder("o1")).status).toBe(ORDER_STATUS.MANUAL_REVIEW);
+    expect(db.order.review_reason).toMatch(/^Sin keys tras 6 horas/);
+  });
+
+  it("una orden sin pagar sigue en received y se reconsulta sin contar un intento", async () => {
+    http.mlOrder.status = "payment_required";
+
+    const result = await processOrder("o1");
+
+    expect(result.status).toBe(ORDER_STATUS.RECEIVED);
+    expect(db.order.attempts).toBe(0);
+    expect(db.order.next_retry_at).toBeTruthy();
+    expect(purchases()).toHaveLength(0);
+  });
+
+  it("se salta la orden si otro proceso tiene el lock", async () => {
+    db.lockTaken = true;
+
+    expect(await processOrder("o1")).toEqual({ status: "locked", skipped: true });
+    expect(http.calls).toEqual([]);
+  });
+
+  it("después del último intento queda fallida y sin reintento", async () => {
+    db.order.attempts = 7;
+    http.sendError = new Error("MercadoLibre no responde");
+
+    await processOrder("o1");
+
+    expect(db.order).toMatchObject({ status: ORDER_STATUS.FAILED, attempts: 8, next_retry_at: null });
+  });
+});
+
+describe("redeliverOrderKeys", () => {
+  it("reenvía las keys desde el vault sin volver a consultar Kinguin", async () => {
+    await processOrder("o1");
+    http.calls = [];
+
+    const result = await redeliverOrderKeys("2000001");
+
+    expect(result).toMatchObject({ ml_order_id: "2000001", keys: 1 });
+    expect(http.calls).toHaveLength(result.messages);
+    expect(http.calls.every(call => call.url === "https://api.mercadolibre.com/messages/packs/2000001/messages")).toBe(true);
+    expect(http.calls[0].body.text).toContain("AAAA-BBBB");
+    // Sin guías guardadas en la base se envían las guías por defecto
+    expect(http.calls.map(call => call.body.text).join("\n")).toContain("Cómo activar en");
+  });
+
+  it("no reenvía una orden que todavía no se entregó", async () => {
+    await expect(redeliverOrderKeys("2000001")).rejects.toThrow("solo se reenvían órdenes entregadas");
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const db = vi.hoisted(() => ({ tokens: [] }));
+
+vi.mock("@supabase/supabase-js", () => import("./helpers/supabase").then(m => m.fakeSupabase(query => {
+  if (query.single || query.table !== "ml_oauth_tokens") return { data: query.single ? null : [] };
+  return { data: db.tokens.filter(row => row.user_id === query.filters.user_id) };
+})));
+
+vi.mock("../lib/orders", () => ({
+  PENDING_ORDER_STATUSES: ["received"],
+  recordOrderNotification: vi.fn(async () => ({ order: { id: "o1", status: "key_delivered" }, duplicate: false })),
+  processOrder: vi.fn(),
+}));
+vi.mock("../lib/webhook-security", () => ({ verifyInboundWebhook: vi.fn(async () => ({ ok: true })) }));
+vi.mock("../lib/ml-accounts", () => ({
+  DEFAULT_ACCOUNT_ID: "main",
+  getAccountByMlUserId: vi.fn(async mlUserId => (mlUserId === 111 ? { id: "second" } : null)),
+}));
+
+const { recordOrderNotification } = await import("../lib/orders");
+const { default: handler } = await import("../pages/api/order/webhook");
+
+function notify(userId) {
+  const res = { status: vi.fn(() => res), json: vi.fn(() => res) };
+  const req = { method: "POST", body: { topic: "orders_v2", resource: "/orders/2000001", user_id: userId } };
+  return handler(req, res).then(() => res);
+}
+
+describe("webhook de órdenes con vendedores de varios sitios", () => {
+  beforeEach(() => {
+    db.tokens = [{ account_key: "ML_ACCESS_TOKEN_MLA", user_id: "222" }];
+    vi.clearAllMocks();
+  });
+
+  it("una cuenta de ml_accounts vende en MLC", async () => {
+    await notify(111);
+    expect(recordOrderNotification).toHaveBeenCalledWith("/orders/2000001", { accountId: "second", siteId: "MLC" });
+  });
+
+  it("el vendedor de otro sitio se reconoce por el token de ese sitio", async () => {
+    await notify(222);
+    expect(recordOrderNotification).toHaveBeenCalledWith("/orders/2000001", { accountId: "main", siteId: "MLA" });
+  });
+
+  it("un vendedor desconocido queda en la cuenta principal", async () => {
+    await notify(333);
+    expect(recordOrderNotification).toHaveBeenCalledWith("/orders/2000001", { accountId: "main", siteId: "MLC" });
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, it, expect } from "vitest";
+import { competitorPriceHeld, competitorPricingState, RULE_PRICING_STATE } from "../lib/price-guards";
+
+const NOW = new Date("2026-01-10T12:00:00Z");
+
+describe("competitorPriceHeld", () => {
+  const listing = {
+    pricing_source: "competitor",
+    competitor_price_until: "2026-01-11T12:00:00Z",
+    euro_price: 10,
+  };
+
+  it("respeta el precio de competencia vigente", () => {
+    expect(competitorPriceHeld(listing, 10, NOW)).toBe(true);
+    expect(competitorPriceHeld(listing, 9.5, NOW)).toBe(true);
+    expect(competitorPriceHeld(listing, null, NOW)).toBe(true);
+  });
+
+  it("lo suelta al vencer el plazo", () => {
+    expect(competitorPriceHeld(listing, 10, new Date("2026-01-11T12:00:00Z"))).toBe(false);
+  });
+
+  it("lo suelta si la oferta de Kinguin sube sobre el costo usado", () => {
+    expect(competitorPriceHeld(listing, 10.5, NOW)).toBe(false);
+  });
+
+  it("no aplica a precios de regla", () => {
+    expect(competitorPriceHeld({ ...listing, ...RULE_PRICING_STATE }, 10, NOW)).toBe(false);
+    expect(competitorPriceHeld(null, 10, NOW)).toBe(false);
+  });
+});
+
+describe("competitorPricingState", () => {
+  it("marca la publicación hasta now + holdHours", () => {
+    expect(competitorPricingState(24, NOW)).toEqual({
+      pricing_source: "competitor",
+      competitor_price_until: "2026-01-11T12:00:00.000Z",
+    });
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const db = vi.hoisted(() => ({ inserts: [], queries: [], listings: [], history: [] }));
+
+vi.mock("@supabase/supabase-js", () => import("./helpers/supabase").then(m => m.fakeSupabase(query => {
+  db.queries.push(query);
+  if (query.action === "insert") {
+    db.inserts.push(query.payload);
+    return {};
+  }
+  return { data: query.table === "published_products" ? db.listings : db.history };
+})));
+
+vi.mock("../pages/api/_logic", () => ({ kinguinFeeEUR: () => 0.5 }));
+vi.mock("../lib/ml-sites", () => ({ PRIMARY_SITE_ID: "MLC" }));
+vi.mock("../lib/ml-accounts", () => ({ DEFAULT_ACCOUNT_ID: "main" }));
+
+const { recordPriceChange, getPriceExplanation } = await import("../lib/price-history");
+
+const change = {
+  kinguinId: 123,
+  mlId: "MLC1",
+  oldPrice: 10000,
+  newPrice: 11000,
+  exchangeRate: 1000,
+  originalEurPrice: 9,
+  pricingRule: { id: "base", name: "Base" },
+};
+
+describe("price_history por cuenta", () => {
+  beforeEach(() => {
+    db.inserts = [];
+    db.queries = [];
+  });
+
+  it("guarda la cuenta y el desglose con vendedor y fuente", async () => {
+    await recordPriceChange({ ...change, accountId: "tienda2", breakdown: { version: 1 }, seller: "S1", source: "sync-prices" });
+
+    expect(db.inserts[0]).toMatchObject({
+      account_id: "tienda2",
+      kinguin_id: "123",
+      breakdown: { version: 1, seller: "S1", source: "sync-prices" },
+    });
+  });
+
+  it("sin cuenta usa la predeterminada", async () => {
+    await recordPriceChange(change);
+    expect(db.inserts[0].account_id).toBe("main");
+  });
+
+  it("explica solo el historial de la cuenta pedida", async () => {
+    db.listings = [{ account_id: "tienda2", kinguin_id: "123", ml_id: "MLC2", site_id: "MLC" }];
+    db.history = [];
+
+    const explanation = await getPriceExplanation("123", { accountId: "tienda2" });
+
+    expect(explanation.product.ml_id).toBe("MLC2");
+    const filtersOf = table => db.queries.find(query => query.table === table).filters;
+    expect(filtersOf("published_products")).toMatchObject({ account_id: "tienda2" });
+    expect(filtersOf("price_history")).toMatchObject({ account_id: "tienda2" });
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+vi.mock("@supabase/supabase-js", () => import("./helpers/supabase").then(m => m.fakeSupabase()));
+vi.mock("../lib/pricing-simulator", () => ({
+  simulatePricing: vi.fn(async () => ({ fx: 1000, summary: { total: 0 }, products: [] })),
+  simulationToCsv: vi.fn(() => ""),
+}));
+
+const { simulatePricing } = await import("../lib/pricing-simulator");
+const { default: handler } = await import("../pages/api/pricing/simulate");
+
+function simulate(body) {
+  const res = { status: vi.fn(() => res), json: vi.fn(() => res), setHeader: vi.fn(), send: vi.fn(() => res) };
+  return handler({ method: "POST", query: {}, body }, res).then(() => res);
+}
+
+describe("/api/pricing/simulate", () => {
+  beforeEach(() => vi.clearAllMocks());
+
+  it("una regla candidata inválida es un 400 y no simula", async () => {
+    const res = await simulate({ rules: [{ name: "Oferta", priority: 1, margin: 9 }] });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ success: false, error: "Margen inválido (0 a 5)" });
+    expect(simulatePricing).not.toHaveBeenCalled();
+  });
+
+  it("un error de la simulación es un 500 aunque su mensaje no empiece con \"Error \"", async () => {
+    simulatePricing.mockRejectedValueOnce(new Error("Tipo de cambio inválido: 0"));
+
+    const res = await simulate({ rules: [{ name: "Oferta", priority: 1, margin: 0.2 }] });
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(simulatePricing.mock.calls[0][0].rules[0]).toMatchObject({ name: "Oferta", margin: 0.2, fee_mode: "factor" });
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const db = vi.hoisted(() => ({ ledger: [], ranges: [], listings: [], queries: [], upserts: [] }));
+
+vi.mock("@supabase/supabase-js", () => import("./helpers/supabase").then(m => m.fakeSupabase(query => {
+  db.queries.push(query);
+  if (query.action === "upsert") {
+    db.upserts.push(...query.payload);
+    return {};
+  }
+  if (query.table === "published_products") return { data: db.listings };
+  if (query.table !== "profit_ledger") return { data: null };
+
+  // Como PostgREST: sin range se corta en 1000 filas
+  const [from, to] = query.range || [0, Infinity];
+  db.ranges.push([from, to]);
+  return { data: db.ledger.slice(from, Math.min(to + 1, from + 1000)) };
+})));
+
+vi.mock("../pages/api/_logic", () => ({ getEuroToClp: vi.fn(async () => 1000), kinguinFeeEUR: vi.fn(() => 0) }));
+vi.mock("../lib/fx-provider", () => ({ getFxQuote: vi.fn(async ({ currency }) => ({ currency, rate: currency === "ARS" ? 2000 : 1000 })) }));
+
+const { getProfitReport, recordOrderProfit } = await import("../lib/profit-ledger");
+
+beforeEach(() => {
+  Object.assign(db, { ledger: [], ranges: [], listings: [], queries: [], upserts: [] });
+});
+
+describe("getProfitReport", () => {
+  it("suma todas las filas del período aunque pasen del límite de Supabase", async () => {
+    db.ledger = Array.from({ length: 2500 }, (_, index) => ({
+      quantity: 1,
+      sale_price_clp: 10000,
+      ml_fee_clp: 1700,
+      cost_clp: 6000,
+      net_profit_clp: 2300,
+      platform: index % 2 ? "Steam" : "EA App",
+      product_type: "game",
+      sold_at: new Date(Date.UTC(2026, 9, 1 + (index % 10))).toISOString(),
+    }));
+
+    const report = await getProfitReport({ period: "day", from: "2026-10-01", to: "2026-11-01" });
+
+    expect(db.ranges).toEqual([[0, 999], [1000, 1999], [2000, 2999]]);
+    expect(report.totals).toMatchObject({ sales: 2500, net_profit_clp: 2500 * 2300 });
+    expect(report.series).toHaveLength(10);
+    expect(report.by_platform.Steam.sales).toBe(1250);
+  });
+});
+
+describe("recordOrderProfit", () => {
+  const order = siteId => ({
+    id: "o1",
+    ml_order_id: "2000001",
+    site_id: siteId,
+    paid_at: "2026-10-01T12:00:00Z",
+    items: [{ status: "purchased", ml_item_id: "I1", kinguin_product_id: "55", quantity: 2, title: "Juego" }],
+    ml_order: { order_items: [{ item: { id: "I1" }, unit_price: 10000, sale_fee: 1500 }] },
+  });
+
+  it("convierte a CLP la venta de otro sitio y busca el costo en la publicación de ese sitio", async () => {
+    db.listings = [{ kinguin_id: "55", platform: "Steam", product_type: "key", euro_price: 4 }];
+
+    const { net_profit_clp } = await recordOrderProfit(order("MLA"));
+
+    // 1 ARS = 1000 / 2000 CLP
+    expect(db.upserts[0]).toMatchObject({
+      site_id: "MLA",
+      currency_id: "ARS",
+      sale_price_local: 20000,
+      ml_fee_local: 3000,
+      local_to_clp: 0.5,
+      sale_price_clp: 10000,
+      ml_fee_clp: 1500,
+      cost_clp: 8000,
+    });
+    expect(net_profit_clp).toBe(500);
+    expect(db.queries.find(query => query.table === "published_products").filters).toEqual({ site_id: "MLA" });
+  });
+
+  it("en MLC deja los montos como vienen", async () => {
+    await recordOrderProfit(order(undefined));
+
+    expect(db.upserts[0]).toMatchObject({ site_id: "MLC", currency_id: "CLP", local_to_clp: 1, sale_price_clp: 20000, ml_fee_clp: 3000 });
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+
+vi.mock("@supabase/supabase-js", () => import("./helpers/supabase").then(m => m.fakeSupabase()));
+
+const { SESSION_COOKIE, SERVICE_PRINCIPAL, signSession } = await import("../lib/auth-session");
+const { getRequestUser } = await import("../pages/api/_auth");
+const { default: cronRunner } = await import("../pages/api/cron-runner");
+
+const ENV = { ...process.env };
+
+function runCron({ query = {}, headers = {}, cookies = {} } = {}) {
+  const res = { status: vi.fn(() => res), json: vi.fn(() => res) };
+  return cronRunner({ method: "GET", query, headers, cookies, socket: {} }, res).then(() => res);
+}
+
+describe("getRequestUser", () => {
+  beforeEach(() => {
+    process.env.API_SECRET_KEY = "secret-key";
+  });
+  afterEach(() => {
+    process.env = { ...ENV };
+  });
+
+  it("acepta Bearer <API_SECRET_KEY> como servicio", () => {
+    expect(getRequestUser({ headers: { authorization: "Bearer secret-key" } })).toEqual(SERVICE_PRINCIPAL);
+  });
+
+  it("rechaza sin lanzar una clave con caracteres multibyte del mismo largo", () => {
+    expect(getRequestUser({ headers: { authorization: "Bearer secret-kéy" } })).toBeNull();
+    expect(getRequestUser({ headers: { authorization: "Bearer ñ" } })).toBeNull();
+  });
+
+  it("sin API_SECRET_KEY configurada no acepta ningún Bearer", () => {
+    delete process.env.API_SECRET_KEY;
+    expect(getRequestUser({ headers: { authorization: "Bearer " } })).toBeNull();
+  });
+});
+
+describe("cron-runner", () => {
+  beforeEach(() => {
+    process.env.AUTH_SECRET = "x".repeat(32);
+    process.env.EXTERNAL_CRON_API_KEY = "cron-key";
+  });
+  afterEach(() => {
+    process.env = { ...ENV };
+  });
+
+  // Sin id responde 400: la petición ya pasó la autorización
+  it("acepta la clave configurada por query o por header", async () => {
+    expect((await runCron({ query: { key: "cron-key" } })).status).toHaveBeenCalledWith(400);
+    expect((await runCron({ headers: { "x-api-key": "cron-key" } })).status).toHaveBeenCalledWith(400);
+  });
+
+  it("rechaza una clave incorrecta", async () => {
+    expect((await runCron({ query: { key: "kinguin-ml-cron-key" } })).status).toHaveBeenCalledWith(403);
+  });
+
+  it("sin EXTERNAL_CRON_API_KEY no acepta ninguna clave", async () => {
+    delete process.env.EXTERNAL_CRON_API_KEY;
+    expect((await runCron({ query: { key: "kinguin-ml-cron-key" } })).status).toHaveBeenCalledWith(403);
+    expect((await runCron({ query: { key: "" } })).status).toHaveBeenCalledWith(403);
+  });
+
+  it("acepta la sesión de un admin sin clave y rechaza la de un operator", async () => {
+    delete process.env.EXTERNAL_CRON_API_KEY;
+    const admin = await signSession({ sub: "1", email: "admin@example.com", role: "admin" });
+    const operator = await signSession({ sub: "2", email: "ops@example.com", role: "operator" });
+
+    expect((await runCron({ cookies: { [SESSION_COOKIE]: admin } })).status).toHaveBeenCalledWith(400);
+    expect((await runCron({ cookies: { [SESSION_COOKIE]: operator } })).status).toHaveBeenCalledWith(403);
+  });
+});
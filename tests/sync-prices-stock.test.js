@@ -0,0 +1,124 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const db = vi.hoisted(() => ({ listing: null, updates: [] }));
+
+vi.mock("@supabase/supabase-js", () => import("./helpers/supabase").then(m => m.fakeSupabase(query => {
+  if (query.action === "update") db.updates.push(query.payload);
+  return { data: query.single ? db.listing : null };
+})));
+
+vi.mock("axios", () => ({
+  default: {
+    get: vi.fn(async () => ({ data: { kinguinId: 123, name: "Juego", offers: [{ price: 10, qty: 7 }] } })),
+    put: vi.fn(async () => ({ data: {} })),
+  },
+}));
+
+vi.mock("../pages/api/_logic", () => ({
+  computePriceCLP: vi.fn(async () => ({
+    FX_EUR_CLP: 1000,
+    priceCLP: 18990,
+    pricingRule: { id: "base", name: "Base" },
+    breakdown: {},
+  })),
+  logActivity: vi.fn(async () => {}),
+}));
+
+vi.mock("../lib/price-history", () => ({ recordPriceChange: vi.fn(async () => {}) }));
+vi.mock("../lib/job-queue", () => ({ enqueueJob: vi.fn(), kickWorker: vi.fn() }));
+vi.mock("../lib/ml-sites", () => ({ PRIMARY_SITE_ID: "MLC" }));
+vi.mock("../pages/api/_auth", () => ({ getRequestUser: vi.fn() }));
+vi.mock("../lib/ml-accounts", () => ({
+  DEFAULT_ACCOUNT_ID: "main",
+  getAccount: vi.fn(),
+  accountAccessToken: vi.fn(async () => "token"),
+  accountKinguinKey: vi.fn(() => "kinguin-key"),
+  forEachAccount: vi.fn(),
+  getRequestAccount: vi.fn(),
+}));
+
+const axios = (await import("axios")).default;
+const { computePriceCLP } = await import("../pages/api/_logic");
+const { recordPriceChange } = await import("../lib/price-history");
+const { syncPricesStockJob } = await import("../pages/api/sync-prices-stock");
+
+const account = { id: "main" };
+const job = { id: "job-1", payload: {} };
+
+function listing(overrides = {}) {
+  return {
+    account_id: "main",
+    kinguin_id: "123",
+    ml_id: "MLC1",
+    price_clp: 15990,
+    stock: 7,
+    title: "Juego",
+    euro_price: 10,
+    pricing_source: "rule",
+    competitor_price_until: null,
+    ...overrides,
+  };
+}
+
+describe("sync-prices-stock con precio de competencia", () => {
+  beforeEach(() => {
+    db.updates = [];
+    vi.clearAllMocks();
+  });
+
+  it("deja el precio de competencia vigente y sincroniza el stock", async () => {
+    db.listing = listing({
+      pricing_source: "competitor",
+      competitor_price_until: new Date(Date.now() + 3600 * 1000).toISOString(),
+      stock: 3,
+    });
+
+    const result = await syncPricesStockJob.processItem("123", { account, KINGUIN_API_KEY: "kinguin-key" }, job);
+
+    expect(result).toMatchObject({ status: "success", priceUpdated: false, stockUpdated: true, priceHeld: "competitor" });
+    expect(db.updates).toEqual([expect.objectContaining({ stock: 7 })]);
+    expect(db.updates.some(update => "price_clp" in update)).toBe(false);
+    expect(axios.put).toHaveBeenCalledTimes(1);
+    expect(axios.put.mock.calls[0][1]).toEqual({ available_quantity: 7 });
+    expect(recordPriceChange).not.toHaveBeenCalled();
+  });
+
+  it("vuelve a la regla cuando vence el plazo", async () => {
+    db.listing = listing({
+      pricing_source: "competitor",
+      competitor_price_until: new Date(Date.now() - 1000).toISOString(),
+    });
+
+    const result = await syncPricesStockJob.processItem("123", { account, KINGUIN_API_KEY: "kinguin-key" }, job);
+
+    expect(result).toMatchObject({ priceUpdated: true, newPrice: 18990 });
+    expect(db.updates[0]).toMatchObject({ price_clp: 18990, pricing_source: "rule", competitor_price_until: null });
+    expect(axios.put.mock.calls[0][1]).toEqual({ price: 18990 });
+    expect(recordPriceChange).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("sync-prices-stock con tipo de cambio en modo hold", () => {
+  beforeEach(() => {
+    db.updates = [];
+    vi.clearAllMocks();
+  });
+
+  it("no mueve el precio pero sincroniza el stock", async () => {
+    db.listing = listing({ stock: 3 });
+    computePriceCLP.mockResolvedValueOnce({
+      FX_EUR_CLP: 1000,
+      priceCLP: 18990,
+      pricingRule: { id: "base", name: "Base" },
+      breakdown: {},
+      fxHeld: true,
+    });
+
+    const result = await syncPricesStockJob.processItem("123", { account, KINGUIN_API_KEY: "kinguin-key" }, job);
+
+    expect(result).toMatchObject({ priceUpdated: false, stockUpdated: true, priceHeld: "fx_hold" });
+    expect(db.updates).toEqual([expect.objectContaining({ stock: 7 })]);
+    expect(axios.put.mock.calls.map(call => call[1])).toEqual([{ available_quantity: 7 }]);
+    expect(recordPriceChange).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+
+const db = vi.hoisted(() => ({ products: {}, updates: [] }));
+
+vi.mock("@supabase/supabase-js", () => import("./helpers/supabase").then(m => m.fakeSupabase(query => {
+  if (query.action === "update") {
+    db.updates.push(query.payload);
+    return {};
+  }
+  return { data: db.products[query.filters.account_id] || [] };
+})));
+
+vi.mock("axios", () => ({ default: { put: vi.fn(async () => ({ data: {} })) } }));
+vi.mock("../pages/api/_logic", () => ({
+  computePriceCLP: vi.fn(async () => ({ FX_EUR_CLP: 1000, priceCLP: 18990, pricingRule: { id: "base", name: "Base" }, breakdown: {} })),
+  logActivity: vi.fn(async () => {}),
+}));
+vi.mock("../lib/price-history", () => ({ recordPriceChange: vi.fn(async () => {}) }));
+vi.mock("../lib/fx-provider", () => ({ getFxQuote: vi.fn(async () => ({ rate: 1000, held: false })) }));
+vi.mock("../lib/ml-sites", () => ({ PRIMARY_SITE_ID: "MLC" }));
+vi.mock("../lib/ml-accounts", () => ({
+  accountAccessToken: vi.fn(async account => {
+    if (account.id === "caida") throw new Error("Cuenta no autorizada");
+    return `token-${account.id}`;
+  }),
+  forEachAccount: vi.fn(async fn => {
+    const results = [];
+    for (const account of [{ id: "main" }, { id: "tienda2" }, { id: "caida" }]) {
+      try {
+        results.push({ account_id: account.id, status: "ok", result: await fn(account) });
+      } catch (error) {
+        results.push({ account_id: account.id, status: "error", error: error.message });
+      }
+    }
+    return results;
+  }),
+}));
+
+const axios = (await import("axios")).default;
+const { recordPriceChange } = await import("../lib/price-history");
+const { default: handler } = await import("../pages/api/update-all-prices");
+
+function mockRes() {
+  const res = { headers: {}, statusCode: null, body: null };
+  res.setHeader = (key, value) => { res.headers[key] = value; };
+  res.status = code => { res.statusCode = code; return res; };
+  res.json = body => { res.body = body; return res; };
+  return res;
+}
+
+describe("update-all-prices por cuenta", () => {
+  beforeEach(() => {
+    db.updates = [];
+    vi.clearAllMocks();
+    // Sin la pausa de 1 segundo entre lotes
+    vi.spyOn(global, "setTimeout").mockImplementation(fn => { fn(); return 0; });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("actualiza cada cuenta con su propio token y sigue si una falla", async () => {
+    db.products = {
+      main: [{ id: 1, ml_id: "MLC1", kinguin_id: "1", euro_price: 10, price: 15990 }],
+      tienda2: [{ id: 2, ml_id: "MLC2", kinguin_id: "1", euro_price: 10, price: 15990 }],
+      caida: [{ id: 3, ml_id: "MLC3", kinguin_id: "1", euro_price: 10, price: 15990 }],
+    };
+    const res = mockRes();
+
+    await handler({ method: "POST", query: {} }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ success: false, totalProducts: 2, updatedProducts: 2 });
+    expect(res.body.accounts.map(result => [result.account_id, result.status])).toEqual([["main", "ok"], ["tienda2", "ok"], ["caida", "error"]]);
+    expect(axios.put.mock.calls.map(call => [call[0], call[2].headers.Authorization])).toEqual([
+      ["https://api.mercadolibre.com/items/MLC1", "Bearer token-main"],
+      ["https://api.mercadolibre.com/items/MLC2", "Bearer token-tienda2"],
+    ]);
+    expect(recordPriceChange.mock.calls.map(call => call[0].accountId)).toEqual(["main", "tienda2"]);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const db = vi.hoisted(() => ({ rows: [], listings: [], updates: [] }));
+
+vi.mock("@supabase/supabase-js", () => import("./helpers/supabase").then(m => m.fakeSupabase(query => {
+  if (query.action === "update") {
+    db.updates.push(query);
+    return {};
+  }
+  return { data: query.table === "webhook_queue" ? db.rows : db.listings };
+})));
+
+vi.mock("../pages/api/_logic", () => ({
+  // 10 EUR → 19990 CLP en MLC; en MLA el precio del perfil
+  computeSitePrice: vi.fn(async (offerEUR, product, profile) => ({
+    fx: profile.site_id === "MLC" ? 1000 : 1500,
+    price: profile.site_id === "MLC" ? 19990 : 14999.99,
+    currencyId: profile.currency_id,
+    pricingRule: { id: "base", name: "Base" },
+    breakdown: { version: 1 },
+    fxHeld: false,
+  })),
+  getKinguinProduct: vi.fn(async () => ({ kinguinId: 123, offers: [{ price: 10, qty: 5 }] })),
+  logActivity: vi.fn(async () => {}),
+}));
+
+vi.mock("../pages/api/_http-utils", () => ({ axiosWithSmartRetry: vi.fn(async () => ({ data: {} })) }));
+vi.mock("../lib/price-history", () => ({ recordPriceChange: vi.fn(async () => {}) }));
+vi.mock("../lib/ml-sites", () => ({
+  PRIMARY_SITE_ID: "MLC",
+  getSiteProfile: vi.fn(async siteId => ({ site_id: siteId, currency_id: siteId === "MLC" ? "CLP" : "ARS", token_key: `ML_${siteId}` })),
+  getSiteAccessToken: vi.fn(async profile => `site-token-${profile.site_id}`),
+}));
+vi.mock("../lib/ml-accounts", () => ({
+  getAccount: vi.fn(async id => ({ id })),
+  accountAccessToken: vi.fn(async account => `account-token-${account.id}`),
+  accountKinguinKey: vi.fn(() => "kinguin-key"),
+}));
+
+const { axiosWithSmartRetry } = await import("../pages/api/_http-utils");
+const { computeSitePrice } = await import("../pages/api/_logic");
+const { recordPriceChange } = await import("../lib/price-history");
+const { processWebhookQueue } = await import("../lib/webhook-queue");
+
+describe("processWebhookQueue en varios sitios", () => {
+  beforeEach(() => {
+    db.updates = [];
+    vi.clearAllMocks();
+  });
+
+  it("reprecia cada publicación con el perfil y el token de su sitio", async () => {
+    db.rows = [{ id: 1, kinguin_id: "123", retry_count: 0 }];
+    db.listings = [
+      { account_id: "main", kinguin_id: "123", site_id: "MLC", ml_id: "MLC1", price: 15990, euro_price: 8, status: "active" },
+      { account_id: "main", kinguin_id: "123", site_id: "MLA", ml_id: "MLA1", price: 12000, euro_price: 8, status: "active" },
+    ];
+
+    const summary = await processWebhookQueue();
+
+    expect(summary).toMatchObject({ products: 1, errors: 0, outcomes: { repriced: 1 } });
+    expect(computeSitePrice.mock.calls.map(call => call[2].site_id)).toEqual(["MLC", "MLA"]);
+    expect(axiosWithSmartRetry.mock.calls.map(call => [call[0], call[1], call[2].headers.Authorization])).toEqual([
+      ["https://api.mercadolibre.com/items/MLC1", { price: 19990 }, "Bearer account-token-main"],
+      ["https://api.mercadolibre.com/items/MLA1", { price: 14999.99 }, "Bearer site-token-MLA"],
+    ]);
+
+    const listingUpdates = db.updates.filter(update => update.table === "published_products");
+    expect(listingUpdates.map(update => [update.filters.site_id, update.payload.price])).toEqual([["MLC", 19990], ["MLA", 14999.99]]);
+    expect(recordPriceChange).toHaveBeenCalledTimes(2);
+    expect(recordPriceChange.mock.calls[1][0]).toMatchObject({ mlId: "MLA1", newPrice: 14999.99, exchangeRate: 1500, breakdown: { version: 1 } });
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+
+// La config de system_config queda en la caché del módulo: se fija una vez para todo el archivo
+const db = vi.hoisted(() => ({
+  config: { secrets: { kinguin: ["old-secret", "new-secret"] }, max_age_seconds: 600 },
+  nonces: new Set(),
+  rejections: [],
+}));
+
+vi.mock("@supabase/supabase-js", () => import("./helpers/supabase").then(m => m.fakeSupabase(query => {
+  if (query.table === "system_config") return { data: { value: db.config } };
+  if (query.table === "webhook_rejections") {
+    db.rejections.push(query.payload.reason);
+    return {};
+  }
+  if (query.table === "webhook_nonces" && query.action === "delete") {
+    db.nonces.delete(`${query.filters.source}:${query.filters.nonce}`);
+  }
+  if (query.table === "webhook_nonces" && query.action === "insert") {
+    const key = `${query.payload.source}:${query.payload.nonce}`;
+    if (db.nonces.has(key)) return { error: { code: "23505", message: "duplicate key" } };
+    db.nonces.add(key);
+  }
+  return {};
+})));
+
+const { verifyInboundWebhook, releaseWebhookNonce } = await import("../lib/webhook-security");
+
+const ENV = { ...process.env };
+
+function kinguinRequest({ secret = "new-secret", updatedAt = new Date().toISOString(), qty = 4 } = {}) {
+  return {
+    headers: { "x-event-secret": secret, "x-event-name": "product.update" },
+    body: { kinguinId: 123, qty, updatedAt },
+    socket: {},
+  };
+}
+
+function mlRequest({ secret = "ml-secret", attempts = 1, sent = new Date().toISOString() } = {}) {
+  return {
+    headers: {},
+    query: { secret },
+    body: { _id: "n1", topic: "orders_v2", attempts, sent },
+    socket: {},
+  };
+}
+
+beforeEach(() => {
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+  process.env.ML_WEBHOOK_SECRET = "ml-secret";
+  db.nonces = new Set();
+  db.rejections = [];
+});
+afterEach(() => {
+  process.env = { ...ENV };
+});
+
+describe("verifyInboundWebhook", () => {
+  it("durante una rotación acepta el secret viejo y el nuevo", async () => {
+    expect(await verifyInboundWebhook(kinguinRequest({ secret: "old-secret" }), "kinguin")).toMatchObject({ ok: true });
+    expect(await verifyInboundWebhook(kinguinRequest({ secret: "new-secret", qty: 5 }), "kinguin")).toMatchObject({ ok: true });
+  });
+
+  it("acepta también los secrets de la variable de entorno separados por coma", async () => {
+    process.env.KINGUIN_WEBHOOK_SECRET = "env-a, env-b";
+
+    expect(await verifyInboundWebhook(kinguinRequest({ secret: "env-b" }), "kinguin")).toMatchObject({ ok: true });
+  });
+
+  it("rechaza un secret ausente o desconocido y registra el motivo", async () => {
+    expect(await verifyInboundWebhook(kinguinRequest({ secret: "" }), "kinguin")).toEqual({ ok: false, reason: "missing_secret" });
+    expect(await verifyInboundWebhook(kinguinRequest({ secret: "new-secreT" }), "kinguin")).toEqual({ ok: false, reason: "invalid_secret" });
+    expect(db.rejections).toEqual(["missing_secret", "invalid_secret"]);
+  });
+
+  it("sin secrets configurados rechaza todo", async () => {
+    delete process.env.ML_WEBHOOK_SECRET;
+
+    expect(await verifyInboundWebhook(mlRequest(), "mercadolibre")).toEqual({ ok: false, reason: "not_configured" });
+  });
+
+  it("rechaza el mismo envío repetido", async () => {
+    const request = kinguinRequest();
+
+    expect(await verifyInboundWebhook(request, "kinguin")).toMatchObject({ ok: true });
+    expect(await verifyInboundWebhook(request, "kinguin")).toEqual({ ok: false, reason: "replay", replay: true });
+  });
+
+  it("un nonce liberado deja pasar el reintento del mismo envío", async () => {
+    const request = kinguinRequest();
+    const { nonce } = await verifyInboundWebhook(request, "kinguin");
+
+    await releaseWebhookNonce("kinguin", nonce);
+
+    expect(await verifyInboundWebhook(request, "kinguin")).toEqual({ ok: true, nonce });
+  });
+
+  it("acepta el reintento de ML con otro attempts pero no el mismo intento dos veces", async () => {
+    expect(await verifyInboundWebhook(mlRequest({ attempts: 1 }), "mercadolibre")).toMatchObject({ ok: true });
+    expect(await verifyInboundWebhook(mlRequest({ attempts: 2 }), "mercadolibre")).toMatchObject({ ok: true });
+    expect(await verifyInboundWebhook(mlRequest({ attempts: 2 }), "mercadolibre")).toMatchObject({ ok: false, reason: "replay" });
+  });
+
+  it("rechaza eventos más viejos que max_age_seconds o sin fecha", async () => {
+    const old = new Date(Date.now() - 11 * 60 * 1000).toISOString();
+
+    expect(await verifyInboundWebhook(kinguinRequest({ updatedAt: old }), "kinguin")).toEqual({ ok: false, reason: "stale_timestamp" });
+    expect(await verifyInboundWebhook(mlRequest({ sent: "" }), "mercadolibre")).toEqual({ ok: false, reason: "missing_timestamp" });
+  });
+});